@@ -1,24 +1,47 @@
 // background.js
 
 import { fetchBCVRate } from './src/js/api.js';
+import { recordRate, backfillRateHistory } from './src/js/rateHistory.js';
+import { fetchParallelRates, PARALLEL_RATES_KEY } from './src/js/monitors.js';
+import { getSettings, normalizeSettings, SETTINGS_KEY } from './src/js/settings.js';
+import { applyLocaleSettings, getDecimalSeparator } from './src/js/i18n.js';
+import { applyRoundingSettings } from './src/js/rounding.js';
+import { evaluateNotificationRules, showRateNotifications } from './src/js/notifications.js';
+import { updateBadge } from './src/js/badge.js';
+import { addConversionToHistory, mergeSyncedHistory, SYNCED_DELETIONS_KEY, SYNCED_HISTORY_KEY } from './src/js/storage.js';
+import { syncPriceOverlayScript } from './src/js/priceOverlay.js';
+import { convertSelection, copySelectionResult, createSelectionMenus, forgetSelectionNotification, parseSelectionMenuId,
+  showSelectionError, showSelectionNotification } from './src/js/selectionConversion.js';
+import { sendConversionRequest } from './src/js/conversionRequest.js';
+import { buildOmniboxSuggestions, convertOmniboxInput, isSidePanelInput, showOmniboxCopied,
+  showOmniboxError } from './src/js/omnibox.js';
+import { copyTextFromServiceWorker } from './src/js/clipboard.js';
+import { formatCurrency } from './src/js/calculator.js';
 
 const RATE_DATA_KEY = 'bcvRateData';
 const FETCH_ALARM_NAME = 'fetchRateAlarm';
-const REFRESH_INTERVAL_MINUTES = 60; // Period for fetching data
+// Keyboard commands declared in manifest.json; the popup one (`_execute_action`) is handled by the browser
+const OPEN_SIDE_PANEL_COMMAND = 'open-side-panel';
+const REFRESH_RATES_COMMAND = 'refresh-rates';
 
 /**
  * Fetches the BCV exchange rate using `fetchBCVRate` and stores it in `chrome.storage.local`.
+ * `fetchBCVRate` fails over between the rate providers in the `providerOrder` setting; the id of the
+ * one that answered is kept in the stored data as `provider`.
  * The stored data includes the fetched rate information and a `lastFetchedByBackground` timestamp.
+ * The rate is also appended to the daily rate history (one entry per BCV value date),
+ * and the parallel-market monitors the user tracks are refreshed as well.
  * If the fetch is successful and the alarm `FETCH_ALARM_NAME` is not set, it creates the alarm.
  * Logs success or error messages to the console.
  * @async
  * @function fetchAndStoreRate
- * @sideEffects Stores data in `chrome.storage.local`. May create a Chrome alarm. Outputs to console.
+ * @sideEffects Stores data and rate history in `chrome.storage.local`. May create a Chrome alarm. Outputs to console.
  */
 async function fetchAndStoreRate() {
   console.log('Background: Attempting to fetch and store BCV rate...');
   try {
-    const rateData = await fetchBCVRate();
+    const { providerOrder, refreshIntervalMinutes } = await getSettings();
+    const rateData = await fetchBCVRate(providerOrder);
     if (rateData && rateData.currentRate) {
       const dataToStore = {
         ...rateData,
@@ -26,11 +49,14 @@ async function fetchAndStoreRate() {
       };
       await chrome.storage.local.set({ [RATE_DATA_KEY]: dataToStore });
       console.log('Background: Successfully fetched and stored rate data:', dataToStore);
+      if (await recordRate(dataToStore)) {
+        console.log('Background: Recorded new rate in history.');
+      }
       // After successful fetch, ensure alarm is set for next interval
       chrome.alarms.get(FETCH_ALARM_NAME, (alarm) => {
         if (!alarm) {
           console.log('Background: Alarm was not set, setting it now.');
-          chrome.alarms.create(FETCH_ALARM_NAME, { periodInMinutes: REFRESH_INTERVAL_MINUTES });
+          chrome.alarms.create(FETCH_ALARM_NAME, { periodInMinutes: refreshIntervalMinutes });
         }
       });
     } else {
@@ -41,6 +67,66 @@ async function fetchAndStoreRate() {
     // Optional: Implement a more sophisticated retry/backoff strategy here.
     // For now, the alarm will simply try again at the next scheduled interval.
   }
+
+  await fetchAndStoreParallelRates();
+}
+
+/**
+ * Fetches the rates of the parallel-market monitors selected in the `trackedMonitors` setting and
+ * stores them in `chrome.storage.local` under `PARALLEL_RATES_KEY`. Removes the stored data if no
+ * monitor is tracked. Monitors that fail are stored with an error message.
+ * @async
+ * @function fetchAndStoreParallelRates
+ * @sideEffects Stores or removes data in `chrome.storage.local`. Outputs to console.
+ */
+async function fetchAndStoreParallelRates() {
+  try {
+    const { trackedMonitors } = await getSettings();
+    if (trackedMonitors.length === 0) {
+      await chrome.storage.local.remove(PARALLEL_RATES_KEY);
+      return;
+    }
+
+    const monitors = await fetchParallelRates(trackedMonitors);
+    await chrome.storage.local.set({
+      [PARALLEL_RATES_KEY]: { monitors, lastFetchedByBackground: new Date().toISOString() }
+    });
+    console.log('Background: Stored parallel rates:', monitors);
+  } catch (error) {
+    console.error('Background: Error fetching or storing parallel rates:', error);
+  }
+}
+
+/**
+ * Fills the rate history with past value dates from a provider history endpoint.
+ * Failures are logged and otherwise ignored; the history keeps growing from regular fetches.
+ * @async
+ * @function backfillHistory
+ * @sideEffects Stores rate history in `chrome.storage.local`. Outputs to console.
+ */
+async function backfillHistory() {
+  try {
+    const added = await backfillRateHistory();
+    console.log(`Background: Backfilled ${added} rate history entries.`);
+  } catch (error) {
+    console.error('Background: Error backfilling rate history:', error);
+  }
+}
+
+/**
+ * Creates the periodic fetch alarm with the `refreshIntervalMinutes` setting, replacing any existing one.
+ * @async
+ * @function scheduleFetchAlarm
+ * @param {number} [delayInMinutes] - Minutes until the first fetch. Defaults to one interval.
+ * @sideEffects Creates a Chrome alarm. Outputs to console.
+ */
+async function scheduleFetchAlarm(delayInMinutes) {
+  const { refreshIntervalMinutes } = await getSettings();
+  await chrome.alarms.create(FETCH_ALARM_NAME, {
+    delayInMinutes: delayInMinutes ?? refreshIntervalMinutes,
+    periodInMinutes: refreshIntervalMinutes
+  });
+  console.log(`Background: Alarm "${FETCH_ALARM_NAME}" created to fire every ${refreshIntervalMinutes} minutes.`);
 }
 
 /**
@@ -60,21 +146,21 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
 /**
  * Listener for the `chrome.runtime.onInstalled` event.
  * This is triggered when the extension is first installed or updated to a new version.
- * It performs an initial fetch of the rate data and creates the periodic alarm for subsequent fetches.
+ * It creates the context menu entries, performs an initial fetch of the rate data, backfills the rate history and creates
+ * the periodic alarm for subsequent fetches.
  * @param {chrome.runtime.InstalledDetails} details - Object containing details about the installation/update.
  * @listens chrome.runtime.onInstalled
  * @async
- * @sideEffects Calls `fetchAndStoreRate` (which stores data and may create an alarm) and directly creates an alarm.
+ * @sideEffects Calls `refreshSelectionMenus`, `fetchAndStoreRate` (which stores data and may create an alarm), `backfillHistory`
+ *              and `scheduleFetchAlarm`.
  */
 chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('Background: Extension installed or updated.', details);
+  await refreshSelectionMenus(); // Context menu entries persist, but updates may change them
   // Perform an initial fetch and set up the alarm
   await fetchAndStoreRate(); 
-  chrome.alarms.create(FETCH_ALARM_NAME, {
-    delayInMinutes: 1, // Start after 1 minute
-    periodInMinutes: REFRESH_INTERVAL_MINUTES
-  });
-  console.log(`Background: Alarm "${FETCH_ALARM_NAME}" created to fire every ${REFRESH_INTERVAL_MINUTES} minutes.`);
+  await backfillHistory();
+  await scheduleFetchAlarm(1); // Start after 1 minute
 });
 
 /**
@@ -84,18 +170,19 @@ chrome.runtime.onInstalled.addListener(async (details) => {
  * It also ensures that the periodic alarm `FETCH_ALARM_NAME` is active.
  * @listens chrome.runtime.onStartup
  * @async
- * @sideEffects May call `fetchAndStoreRate` (which stores data and may create an alarm) and may create an alarm.
+ * @sideEffects May call `fetchAndStoreRate` (which stores data and may create an alarm) and `scheduleFetchAlarm`.
  */
 chrome.runtime.onStartup.addListener(async () => {
   console.log('Background: Browser started. Ensuring alarm is set and performing initial fetch if needed.');
   // Check if data exists and is recent enough, otherwise fetch.
   // Also ensure the alarm is running.
+  const { refreshIntervalMinutes } = await getSettings();
   chrome.storage.local.get(RATE_DATA_KEY, async (result) => {
     if (result[RATE_DATA_KEY] && result[RATE_DATA_KEY].lastFetchedByBackground) {
       const lastFetch = new Date(result[RATE_DATA_KEY].lastFetchedByBackground);
       const now = new Date();
       // If data is older than our refresh interval, fetch now.
-      if ((now.getTime() - lastFetch.getTime()) > (REFRESH_INTERVAL_MINUTES * 60 * 1000)) {
+      if ((now.getTime() - lastFetch.getTime()) > (refreshIntervalMinutes * 60 * 1000)) {
         console.log('Background: Data found but is stale, fetching new data.');
         await fetchAndStoreRate();
       } else {
@@ -111,10 +198,7 @@ chrome.runtime.onStartup.addListener(async () => {
   chrome.alarms.get(FETCH_ALARM_NAME, (alarm) => {
     if (!alarm) {
       console.log('Background: Alarm not found on startup, creating it.');
-      chrome.alarms.create(FETCH_ALARM_NAME, {
-        delayInMinutes: 1, // Start after 1 minute
-        periodInMinutes: REFRESH_INTERVAL_MINUTES
-      });
+      scheduleFetchAlarm(1); // Start after 1 minute
     } else {
       console.log('Background: Alarm already set.');
     }
@@ -136,6 +220,25 @@ chrome.action.onClicked.addListener(async (tab) => {
   await chrome.sidePanel.open({ windowId: tab.windowId });
 });
 
+/**
+ * Listener for `chrome.commands.onCommand` (keyboard shortcuts, set in chrome://extensions/shortcuts).
+ * Opens the side panel in the current window, or fetches the rates again; open pages update from storage.
+ * The side panel is opened before anything is awaited, since it may only be opened in response to the shortcut.
+ * @param {string} command - The name of the command, as declared in `manifest.json`.
+ * @param {chrome.tabs.Tab} [tab] - The active tab.
+ * @listens chrome.commands.onCommand
+ * @sideEffects May open the side panel or call `fetchAndStoreRate`. Outputs to console.
+ */
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === OPEN_SIDE_PANEL_COMMAND) {
+    chrome.sidePanel.open({ windowId: tab ? tab.windowId : chrome.windows.WINDOW_ID_CURRENT })
+      .catch(error => console.error('Background: Error opening the side panel:', error));
+  } else if (command === REFRESH_RATES_COMMAND) {
+    console.log('Background: Refreshing the rates from the keyboard shortcut.');
+    fetchAndStoreRate();
+  }
+});
+
 /**
  * Listener for `chrome.runtime.onConnect`.
  * This is used to keep the service worker alive if a connection named 'keepAlive'
@@ -155,3 +258,295 @@ chrome.runtime.onConnect.addListener(port => {
     });
   }
 });
+
+/**
+ * Evaluates the user's notification rules against a change of the stored rate data and shows a
+ * desktop notification for each rule that triggers.
+ * @async
+ * @function notifyRateChange
+ * @param {object|undefined} previousData - The rate data stored before the change.
+ * @param {object} newData - The rate data stored now.
+ * @sideEffects May create `chrome.notifications`. Outputs to console.
+ */
+async function notifyRateChange(previousData, newData) {
+  const settings = await getSettings();
+  await applyLocaleSettings(settings); // Notification texts are localized and include formatted rates and dates
+  applyRoundingSettings(settings);
+  const notifications = evaluateNotificationRules(previousData, newData, settings.notificationRules);
+  if (notifications.length > 0) {
+    console.log('Background: Rate notification rules triggered:', notifications);
+    await showRateNotifications(notifications);
+  }
+}
+
+/**
+ * Updates the toolbar badge from the stored rate data and the `showBadge` setting.
+ * @async
+ * @function refreshBadge
+ * @sideEffects Reads `chrome.storage`. Modifies the extension action's badge and title. Outputs to console on error.
+ */
+async function refreshBadge() {
+  try {
+    const [settings, result] = await Promise.all([getSettings(), chrome.storage.local.get(RATE_DATA_KEY)]);
+    await applyLocaleSettings(settings);
+    applyRoundingSettings(settings);
+    await updateBadge(result[RATE_DATA_KEY], settings.showBadge);
+  } catch (error) {
+    console.error('Background: Error updating badge:', error);
+  }
+}
+
+/**
+ * Registers the content script of the price overlay while it is used and access to websites is granted,
+ * and unregisters it otherwise.
+ * @async
+ * @function refreshPriceOverlayScript
+ * @sideEffects Registers or unregisters a content script. Outputs to console.
+ */
+async function refreshPriceOverlayScript() {
+  try {
+    const isRegistered = await syncPriceOverlayScript(await getSettings());
+    console.log(`Background: Price overlay content script ${isRegistered ? 'registered' : 'not registered'}.`);
+  } catch (error) {
+    console.error('Background: Error registering the price overlay content script:', error);
+  }
+}
+
+/**
+ * Listeners for `chrome.permissions.onAdded` and `chrome.permissions.onRemoved`.
+ * Access to websites is optional and can be revoked from the browser's extension settings at any time,
+ * so the price overlay content script is registered again whenever it changes.
+ * @listens chrome.permissions.onAdded
+ * @listens chrome.permissions.onRemoved
+ */
+chrome.permissions.onAdded.addListener(refreshPriceOverlayScript);
+chrome.permissions.onRemoved.addListener(refreshPriceOverlayScript);
+
+// --- Selected Text Conversion ---
+
+/**
+ * Creates the context menu entries for selected text, in the language and for the `selectionResult` setting.
+ * @async
+ * @function refreshSelectionMenus
+ * @sideEffects Replaces the `chrome.contextMenus` entries. Outputs to console on error.
+ */
+async function refreshSelectionMenus() {
+  try {
+    const settings = await getSettings();
+    await applyLocaleSettings(settings);
+    await createSelectionMenus(settings.selectionResult);
+  } catch (error) {
+    console.error('Background: Error creating the context menu entries:', error);
+  }
+}
+
+/**
+ * Converts a selected text at the stored rate. In a notification, the conversion is stored in the history here;
+ * in the side panel, the calculator converts the amount again and stores it, as for an amount typed in it.
+ * Texts that cannot be converted are explained in a notification.
+ * @async
+ * @function convertSelectedText
+ * @param {string} text - The selected text.
+ * @param {{toCurrency: string, target: string}} menu - The currency to convert to and where to show the result.
+ * @sideEffects Reads `chrome.storage`. Calls `addConversionToHistory` and `showSelectionNotification`, or
+ *              `sendConversionRequest`. May call `showSelectionError`. Outputs to console on error.
+ */
+async function convertSelectedText(text, { toCurrency, target }) {
+  try {
+    const [settings, result] = await Promise.all([getSettings(), chrome.storage.local.get(RATE_DATA_KEY)]);
+    await applyLocaleSettings(settings);
+    applyRoundingSettings(settings);
+    const conversion = convertSelection(text, toCurrency, result[RATE_DATA_KEY], getDecimalSeparator());
+    if (target === 'sidePanel') {
+      const { fromAmount, fromCurrency } = conversion;
+      await sendConversionRequest({ fromAmount, fromCurrency, toCurrency });
+    } else {
+      await addConversionToHistory(conversion);
+      await showSelectionNotification(conversion);
+    }
+  } catch (error) {
+    console.error('Background: Error converting the selected text:', error);
+    await showSelectionError(error.message);
+  }
+}
+
+/**
+ * Listener for `chrome.contextMenus.onClicked`.
+ * Converts the selected text with the entry clicked. The side panel is opened first, since it may only be opened
+ * in response to the click, before anything is awaited.
+ * @param {chrome.contextMenus.OnClickData} info - The clicked entry and the selected text.
+ * @param {chrome.tabs.Tab} [tab] - The tab of the page.
+ * @listens chrome.contextMenus.onClicked
+ * @sideEffects May open the side panel. Calls `convertSelectedText`. Outputs to console on error.
+ */
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const menu = parseSelectionMenuId(info.menuItemId);
+  if (!menu) return;
+  if (menu.target === 'sidePanel' && tab) {
+    chrome.sidePanel.open({ windowId: tab.windowId })
+      .catch(error => console.error('Background: Error opening the side panel:', error));
+  }
+  convertSelectedText(info.selectionText || '', menu);
+});
+
+/**
+ * Reads the settings and the stored rate data for the address bar, applying the locale and rounding settings
+ * so amounts are read and formatted as in the rest of the extension.
+ * @async
+ * @function readOmniboxContext
+ * @returns {Promise<object|undefined>} The stored rate data, if any.
+ * @sideEffects Reads `chrome.storage`. Applies the locale and rounding settings.
+ */
+async function readOmniboxContext() {
+  const [settings, result] = await Promise.all([getSettings(), chrome.storage.local.get(RATE_DATA_KEY)]);
+  await applyLocaleSettings(settings);
+  applyRoundingSettings(settings);
+  return result[RATE_DATA_KEY];
+}
+
+/**
+ * Listener for `chrome.omnibox.onInputChanged`.
+ * Suggests the amount typed after the "bcv" keyword converted in both directions, at the stored rate.
+ * @param {string} text - The text after the keyword.
+ * @param {function(Array<chrome.omnibox.SuggestResult>): void} suggest - Shows the suggestions.
+ * @listens chrome.omnibox.onInputChanged
+ * @async
+ * @sideEffects Sets the default suggestion. Outputs to console on error.
+ */
+chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+  try {
+    const rateData = await readOmniboxContext();
+    const { defaultDescription, suggestions } = buildOmniboxSuggestions(text, rateData, getDecimalSeparator());
+    chrome.omnibox.setDefaultSuggestion({ description: defaultDescription });
+    suggest(suggestions);
+  } catch (error) {
+    console.error('Background: Error suggesting conversions in the address bar:', error);
+  }
+});
+
+/**
+ * Listener for `chrome.omnibox.onInputEntered`.
+ * Converts the amount entered after the "bcv" keyword: copies the converted amount and stores the conversion in the
+ * history, or, for "panel" entries, shows it in the side panel, which converts and stores it as for an amount typed
+ * in it. The side panel is opened first, since it may only be opened in response to the entry, before anything is awaited.
+ * @param {string} text - The text after the keyword, or the content of the suggestion picked.
+ * @listens chrome.omnibox.onInputEntered
+ * @async
+ * @sideEffects May open the side panel and call `sendConversionRequest`, or copy to the clipboard, call
+ *              `addConversionToHistory` and `showOmniboxCopied`. May call `showOmniboxError`. Outputs to console.
+ */
+chrome.omnibox.onInputEntered.addListener(async (text) => {
+  if (isSidePanelInput(text)) {
+    chrome.sidePanel.open({ windowId: chrome.windows.WINDOW_ID_CURRENT })
+      .catch(error => console.error('Background: Error opening the side panel:', error));
+  }
+  try {
+    const rateData = await readOmniboxContext();
+    const { conversion, openInSidePanel } = convertOmniboxInput(text, rateData, getDecimalSeparator());
+    const { fromAmount, fromCurrency, toAmount, toCurrency } = conversion;
+    if (openInSidePanel) {
+      await sendConversionRequest({ fromAmount, fromCurrency, toCurrency });
+      return;
+    }
+    await copyTextFromServiceWorker(formatCurrency(toAmount, toCurrency));
+    await addConversionToHistory(conversion);
+    await showOmniboxCopied(conversion);
+    console.log('Background: Copied the conversion entered in the address bar.');
+  } catch (error) {
+    console.error('Background: Error converting the amount entered in the address bar:', error);
+    await showOmniboxError(error.message);
+  }
+});
+
+/**
+ * Listener for `chrome.notifications.onButtonClicked`.
+ * Copies the converted amount of a selection notification when its button is clicked.
+ * @param {string} notificationId - The id of the notification.
+ * @listens chrome.notifications.onButtonClicked
+ * @async
+ * @sideEffects Calls `copySelectionResult`. Outputs to console on error.
+ */
+chrome.notifications.onButtonClicked.addListener(async (notificationId) => {
+  try {
+    if (await copySelectionResult(notificationId)) console.log('Background: Copied the converted selection.');
+  } catch (error) {
+    console.error('Background: Error copying the converted selection:', error);
+  }
+});
+
+/**
+ * Listener for `chrome.notifications.onClosed`.
+ * Forgets the amount a selection notification would copy.
+ * @param {string} notificationId - The id of the notification.
+ * @listens chrome.notifications.onClosed
+ */
+chrome.notifications.onClosed.addListener((notificationId) => {
+  forgetSelectionNotification(notificationId)
+    .catch(error => console.error('Background: Error forgetting the selection notification:', error));
+});
+
+/**
+ * Listener for `chrome.storage.onChanged`.
+ * Evaluates the notification rules and updates the toolbar badge whenever new rate data is stored,
+ * whichever context fetched it. Reacts to settings changes (from the options page or another device):
+ * refetches the parallel rates when the tracked monitors change, recreates the fetch alarm when the
+ * refresh interval changes, refetches the rate when the rate sources change, and updates the badge
+ * when it is turned on or off or the language, number format or rate rounding change. Merges the conversion history mirrored by
+ * other devices into the local one when the mirror or its deletion markers change or history sync is turned on. Registers or unregisters the
+ * price overlay content script when the overlay is turned on or off, for every site or for some of them. Recreates the
+ * context menu entries when the language or where selection conversions are shown changes.
+ * @param {object} changes - Object describing the changes.
+ * @param {string} namespace - The storage area where the changes occurred.
+ * @listens chrome.storage.onChanged
+ * @sideEffects May call `notifyRateChange`, `refreshBadge`, `fetchAndStoreRate`, `fetchAndStoreParallelRates`, `scheduleFetchAlarm`,
+ *              `mergeSyncedHistory`, `refreshPriceOverlayScript` and `refreshSelectionMenus`.
+ */
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'local' && changes[RATE_DATA_KEY]) {
+    refreshBadge();
+    if (changes[RATE_DATA_KEY].newValue) {
+      notifyRateChange(changes[RATE_DATA_KEY].oldValue, changes[RATE_DATA_KEY].newValue);
+    }
+  }
+  if (namespace === 'sync' && (changes[SYNCED_HISTORY_KEY] || changes[SYNCED_DELETIONS_KEY])) {
+    mergeSyncedHistory();
+  }
+  if (namespace !== 'sync' || !changes[SETTINGS_KEY]) return;
+
+  const oldSettings = normalizeSettings(changes[SETTINGS_KEY].oldValue);
+  const newSettings = normalizeSettings(changes[SETTINGS_KEY].newValue);
+  if (oldSettings.refreshIntervalMinutes !== newSettings.refreshIntervalMinutes) {
+    console.log('Background: Refresh interval changed, recreating the fetch alarm.');
+    scheduleFetchAlarm();
+  }
+  if (JSON.stringify(oldSettings.providerOrder) !== JSON.stringify(newSettings.providerOrder)) {
+    console.log('Background: Rate sources changed, fetching the rate.');
+    fetchAndStoreRate(); // Also refreshes the parallel rates
+  } else if (JSON.stringify(oldSettings.trackedMonitors) !== JSON.stringify(newSettings.trackedMonitors)) {
+    console.log('Background: Tracked monitors changed, fetching parallel rates.');
+    fetchAndStoreParallelRates();
+  }
+  if (oldSettings.showBadge !== newSettings.showBadge
+    || oldSettings.language !== newSettings.language
+    || oldSettings.numberLocale !== newSettings.numberLocale
+    || oldSettings.roundingMode !== newSettings.roundingMode
+    || oldSettings.ratePrecision !== newSettings.ratePrecision) {
+    refreshBadge();
+  }
+  if (newSettings.syncHistory && !oldSettings.syncHistory) {
+    console.log('Background: History sync turned on, merging the synced history.');
+    mergeSyncedHistory();
+  }
+  if (oldSettings.priceOverlayEnabled !== newSettings.priceOverlayEnabled
+    || JSON.stringify(oldSettings.priceOverlaySites) !== JSON.stringify(newSettings.priceOverlaySites)) {
+    refreshPriceOverlayScript();
+  }
+  if (oldSettings.language !== newSettings.language || oldSettings.selectionResult !== newSettings.selectionResult) {
+    refreshSelectionMenus();
+  }
+});
+
+// The badge is not persisted across browser restarts, so restore it whenever the service worker starts.
+refreshBadge();
+// Registered content scripts persist, but the registration may predate a change of the settings on another device
+refreshPriceOverlayScript();
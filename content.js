@@ -0,0 +1,16 @@
+// content.js
+
+/**
+ * Content script of the price overlay, registered by the service worker while the overlay is used.
+ * Content scripts cannot be ES modules, so the overlay is imported from the extension package, which lists the
+ * modules it needs as web accessible resources. They are served from a URL that changes every session
+ * (`use_dynamic_url`), so pages cannot detect the extension by requesting them. Modules the overlay imports
+ * must be added to that list in manifest.json. The popup may inject this script into a page where it already
+ * runs, hence the flag.
+ */
+if (!globalThis.bcvPriceOverlayLoaded) {
+  globalThis.bcvPriceOverlayLoaded = true;
+  import(chrome.runtime.getURL('src/js/priceOverlayView.js'))
+    .then(({ initializePriceOverlay }) => initializePriceOverlay())
+    .catch(error => console.error('Content: Error starting the price overlay:', error));
+}
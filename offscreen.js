@@ -0,0 +1,24 @@
+// offscreen.js
+
+/**
+ * Offscreen document of the service worker (see `src/js/clipboard.js`). `navigator.clipboard` needs a focused page,
+ * which an offscreen document never is, so the text is copied from a textarea with `execCommand`.
+ */
+
+/**
+ * Listener for `chrome.runtime.onMessage`.
+ * Copies the text of a 'copy' message sent to the offscreen document and answers whether it was copied.
+ * @param {{target: string, type: string, text: string}} message - The message.
+ * @param {chrome.runtime.MessageSender} sender - The sender of the message.
+ * @param {function({copied: boolean}): void} sendResponse - Answers the service worker.
+ * @listens chrome.runtime.onMessage
+ * @sideEffects Modifies the clipboard.
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.target !== 'offscreen' || message.type !== 'copy') return;
+
+  const textarea = document.getElementById('clipboardText');
+  textarea.value = message.text;
+  textarea.select();
+  sendResponse({ copied: document.execCommand('copy') });
+});
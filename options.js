@@ -0,0 +1,487 @@
+// options.js
+
+import { getSettings, updateSettings, validateSettings, normalizeSettings, DEFAULT_SETTINGS, SETTINGS_KEY,
+  MIN_REFRESH_INTERVAL_MINUTES, MAX_REFRESH_INTERVAL_MINUTES, MAX_HISTORY_ITEMS_LIMIT } from './src/js/settings.js';
+import { PROVIDERS } from './src/js/providers/index.js';
+import { DEFAULT_LANGUAGE, LANGUAGES, SUPPORTED_LOCALES, applyLocaleSettings, getDateLocale, localizePage, t } from './src/js/i18n.js';
+import { MAX_TAX_RATE } from './src/js/taxes.js';
+import { ROUNDING_MODES, MAX_PRECISION } from './src/js/rounding.js';
+import { CURRENCIES } from './src/js/currencies.js';
+import { PRICE_OVERLAY_MODES, isPriceOverlayUsed, requestPriceOverlayPermission, toSite } from './src/js/priceOverlay.js';
+import { SELECTION_RESULT_TARGETS } from './src/js/selectionConversion.js';
+import { showToast } from './src/js/toast.js';
+import { createBackup, parseBackup, restoreBackup } from './src/js/backup.js';
+import { downloadBlob } from './src/js/historyExport.js';
+
+// DOM Elements for the options page
+let optionsElements = {};
+// Provider ids in the order shown in the list, and which of them are enabled
+let providerDraft = { order: [], enabled: new Set() };
+// Sites of the price overlay that differ from the "every website" toggle: true to convert prices on them, false not to
+let siteDraft = {};
+
+/**
+ * Caches references to the form elements of the options page.
+ * @function cacheOptionsElements
+ * @sideEffects Modifies the global `optionsElements` object.
+ */
+function cacheOptionsElements() {
+  optionsElements = {
+    form: document.getElementById('optionsForm'),
+    refreshIntervalMinutes: document.getElementById('refreshIntervalMinutes'),
+    showBadge: document.getElementById('showBadge'),
+    providerList: document.getElementById('providerList'),
+    language: document.getElementById('language'),
+    numberLocale: document.getElementById('numberLocale'),
+    selectionResult: document.getElementById('selectionResult'),
+    maxHistoryItems: document.getElementById('maxHistoryItems'),
+    syncHistory: document.getElementById('syncHistory'),
+    ivaRate: document.getElementById('ivaRate'),
+    igtfRate: document.getElementById('igtfRate'),
+    roundingMode: document.getElementById('roundingMode'),
+    ratePrecision: document.getElementById('ratePrecision'),
+    currencyPrecisionList: document.getElementById('currencyPrecisionList'),
+    priceOverlayEnabled: document.getElementById('priceOverlayEnabled'),
+    priceOverlayMode: document.getElementById('priceOverlayMode'),
+    priceOverlaySiteList: document.getElementById('priceOverlaySiteList'),
+    priceOverlaySiteInput: document.getElementById('priceOverlaySiteInput'),
+    priceOverlaySiteAddButton: document.getElementById('priceOverlaySiteAddButton'),
+    resetButton: document.getElementById('resetOptionsButton'),
+    downloadBackupButton: document.getElementById('downloadBackupButton'),
+    restoreMode: document.getElementById('restoreMode'),
+    restoreFileInput: document.getElementById('restoreFileInput'),
+    restoreReport: document.getElementById('restoreReport')
+  };
+}
+
+/**
+ * Fills the language, number format, selection result, rounding mode and price overlay mode selects and the decimal places of each currency,
+ * and sets the limits of the number inputs. Called again when the language changes, since some options are translated.
+ * @function populateOptionControls
+ * @sideEffects Modifies the innerHTML of the selects and the precision list, and the attributes of the number inputs.
+ */
+function populateOptionControls() {
+  if (optionsElements.language) {
+    optionsElements.language.innerHTML = [[DEFAULT_LANGUAGE, t('languageAuto')], ...Object.entries(LANGUAGES).map(([code, { name }]) => [code, name])]
+      .map(([code, name]) => `<option value="${code}">${name}</option>`)
+      .join('');
+  }
+  if (optionsElements.numberLocale) {
+    optionsElements.numberLocale.innerHTML = Object.entries(SUPPORTED_LOCALES)
+      .map(([tag, name]) => `<option value="${tag}">${name}</option>`)
+      .join('');
+  }
+  if (optionsElements.selectionResult) {
+    optionsElements.selectionResult.innerHTML = Object.entries(SELECTION_RESULT_TARGETS)
+      .map(([target, label]) => `<option value="${target}">${t(label)}</option>`)
+      .join('');
+  }
+
+  if (optionsElements.refreshIntervalMinutes) {
+    optionsElements.refreshIntervalMinutes.min = String(MIN_REFRESH_INTERVAL_MINUTES);
+    optionsElements.refreshIntervalMinutes.max = String(MAX_REFRESH_INTERVAL_MINUTES);
+  }
+  if (optionsElements.maxHistoryItems) {
+    optionsElements.maxHistoryItems.min = '1';
+    optionsElements.maxHistoryItems.max = String(MAX_HISTORY_ITEMS_LIMIT);
+  }
+  for (const input of [optionsElements.ivaRate, optionsElements.igtfRate]) {
+    if (!input) continue;
+    input.min = '0';
+    input.max = String(MAX_TAX_RATE);
+  }
+
+  if (optionsElements.roundingMode) {
+    optionsElements.roundingMode.innerHTML = Object.entries(ROUNDING_MODES)
+      .map(([mode, label]) => `<option value="${mode}">${t(label)}</option>`)
+      .join('');
+  }
+  if (optionsElements.ratePrecision) {
+    optionsElements.ratePrecision.min = '0';
+    optionsElements.ratePrecision.max = String(MAX_PRECISION);
+  }
+  if (optionsElements.currencyPrecisionList) {
+    optionsElements.currencyPrecisionList.innerHTML = Object.values(CURRENCIES).map(currency => `
+      <label class="option-field">
+        <span class="option-label">${currency.code}</span>
+        <input type="number" data-precision-for="${currency.code}" step="1" min="0" max="${MAX_PRECISION}">
+      </label>
+    `).join('');
+  }
+  if (optionsElements.priceOverlayMode) {
+    optionsElements.priceOverlayMode.innerHTML = Object.entries(PRICE_OVERLAY_MODES)
+      .map(([mode, label]) => `<option value="${mode}">${t(label)}</option>`)
+      .join('');
+  }
+}
+
+/**
+ * Renders the rate sources in the draft order, each with an enable checkbox and buttons to move it up or down.
+ * @function renderProviderList
+ * @sideEffects Modifies the innerHTML of the provider list element.
+ */
+function renderProviderList() {
+  if (!optionsElements.providerList) return;
+
+  const { order, enabled } = providerDraft;
+  optionsElements.providerList.innerHTML = order.map((id, index) => `
+    <div class="provider-row ${enabled.has(id) ? '' : 'disabled'}">
+      <label>
+        <input type="checkbox" data-provider-id="${id}" ${enabled.has(id) ? 'checked' : ''}>
+        <span>${PROVIDERS[id].name}</span>
+      </label>
+      <button type="button" class="clear-btn" data-move-id="${id}" data-move-by="-1" title="${t('tryEarlier')}" ${index === 0 ? 'disabled' : ''}>▲</button>
+      <button type="button" class="clear-btn" data-move-id="${id}" data-move-by="1" title="${t('tryLater')}" ${index === order.length - 1 ? 'disabled' : ''}>▼</button>
+    </div>
+  `).join('');
+}
+
+/**
+ * Renders the price overlay exceptions in alphabetical order, each with whether prices are converted on it
+ * and a button to remove it. Sites only hold letters, digits, dots and dashes (see `toSite`), so they need no escaping.
+ * @function renderSiteList
+ * @sideEffects Modifies the innerHTML of the site list element.
+ */
+function renderSiteList() {
+  if (!optionsElements.priceOverlaySiteList) return;
+
+  const sites = Object.keys(siteDraft).sort();
+  optionsElements.priceOverlaySiteList.innerHTML = sites.length === 0
+    ? `<p class="option-hint">${t('noSiteExceptions')}</p>`
+    : sites.map(site => `
+      <div class="provider-row">
+        <span class="site-name">${site}</span>
+        <select class="currency-select" data-site="${site}">
+          <option value="true" ${siteDraft[site] ? 'selected' : ''}>${t('sitePricesConverted')}</option>
+          <option value="false" ${siteDraft[site] ? '' : 'selected'}>${t('sitePricesNotConverted')}</option>
+        </select>
+        <button type="button" class="clear-btn" data-remove-site="${site}" title="${t('removeSite')}">✕</button>
+      </div>
+    `).join('');
+}
+
+/**
+ * Adds the site typed in the site input to the exceptions, as the opposite of the "every website" toggle.
+ * @function handleAddSite
+ * @sideEffects Modifies `siteDraft` and the site input. Calls `renderSiteList` and `showFieldErrors`.
+ */
+function handleAddSite() {
+  const site = toSite(optionsElements.priceOverlaySiteInput.value);
+  if (!site) {
+    showFieldErrors({ priceOverlaySites: t('invalidSite') });
+    return;
+  }
+  siteDraft[site] = !optionsElements.priceOverlayEnabled.checked;
+  optionsElements.priceOverlaySiteInput.value = '';
+  showFieldErrors({});
+  renderSiteList();
+}
+
+/**
+ * Fills the form with a set of settings. Disabled rate sources are listed after the enabled ones.
+ * @function renderOptionsForm
+ * @param {import('./src/js/settings.js').Settings} settings - The settings to show.
+ * @sideEffects Modifies form values, `providerDraft` and `siteDraft`. Calls `renderProviderList`, `renderSiteList`
+ *              and `showFieldErrors`.
+ */
+function renderOptionsForm(settings) {
+  if (!optionsElements.form) return;
+
+  optionsElements.refreshIntervalMinutes.value = String(settings.refreshIntervalMinutes);
+  optionsElements.showBadge.checked = settings.showBadge;
+  optionsElements.language.value = settings.language;
+  optionsElements.numberLocale.value = settings.numberLocale;
+  optionsElements.selectionResult.value = settings.selectionResult;
+  optionsElements.maxHistoryItems.value = String(settings.maxHistoryItems);
+  optionsElements.syncHistory.checked = settings.syncHistory;
+  optionsElements.ivaRate.value = String(settings.ivaRate);
+  optionsElements.igtfRate.value = String(settings.igtfRate);
+  optionsElements.roundingMode.value = settings.roundingMode;
+  optionsElements.ratePrecision.value = String(settings.ratePrecision);
+  optionsElements.currencyPrecisionList.querySelectorAll('[data-precision-for]').forEach(input => {
+    input.value = String(settings.currencyPrecision[input.dataset.precisionFor]);
+  });
+  optionsElements.priceOverlayEnabled.checked = settings.priceOverlayEnabled;
+  optionsElements.priceOverlayMode.value = settings.priceOverlayMode;
+  siteDraft = { ...settings.priceOverlaySites };
+
+  providerDraft = {
+    order: [...settings.providerOrder, ...Object.keys(PROVIDERS).filter(id => !settings.providerOrder.includes(id))],
+    enabled: new Set(settings.providerOrder)
+  };
+  renderProviderList();
+  renderSiteList();
+  showFieldErrors({});
+}
+
+/**
+ * Reads the settings entered in the form. Number fields that are not numbers are returned as NaN, so validation rejects them.
+ * @function readOptionsForm
+ * @returns {Partial<import('./src/js/settings.js').Settings>} The settings in the form.
+ */
+function readOptionsForm() {
+  return {
+    refreshIntervalMinutes: Number(optionsElements.refreshIntervalMinutes.value || NaN),
+    showBadge: optionsElements.showBadge.checked,
+    providerOrder: providerDraft.order.filter(id => providerDraft.enabled.has(id)),
+    language: optionsElements.language.value,
+    numberLocale: optionsElements.numberLocale.value,
+    selectionResult: optionsElements.selectionResult.value,
+    maxHistoryItems: Number(optionsElements.maxHistoryItems.value || NaN),
+    syncHistory: optionsElements.syncHistory.checked,
+    ivaRate: Number(optionsElements.ivaRate.value || NaN),
+    igtfRate: Number(optionsElements.igtfRate.value || NaN),
+    roundingMode: optionsElements.roundingMode.value,
+    ratePrecision: Number(optionsElements.ratePrecision.value || NaN),
+    currencyPrecision: Object.fromEntries([...optionsElements.currencyPrecisionList.querySelectorAll('[data-precision-for]')]
+      .map(input => [input.dataset.precisionFor, Number(input.value || NaN)])),
+    priceOverlayEnabled: optionsElements.priceOverlayEnabled.checked,
+    priceOverlayMode: optionsElements.priceOverlayMode.value,
+    priceOverlaySites: { ...siteDraft }
+  };
+}
+
+/**
+ * Shows validation messages next to their fields and clears the others.
+ * @function showFieldErrors
+ * @param {Object<string, string>} errors - Error messages keyed by setting name.
+ * @sideEffects Modifies the text content of the error elements.
+ */
+function showFieldErrors(errors) {
+  document.querySelectorAll('[data-error-for]').forEach(element => {
+    element.textContent = errors[element.dataset.errorFor] || '';
+  });
+}
+
+/**
+ * Validates and saves the form. The service worker and open views pick the new settings up from `chrome.storage.onChanged`.
+ * If the price overlay is used, access to websites is asked for first, and the form is not saved without it.
+ * @async
+ * @function handleSaveOptions
+ * @param {SubmitEvent} event - The form submit event.
+ * @sideEffects May show the browser's permission prompt. Modifies `chrome.storage.sync`. Calls `showFieldErrors` and
+ *              `showToast`. Outputs to console on error.
+ */
+async function handleSaveOptions(event) {
+  event.preventDefault();
+
+  const changes = readOptionsForm();
+  const errors = validateSettings(changes);
+  showFieldErrors(errors);
+  if (Object.keys(errors).length > 0) {
+    showToast(t('fixHighlightedOptions'));
+    return;
+  }
+  // The prompt is only shown for a user action, so the permission is requested before anything else is awaited
+  if (isPriceOverlayUsed(changes) && !(await requestPriceOverlayPermission())) {
+    showFieldErrors({ priceOverlayEnabled: t('websiteAccessDenied') });
+    showToast(t('fixHighlightedOptions'));
+    return;
+  }
+
+  try {
+    await updateSettings(changes);
+    showToast(t('optionsSaved'));
+  } catch (error) {
+    console.error('Options: Error saving settings:', error);
+    showToast(t('couldNotSaveOptions', error.message));
+  }
+}
+
+/**
+ * Downloads a backup of the history, rate history and settings as a JSON file.
+ * @async
+ * @function handleDownloadBackup
+ * @sideEffects Calls `downloadBlob` and `showToast`. Outputs to console on error.
+ */
+async function handleDownloadBackup() {
+  try {
+    const backup = await createBackup();
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `bcv-backup-${backup.createdAt.slice(0, 10)}.json`);
+  } catch (error) {
+    console.error('Options: Error creating backup:', error);
+    showToast(t('couldNotCreateBackup'));
+  }
+}
+
+/**
+ * Shows what a restore did, or why the file could not be restored.
+ * The list is built with `textContent`, since setting names come from the file.
+ * @function renderRestoreReport
+ * @param {string} title - The first line of the report.
+ * @param {Array<string>} lines - The details, one per list item.
+ * @param {boolean} [isError=false] - Whether the report describes a failure.
+ * @sideEffects Modifies the content and visibility of the report element.
+ */
+function renderRestoreReport(title, lines, isError = false) {
+  if (!optionsElements.restoreReport) return;
+
+  const list = document.createElement('ul');
+  for (const line of lines) {
+    const item = document.createElement('li');
+    item.textContent = line;
+    list.appendChild(item);
+  }
+  optionsElements.restoreReport.textContent = title;
+  optionsElements.restoreReport.appendChild(list);
+  optionsElements.restoreReport.classList.toggle('error', isError);
+  optionsElements.restoreReport.hidden = false;
+}
+
+/**
+ * Describes a restore report, one line per kind of data.
+ * @function describeRestoreReport
+ * @param {import('./src/js/backup.js').RestoreReport} report - The report returned by `restoreBackup`.
+ * @returns {Array<string>} The lines to show.
+ */
+function describeRestoreReport({ conversions, rateHistory, settings }) {
+  const join = parts => parts.filter(Boolean).join(', ');
+  return [
+    t('restoreConversions', join([
+      t('restoreConversionsAdded', conversions.added),
+      conversions.duplicates && t('restoreConversionsDuplicates', conversions.duplicates),
+      conversions.invalid && t('restoreConversionsInvalid', conversions.invalid),
+      conversions.dropped && t('restoreConversionsDropped', conversions.dropped)
+    ])),
+    t('restoreRateHistory', join([
+      t('restoreDaysAdded', rateHistory.added),
+      rateHistory.duplicates && t('restoreDaysDuplicates', rateHistory.duplicates),
+      rateHistory.invalid && t('restoreDaysInvalid', rateHistory.invalid),
+      rateHistory.expired && t('restoreDaysExpired', rateHistory.expired)
+    ])),
+    t('restoreOptions', join([
+      t('restoreOptionsRestored', settings.restored.length),
+      settings.invalid.length > 0 && t('restoreOptionsSkipped', settings.invalid.join(', '))
+    ]))
+  ];
+}
+
+/**
+ * Restores the backup file chosen in the file input, in the selected mode, and reports the result.
+ * Replacing asks for confirmation first.
+ * @async
+ * @function handleRestoreFile
+ * @sideEffects Modifies `chrome.storage.local` and `chrome.storage.sync`. Calls `renderRestoreReport` and `showToast`.
+ *              Clears the file input. Outputs to console on error.
+ */
+async function handleRestoreFile() {
+  const file = optionsElements.restoreFileInput.files[0];
+  if (!file) return;
+  const mode = optionsElements.restoreMode.value;
+
+  try {
+    const backup = parseBackup(await file.text());
+    if (mode === 'replace' && !window.confirm(t('confirmReplaceBackup'))) {
+      return;
+    }
+    const report = await restoreBackup(backup, mode);
+    const createdAt = backup.createdAt ? new Date(backup.createdAt).toLocaleString(getDateLocale()) : t('unknownDate');
+    renderRestoreReport(t(mode === 'replace' ? 'backupReplaced' : 'backupMerged', createdAt), describeRestoreReport(report));
+    showToast(t('backupRestored'));
+  } catch (error) {
+    console.error('Options: Error restoring backup:', error);
+    renderRestoreReport(t('backupRestoreFailed'), error.errors || [error.message], true);
+  } finally {
+    optionsElements.restoreFileInput.value = '';
+  }
+}
+
+/**
+ * Sets up the listeners of the provider list, the site list, the form, the restore defaults button and the backup controls.
+ * @function setupOptionsListeners
+ * @sideEffects Attaches event listeners.
+ */
+function setupOptionsListeners() {
+  if (!optionsElements.form) return;
+
+  optionsElements.providerList.addEventListener('change', (event) => {
+    const checkbox = event.target;
+    if (!(checkbox instanceof HTMLInputElement) || !checkbox.dataset.providerId) return;
+    if (checkbox.checked) {
+      providerDraft.enabled.add(checkbox.dataset.providerId);
+    } else {
+      providerDraft.enabled.delete(checkbox.dataset.providerId);
+    }
+    renderProviderList();
+  });
+
+  optionsElements.providerList.addEventListener('click', (event) => {
+    const button = event.target instanceof Element ? event.target.closest('[data-move-id]') : null;
+    if (!button) return;
+    const order = providerDraft.order;
+    const from = order.indexOf(button.dataset.moveId);
+    const to = from + Number(button.dataset.moveBy);
+    if (to < 0 || to >= order.length) return;
+    [order[from], order[to]] = [order[to], order[from]];
+    renderProviderList();
+  });
+
+  optionsElements.priceOverlaySiteList.addEventListener('change', (event) => {
+    const select = event.target;
+    if (!(select instanceof HTMLSelectElement) || !select.dataset.site) return;
+    siteDraft[select.dataset.site] = select.value === 'true';
+  });
+
+  optionsElements.priceOverlaySiteList.addEventListener('click', (event) => {
+    const button = event.target instanceof Element ? event.target.closest('[data-remove-site]') : null;
+    if (!button) return;
+    delete siteDraft[button.dataset.removeSite];
+    renderSiteList();
+  });
+
+  optionsElements.priceOverlaySiteAddButton.addEventListener('click', handleAddSite);
+  optionsElements.priceOverlaySiteInput.addEventListener('keydown', (event) => {
+    // Enter adds the site instead of submitting the form
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      handleAddSite();
+    }
+  });
+
+  optionsElements.form.addEventListener('submit', handleSaveOptions);
+
+  if (optionsElements.resetButton) {
+    optionsElements.resetButton.addEventListener('click', () => {
+      renderOptionsForm({ ...DEFAULT_SETTINGS });
+      showToast(t('defaultsRestored'));
+    });
+  }
+
+  if (optionsElements.downloadBackupButton) optionsElements.downloadBackupButton.addEventListener('click', handleDownloadBackup);
+  if (optionsElements.restoreFileInput) optionsElements.restoreFileInput.addEventListener('change', handleRestoreFile);
+}
+
+/**
+ * Event listener for the 'DOMContentLoaded' event of the options page.
+ * Translates the page to the language of the stored settings, fills the form with them and wires its controls.
+ * @listens DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  cacheOptionsElements();
+  const settings = await getSettings();
+  await applyLocaleSettings(settings);
+  localizePage();
+  populateOptionControls();
+  setupOptionsListeners();
+  renderOptionsForm(settings);
+});
+
+/**
+ * Listener for `chrome.storage.onChanged`.
+ * Refills the form when the settings change, here or elsewhere (e.g. the badge toggle in the side panel, or another
+ * device), translating the page first if the language changed.
+ * @param {object} changes - Object describing the changes.
+ * @param {string} namespace - The storage area where the changes occurred.
+ * @listens chrome.storage.onChanged
+ * @sideEffects Calls `applyLocaleSettings`, `localizePage`, `populateOptionControls` and `renderOptionsForm`.
+ */
+chrome.storage.onChanged.addListener(async (changes, namespace) => {
+  if (namespace === 'sync' && changes[SETTINGS_KEY]) {
+    const settings = normalizeSettings(changes[SETTINGS_KEY].newValue);
+    await applyLocaleSettings(settings);
+    localizePage();
+    populateOptionControls();
+    renderOptionsForm(settings);
+  }
+});
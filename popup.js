@@ -7,6 +7,7 @@
  */
 
 import { initializeUI } from './src/js/ui.js';
+import { t } from './src/js/i18n.js';
 
 /**
  * Event listener for the 'DOMContentLoaded' event.
@@ -28,16 +29,20 @@ document.getElementById('openSidebarButton')?.addEventListener('click', async ()
           try {
             await chrome.sidePanel.open({ tabId: tab.id });
           } catch (e) {
-            alert('No se pudo abrir el panel lateral: ' + (e && e.message ? e.message : e));
+            alert(t('couldNotOpenSidePanel', e && e.message ? e.message : e));
           }
         } else {
-          alert('No se pudo determinar la pestaña activa.');
+          alert(t('noActiveTab'));
         }
       });
     } else {
-      alert('Side panel API no disponible en este navegador.');
+      alert(t('sidePanelUnsupported'));
     }
   } catch (e) {
-    alert('No se pudo abrir el panel lateral: ' + (e && e.message ? e.message : e));
+    alert(t('couldNotOpenSidePanel', e && e.message ? e.message : e));
   }
-});
\ No newline at end of file
+});
+
+document.getElementById('openOptionsButton')?.addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
@@ -1,9 +1,20 @@
 // sidepanel.js
 
-import { fetchBCVRate, formatDate, getTimeDifference } from './src/js/api.js';
-import { formatCurrency, formatPercentage, getRateChangeType } from './src/js/calculator.js';
+import { fetchBCVRate } from './src/js/api.js';
+import { formatPercentage, formatRate } from './src/js/calculator.js';
+import { recordRate, getRateHistory, daysAgoKey, RATE_HISTORY_KEY } from './src/js/rateHistory.js';
+import { renderRateChart } from './src/js/chart.js';
+import { renderRateCard, showRateCardLoading, showRateCardError, setupParallelRates } from './src/js/ui.js';
+import { initializeCalculator, showConversionRequest, updateCalculatorRates, updateCalculatorSettings } from './src/js/calculatorView.js';
+import { watchConversionRequests } from './src/js/conversionRequest.js';
+import { showToast } from './src/js/toast.js';
+import { getSettings, updateSettings, normalizeSettings, DEFAULT_SETTINGS, SETTINGS_KEY } from './src/js/settings.js';
+import { applyLocaleSettings, localizePage, t } from './src/js/i18n.js';
+import { applyRoundingSettings } from './src/js/rounding.js';
+import { createNotificationRule, describeNotificationRule } from './src/js/notifications.js';
 
 const RATE_DATA_KEY = 'bcvRateData'; // Same key as in background.js and ui.js
+const DEFAULT_CHART_RANGE_DAYS = 30;
 
 // DOM Elements for Side Panel
 let sidePanelElements = {};
@@ -12,6 +23,12 @@ let currentRateData = {
   isCachedData: false,
   lastFetchedByBackground: null
 }; 
+// Number of days shown in the rate trend chart
+let selectedChartRange = DEFAULT_CHART_RANGE_DAYS;
+// Re-renders the parallel rates against the current official rate, set up on DOMContentLoaded
+let renderParallel = () => {};
+// Rate alert rules, mirrored from the `notificationRules` setting
+let notificationRules = [...DEFAULT_SETTINGS.notificationRules];
 
 
 /**
@@ -29,51 +46,40 @@ function cacheSidePanelElements() {
     rateChange: document.getElementById('sidePanelRateChange'),
     // These might be null if the HTML doesn't have separate spans
     rateChangeIcon: document.getElementById('sidePanelRateChangeIcon'),
-    rateChangeValue: document.getElementById('sidePanelRateChangeValue')
+    rateChangeValue: document.getElementById('sidePanelRateChangeValue'),
+    currencyRates: document.getElementById('sidePanelCurrencyRates'),
+    parallelRates: document.getElementById('sidePanelParallelRates'),
+    monitorPicker: document.getElementById('sidePanelMonitorPicker'),
+    chartRangeButtons: document.getElementById('chartRangeButtons'),
+    rateChart: document.getElementById('rateChart'),
+    chartSummary: document.getElementById('chartSummary'),
+    alertRuleList: document.getElementById('alertRuleList'),
+    alertRuleForm: document.getElementById('alertRuleForm'),
+    alertRuleType: document.getElementById('alertRuleType'),
+    alertRuleValue: document.getElementById('alertRuleValue'),
+    showBadgeToggle: document.getElementById('showBadgeToggle')
   };
 }
 
 /**
  * Updates the side panel UI to indicate that data is being loaded.
- * Displays "Loading..." messages in relevant fields and adds a 'loading' class for styling.
  * @function showSidePanelLoadingState
- * @param {string} [message='Fetching latest rates...'] - Optional message to display in the 'lastUpdated' field.
- * @sideEffects Modifies the text content and class lists of DOM elements.
+ * @param {string} [message] - Optional message to display in the 'lastUpdated' field. Defaults to "Fetching latest rates...".
+ * @sideEffects Calls `showRateCardLoading`.
  */
-function showSidePanelLoadingState(message = 'Fetching latest rates...') {
-  if (sidePanelElements.currentRateValue) {
-    sidePanelElements.currentRateValue.textContent = 'Loading...';
-    sidePanelElements.currentRateValue.classList.add('loading');
-  }
-  if (sidePanelElements.previousRateValue) {
-     sidePanelElements.previousRateValue.textContent = 'Loading...'; // Adjusted for consistency
-     sidePanelElements.previousRateValue.classList.add('loading');
-  }
-  if (sidePanelElements.lastUpdated) {
-    sidePanelElements.lastUpdated.textContent = message;
-  }
+function showSidePanelLoadingState(message = t('fetchingLatestRates')) {
+  showRateCardLoading(sidePanelElements, message);
 }
 
 /**
  * Updates the side panel UI to indicate an error occurred while loading data.
- * Displays "Error" messages and logs the error to the console.
  * @function showSidePanelErrorState
  * @param {Error} error - The error object that occurred.
- * @sideEffects Modifies the text content and class lists of DOM elements. Outputs to console.
+ * @sideEffects Calls `showRateCardError`. Outputs to console.
  */
 function showSidePanelErrorState(error) {
   console.error('Error loading data for side panel:', error);
-  if (sidePanelElements.currentRateValue) {
-    sidePanelElements.currentRateValue.textContent = 'Error';
-    sidePanelElements.currentRateValue.classList.remove('loading');
-  }
-  if (sidePanelElements.previousRateValue) {
-    sidePanelElements.previousRateValue.textContent = 'Error';
-    sidePanelElements.previousRateValue.classList.remove('loading');
-  }
-  if (sidePanelElements.lastUpdated) {
-    sidePanelElements.lastUpdated.textContent = 'Could not fetch rates.';
-  }
+  showRateCardError(sidePanelElements);
 }
 
 /**
@@ -95,77 +101,159 @@ function updateLocalRateData(rateData, isCached = false) {
 
 
 /**
- * Renders the fetched or cached exchange rate data into the side panel's DOM elements.
- * It updates the current rate, previous rate, last updated timestamp, and rate change indicator.
- * Information about whether the data is cached or live is also displayed.
+ * Renders the fetched or cached exchange rate data into the side panel's rate card, and updates the rates
+ * used by the calculator and the spread of the parallel rates.
  * @function renderSidePanelRateData
- * @sideEffects Modifies the text content, HTML content, and styles of DOM elements. Outputs to console if elements are missing.
+ * @sideEffects Calls `renderRateCard`, `updateCalculatorRates` and `renderParallel`. Outputs to console if elements are missing.
  */
 function renderSidePanelRateData() {
   if (!sidePanelElements.currentRateValue || !currentRateData || currentRateData.currentRate === undefined) {
     console.warn('Side panel elements not found or data incomplete for rendering.');
     // Attempt to show loading or error if data is truly missing
     if (!currentRateData || currentRateData.currentRate === undefined) {
-        showSidePanelLoadingState('Data unavailable.');
+        showSidePanelLoadingState(t('dataUnavailable'));
     }
     return;
   }
 
-  sidePanelElements.currentRateValue.classList.remove('loading');
-  if (sidePanelElements.previousRateValue) sidePanelElements.previousRateValue.classList.remove('loading');
+  renderRateCard(sidePanelElements, currentRateData);
+  updateCalculatorRates(currentRateData);
+  renderParallel();
+}
+
 
-  sidePanelElements.currentRateValue.textContent = formatCurrency(currentRateData.currentRate, 'Bs').replace('Bs. ', '');
-  if (sidePanelElements.previousRateValue) {
-    sidePanelElements.previousRateValue.textContent = `Previous: ${formatCurrency(currentRateData.previousRate, 'Bs')}`;
-  }
+/**
+ * Loads the rate history for the selected range and renders the trend chart and its summary.
+ * @async
+ * @function renderSidePanelChart
+ * @sideEffects Reads rate history from `chrome.storage.local`. Modifies the chart DOM elements.
+ */
+async function renderSidePanelChart() {
+  if (!sidePanelElements.rateChart) return;
 
-  if (sidePanelElements.lastUpdated) {
-    if (currentRateData.date) {
-      let updatedText = `BCV: ${getTimeDifference(currentRateData.date)}`;
-      if (currentRateData.isCachedData && currentRateData.lastFetchedByBackground) {
-        updatedText += ` (Cached: ${getTimeDifference(currentRateData.lastFetchedByBackground)})`;
-        sidePanelElements.lastUpdated.style.color = 'var(--neutral-400)';
-      } else if (!currentRateData.isCachedData) {
-        updatedText += ` (Live)`;
-        sidePanelElements.lastUpdated.style.color = 'var(--neutral-500)';
-      }
-      sidePanelElements.lastUpdated.textContent = updatedText;
-      sidePanelElements.lastUpdated.title = `BCV Date: ${formatDate(currentRateData.date)}`;
-      if (currentRateData.lastFetchedByBackground) {
-          sidePanelElements.lastUpdated.title += ` | Cached: ${formatDate(currentRateData.lastFetchedByBackground)}`;
-      }
+  const entries = await getRateHistory({ from: daysAgoKey(selectedChartRange) });
+  const stats = renderRateChart(sidePanelElements.rateChart, entries);
+
+  if (sidePanelElements.chartSummary) {
+    if (stats) {
+      const first = entries[0].rate;
+      const last = entries[entries.length - 1].rate;
+      const changePercentage = first !== 0 ? ((last - first) / first) * 100 : 0;
+      sidePanelElements.chartSummary.textContent =
+        t('chartSummary', selectedChartRange, `${changePercentage > 0 ? '+' : ''}${formatPercentage(changePercentage)}`, formatRate(stats.average));
     } else {
-      sidePanelElements.lastUpdated.textContent = currentRateData.isCachedData ? 'Using cached data' : 'Date N/A';
-      sidePanelElements.lastUpdated.style.color = 'var(--neutral-400)';
+      sidePanelElements.chartSummary.textContent = '';
     }
   }
+}
 
-  const changeType = getRateChangeType(currentRateData.currentRate, currentRateData.previousRate);
-  if (sidePanelElements.rateChange && sidePanelElements.rateChangeIcon && sidePanelElements.rateChangeValue) {
-    sidePanelElements.rateChange.className = `rate-change ${changeType}`;
-    const iconElement = sidePanelElements.rateChangeIcon;
-    const valueElement = sidePanelElements.rateChangeValue;
-
-    if (changeType === 'increase') {
-      iconElement.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="m18 15-6-6-6 6"/></svg>`;
-      valueElement.textContent = `+${formatPercentage(currentRateData.changePercentage)}`;
-    } else if (changeType === 'decrease') {
-      iconElement.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="m6 9 6 6 6-6"/></svg>`;
-      valueElement.textContent = `${formatPercentage(currentRateData.changePercentage)}`;
-    } else {
-      iconElement.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M8 12h8"/></svg>`;
-      valueElement.textContent = `0.00%`;
-    }
-  } else if (sidePanelElements.rateChange) { // Fallback for simpler HTML structure
-    sidePanelElements.rateChange.className = `rate-change ${changeType}`;
-    let textContent = '';
-    if (changeType === 'increase') textContent = `▲ +${formatPercentage(currentRateData.changePercentage)}`;
-    else if (changeType === 'decrease') textContent = `▼ ${formatPercentage(currentRateData.changePercentage)}`;
-    else textContent = `● 0.00%`;
-    sidePanelElements.rateChange.textContent = textContent;
+/**
+ * Sets up the chart range buttons. Clicking a button selects its `data-range` (in days) and re-renders the chart.
+ * @function setupChartRangeButtons
+ * @sideEffects Attaches event listeners. Modifies `selectedChartRange` and button classes.
+ */
+function setupChartRangeButtons() {
+  if (!sidePanelElements.chartRangeButtons) return;
+
+  sidePanelElements.chartRangeButtons.addEventListener('click', (event) => {
+    const button = event.target instanceof Element ? event.target.closest('[data-range]') : null;
+    if (!button) return;
+
+    selectedChartRange = parseInt(button.dataset.range, 10) || DEFAULT_CHART_RANGE_DAYS;
+    sidePanelElements.chartRangeButtons.querySelectorAll('[data-range]').forEach(rangeButton => {
+      rangeButton.classList.toggle('active', rangeButton === button);
+    });
+    renderSidePanelChart();
+  });
+}
+
+/**
+ * Renders the rate alert rules, each with an enable checkbox and (except the built-in new rate rule) a remove button.
+ * @function renderAlertRules
+ * @sideEffects Modifies the innerHTML of the alert rule list element.
+ */
+function renderAlertRules() {
+  if (!sidePanelElements.alertRuleList) return;
+
+  sidePanelElements.alertRuleList.innerHTML = notificationRules.map(rule => `
+    <div class="alert-rule ${rule.enabled ? '' : 'disabled'}">
+      <label>
+        <input type="checkbox" data-rule-id="${rule.id}" ${rule.enabled ? 'checked' : ''}>
+        <span>${describeNotificationRule(rule)}</span>
+      </label>
+      ${rule.type === 'new-rate' ? '' : `<button class="clear-btn" data-remove-rule-id="${rule.id}" title="${t('removeAlert')}">${t('remove')}</button>`}
+    </div>
+  `).join('');
+}
+
+/**
+ * Saves the rate alert rules to the `notificationRules` setting. The service worker reads them on the next rate change.
+ * @async
+ * @function saveAlertRules
+ * @param {Array<import('./src/js/notifications.js').NotificationRule>} rules - The rules to save.
+ * @sideEffects Modifies `notificationRules` and `chrome.storage.sync`. Calls `renderAlertRules`.
+ */
+async function saveAlertRules(rules) {
+  notificationRules = rules;
+  renderAlertRules();
+  await updateSettings({ notificationRules: rules });
+}
+
+/**
+ * Loads the rate alert rules and sets up the listeners to toggle, remove and add rules.
+ * @async
+ * @function setupAlertRules
+ * @sideEffects Reads `chrome.storage.sync`. Attaches event listeners. Calls `renderAlertRules`, `saveAlertRules`, `showToast`.
+ */
+async function setupAlertRules() {
+  if (!sidePanelElements.alertRuleList) return;
+
+  sidePanelElements.alertRuleList.addEventListener('change', (event) => {
+    const checkbox = event.target;
+    if (!(checkbox instanceof HTMLInputElement) || !checkbox.dataset.ruleId) return;
+    saveAlertRules(notificationRules.map(rule => rule.id === checkbox.dataset.ruleId ? { ...rule, enabled: checkbox.checked } : rule));
+  });
+
+  sidePanelElements.alertRuleList.addEventListener('click', (event) => {
+    const button = event.target instanceof Element ? event.target.closest('[data-remove-rule-id]') : null;
+    if (!button) return;
+    saveAlertRules(notificationRules.filter(rule => rule.id !== button.dataset.removeRuleId));
+  });
+
+  if (sidePanelElements.alertRuleForm) {
+    sidePanelElements.alertRuleForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const type = sidePanelElements.alertRuleType.value;
+      const value = parseFloat(sidePanelElements.alertRuleValue.value.replace(',', '.'));
+      if (isNaN(value) || value <= 0) {
+        showToast(t('enterValidValue'));
+        return;
+      }
+      saveAlertRules([...notificationRules, createNotificationRule(type, value)]);
+      sidePanelElements.alertRuleValue.value = '';
+      showToast(t('alertAdded'));
+    });
   }
+
+  notificationRules = (await getSettings()).notificationRules;
+  renderAlertRules();
 }
 
+/**
+ * Loads the `showBadge` setting into its checkbox and saves it when toggled.
+ * The service worker updates the toolbar badge when the setting changes.
+ * @async
+ * @function setupBadgeToggle
+ * @sideEffects Reads and modifies `chrome.storage.sync`. Attaches an event listener.
+ */
+async function setupBadgeToggle() {
+  if (!sidePanelElements.showBadgeToggle) return;
+
+  sidePanelElements.showBadgeToggle.addEventListener('change', () => {
+    updateSettings({ showBadge: sidePanelElements.showBadgeToggle.checked });
+  });
+  sidePanelElements.showBadgeToggle.checked = (await getSettings()).showBadge;
+}
 
 /**
  * Loads initial data for the side panel.
@@ -175,12 +263,12 @@ function renderSidePanelRateData() {
  * @async
  * @function loadInitialData
  * @sideEffects Calls `cacheSidePanelElements`, `showSidePanelLoadingState`, `updateLocalRateData`, `renderSidePanelRateData`,
- * `fetchBCVRate` (conditionally), `chrome.storage.local.set` (conditionally), and `showSidePanelErrorState` (on error).
+ * `fetchBCVRate` (conditionally), `chrome.storage.local.set` and `recordRate` (conditionally), and `showSidePanelErrorState` (on error).
  * Outputs to console.
  */
 async function loadInitialData() {
   cacheSidePanelElements(); // Ensure elements are cached
-  showSidePanelLoadingState('Loading from cache...');
+  showSidePanelLoadingState(t('loadingFromCache'));
 
   chrome.storage.local.get([RATE_DATA_KEY], async (result) => {
     const storedData = result[RATE_DATA_KEY];
@@ -191,14 +279,16 @@ async function loadInitialData() {
     } else {
       console.log('Side Panel: No data in storage, attempting live fetch...');
       try {
-        showSidePanelLoadingState('Fetching live rates...');
-        const liveData = await fetchBCVRate(); // Live fetch
+        showSidePanelLoadingState(t('fetchingLiveRates'));
+        const { providerOrder } = await getSettings();
+        const liveData = await fetchBCVRate(providerOrder); // Live fetch
         const dataToStore = {
           ...liveData,
           lastFetchedByBackground: new Date().toISOString() 
         };
         // Store this live fetched data so it's available if background hasn't run yet
         await chrome.storage.local.set({ [RATE_DATA_KEY]: dataToStore }); 
+        await recordRate(dataToStore);
         updateLocalRateData(dataToStore, false); // Mark as not cached (live)
         renderSidePanelRateData();
       } catch (error) {
@@ -211,12 +301,25 @@ async function loadInitialData() {
 
 /**
  * Event listener for the 'DOMContentLoaded' event specific to the side panel.
- * Initializes the side panel by loading data and setting up a keep-alive connection
+ * Initializes the side panel by applying the locale settings and translating the page, loading data, wiring the calculator and the parallel rates,
+ * showing the conversions the service worker requests (e.g. for selected text), rendering the rate trend chart,
+ * loading the rate alert rules and badge toggle and setting up a keep-alive connection
  * to the service worker if available.
  * @listens DOMContentLoaded
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  const settings = await getSettings();
+  await applyLocaleSettings(settings);
+  applyRoundingSettings(settings);
+  localizePage();
   loadInitialData();
+  initializeCalculator(settings);
+  watchConversionRequests(showConversionRequest);
+  renderParallel = setupParallelRates(sidePanelElements.parallelRates, sidePanelElements.monitorPicker, () => currentRateData.currentRate);
+  setupChartRangeButtons();
+  renderSidePanelChart();
+  setupAlertRules();
+  setupBadgeToggle();
 
   if (chrome.runtime && chrome.runtime.connect) {
     const port = chrome.runtime.connect({ name: 'keepAliveSidePanel' });
@@ -228,14 +331,17 @@ document.addEventListener('DOMContentLoaded', () => {
  * Listener for `chrome.storage.onChanged` event.
  * If the exchange rate data stored under `RATE_DATA_KEY` changes in `chrome.storage.local`,
  * this function updates the side panel's local data store and re-renders the UI.
+ * If the rate history under `RATE_HISTORY_KEY` changes, the trend chart is re-rendered.
+ * If the settings change (e.g. from the options page or another device), the locales are applied again, the page
+ * is translated and the rates, chart, calculator, rate alert rules and badge toggle are re-rendered.
  * @param {object} changes - Object describing the changes. Each key is the name of the changed item,
  *                           and its value is a `chrome.storage.StorageChange` object.
  * @param {string} namespace - The storage area ('local', 'sync', or 'managed') where the changes occurred.
  * @listens chrome.storage.onChanged
- * @sideEffects Calls `updateLocalRateData` and `renderSidePanelRateData`. Outputs to console.
+ * @sideEffects Calls `updateLocalRateData`, `renderSidePanelRateData`, `renderSidePanelChart`, `renderAlertRules`, `applyLocaleSettings`, `localizePage` and `applyRoundingSettings`. Outputs to console.
  */
 if (chrome.storage && chrome.storage.onChanged) {
-  chrome.storage.onChanged.addListener((changes, namespace) => {
+  chrome.storage.onChanged.addListener(async (changes, namespace) => {
     if (namespace === 'local' && changes[RATE_DATA_KEY]) {
       const newStoredData = changes[RATE_DATA_KEY].newValue;
       if (newStoredData) {
@@ -244,5 +350,23 @@ if (chrome.storage && chrome.storage.onChanged) {
         renderSidePanelRateData();
       }
     }
+    if (namespace === 'local' && changes[RATE_HISTORY_KEY]) {
+      renderSidePanelChart();
+    }
+    if (namespace === 'sync' && changes[SETTINGS_KEY]) {
+      const settings = normalizeSettings(changes[SETTINGS_KEY].newValue);
+      await applyLocaleSettings(settings);
+      applyRoundingSettings(settings);
+      localizePage();
+      if (currentRateData.currentRate !== undefined) renderSidePanelRateData();
+      renderSidePanelChart();
+      renderParallel();
+      updateCalculatorSettings(settings);
+      notificationRules = settings.notificationRules;
+      renderAlertRules();
+      if (sidePanelElements.showBadgeToggle) {
+        sidePanelElements.showBadgeToggle.checked = settings.showBadge;
+      }
+    }
   });
 }
@@ -2,52 +2,39 @@
  * API functions for fetching BCV dollar rate data
  */
 
-const API_URL = 'https://pydolarve.org/api/v1/dollar?page=bcv&monitor=usd';
+import { DEFAULT_PROVIDER_ORDER, fetchRateWithFailover, fetchFromProvider } from './providers/index.js';
+import { bcvProvider } from './providers/bcv.js';
+import { FOREIGN_CURRENCIES } from './currencies.js';
+import { getDateLocale, t } from './i18n.js';
 
 /**
- * Fetches the current BCV (Banco Central de Venezuela) dollar exchange rate data from the pydolarve API.
- * The function constructs an object containing the current rate, previous rate, date of the data,
- * the change amount, and the percentage change.
+ * Fetches the current BCV (Banco Central de Venezuela) dollar exchange rate data.
+ * Each registered rate provider is tried in order until one succeeds, so an outage of a
+ * single source does not leave the extension without a rate.
+ * If the winning provider only publishes the USD rate, the rates of the other currencies are
+ * taken from the BCV homepage when it is reachable and was not already tried in vain.
  * @async
  * @function fetchBCVRate
+ * @param {Array<string>} [providerOrder] - Provider ids to try, in order. Defaults to `DEFAULT_PROVIDER_ORDER`.
  * @returns {Promise<object>} A promise that resolves to an object with rate data:
  *  - `currentRate` {number}: The current exchange rate.
  *  - `previousRate` {number}: The previous day's exchange rate.
- *  - `date` {string}: ISO string representing the date of the fetched data (from API or current if not provided).
+ *  - `date` {string}: ISO string representing the date of the fetched data (from the source or current if not provided).
  *  - `change` {number}: The absolute difference between current and previous rates.
  *  - `changePercentage` {number}: The percentage difference between current and previous rates.
- * @throws {Error} If the network request fails, the API returns a non-OK status, or if parsing the response fails.
- *                 The error object will contain a message detailing the issue.
+ *  - `provider` {string}: The id of the provider that supplied the data.
+ *  - `rates` {Object<string, number>}: Bs per unit of each available currency (always includes `USD`).
+ * @throws {Error} If every provider fails. The error object will contain a message summarizing each failure.
  * @sideEffects Outputs an error message to the console if an error occurs.
  */
-export async function fetchBCVRate() {
+export async function fetchBCVRate(providerOrder = DEFAULT_PROVIDER_ORDER) {
   try {
-    const response = await fetch(API_URL);
-    
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status} ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    
-    // Validate essential data presence
-    if (data.price === undefined || data.price_old === undefined) {
-        throw new Error('API response missing essential price data.');
-    }
-
-    const currentPrice = parseFloat(data.price);
-    const previousPrice = parseFloat(data.price_old);
-
-    if (isNaN(currentPrice) || isNaN(previousPrice)) {
-        throw new Error('Invalid number format for price data in API response.');
-    }
-
+    const rateData = await fetchRateWithFailover(providerOrder);
+    // The providers before the one that succeeded were tried and failed
+    const failedProviders = providerOrder.slice(0, providerOrder.indexOf(rateData.provider));
     return {
-      currentRate: currentPrice,
-      previousRate: previousPrice,
-      date: data.fetch_date || new Date().toISOString(), // Fallback to current date if API doesn't provide one
-      change: currentPrice - previousPrice,
-      changePercentage: previousPrice !== 0 ? ((currentPrice - previousPrice) / previousPrice) * 100 : 0 // Avoid division by zero
+      ...rateData,
+      rates: await completeRates(rateData, failedProviders.includes(bcvProvider.id))
     };
   } catch (error) {
     console.error('Error fetching BCV rate:', error);
@@ -56,16 +43,42 @@ export async function fetchBCVRate() {
 }
 
 /**
- * Formats an ISO date string into a human-readable string.
+ * Builds the full map of currency rates for fetched rate data, adding the currencies the winning
+ * provider does not publish from the BCV homepage. The USD rate always comes from the winning provider.
+ * @async
+ * @function completeRates
+ * @param {object} rateData - Rate data as returned by a provider, with `currentRate` and optionally `rates`.
+ * @param {boolean} bcvFailed - Whether the BCV homepage was just tried by the failover and failed, in which case it
+ *        is not requested again.
+ * @returns {Promise<Object<string, number>>} Bs per unit of each available currency.
+ * @sideEffects Outputs a warning to the console if the BCV homepage cannot be fetched.
+ */
+async function completeRates(rateData, bcvFailed) {
+  const rates = { ...(rateData.rates || {}), USD: rateData.currentRate };
+  if (rateData.provider === bcvProvider.id || bcvFailed || FOREIGN_CURRENCIES.every(code => rates[code] !== undefined)) {
+    return rates;
+  }
+
+  try {
+    const official = await fetchFromProvider(bcvProvider);
+    return { ...official.rates, ...rates };
+  } catch (error) {
+    console.warn('Could not fetch the other currency rates from the BCV homepage:', error);
+    return rates;
+  }
+}
+
+/**
+ * Formats an ISO date string into a human-readable string in the language and date locale.
  * Displays as "Today at HH:MM AM/PM" if the date is today,
- * otherwise as "MM/DD/YYYY at HH:MM AM/PM".
+ * otherwise as "MM/DD/YYYY at HH:MM AM/PM" (e.g. "Hoy, 3:45 p. m." or "19/10/2026, 3:45 p. m." in Spanish).
  * @function formatDate
  * @param {string} dateString - The ISO date string to format.
  * @returns {string} The formatted date string, or the original string if formatting fails, or 'Unknown date' if input is falsy.
  * @sideEffects Outputs an error message to the console if formatting fails.
  */
 export function formatDate(dateString) {
-  if (!dateString) return 'Unknown date';
+  if (!dateString) return t('unknownDate');
   try {
     const date = new Date(dateString);
     // Check if date is valid
@@ -77,15 +90,15 @@ export function formatDate(dateString) {
     const now = new Date();
     const isToday = date.toDateString() === now.toDateString();
     
-    const timeOptions = { hour: 'numeric', minute: 'numeric', hour12: true };
-    const time = date.toLocaleTimeString('en-US', timeOptions);
+    const timeOptions = { hour: 'numeric', minute: 'numeric' };
+    const time = date.toLocaleTimeString(getDateLocale(), timeOptions);
     
     if (isToday) {
-      return `Today at ${time}`;
+      return t('todayAt', time);
     } else {
       const dateOptions = { month: 'numeric', day: 'numeric', year: 'numeric' };
-      const formattedDate = date.toLocaleDateString('en-US', dateOptions);
-      return `${formattedDate} at ${time}`;
+      const formattedDate = date.toLocaleDateString(getDateLocale(), dateOptions);
+      return t('dateAt', formattedDate, time);
     }
   } catch (error) {
     console.error('Error formatting date:', error);
@@ -95,14 +108,15 @@ export function formatDate(dateString) {
 
 /**
  * Calculates the time difference between a given ISO date string and the current time,
- * and returns it in a human-readable format (e.g., "5 secs ago", "10 mins ago", "2 hours ago", "3 days ago").
+ * and returns it in a human-readable format in the date locale (e.g., "5 seconds ago", "10 minutes ago",
+ * "hace 2 horas", "hace 3 días").
  * @function getTimeDifference
  * @param {string} dateString - The ISO date string from which to calculate the time difference.
  * @returns {string} A string representing the time difference, or "Recently" if formatting fails or input is invalid.
  * @sideEffects Outputs an error message to the console if an error occurs.
  */
 export function getTimeDifference(dateString) {
-  if (!dateString) return 'Recently';
+  if (!dateString) return t('recently');
   try {
     const date = new Date(dateString);
     if (isNaN(date.getTime())) {
@@ -114,31 +128,32 @@ export function getTimeDifference(dateString) {
     // Convert to seconds
     const diffSecs = Math.floor(diffMs / 1000);
     
-    if (diffSecs < 0) return 'In the future'; // Handle dates in the future
+    if (diffSecs < 0) return t('inTheFuture'); // Handle dates in the future
+    const relativeTime = new Intl.RelativeTimeFormat(getDateLocale(), { numeric: 'always' });
     if (diffSecs < 60) {
-      return `${diffSecs} sec${diffSecs !== 1 ? 's' : ''} ago`;
+      return relativeTime.format(-diffSecs, 'second');
     }
     
     // Convert to minutes
     const diffMins = Math.floor(diffSecs / 60);
     
     if (diffMins < 60) {
-      return `${diffMins} min${diffMins !== 1 ? 's' : ''} ago`;
+      return relativeTime.format(-diffMins, 'minute');
     }
     
     // Convert to hours
     const diffHours = Math.floor(diffMins / 60);
     
     if (diffHours < 24) {
-      return `${diffHours} hour${diffHours !== 1 ? 's' : ''} ago`;
+      return relativeTime.format(-diffHours, 'hour');
     }
     
     // Convert to days
     const diffDays = Math.floor(diffHours / 24);
-    return `${diffDays} day${diffDays !== 1 ? 's' : ''} ago`;
+    return relativeTime.format(-diffDays, 'day');
     
   } catch (error) {
     console.error('Error calculating time difference:', error);
-    return 'Recently'; // Fallback value
+    return t('recently'); // Fallback value
   }
 }
\ No newline at end of file
@@ -0,0 +1,189 @@
+/**
+ * @file Full backup and restore of the user's data: conversion history, rate history and settings,
+ * in one versioned JSON file.
+ */
+
+import { getConversionHistory, importConversionHistory, NOTE_MAX_LENGTH } from './storage.js';
+import { getRateHistory, importRateHistory } from './rateHistory.js';
+import { getSettings, updateSettings, validateSettings, DEFAULT_SETTINGS } from './settings.js';
+import { CURRENCIES } from './currencies.js';
+import { t } from './i18n.js';
+
+export const BACKUP_FORMAT = 'bcvcal-backup';
+export const BACKUP_VERSION = 1;
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @typedef {object} Backup
+ * @property {string} format - Always `BACKUP_FORMAT`.
+ * @property {number} version - The version of the file layout, `BACKUP_VERSION` when written.
+ * @property {string} createdAt - ISO string of when the backup was made.
+ * @property {string} [extensionVersion] - The version of the extension that made the backup.
+ * @property {object} data - The backed-up data.
+ * @property {Array<import('./storage.js').ConversionItem>} data.conversionHistory - The conversion history, most recent first.
+ * @property {Array<import('./rateHistory.js').RateHistoryEntry>} data.rateHistory - The rate history, by ascending date.
+ * @property {Partial<import('./settings.js').Settings>} data.settings - The user settings.
+ */
+
+/**
+ * @typedef {object} RestoreReport
+ * @property {{added: number, duplicates: number, invalid: number, dropped: number}} conversions - Conversions added,
+ *           skipped because their timestamp was already in the history, skipped as invalid, and left out because
+ *           the history was full.
+ * @property {{added: number, duplicates: number, invalid: number, expired: number}} rateHistory - Rate history entries
+ *           added, skipped because their value date was already stored, skipped as invalid, and left out as expired.
+ * @property {{restored: Array<string>, invalid: Array<string>}} settings - Names of the settings restored and of
+ *           those skipped as invalid or unknown.
+ */
+
+/**
+ * Collects the data to back up.
+ * @async
+ * @export
+ * @function createBackup
+ * @returns {Promise<Backup>} The backup.
+ */
+export async function createBackup() {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version,
+    data: {
+      conversionHistory: await getConversionHistory(),
+      rateHistory: await getRateHistory(),
+      settings: await getSettings()
+    }
+  };
+}
+
+const isFiniteNumber = value => typeof value === 'number' && isFinite(value);
+const isTimestamp = value => typeof value === 'string' && !isNaN(new Date(value).getTime());
+const isCurrencyCode = value => Object.prototype.hasOwnProperty.call(CURRENCIES, value);
+const TAX_FIELDS = ['base', 'iva', 'igtf', 'ivaRate', 'igtfRate'];
+const isTaxes = value => Boolean(value) && typeof value === 'object' && TAX_FIELDS.every(key => isFiniteNumber(value[key]));
+
+/**
+ * Checks that a conversion from a backup has the fields the history needs.
+ * @function isValidConversionItem
+ * @param {*} item - The conversion.
+ * @returns {boolean} True if the conversion can be imported.
+ */
+function isValidConversionItem(item) {
+  return Boolean(item)
+    && isFiniteNumber(item.fromAmount) && isFiniteNumber(item.toAmount) && isFiniteNumber(item.rate)
+    && isCurrencyCode(item.fromCurrency) && isCurrencyCode(item.toCurrency)
+    && isTimestamp(item.timestamp)
+    && (item.fromRate === undefined || isFiniteNumber(item.fromRate))
+    && (item.toRate === undefined || isFiniteNumber(item.toRate))
+    && (item.rateDate === undefined || item.rateDate === null || DATE_KEY_PATTERN.test(item.rateDate))
+    && (item.note === undefined || item.note === null || typeof item.note === 'string')
+    && (item.taxes === undefined || item.taxes === null || isTaxes(item.taxes));
+}
+
+/**
+ * Copies the known fields of a valid conversion from a backup, leaving out anything else the file holds.
+ * @function toConversionItem
+ * @param {object} item - The conversion, checked by `isValidConversionItem`.
+ * @returns {import('./storage.js').ConversionItem} The conversion to store.
+ */
+function toConversionItem(item) {
+  const { fromAmount, fromCurrency, toAmount, toCurrency, rate, fromRate, toRate, rateDate, timestamp } = item;
+  const note = item.note ? item.note.trim().slice(0, NOTE_MAX_LENGTH) : null;
+  const taxes = item.taxes ? Object.fromEntries(TAX_FIELDS.map(key => [key, item.taxes[key]])) : null;
+  return Object.fromEntries(Object.entries({ fromAmount, fromCurrency, toAmount, toCurrency, rate, fromRate, toRate, rateDate, note, taxes, timestamp })
+    .filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+/**
+ * Checks that a rate history entry from a backup has a value date and a positive rate.
+ * @function isValidRateHistoryEntry
+ * @param {*} entry - The entry.
+ * @returns {boolean} True if the entry can be imported.
+ */
+function isValidRateHistoryEntry(entry) {
+  return Boolean(entry)
+    && typeof entry.date === 'string' && DATE_KEY_PATTERN.test(entry.date)
+    && isFiniteNumber(entry.rate) && entry.rate > 0
+    && isTimestamp(entry.recordedAt)
+    && (entry.provider === undefined || entry.provider === null || (typeof entry.provider === 'string' && /^[\w-]+$/.test(entry.provider)))
+    && (entry.estimated === undefined || typeof entry.estimated === 'boolean');
+}
+
+/**
+ * Parses and validates the text of a backup file.
+ * @export
+ * @function parseBackup
+ * @param {string} text - The contents of the file.
+ * @returns {Backup} The backup.
+ * @throws {Error} If the file is not a backup this version can read. The error's `errors` property lists the problems
+ *         found, in the language of the interface.
+ */
+export function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    const error = new Error('Invalid backup file: not valid JSON.');
+    error.errors = [t('backupErrorNotJson')];
+    throw error;
+  }
+
+  const errors = [];
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    errors.push(t('backupErrorNotBackup'));
+  } else if (!Number.isInteger(backup.version) || backup.version < 1) {
+    errors.push(t('backupErrorNoVersion'));
+  } else if (backup.version > BACKUP_VERSION) {
+    errors.push(t('backupErrorNewerVersion', backup.version));
+  } else if (!backup.data || typeof backup.data !== 'object') {
+    errors.push(t('backupErrorNoData'));
+  } else {
+    const { conversionHistory, rateHistory, settings } = backup.data;
+    if (conversionHistory !== undefined && !Array.isArray(conversionHistory)) errors.push(t('backupErrorConversionHistory'));
+    if (rateHistory !== undefined && !Array.isArray(rateHistory)) errors.push(t('backupErrorRateHistory'));
+    if (settings !== undefined && (!settings || typeof settings !== 'object' || Array.isArray(settings))) errors.push(t('backupErrorSettings'));
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid backup file: ${errors.join(' ')}`);
+    error.errors = errors;
+    throw error;
+  }
+  return backup;
+}
+
+/**
+ * Restores a backup. Invalid conversions, rate history entries and settings are skipped and counted in the report.
+ * Settings are restored first, so the history size and sync settings of the backup apply to the restored history.
+ * @async
+ * @export
+ * @function restoreBackup
+ * @param {Backup} backup - A backup returned by `parseBackup`.
+ * @param {('merge'|'replace')} mode - 'merge' adds the backup to the current data, skipping conversions and rate
+ *        dates already stored, and applies the backed-up settings over the current ones. 'replace' discards the
+ *        current data first, and settings missing from the backup go back to their defaults.
+ * @returns {Promise<RestoreReport>} What was restored and what was skipped.
+ * @sideEffects Modifies `chrome.storage.local` and `chrome.storage.sync`.
+ */
+export async function restoreBackup(backup, mode) {
+  const replace = mode === 'replace';
+  const { conversionHistory = [], rateHistory = [], settings = {} } = backup.data;
+
+  const settingErrors = validateSettings(settings);
+  const validSettings = Object.fromEntries(Object.entries(settings).filter(([key]) => !settingErrors[key]));
+  await updateSettings(replace ? { ...DEFAULT_SETTINGS, ...validSettings } : validSettings);
+
+  const validConversions = conversionHistory.filter(isValidConversionItem).map(toConversionItem);
+  const conversions = await importConversionHistory(validConversions, replace);
+
+  const validRateEntries = rateHistory.filter(isValidRateHistoryEntry);
+  const rates = await importRateHistory(validRateEntries, replace);
+
+  return {
+    conversions: { ...conversions, invalid: conversionHistory.length - validConversions.length },
+    rateHistory: { ...rates, invalid: rateHistory.length - validRateEntries.length },
+    settings: { restored: Object.keys(validSettings), invalid: Object.keys(settingErrors) }
+  };
+}
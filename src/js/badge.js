@@ -0,0 +1,59 @@
+/**
+ * @file Shows the current rate on the extension's toolbar icon (badge text, color and tooltip).
+ */
+
+import { formatRate, getRateChangeType } from './calculator.js';
+import { formatValueDate, toValueDateKey } from './rateHistory.js';
+import { t } from './i18n.js';
+
+/**
+ * Badge background colors per rate change type, matching the popup's rate change colors.
+ * @type {Object<string, string>}
+ */
+const BADGE_COLORS = {
+  increase: '#10b981',
+  decrease: '#ef4444',
+  same: '#64748b'
+};
+
+/**
+ * Formats a rate to fit the badge, which shows about four characters (e.g. "36.5", "128", "1.2k").
+ * @function formatBadgeRate
+ * @param {number} rate - The rate to format.
+ * @returns {string} The compact rate, or an empty string if the rate is invalid.
+ */
+export function formatBadgeRate(rate) {
+  if (typeof rate !== 'number' || isNaN(rate) || rate <= 0) return '';
+  // Thresholds account for rounding, so e.g. 99.97 becomes "100" rather than "100.0"
+  if (rate < 99.95) return rate.toFixed(1);
+  if (rate < 999.5) return String(Math.round(rate));
+  if (rate < 9950) return `${(rate / 1000).toFixed(1)}k`;
+  return `${Math.round(rate / 1000)}k`;
+}
+
+/**
+ * Updates the toolbar badge from the stored rate data: compact rate as text, green/red/grey
+ * background according to the change against the previous rate, and the full rate and BCV date
+ * in the tooltip. Clears the badge when disabled or when there is no data.
+ * @async
+ * @function updateBadge
+ * @param {object|null|undefined} rateData - The stored rate data (`currentRate`, `previousRate`, `date`).
+ * @param {boolean} enabled - Whether the badge is enabled in the settings.
+ * @sideEffects Modifies the extension action's badge text, badge color and title.
+ */
+export async function updateBadge(rateData, enabled) {
+  if (!enabled || !rateData || typeof rateData.currentRate !== 'number') {
+    await chrome.action.setBadgeText({ text: '' });
+    await chrome.action.setTitle({ title: t('extName') });
+    return;
+  }
+
+  const changeType = getRateChangeType(rateData.currentRate, rateData.previousRate);
+  const dateKey = toValueDateKey(rateData.date);
+
+  await chrome.action.setBadgeText({ text: formatBadgeRate(rateData.currentRate) });
+  await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS[changeType] });
+  await chrome.action.setTitle({
+    title: `${t('extName')}\n${t('badgeRate', formatRate(rateData.currentRate))}${dateKey ? `\n${t('badgeDate', formatValueDate(dateKey))}` : ''}`
+  });
+}
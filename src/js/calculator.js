@@ -2,8 +2,15 @@
  * @file Contains utility functions for currency conversion, formatting, and rate analysis.
  */
 
+import { BASE_CURRENCY, getBsRate, getCurrency } from './currencies.js';
+import { getNumberLocale, t } from './i18n.js';
+import { toDecimal, toNumber, multiply, divide, round } from './decimal.js';
+import { roundAmount, roundDecimal, getCurrencyPrecision, getRatePrecision, getRoundingMode } from './rounding.js';
+import { toValueDateKey } from './rateHistory.js';
+
 /**
  * Converts an amount from US Dollars (USD) to Venezuelan Bolívar (VES) using a given exchange rate.
+ * The result is calculated exactly and rounded to the precision of the bolívar with the rounding mode.
  * Returns 0 if any input is invalid or not a number.
  * @function convertUSDtoBs
  * @param {number} amount - The amount in USD to convert.
@@ -15,11 +22,12 @@ export function convertUSDtoBs(amount, rate) {
     console.warn('Invalid input for convertUSDtoBs: Amount or rate is not a number.', {amount, rate});
     return 0;
   }
-  return amount * rate;
+  return toNumber(roundDecimal(multiply(toDecimal(amount), toDecimal(rate)), BASE_CURRENCY));
 }
 
 /**
  * Converts an amount from Venezuelan Bolívar (VES) to US Dollars (USD) using a given exchange rate.
+ * The result is calculated exactly and rounded to the precision of the dollar with the rounding mode.
  * Returns 0 if any input is invalid, not a number, or if the rate is zero (to prevent division by zero).
  * @function convertBstoUSD
  * @param {number} amount - The amount in VES to convert.
@@ -31,55 +39,140 @@ export function convertBstoUSD(amount, rate) {
     console.warn('Invalid input for convertBstoUSD: Amount or rate is invalid or rate is zero.', {amount, rate});
     return 0;
   }
-  return amount / rate;
+  return toNumber(roundDecimal(divide(toDecimal(amount), toDecimal(rate)), 'USD'));
+}
+
+/**
+ * Converts an amount between any two supported currencies through their rates in bolívares.
+ * The result is calculated exactly and rounded to the precision of `toCurrency` with the rounding mode.
+ * Returns 0 if the amount is invalid or a rate is unknown.
+ * @function convertCurrency
+ * @param {number} amount - The amount to convert.
+ * @param {string} fromCurrency - The code of the currency the amount is in (e.g. 'EUR').
+ * @param {string} toCurrency - The code of the currency to convert to (e.g. 'Bs').
+ * @param {Object<string, number>} rates - Bs per unit of each foreign currency, keyed by code.
+ * @returns {number} The equivalent amount in `toCurrency`, or 0 if inputs are invalid.
+ */
+export function convertCurrency(amount, fromCurrency, toCurrency, rates) {
+  const fromRate = getBsRate(fromCurrency, rates);
+  const toRate = getBsRate(toCurrency, rates);
+  if (typeof amount !== 'number' || isNaN(amount) || fromRate === null || toRate === null) {
+    console.warn('Invalid input for convertCurrency: Amount is not a number or a rate is unknown.', {amount, fromCurrency, toCurrency});
+    return 0;
+  }
+  const exact = divide(multiply(toDecimal(amount), toDecimal(fromRate)), toDecimal(toRate));
+  return toNumber(roundDecimal(exact, toCurrency));
 }
 
 /**
- * Formats a numeric amount into a currency string based on the specified currency type.
- * Handles USD and VES (Bolívares) formatting.
+ * Converts an amount at the rates stored by the service worker, outside the calculator (e.g. selected text or the
+ * address bar), and describes the conversion as it is stored in the history. The amount is rounded to the precision
+ * of its currency first, as the calculator does.
+ * @function createConversion
+ * @param {number} amount - The amount to convert.
+ * @param {string} fromCurrency - The code of the currency the amount is in.
+ * @param {string} toCurrency - The code of the currency to convert to.
+ * @param {object|null|undefined} rateData - The stored rate data (`currentRate`, `date` and optionally `rates`).
+ * @returns {import('./storage.js').ConversionItem} The conversion, without its timestamp.
+ * @throws {Error} If there is no rate for either currency yet.
+ */
+export function createConversion(amount, fromCurrency, toCurrency, rateData) {
+  const rates = rateData && rateData.currentRate ? { ...(rateData.rates || {}), USD: rateData.currentRate } : {};
+  const fromRate = getBsRate(fromCurrency, rates);
+  const toRate = getBsRate(toCurrency, rates);
+  if (fromRate === null || toRate === null) throw new Error(t('noRateAvailable', fromRate === null ? fromCurrency : toCurrency));
+
+  const fromAmount = roundAmount(amount, fromCurrency);
+  return {
+    fromAmount,
+    fromCurrency,
+    toAmount: convertCurrency(fromAmount, fromCurrency, toCurrency, rates),
+    toCurrency,
+    rate: fromCurrency === BASE_CURRENCY ? toRate : fromRate,
+    fromRate,
+    toRate,
+    rateDate: toValueDateKey(rateData.date)
+  };
+}
+
+/**
+ * Formats a numeric amount into a currency string based on the specified currency code.
+ * The number is rounded to the precision of the currency with the rounding mode and formatted with
+ * the `numberLocale` setting (Venezuelan formatting by default) after the currency symbol.
  * Returns a default formatted zero value if the amount is invalid.
  * @function formatCurrency
  * @param {number|null|undefined} amount - The numeric amount to format.
- * @param {string} currency - The currency type, either 'USD' or 'Bs' (for VES).
+ * @param {string} currency - The currency code, e.g. 'USD', 'EUR' or 'Bs' (for VES).
  * @returns {string} A string representing the formatted currency amount.
- *                   Example: "$1,234.50" for USD, "Bs. 1.234,50" for VES.
+ *                   Example with 'es-VE': "$1.234,50" for USD, "Bs. 1.234,50" for VES, "€ 1.234,50" for EUR.
  */
 export function formatCurrency(amount, currency) {
-  if (amount === null || amount === undefined || isNaN(amount)) {
-    // Return a default formatted zero based on currency
-    return currency === 'USD' ? '$0.00' : 'Bs. 0,00';
-  }
-  
+  const value = amount === null || amount === undefined || isNaN(amount) ? 0 : amount; // Default to a formatted zero
+  const code = currency || BASE_CURRENCY;
+  const precision = getCurrencyPrecision(code);
+  const number = new Intl.NumberFormat(getNumberLocale(), {
+    minimumFractionDigits: precision,
+    maximumFractionDigits: precision
+  }).format(roundAmount(value, code));
+
   if (currency === 'USD') {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2
-    }).format(amount);
-  } else { // Assuming 'Bs' or any other value defaults to VES formatting
-    return 'Bs. ' + new Intl.NumberFormat('es-VE', { // Using 'es-VE' for typical Venezuelan formatting
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2
-    }).format(amount);
+    return `$${number}`;
   }
+
+  const symbol = getCurrency(code).symbol;
+  return `${symbol} ${number}`;
 }
 
 /**
- * Formats a numeric percentage value into a string with two decimal places and a percent sign.
- * Returns "0.00%" if the input is invalid.
+ * Formats an exchange rate in bolívares, rounded to the `ratePrecision` setting with the rounding mode.
+ * Returns a default formatted zero value if the rate is invalid.
+ * @function formatRate
+ * @param {number|null|undefined} rate - Bs per unit of a currency.
+ * @returns {string} The formatted rate. Example with 'es-VE' and 4 decimal places: "Bs. 36,5012".
+ */
+export function formatRate(rate) {
+  const value = typeof rate === 'number' && isFinite(rate) ? rate : 0; // Default to a formatted zero
+  const precision = getRatePrecision();
+  const number = new Intl.NumberFormat(getNumberLocale(), {
+    minimumFractionDigits: precision,
+    maximumFractionDigits: precision
+  }).format(toNumber(round(toDecimal(value), precision, getRoundingMode())));
+  return `${getCurrency(BASE_CURRENCY).symbol} ${number}`;
+}
+
+/**
+ * Formats a numeric percentage value into a string with two decimal places, in the number locale, and a percent sign.
+ * Returns a formatted zero (e.g. "0,00%") if the input is invalid.
  * @function formatPercentage
  * @param {number|null|undefined} percentage - The percentage value to format.
- * @returns {string} A string representing the formatted percentage (e.g., "12.34%").
+ * @returns {string} A string representing the formatted percentage (e.g., "12,34%" with 'es-VE').
  */
 export function formatPercentage(percentage) {
-  if (percentage === null || percentage === undefined || isNaN(percentage)) {
-    return '0.00%';
-  }
-  const formattedValue = percentage.toFixed(2);
+  const value = percentage === null || percentage === undefined || isNaN(percentage) ? 0 : percentage;
+  const formattedValue = new Intl.NumberFormat(getNumberLocale(), {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+    useGrouping: false
+  }).format(value);
   return `${formattedValue}%`;
 }
 
+/**
+ * Calculates the spread (gap) between a parallel-market rate and the official rate,
+ * as a percentage of the official rate.
+ * Returns 0 if any input is invalid or the official rate is zero.
+ * @function calculateSpread
+ * @param {number} parallelRate - The parallel-market rate.
+ * @param {number} officialRate - The official BCV rate.
+ * @returns {number} The spread percentage (positive when the parallel rate is higher).
+ */
+export function calculateSpread(parallelRate, officialRate) {
+  if (typeof parallelRate !== 'number' || isNaN(parallelRate) || typeof officialRate !== 'number' || isNaN(officialRate) || officialRate === 0) {
+    return 0;
+  }
+  return ((parallelRate - officialRate) / officialRate) * 100;
+}
+
 /**
  * Determines if the current exchange rate represents an increase, decrease, or no change
  * compared to the previous rate.
@@ -0,0 +1,706 @@
+/**
+ * @file Currency calculator view, shared by the popup and the side panel. Its two amount fields are linked:
+ * typing in either converts into the other, and each conversion is stored in the history once the amount settles.
+ * `historyView.js` renders the history below it.
+ * Both pages use the same element ids for the calculator markup; controls missing from a page are skipped.
+ */
+
+import { BASE_CURRENCY, CURRENCIES, getBsRate, getCurrency, getCurrencyName } from './currencies.js';
+import { getRateForDate, toValueDateKey, formatValueDate } from './rateHistory.js';
+import { convertCurrency, formatCurrency, formatRate } from './calculator.js';
+import { roundAmount, getCurrencyPrecision } from './rounding.js';
+import { getDecimalSeparator, getNumberLocale, t } from './i18n.js';
+import { evaluateExpression, isExpression } from './expression.js';
+import { addConversionToHistory } from './storage.js';
+import { handleClearHistory, initializeHistory, renderHistory, showLatestHistory } from './historyView.js';
+import { initializeTaxBreakdown, renderTaxBreakdown, updateTaxSettings } from './taxView.js';
+import { initializeInvoiceList, renderInvoiceList, renderInvoiceTotals } from './invoiceView.js';
+import { showToast } from './toast.js';
+import { initializeShortcuts } from './shortcuts.js';
+
+/**
+ * @typedef {object} CalculatorState
+ * @property {number} currentRate - The current BCV Bs/USD rate.
+ * @property {string|null} date - ISO string of the date for the current rate.
+ * @property {Object<string, number>} rates - Bs per unit of each foreign currency with a published rate, keyed by code.
+ * @property {string} fromCurrency - The code of the currency converted from (e.g. 'USD').
+ * @property {string} toCurrency - The code of the currency converted to (e.g. 'Bs').
+ * @property {('from'|'to')} sourceField - The amount field last typed in; the other field shows its conversion.
+ * @property {string|number} amount - The amount entered by the user for conversion.
+ * @property {number|null} result - The result of the current conversion.
+ * @property {object|null} conversion - The current conversion, as it will be stored in the history, or null if the
+ *           amount is empty or invalid.
+ * @property {string|null} lastRecordedKey - Identifies the conversion last stored in the history, so a settled amount
+ *           is not stored twice.
+ * @property {string|null} rateDate - The value date ('YYYY-MM-DD') selected for conversions, or null to use the current rate.
+ * @property {import('./rateHistory.js').RateHistoryEntry|null} historicalRate - The rate in effect on `rateDate`, once looked up.
+ * @property {boolean} isRateLookupPending - Flag indicating a historical rate lookup is in progress.
+ * @property {import('./conversionRequest.js').ConversionRequest|null} pendingRequest - A conversion requested by another
+ *           context before the rates were loaded, converted once they are.
+ */
+
+/** @type {CalculatorState} */
+let calculatorState = {
+  currentRate: 0,
+  date: null,
+  rates: {},
+  fromCurrency: 'USD',
+  toCurrency: BASE_CURRENCY,
+  sourceField: 'from',
+  amount: '',
+  result: null,
+  conversion: null,
+  lastRecordedKey: null,
+  rateDate: null,
+  historicalRate: null,
+  isRateLookupPending: false,
+  pendingRequest: null
+};
+
+/**
+ * How long the amount must stay unchanged before its conversion is stored in the history, in milliseconds.
+ * @type {number}
+ */
+const HISTORY_WRITE_DELAY_MS = 1500;
+
+/** @type {ReturnType<typeof setTimeout>|null} */
+let historyWriteTimer = null;
+
+/**
+ * @typedef {object} CalculatorElementCache
+ * @property {HTMLElement|null} fromLabel
+ * @property {HTMLElement|null} fromSymbol
+ * @property {HTMLInputElement|null} fromInput
+ * @property {HTMLElement|null} fromPreview
+ * @property {HTMLElement|null} toLabel
+ * @property {HTMLElement|null} toSymbol
+ * @property {HTMLInputElement|null} toInput
+ * @property {HTMLElement|null} toPreview
+ * @property {HTMLElement|null} swapButton
+ * @property {HTMLElement|null} resultCard
+ * @property {HTMLElement|null} resultValue
+ * @property {HTMLElement|null} copyButton
+ * @property {HTMLInputElement|null} rateDateInput
+ * @property {HTMLElement|null} rateDateResetButton
+ * @property {HTMLElement|null} rateDateInfo
+ * @property {HTMLSelectElement|null} fromCurrencySelect
+ * @property {HTMLSelectElement|null} toCurrencySelect
+ * @property {NodeListOf<HTMLElement>} modeButtons - The buttons switching between the calculator modes.
+ * @property {NodeListOf<HTMLElement>} modePanels - The panel of each calculator mode.
+ */
+
+/** @type {CalculatorElementCache} */
+let calculatorElements = {};
+
+/**
+ * Initializes the calculator and history of the current page: caches the elements, fills the currency selects,
+ * sets up the event listeners and keyboard shortcuts, and initializes the tax breakdown, list and history views
+ * (see `initializeShortcuts`, `initializeTaxBreakdown`, `initializeInvoiceList` and `initializeHistory`).
+ * @export
+ * @async
+ * @function initializeCalculator
+ * @param {import('./settings.js').Settings} settings - The user settings.
+ * @sideEffects Modifies `calculatorElements` and `calculatorState`. Attaches event listeners. Modifies DOM content.
+ *              May modify `localStorage` and `chrome.storage.local`.
+ */
+export async function initializeCalculator(settings) {
+  cacheCalculatorElements();
+  populateCurrencySelects();
+  setupCalculatorListeners();
+  initializeShortcuts({
+    focusAmount: handleFocusAmount,
+    swap: () => {
+      handleModeChange('convert');
+      handleSwap();
+    },
+    copy: () => {
+      handleModeChange('convert');
+      handleCopy();
+    },
+    clearHistory: () => {
+      // A key chord is easily pressed by mistake, and a cleared history cannot be restored
+      if (confirm(t('confirmClearHistory'))) handleClearHistory();
+    }
+  });
+  updateConversionUI();
+  renderRateDateInfo();
+  initializeTaxBreakdown(settings, { getRates: getEffectiveRate });
+  await initializeInvoiceList({ getRates: getEffectiveRate });
+  await initializeHistory({ onConvertAgain: convertAgain });
+}
+
+/**
+ * Updates the rates the calculator converts with. The amounts entered are converted again at the new rates.
+ * @export
+ * @function updateCalculatorRates
+ * @param {object} rateData - The rate data (`currentRate`, `date` and optionally `rates`, Bs per unit of the other currencies).
+ * @sideEffects Modifies `calculatorState`. Calls `applyEffectiveRate`, and `convertAgain` for a pending conversion request.
+ */
+export function updateCalculatorRates(rateData) {
+  calculatorState.currentRate = rateData.currentRate;
+  calculatorState.date = rateData.date;
+  calculatorState.rates = { ...(rateData.rates || {}), USD: rateData.currentRate };
+  applyEffectiveRate();
+  if (calculatorState.pendingRequest && calculatorState.currentRate) {
+    const request = calculatorState.pendingRequest;
+    calculatorState.pendingRequest = null;
+    convertAgain(request);
+  }
+}
+
+/**
+ * Shows a conversion requested by another context (e.g. text selected in a page) in the calculator and stores it
+ * in the history, like a history item converted again. Requests made before the rates are loaded wait for them.
+ * @export
+ * @function showConversionRequest
+ * @param {import('./conversionRequest.js').ConversionRequest} request - The amount and currency pair to convert.
+ * @sideEffects Modifies `calculatorState.pendingRequest`, or calls `convertAgain`.
+ */
+export function showConversionRequest(request) {
+  if (calculatorState.currentRate) {
+    convertAgain(request);
+  } else {
+    calculatorState.pendingRequest = request;
+  }
+}
+
+/**
+ * Applies changed user settings to the calculator and re-renders the parts that show texts, amounts and dates.
+ * The caller applies the locale settings first.
+ * @export
+ * @function updateCalculatorSettings
+ * @param {import('./settings.js').Settings} settings - The user settings.
+ * @sideEffects Calls `populateCurrencySelects`, `updateConversionUI`, `updateConversion`, `renderRateDateInfo`,
+ *              `updateTaxSettings`, `renderInvoiceList` and `renderHistory`.
+ */
+export function updateCalculatorSettings(settings) {
+  populateCurrencySelects();
+  updateConversionUI();
+  updateConversion();
+  renderRateDateInfo();
+  renderInvoiceList();
+  updateTaxSettings(settings);
+  renderHistory();
+}
+
+/**
+ * Caches references to the calculator elements.
+ * @function cacheCalculatorElements
+ * @sideEffects Modifies the `calculatorElements` object.
+ */
+function cacheCalculatorElements() {
+  calculatorElements = {
+    fromLabel: document.getElementById('fromLabel'),
+    fromSymbol: document.getElementById('fromSymbol'),
+    fromInput: document.getElementById('fromInput'),
+    fromPreview: document.getElementById('fromPreview'),
+    toLabel: document.getElementById('toLabel'),
+    toSymbol: document.getElementById('toSymbol'),
+    toInput: document.getElementById('toInput'),
+    toPreview: document.getElementById('toPreview'),
+    swapButton: document.getElementById('swapButton'),
+    resultCard: document.getElementById('resultCard'),
+    resultValue: document.getElementById('resultValue'),
+    copyButton: document.getElementById('copyButton'),
+    rateDateInput: document.getElementById('rateDateInput'),
+    rateDateResetButton: document.getElementById('rateDateResetButton'),
+    rateDateInfo: document.getElementById('rateDateInfo'),
+    fromCurrencySelect: document.getElementById('fromCurrencySelect'),
+    toCurrencySelect: document.getElementById('toCurrencySelect'),
+    modeButtons: document.querySelectorAll('[data-calculator-mode]'),
+    modePanels: document.querySelectorAll('[data-calculator-panel]')
+  };
+}
+
+/**
+ * Sets up event listeners for the calculator controls that exist on the page.
+ * Enter or leaving an amount field stores its conversion in the history without waiting for the amount to settle.
+ * @function setupCalculatorListeners
+ * @sideEffects Attaches event listeners to DOM elements. Calls `handleSwap`, `handleCopy`, `handleAmountInput`,
+ *              `recordConversion`, `handleRateDateChange`, `handleRateDateReset`, `handleCurrencyChange`, `handleModeChange`.
+ */
+function setupCalculatorListeners() {
+  calculatorElements.modeButtons.forEach(button => {
+    button.addEventListener('click', () => handleModeChange(button.dataset.calculatorMode));
+  });
+  if (calculatorElements.swapButton) calculatorElements.swapButton.addEventListener('click', handleSwap);
+  if (calculatorElements.copyButton) calculatorElements.copyButton.addEventListener('click', handleCopy);
+
+  for (const input of [calculatorElements.fromInput, calculatorElements.toInput]) {
+    if (!input) continue;
+    input.addEventListener('input', handleAmountInput);
+    input.addEventListener('keypress', (e) => { if (e.key === 'Enter') recordConversion(); });
+    input.addEventListener('blur', () => recordConversion());
+  }
+  if (calculatorElements.rateDateInput) {
+    calculatorElements.rateDateInput.max = toValueDateKey(new Date());
+    calculatorElements.rateDateInput.addEventListener('change', handleRateDateChange);
+  }
+  if (calculatorElements.rateDateResetButton) {
+    calculatorElements.rateDateResetButton.addEventListener('click', () => {
+      handleRateDateReset();
+      scheduleHistoryWrite();
+    });
+  }
+  if (calculatorElements.fromCurrencySelect) calculatorElements.fromCurrencySelect.addEventListener('change', () => handleCurrencyChange('from'));
+  if (calculatorElements.toCurrencySelect) calculatorElements.toCurrencySelect.addEventListener('change', () => handleCurrencyChange('to'));
+}
+
+/**
+ * Fills the currency pair selects with the supported currencies and selects the current pair.
+ * @function populateCurrencySelects
+ * @sideEffects Modifies the options of the currency select DOM calculatorElements.
+ */
+function populateCurrencySelects() {
+  for (const select of [calculatorElements.fromCurrencySelect, calculatorElements.toCurrencySelect]) {
+    if (!select) continue;
+    select.innerHTML = Object.values(CURRENCIES)
+      .map(currency => `<option value="${currency.code}">${currency.code} - ${getCurrencyName(currency.code)}</option>`)
+      .join('');
+  }
+  if (calculatorElements.fromCurrencySelect) calculatorElements.fromCurrencySelect.value = calculatorState.fromCurrency;
+  if (calculatorElements.toCurrencySelect) calculatorElements.toCurrencySelect.value = calculatorState.toCurrency;
+}
+
+/**
+ * Labels the amount fields with the selected currency pair: the first field with the currency converted from,
+ * the second with the currency converted to.
+ * @function updateConversionUI
+ * @sideEffects Modifies DOM content of the calculator labels and the currency select values.
+ */
+function updateConversionUI() {
+  if (!calculatorElements.fromLabel) return; 
+
+  const source = getCurrency(calculatorState.fromCurrency);
+  const target = getCurrency(calculatorState.toCurrency);
+
+  calculatorElements.fromLabel.textContent = t('amountIn', source.code);
+  calculatorElements.fromSymbol.textContent = source.symbol;
+  calculatorElements.toLabel.textContent = t('amountIn', target.code);
+  calculatorElements.toSymbol.textContent = target.symbol;
+  if (calculatorElements.fromCurrencySelect) calculatorElements.fromCurrencySelect.value = calculatorState.fromCurrency;
+  if (calculatorElements.toCurrencySelect) calculatorElements.toCurrencySelect.value = calculatorState.toCurrency;
+}
+
+/**
+ * Converts the amount of the field last typed in (a number or an arithmetic expression) into the other field,
+ * for the selected currency pair at the rate of the selected value date (or the current rate), and shows
+ * the result. An empty or invalid amount clears the other field; why it is invalid is shown below the amount.
+ * Nothing is stored in the history here (see `scheduleHistoryWrite` and `recordConversion`).
+ * @function updateConversion
+ * @sideEffects Modifies the value of the other amount field, the previews and the result card.
+ *              Updates `calculatorState.amount`, `calculatorState.result` and `calculatorState.conversion`.
+ */
+function updateConversion() {
+  if (!calculatorElements.fromInput || !calculatorElements.toInput) return;
+
+  const isFromSource = calculatorState.sourceField === 'from';
+  const [sourceInput, targetInput] = isFromSource
+    ? [calculatorElements.fromInput, calculatorElements.toInput]
+    : [calculatorElements.toInput, calculatorElements.fromInput];
+  // The amount typed is converted from its field's currency, whichever field it is
+  const [fromCurrency, toCurrency] = isFromSource
+    ? [calculatorState.fromCurrency, calculatorState.toCurrency]
+    : [calculatorState.toCurrency, calculatorState.fromCurrency];
+
+  calculatorState.conversion = null;
+  calculatorState.result = null;
+  renderAmountPreview(targetInput, '');
+
+  if (!sourceInput.value.trim()) {
+    renderAmountPreview(sourceInput, '');
+    showConversionResult(null);
+    targetInput.value = '';
+    return;
+  }
+
+  let amount;
+  let message = null;
+  try {
+    // Amounts are kept at the precision of their currency, as they are shown and saved
+    amount = roundAmount(readAmount(sourceInput), fromCurrency);
+    if (!(amount > 0)) message = t('enterAmountAboveZero');
+  } catch (error) {
+    message = error.message;
+  }
+
+  const { rates, rateDate } = getEffectiveRate();
+  const fromRate = getBsRate(fromCurrency, rates);
+  const toRate = getBsRate(toCurrency, rates);
+  if (!message && !calculatorState.isRateLookupPending && (fromRate === null || toRate === null)) {
+    const missing = fromRate === null ? fromCurrency : toCurrency;
+    message = calculatorState.rateDate ? t('noRateForSelectedDate', missing) : t('noRateAvailable', missing);
+  }
+
+  if (message || calculatorState.isRateLookupPending) {
+    renderAmountPreview(sourceInput, message || '', Boolean(message));
+    showConversionResult(null);
+    targetInput.value = '';
+    return;
+  }
+
+  const result = convertCurrency(amount, fromCurrency, toCurrency, rates);
+  calculatorState.amount = amount;
+  calculatorState.result = result;
+  calculatorState.conversion = {
+    fromAmount: amount,
+    fromCurrency,
+    toAmount: result,
+    toCurrency,
+    rate: fromCurrency === BASE_CURRENCY ? toRate : fromRate,
+    fromRate,
+    toRate,
+    rateDate
+  };
+
+  renderAmountPreview(sourceInput, isExpression(sourceInput.value) ? `= ${formatCurrency(amount, fromCurrency)}` : '');
+  targetInput.value = formatAmountInput(result, toCurrency);
+  showConversionResult(`${formatCurrency(amount, fromCurrency)} = ${formatCurrency(result, toCurrency)}`);
+}
+
+/**
+ * Shows the text of the current conversion in the result card, or hides the card.
+ * The card slides in when it appears, not on every change of the amount.
+ * @function showConversionResult
+ * @param {string|null} resultText - The conversion (e.g. "$10,00 = Bs. 368,70"), or null to hide the card.
+ * @sideEffects Modifies the result card DOM elements.
+ */
+function showConversionResult(resultText) {
+  if (!calculatorElements.resultValue || !calculatorElements.resultCard) return;
+
+  const card = calculatorElements.resultCard;
+  if (resultText === null) {
+    card.style.display = 'none';
+    return;
+  }
+
+  calculatorElements.resultValue.textContent = resultText;
+  if (card.style.display === 'none') {
+    card.style.display = 'flex';
+    card.classList.remove('slide-up');
+    void card.offsetWidth; // Force reflow
+    card.classList.add('slide-up');
+  }
+}
+
+/**
+ * Writes an amount into an amount field, in the number locale and without thousands separators,
+ * so it reads back as the same amount if the field is edited.
+ * @function formatAmountInput
+ * @param {number} amount - The amount.
+ * @param {string} currency - The currency of the amount, for its number of decimal places.
+ * @returns {string} The amount as written in the field (e.g. "368,7").
+ */
+function formatAmountInput(amount, currency) {
+  return amount.toLocaleString(getNumberLocale(), { useGrouping: false, maximumFractionDigits: getCurrencyPrecision(currency) });
+}
+
+/**
+ * Stores the current conversion in the history once the amount has not changed for `HISTORY_WRITE_DELAY_MS`,
+ * so typing an amount stores one conversion instead of one per keystroke.
+ * @function scheduleHistoryWrite
+ * @sideEffects Restarts the history write timer.
+ */
+function scheduleHistoryWrite() {
+  clearTimeout(historyWriteTimer);
+  historyWriteTimer = setTimeout(() => recordConversion(), HISTORY_WRITE_DELAY_MS);
+}
+
+/**
+ * Stores the current conversion in the history, unless there is none or it was the last one stored.
+ * @function recordConversion
+ * @param {string} [note] - A note to store with the conversion.
+ * @sideEffects Cancels the history write timer. Modifies `calculatorState.lastRecordedKey`.
+ *              Calls `addConversionToHistory` and `showLatestHistory`.
+ */
+function recordConversion(note) {
+  clearTimeout(historyWriteTimer);
+  historyWriteTimer = null;
+
+  const { conversion } = calculatorState;
+  if (!conversion) return;
+  const key = JSON.stringify(conversion);
+  if (key === calculatorState.lastRecordedKey) return;
+  calculatorState.lastRecordedKey = key;
+
+  // Show the new conversion on top; the history is re-rendered by `watchConversionHistory` once it is stored
+  showLatestHistory();
+  addConversionToHistory({ ...conversion, note });
+}
+
+/**
+ * Converts the amount of a history item again, with the same currency pair and note, at today's rate,
+ * and stores it in the history right away. Also used for conversions requested by other contexts.
+ * @function convertAgain
+ * @param {{fromAmount: number, fromCurrency: string, toCurrency: string, note?: string}} item - The history item or request.
+ * @sideEffects Modifies `calculatorState` and the calculator inputs. Calls `handleModeChange`, `handleRateDateReset`,
+ *              `updateConversionUI`, `updateConversion` and `recordConversion`.
+ */
+function convertAgain(item) {
+  if (!calculatorElements.fromInput || !calculatorElements.toInput) return;
+
+  handleModeChange('convert');
+  handleRateDateReset();
+  calculatorState.fromCurrency = item.fromCurrency;
+  calculatorState.toCurrency = item.toCurrency;
+  calculatorState.sourceField = 'from';
+  updateConversionUI();
+  // Written in the number locale, so the decimal separator is not mistaken for a thousands separator
+  calculatorElements.fromInput.value = item.fromAmount.toLocaleString(getNumberLocale(), { useGrouping: false, maximumFractionDigits: 20 });
+  updateConversion();
+  if (!calculatorState.conversion) {
+    showToast(calculatorElements.fromPreview?.textContent || t('couldNotConvert'));
+    return;
+  }
+  // Converting again is a new conversion even if it equals the last one stored
+  calculatorState.lastRecordedKey = null;
+  recordConversion(item.note);
+}
+
+/**
+ * Switches the calculator between converting amounts, breaking a price down into IVA and IGTF, and totalling a list.
+ * The rate date applies to every mode.
+ * @function handleModeChange
+ * @param {('convert'|'taxes'|'list')} mode - The mode to show.
+ * @sideEffects Modifies the visibility of the calculator panels and the class list of the mode buttons.
+ */
+function handleModeChange(mode) {
+  calculatorElements.modeButtons.forEach(button => {
+    button.classList.toggle('active', button.dataset.calculatorMode === mode);
+  });
+  calculatorElements.modePanels.forEach(panel => {
+    panel.hidden = panel.dataset.calculatorPanel !== mode;
+  });
+}
+
+/**
+ * Shows which rate conversions use and converts the amounts entered again, after the rates or the rate date changed.
+ * @function applyEffectiveRate
+ * @sideEffects Calls `renderRateDateInfo`, `updateConversion`, `renderTaxBreakdown` and `renderInvoiceTotals`.
+ */
+function applyEffectiveRate() {
+  renderRateDateInfo();
+  updateConversion();
+  renderTaxBreakdown();
+  renderInvoiceTotals();
+}
+
+/**
+ * Returns the rates to convert with: the historical rate in effect on the selected value date,
+ * or the current rates if no date is selected. The rate history only holds the USD rate.
+ * @function getEffectiveRate
+ * @returns {{rates: Object<string, number>, rateDate: string|null}} Bs per unit of each available currency
+ *          and the value date ('YYYY-MM-DD') they belong to. `rates` is empty if a date is selected but no rate is known for it.
+ */
+function getEffectiveRate() {
+  if (calculatorState.rateDate) {
+    return calculatorState.historicalRate
+      ? { rates: { USD: calculatorState.historicalRate.rate }, rateDate: calculatorState.historicalRate.date }
+      : { rates: {}, rateDate: calculatorState.rateDate };
+  }
+  return { rates: calculatorState.rates, rateDate: toValueDateKey(calculatorState.date) };
+}
+
+/**
+ * Handles a change of the rate date picker.
+ * Dates on or after the value date of the current rate use the current rate; earlier dates are looked up
+ * in the rate history, falling back to the last rate published before the date (weekends and holidays).
+ * The amount is converted again at the rate found, and stored in the history once settled.
+ * @async
+ * @function handleRateDateChange
+ * @sideEffects Modifies `calculatorState.rateDate`, `calculatorState.historicalRate` and `calculatorState.isRateLookupPending`.
+ *              Calls `getRateForDate`, `applyEffectiveRate` and `scheduleHistoryWrite`.
+ */
+async function handleRateDateChange() {
+  if (!calculatorElements.rateDateInput) return;
+
+  const selectedDate = calculatorElements.rateDateInput.value;
+  const currentRateDate = toValueDateKey(calculatorState.date);
+  if (!selectedDate || (currentRateDate && selectedDate >= currentRateDate)) {
+    handleRateDateReset();
+    scheduleHistoryWrite();
+    return;
+  }
+
+  calculatorState.rateDate = selectedDate;
+  calculatorState.historicalRate = null;
+  calculatorState.isRateLookupPending = true;
+  applyEffectiveRate();
+
+  const entry = await getRateForDate(selectedDate);
+  if (calculatorState.rateDate !== selectedDate) return; // A newer selection superseded this lookup
+
+  calculatorState.historicalRate = entry;
+  calculatorState.isRateLookupPending = false;
+  applyEffectiveRate();
+  scheduleHistoryWrite();
+}
+
+/**
+ * Clears the selected rate date so conversions use the current rate again.
+ * @function handleRateDateReset
+ * @sideEffects Modifies `calculatorState.rateDate`, `calculatorState.historicalRate` and the rate date input.
+ *              Calls `applyEffectiveRate`.
+ */
+function handleRateDateReset() {
+  calculatorState.rateDate = null;
+  calculatorState.historicalRate = null;
+  calculatorState.isRateLookupPending = false;
+  if (calculatorElements.rateDateInput) calculatorElements.rateDateInput.value = '';
+  applyEffectiveRate();
+}
+
+/**
+ * Renders the line under the rate date picker describing which rate conversions will use.
+ * @function renderRateDateInfo
+ * @sideEffects Modifies the text content and class list of the rate date info element.
+ */
+function renderRateDateInfo() {
+  if (!calculatorElements.rateDateInfo) return;
+
+  const info = calculatorElements.rateDateInfo;
+  info.classList.remove('historical', 'error');
+
+  if (!calculatorState.rateDate) {
+    info.textContent = calculatorState.currentRate ? t('usingCurrentRate', formatRate(calculatorState.currentRate)) : '';
+  } else if (calculatorState.isRateLookupPending) {
+    info.textContent = t('lookingUpRate', formatValueDate(calculatorState.rateDate));
+  } else if (calculatorState.historicalRate) {
+    const { date, rate } = calculatorState.historicalRate;
+    info.textContent = date === calculatorState.rateDate
+      ? t('usingRateOf', formatValueDate(date), formatRate(rate))
+      : t('usingEarlierRate', formatValueDate(calculatorState.rateDate), formatValueDate(date), formatRate(rate));
+    info.classList.add('historical');
+  } else {
+    info.textContent = t('noRateFound', formatValueDate(calculatorState.rateDate));
+    info.classList.add('error');
+  }
+}
+
+/**
+ * Handles the click event of the swap button, and its keyboard shortcut.
+ * Swaps the currencies converted from and to (e.g. USD to VES / VES to USD) together with their amounts,
+ * so both fields keep showing the same conversion.
+ * @function handleSwap
+ * @sideEffects Modifies `calculatorState.fromCurrency`, `calculatorState.toCurrency`, `calculatorState.sourceField`,
+ *              the amount fields and DOM classes for swap button. Calls `updateConversionUI` and `updateConversion`.
+ */
+function handleSwap() {
+  if (!calculatorElements.swapButton || !calculatorElements.fromInput || !calculatorElements.toInput) return;
+
+  [calculatorState.fromCurrency, calculatorState.toCurrency] = [calculatorState.toCurrency, calculatorState.fromCurrency];
+  [calculatorElements.fromInput.value, calculatorElements.toInput.value] = [calculatorElements.toInput.value, calculatorElements.fromInput.value];
+  calculatorState.sourceField = calculatorState.sourceField === 'from' ? 'to' : 'from';
+  calculatorElements.swapButton.classList.toggle('active');
+  updateConversionUI();
+  updateConversion();
+}
+
+/**
+ * Handles a change of one of the currency pair selects.
+ * Selecting the currency already on the other side swaps the pair instead of converting a currency to itself.
+ * The amount typed keeps its value and is converted again.
+ * @function handleCurrencyChange
+ * @param {('from'|'to')} side - Which select changed.
+ * @sideEffects Modifies `calculatorState.fromCurrency` and `calculatorState.toCurrency`. Calls `updateConversionUI`,
+ *              `updateConversion` and `scheduleHistoryWrite`.
+ */
+function handleCurrencyChange(side) {
+  const select = side === 'from' ? calculatorElements.fromCurrencySelect : calculatorElements.toCurrencySelect;
+  if (!select) return;
+
+  const previous = side === 'from' ? calculatorState.fromCurrency : calculatorState.toCurrency;
+  const selected = select.value;
+  if (side === 'from') {
+    calculatorState.fromCurrency = selected;
+    if (calculatorState.toCurrency === selected) calculatorState.toCurrency = previous;
+  } else {
+    calculatorState.toCurrency = selected;
+    if (calculatorState.fromCurrency === selected) calculatorState.fromCurrency = previous;
+  }
+  updateConversionUI();
+  updateConversion();
+  scheduleHistoryWrite();
+}
+
+/**
+ * Handles the keyboard shortcut of the amount field: shows the conversion mode and selects the amount last typed,
+ * so a new one can be typed over it.
+ * @function handleFocusAmount
+ * @sideEffects Calls `handleModeChange`. Moves the focus to an amount field.
+ */
+function handleFocusAmount() {
+  const input = calculatorState.sourceField === 'to' ? calculatorElements.toInput : calculatorElements.fromInput;
+  if (!input) return;
+  handleModeChange('convert');
+  input.focus();
+  input.select();
+}
+
+/**
+ * Handles the click event of the copy button, and its keyboard shortcut.
+ * Copies the current conversion result text to the clipboard.
+ * Shows a toast notification on success or failure.
+ * @async
+ * @function handleCopy
+ * @sideEffects Interacts with `navigator.clipboard`, calls `showToast`. Outputs to console on error.
+ */
+async function handleCopy() {
+  if (!calculatorState.result || !calculatorElements.resultValue) return;
+  
+  const resultText = calculatorElements.resultValue.textContent;
+  try {
+    await navigator.clipboard.writeText(resultText);
+    showToast(t('copiedToClipboard'));
+  } catch (err) {
+    console.error('Could not copy text: ', err);
+    showToast(t('failedToCopy'));
+  }
+}
+
+/**
+ * Handles typing in an amount field: removes characters that cannot be part of an amount or expression,
+ * converts the amount into the other field and stores the conversion in the history once the amount settles.
+ * @function handleAmountInput
+ * @param {Event} event - The input event object.
+ * @sideEffects Modifies the value of the input DOM element and `calculatorState.sourceField`.
+ *              Calls `updateConversion` and `scheduleHistoryWrite`.
+ */
+function handleAmountInput(event) {
+  if (!event.target) return;
+  const input = /** @type {HTMLInputElement} */ (event.target);
+
+  const allowed = input.value.replace(/[^\d.,+\-*/()%\s]/g, '');
+  if (allowed !== input.value) input.value = allowed;
+  calculatorState.sourceField = input === calculatorElements.toInput ? 'to' : 'from';
+  updateConversion();
+  scheduleHistoryWrite();
+}
+
+/**
+ * Evaluates the text of an amount field.
+ * @function readAmount
+ * @param {HTMLInputElement} input - The amount field.
+ * @returns {number} The amount.
+ * @throws {Error} If the text is not a valid amount or expression.
+ */
+function readAmount(input) {
+  return evaluateExpression(input.value, getDecimalSeparator());
+}
+
+/**
+ * Shows a line below an amount field: the value of the expression typed in it (e.g. "= Bs. 375,00" for "120*3+15"),
+ * or why its amount cannot be converted.
+ * @function renderAmountPreview
+ * @param {HTMLInputElement} input - The amount field.
+ * @param {string} text - The text to show; empty to hide the line.
+ * @param {boolean} [isError=false] - Whether the text explains why the amount is invalid.
+ * @sideEffects Modifies the text content and class list of the field's preview element.
+ */
+function renderAmountPreview(input, text, isError = false) {
+  const preview = input === calculatorElements.fromInput ? calculatorElements.fromPreview : calculatorElements.toPreview;
+  if (!preview) return;
+
+  preview.textContent = text;
+  preview.classList.toggle('error', isError);
+}
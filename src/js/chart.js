@@ -0,0 +1,186 @@
+/**
+ * @file Dependency-free SVG line chart for the rate history.
+ * Elements are created with the DOM API (no inline scripts or `eval`), so it works under the extension's CSP.
+ */
+
+import { formatRate } from './calculator.js';
+import { formatValueDate } from './rateHistory.js';
+import { t } from './i18n.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_HEIGHT = 160;
+const DEFAULT_CHART_WIDTH = 280;
+const PADDING = { top: 18, right: 10, bottom: 20, left: 10 };
+
+/**
+ * @typedef {object} ChartStats
+ * @property {{date: string, rate: number}} min - The entry with the lowest rate.
+ * @property {{date: string, rate: number}} max - The entry with the highest rate.
+ * @property {number} average - The average rate of all entries.
+ */
+
+/**
+ * Creates an SVG element with the given attributes.
+ * @function createSvgElement
+ * @param {string} tag - The SVG tag name.
+ * @param {Object<string, string|number>} [attributes={}] - Attributes to set on the element.
+ * @returns {SVGElement} The created element.
+ */
+function createSvgElement(tag, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, tag);
+  for (const [name, value] of Object.entries(attributes)) {
+    element.setAttribute(name, String(value));
+  }
+  return element;
+}
+
+/**
+ * Calculates the minimum, maximum and average of a rate series.
+ * @function getChartStats
+ * @param {Array<{date: string, rate: number}>} entries - The rate series. Must not be empty.
+ * @returns {ChartStats} The series statistics.
+ */
+export function getChartStats(entries) {
+  let min = entries[0];
+  let max = entries[0];
+  let sum = 0;
+
+  for (const entry of entries) {
+    if (entry.rate < min.rate) min = entry;
+    if (entry.rate > max.rate) max = entry;
+    sum += entry.rate;
+  }
+
+  return { min, max, average: sum / entries.length };
+}
+
+/**
+ * Renders a rate history line chart into a container, replacing its content.
+ * The chart shows min/max markers, a dashed average line and a tooltip with the date and rate
+ * of the point nearest to the pointer.
+ * @function renderRateChart
+ * @param {HTMLElement} container - The element to render into. Its width is used as the chart width.
+ * @param {Array<{date: string, rate: number}>} entries - The rate series, sorted by ascending date.
+ * @param {object} [options={}] - Rendering options.
+ * @param {string} [options.emptyMessage] - Text shown when fewer than two entries are available.
+ *        Defaults to "Not enough rate history for this range yet" in the language of the interface.
+ * @returns {ChartStats|null} The series statistics, or null if there was not enough data to draw a chart.
+ * @sideEffects Replaces the content of `container` and attaches pointer listeners to the chart.
+ */
+export function renderRateChart(container, entries, { emptyMessage = t('chartNotEnoughHistory') } = {}) {
+  container.replaceChildren();
+
+  if (!entries || entries.length < 2) {
+    const empty = document.createElement('div');
+    empty.className = 'chart-empty';
+    empty.textContent = emptyMessage;
+    container.appendChild(empty);
+    return null;
+  }
+
+  const width = container.clientWidth || DEFAULT_CHART_WIDTH;
+  const height = CHART_HEIGHT;
+  const stats = getChartStats(entries);
+
+  // Scales: x by calendar time so gaps (weekends, holidays) keep their width, y with a little headroom
+  const times = entries.map(entry => Date.parse(`${entry.date}T00:00:00Z`));
+  const firstTime = times[0];
+  const timeSpan = times[times.length - 1] - firstTime || 1;
+  const rateSpan = stats.max.rate - stats.min.rate || stats.max.rate * 0.01 || 1;
+  const yMin = stats.min.rate - rateSpan * 0.1;
+  const yMax = stats.max.rate + rateSpan * 0.1;
+
+  const plotWidth = width - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const xFor = time => PADDING.left + ((time - firstTime) / timeSpan) * plotWidth;
+  const yFor = rate => PADDING.top + (1 - (rate - yMin) / (yMax - yMin)) * plotHeight;
+
+  const points = entries.map((entry, index) => ({ ...entry, x: xFor(times[index]), y: yFor(entry.rate) }));
+  const linePath = points.map((point, index) => `${index === 0 ? 'M' : 'L'}${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(' ');
+  const baseline = (PADDING.top + plotHeight).toFixed(1);
+  const areaPath = `${linePath} L${points[points.length - 1].x.toFixed(1)},${baseline} L${points[0].x.toFixed(1)},${baseline} Z`;
+
+  const svg = createSvgElement('svg', {
+    class: 'rate-chart-svg',
+    width,
+    height,
+    viewBox: `0 0 ${width} ${height}`,
+    role: 'img',
+    'aria-label': t('chartAriaLabel', formatValueDate(entries[0].date), formatValueDate(entries[entries.length - 1].date))
+  });
+
+  svg.appendChild(createSvgElement('path', { class: 'chart-area', d: areaPath }));
+  svg.appendChild(createSvgElement('path', { class: 'chart-line', d: linePath }));
+
+  // Average line
+  const averageY = yFor(stats.average);
+  svg.appendChild(createSvgElement('line', {
+    class: 'chart-average',
+    x1: PADDING.left,
+    x2: width - PADDING.right,
+    y1: averageY,
+    y2: averageY
+  }));
+  const averageLabel = createSvgElement('text', { class: 'chart-label', x: width - PADDING.right, y: averageY - 3, 'text-anchor': 'end' });
+  averageLabel.textContent = t('chartAverage', formatRate(stats.average));
+  svg.appendChild(averageLabel);
+
+  // Min/max markers
+  for (const [kind, entry] of [['max', stats.max], ['min', stats.min]]) {
+    const point = points[entries.indexOf(entry)];
+    svg.appendChild(createSvgElement('circle', { class: `chart-marker chart-marker-${kind}`, cx: point.x, cy: point.y, r: 3 }));
+    const label = createSvgElement('text', {
+      class: 'chart-label',
+      x: Math.min(Math.max(point.x, PADDING.left + 30), width - PADDING.right - 30),
+      y: kind === 'max' ? point.y - 6 : point.y + 12,
+      'text-anchor': 'middle'
+    });
+    label.textContent = t(kind === 'max' ? 'chartMax' : 'chartMin', formatRate(entry.rate).replace('Bs. ', ''));
+    svg.appendChild(label);
+  }
+
+  // X-axis labels: first and last date
+  const startLabel = createSvgElement('text', { class: 'chart-axis-label', x: PADDING.left, y: height - 4, 'text-anchor': 'start' });
+  startLabel.textContent = formatValueDate(entries[0].date);
+  const endLabel = createSvgElement('text', { class: 'chart-axis-label', x: width - PADDING.right, y: height - 4, 'text-anchor': 'end' });
+  endLabel.textContent = formatValueDate(entries[entries.length - 1].date);
+  svg.append(startLabel, endLabel);
+
+  // Hover guide, focus point and capture layer
+  const guide = createSvgElement('line', { class: 'chart-guide', y1: PADDING.top, y2: PADDING.top + plotHeight, visibility: 'hidden' });
+  const focus = createSvgElement('circle', { class: 'chart-focus', r: 4, visibility: 'hidden' });
+  const overlay = createSvgElement('rect', { class: 'chart-overlay', x: 0, y: 0, width, height });
+  svg.append(guide, focus, overlay);
+
+  const tooltip = document.createElement('div');
+  tooltip.className = 'chart-tooltip';
+  tooltip.hidden = true;
+
+  overlay.addEventListener('mousemove', (event) => {
+    const bounds = svg.getBoundingClientRect();
+    const pointerX = ((event.clientX - bounds.left) / bounds.width) * width;
+    const nearest = points.reduce((best, point) => Math.abs(point.x - pointerX) < Math.abs(best.x - pointerX) ? point : best);
+
+    guide.setAttribute('x1', String(nearest.x));
+    guide.setAttribute('x2', String(nearest.x));
+    focus.setAttribute('cx', String(nearest.x));
+    focus.setAttribute('cy', String(nearest.y));
+    guide.setAttribute('visibility', 'visible');
+    focus.setAttribute('visibility', 'visible');
+
+    tooltip.textContent = `${formatValueDate(nearest.date)}: ${formatRate(nearest.rate)}`;
+    tooltip.hidden = false;
+    const left = Math.min(Math.max(nearest.x - tooltip.offsetWidth / 2, 0), width - tooltip.offsetWidth);
+    tooltip.style.left = `${left}px`;
+    tooltip.style.top = `${Math.max(nearest.y - 34, 0)}px`;
+  });
+
+  overlay.addEventListener('mouseleave', () => {
+    guide.setAttribute('visibility', 'hidden');
+    focus.setAttribute('visibility', 'hidden');
+    tooltip.hidden = true;
+  });
+
+  container.append(svg, tooltip);
+  return stats;
+}
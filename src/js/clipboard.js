@@ -0,0 +1,32 @@
+/**
+ * @file Copies text to the clipboard from the service worker, which has no `navigator.clipboard` of its own: the text
+ * is sent to a short-lived offscreen document (`offscreen.html`) that copies it and is closed right after.
+ */
+
+const OFFSCREEN_DOCUMENT = 'offscreen.html';
+
+/**
+ * Copies a text to the clipboard through the offscreen document.
+ * @async
+ * @export
+ * @function copyTextFromServiceWorker
+ * @param {string} text - The text to copy.
+ * @returns {Promise<void>}
+ * @throws {Error} If the offscreen document cannot be created or could not copy the text.
+ * @sideEffects Creates and closes an offscreen document. Modifies the clipboard.
+ */
+export async function copyTextFromServiceWorker(text) {
+  if (!(await chrome.offscreen.hasDocument())) {
+    await chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT,
+      reasons: ['CLIPBOARD'],
+      justification: 'Copy conversion results to the clipboard'
+    });
+  }
+  try {
+    const response = await chrome.runtime.sendMessage({ target: 'offscreen', type: 'copy', text });
+    if (!response || !response.copied) throw new Error('The offscreen document could not copy the text.');
+  } finally {
+    await chrome.offscreen.closeDocument();
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * @file Conversions the service worker asks the side panel to show, e.g. for text selected in a page.
+ * The request is handed over in `chrome.storage.session`, which the side panel reads when it opens and watches
+ * while it is open, so it arrives whether the panel was already open or is opened for it.
+ */
+
+export const CONVERSION_REQUEST_KEY = 'bcvConversionRequest';
+// A request the side panel did not pick up in time (e.g. it could not be opened) is dropped instead of shown later
+const REQUEST_MAX_AGE_MS = 30 * 1000;
+
+/**
+ * @typedef {object} ConversionRequest
+ * @property {number} fromAmount - The amount to convert.
+ * @property {string} fromCurrency - The code of the currency the amount is in.
+ * @property {string} toCurrency - The code of the currency to convert to.
+ * @property {string} [note] - A note to store with the conversion.
+ * @property {number} createdAt - When the request was made, in milliseconds since the epoch.
+ */
+
+/**
+ * Asks the side panel to convert an amount and store the conversion in the history.
+ * @async
+ * @export
+ * @function sendConversionRequest
+ * @param {Omit<ConversionRequest, 'createdAt'>} request - The conversion to show.
+ * @returns {Promise<void>}
+ * @sideEffects Modifies `chrome.storage.session`.
+ */
+export async function sendConversionRequest(request) {
+  await chrome.storage.session.set({ [CONVERSION_REQUEST_KEY]: { ...request, createdAt: Date.now() } });
+}
+
+/**
+ * Calls back with the pending conversion request, if any, and with each one made later. Each request is removed
+ * once taken, so it is not shown again when the side panel is opened next.
+ * @export
+ * @function watchConversionRequests
+ * @param {function(ConversionRequest): void} callback - Called with each request.
+ * @sideEffects Reads and modifies `chrome.storage.session`. Attaches a `chrome.storage.onChanged` listener.
+ */
+export function watchConversionRequests(callback) {
+  if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.session) return;
+
+  const take = async () => {
+    const result = await chrome.storage.session.get(CONVERSION_REQUEST_KEY);
+    const request = result[CONVERSION_REQUEST_KEY];
+    if (!request) return;
+    await chrome.storage.session.remove(CONVERSION_REQUEST_KEY);
+    if (Date.now() - request.createdAt <= REQUEST_MAX_AGE_MS) callback(request);
+  };
+
+  take().catch(error => console.error('Error reading the conversion request:', error));
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'session' && changes[CONVERSION_REQUEST_KEY] && changes[CONVERSION_REQUEST_KEY].newValue) {
+      take().catch(error => console.error('Error reading the conversion request:', error));
+    }
+  });
+}
@@ -0,0 +1,70 @@
+/**
+ * @file Currency model: the currencies the BCV publishes official rates for, plus the bolívar itself.
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * Code used for the Venezuelan bolívar (VES). All rates are expressed in bolívares per unit of currency.
+ * Kept as 'Bs' for compatibility with previously stored conversion history.
+ */
+export const BASE_CURRENCY = 'Bs';
+
+/**
+ * @typedef {object} Currency
+ * @property {string} code - The code used in state, storage and history (ISO 4217, except 'Bs').
+ * @property {string} name - Human-readable name, in English. Use `getCurrencyName` to display it.
+ * @property {string} symbol - Symbol shown next to amounts.
+ */
+
+/**
+ * All supported currencies, keyed by code, in display order.
+ * @type {Object<string, Currency>}
+ */
+export const CURRENCIES = {
+  USD: { code: 'USD', name: 'US Dollar', symbol: '$' },
+  EUR: { code: 'EUR', name: 'Euro', symbol: '€' },
+  CNY: { code: 'CNY', name: 'Chinese Yuan', symbol: '¥' },
+  TRY: { code: 'TRY', name: 'Turkish Lira', symbol: '₺' },
+  RUB: { code: 'RUB', name: 'Russian Ruble', symbol: '₽' },
+  [BASE_CURRENCY]: { code: BASE_CURRENCY, name: 'Bolívar', symbol: 'Bs.' }
+};
+
+/**
+ * Codes of the currencies the BCV publishes a rate for, in display order.
+ * @type {Array<string>}
+ */
+export const FOREIGN_CURRENCIES = Object.keys(CURRENCIES).filter(code => code !== BASE_CURRENCY);
+
+/**
+ * Looks up a currency by code. Unknown codes get a generic entry so older or foreign history items still display.
+ * @function getCurrency
+ * @param {string} code - The currency code.
+ * @returns {Currency} The currency.
+ */
+export function getCurrency(code) {
+  return CURRENCIES[code] || { code, name: code, symbol: code };
+}
+
+/**
+ * Returns the name of a currency in the language of the interface (e.g. "Dólar estadounidense").
+ * @function getCurrencyName
+ * @param {string} code - The currency code.
+ * @returns {string} The name. Unknown codes are returned as is.
+ */
+export function getCurrencyName(code) {
+  return Object.prototype.hasOwnProperty.call(CURRENCIES, code) ? t(`currencyName${code}`) : getCurrency(code).name;
+}
+
+/**
+ * Returns the rate of a currency in bolívares per unit, using a map of published rates.
+ * @function getBsRate
+ * @param {string} code - The currency code.
+ * @param {Object<string, number>} rates - Bs per unit of each foreign currency, keyed by code.
+ * @returns {number|null} The rate (1 for the bolívar itself), or null if the rate is unknown.
+ */
+export function getBsRate(code, rates) {
+  if (code === BASE_CURRENCY) return 1;
+  const rate = rates ? rates[code] : undefined;
+  return typeof rate === 'number' && !isNaN(rate) && rate > 0 ? rate : null;
+}
@@ -0,0 +1,158 @@
+/**
+ * @file Exact decimal arithmetic for money. Amounts and rates are handled as a BigInt of digits and a number
+ * of decimal places instead of binary floating point, so 1.005 rounds to 1.01 and 0.1 + 0.2 is 0.3.
+ * Numbers are read as their shortest decimal representation, i.e. as they are written.
+ */
+
+/**
+ * @typedef {object} Decimal
+ * @property {bigint} digits - The value times 10^scale.
+ * @property {number} scale - The number of decimal places.
+ */
+
+// Decimal places kept when a division does not end (e.g. 1 / 3)
+const DIVISION_SCALE = 20;
+
+/**
+ * Reads a number as the decimal it is written as (e.g. 0.1 as exactly one tenth).
+ * @export
+ * @function toDecimal
+ * @param {number} value - The number.
+ * @returns {Decimal} The decimal.
+ * @throws {Error} If the number is not finite.
+ */
+export function toDecimal(value) {
+  if (typeof value !== 'number' || !isFinite(value)) throw new Error(`Not a finite number: ${value}`);
+
+  const [mantissa, exponentText] = String(value).split('e');
+  const [integerPart, fractionPart = ''] = mantissa.replace('-', '').split('.');
+  let digits = BigInt(integerPart + fractionPart);
+  let scale = fractionPart.length - Number(exponentText || 0);
+  if (scale < 0) {
+    digits *= 10n ** BigInt(-scale);
+    scale = 0;
+  }
+  return { digits: value < 0 ? -digits : digits, scale };
+}
+
+/**
+ * Writes a decimal with a decimal point and all its places, never in exponent notation (e.g. "0.0000001").
+ * @export
+ * @function toPlainString
+ * @param {Decimal} decimal - The decimal.
+ * @returns {string} The decimal as text.
+ */
+export function toPlainString(decimal) {
+  const negative = decimal.digits < 0n;
+  const text = (negative ? -decimal.digits : decimal.digits).toString().padStart(decimal.scale + 1, '0');
+  const integerPart = text.slice(0, text.length - decimal.scale);
+  const fractionPart = text.slice(text.length - decimal.scale);
+  return `${negative ? '-' : ''}${integerPart}${fractionPart ? `.${fractionPart}` : ''}`;
+}
+
+/**
+ * Converts a decimal to the nearest number.
+ * @export
+ * @function toNumber
+ * @param {Decimal} decimal - The decimal.
+ * @returns {number} The number.
+ */
+export function toNumber(decimal) {
+  return Number(toPlainString(decimal));
+}
+
+/**
+ * Returns the digits of a decimal at a larger number of decimal places.
+ * @function digitsAtScale
+ * @param {Decimal} decimal - The decimal.
+ * @param {number} scale - The number of decimal places, at least `decimal.scale`.
+ * @returns {bigint} The value times 10^scale.
+ */
+function digitsAtScale(decimal, scale) {
+  return decimal.digits * 10n ** BigInt(scale - decimal.scale);
+}
+
+/**
+ * Adds two decimals.
+ * @export
+ * @function add
+ * @param {Decimal} a - The first decimal.
+ * @param {Decimal} b - The second decimal.
+ * @returns {Decimal} The exact sum.
+ */
+export function add(a, b) {
+  const scale = Math.max(a.scale, b.scale);
+  return { digits: digitsAtScale(a, scale) + digitsAtScale(b, scale), scale };
+}
+
+/**
+ * Subtracts a decimal from another.
+ * @export
+ * @function subtract
+ * @param {Decimal} a - The decimal to subtract from.
+ * @param {Decimal} b - The decimal to subtract.
+ * @returns {Decimal} The exact difference.
+ */
+export function subtract(a, b) {
+  return add(a, { digits: -b.digits, scale: b.scale });
+}
+
+/**
+ * Multiplies two decimals.
+ * @export
+ * @function multiply
+ * @param {Decimal} a - The first decimal.
+ * @param {Decimal} b - The second decimal.
+ * @returns {Decimal} The exact product.
+ */
+export function multiply(a, b) {
+  return { digits: a.digits * b.digits, scale: a.scale + b.scale };
+}
+
+/**
+ * Divides two decimals. A quotient that does not end is cut after `DIVISION_SCALE` places and marked with
+ * a trailing 1, so rounding never takes it for an exact half.
+ * @export
+ * @function divide
+ * @param {Decimal} a - The dividend.
+ * @param {Decimal} b - The divisor.
+ * @returns {Decimal} The quotient.
+ * @throws {Error} If the divisor is zero.
+ */
+export function divide(a, b) {
+  if (b.digits === 0n) throw new Error('Division by zero');
+
+  const scale = Math.max(DIVISION_SCALE, a.scale - b.scale);
+  const dividend = a.digits * 10n ** BigInt(scale + b.scale - a.scale);
+  const quotient = dividend / b.digits;
+  if (dividend % b.digits === 0n) return { digits: quotient, scale };
+
+  const sign = (dividend < 0n) !== (b.digits < 0n) ? -1n : 1n;
+  return { digits: quotient * 10n + sign, scale: scale + 1 };
+}
+
+/**
+ * Rounds a decimal to a number of decimal places.
+ * @export
+ * @function round
+ * @param {Decimal} decimal - The decimal.
+ * @param {number} places - The number of decimal places to keep.
+ * @param {('half-up'|'half-even'|'truncate')} mode - 'half-up' rounds halves away from zero (2.345 → 2.35),
+ *        'half-even' rounds halves to the even digit (2.345 → 2.34, 2.355 → 2.36), and 'truncate' drops the
+ *        extra places (2.349 → 2.34).
+ * @returns {Decimal} The rounded decimal.
+ */
+export function round(decimal, places, mode) {
+  if (decimal.scale <= places) return decimal;
+
+  const divisor = 10n ** BigInt(decimal.scale - places);
+  const negative = decimal.digits < 0n;
+  const magnitude = negative ? -decimal.digits : decimal.digits;
+  let quotient = magnitude / divisor;
+  if (mode !== 'truncate') {
+    const doubledRemainder = (magnitude % divisor) * 2n;
+    const isOdd = quotient % 2n === 1n;
+    if (doubledRemainder > divisor || (doubledRemainder === divisor && (mode === 'half-up' || isOdd))) quotient += 1n;
+  }
+  return { digits: negative ? -quotient : quotient, scale: places };
+}
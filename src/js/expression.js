@@ -0,0 +1,197 @@
+/**
+ * @file Arithmetic expressions for the amount fields (e.g. "120*3+15", "1.500,75 + 16%"), evaluated by a small
+ * recursive-descent parser instead of `eval`. Supports + - * / parentheses and percentages, and numbers written
+ * with either decimal comma or decimal point and optional thousands separators.
+ */
+
+import { t } from './i18n.js';
+import { toDecimal, toNumber, add, subtract, multiply, divide } from './decimal.js';
+
+/**
+ * @typedef {object} Token
+ * @property {('number'|'operator')} type - The kind of token.
+ * @property {string} text - The token as typed.
+ * @property {number} [value] - The value of a number token.
+ */
+
+/**
+ * @typedef {object} Term
+ * @property {import('./decimal.js').Decimal} value - The exact value of the term.
+ * @property {boolean} isPercent - Whether the term is a lone percentage (e.g. "16%"), which `+` and `-` apply
+ *           to the left operand (100 + 16% = 116) instead of adding its value.
+ */
+
+const OPERATORS = '+-*/()%';
+const HUNDRED = toDecimal(100);
+
+/**
+ * Parses a number as typed, deciding which separator is the decimal one.
+ * - With both '.' and ',' (e.g. "1.500,75" or "1,500.75"), the last one is the decimal separator.
+ * - A separator repeated (e.g. "1.500.000") separates thousands.
+ * - A single separator is decimal if it is the locale's one. The other one separates thousands when followed by
+ *   exactly three digits (e.g. "1.500" with decimal comma), and is decimal otherwise (e.g. "36.87").
+ * - Numbers starting with 0 have no thousands separators, so "0.500" is a half and "001.500" is 1.5.
+ * @function parseNumber
+ * @param {string} text - The number as typed (digits, '.' and ',').
+ * @param {string} decimalSeparator - The decimal separator of the number locale.
+ * @returns {number} The value.
+ * @throws {Error} If the separators are misplaced (e.g. "1.2.3" or "1,5.000").
+ */
+export function parseNumber(text, decimalSeparator) {
+  const invalid = () => new Error(t('errorInvalidNumber', text));
+  const lastDot = text.lastIndexOf('.');
+  const lastComma = text.lastIndexOf(',');
+
+  let decimal = null;
+  if (lastDot !== -1 && lastComma !== -1) {
+    decimal = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? '.' : ',';
+    const isRepeated = text.indexOf(separator) !== text.lastIndexOf(separator);
+    const digitsAfter = text.length - text.lastIndexOf(separator) - 1;
+    if (!isRepeated && (separator === decimalSeparator || digitsAfter !== 3 || text.startsWith('0'))) decimal = separator;
+  }
+
+  const [integerPart, fractionPart = ''] = decimal ? [text.slice(0, text.lastIndexOf(decimal)), text.slice(text.lastIndexOf(decimal) + 1)] : [text];
+  if (/[.,]/.test(fractionPart)) throw invalid();
+
+  // Thousands separators must all be the same and group the digits by three
+  const groups = integerPart.split(/[.,]/);
+  if (groups.length > 1) {
+    const thousands = integerPart.match(/[.,]/)[0];
+    if (thousands === decimal || integerPart.includes(thousands === '.' ? ',' : '.')) throw invalid();
+    if (!/^[1-9]\d{0,2}$/.test(groups[0]) || groups.slice(1).some(group => !/^\d{3}$/.test(group))) throw invalid();
+  }
+
+  const digits = groups.join('');
+  if (digits === '' && fractionPart === '') throw invalid();
+  return Number(`${digits || '0'}.${fractionPart || '0'}`);
+}
+
+/**
+ * Splits an expression into numbers and operators.
+ * @function tokenize
+ * @param {string} text - The expression.
+ * @param {string} decimalSeparator - The decimal separator of the number locale.
+ * @returns {Array<Token>} The tokens.
+ * @throws {Error} If the expression contains other characters.
+ */
+function tokenize(text, decimalSeparator) {
+  const tokens = [];
+  let index = 0;
+  while (index < text.length) {
+    const char = text[index];
+    if (/\s/.test(char)) {
+      index++;
+    } else if (OPERATORS.includes(char)) {
+      tokens.push({ type: 'operator', text: char });
+      index++;
+    } else if (/[\d.,]/.test(char)) {
+      const [number] = text.slice(index).match(/^[\d.,]+/);
+      tokens.push({ type: 'number', text: number, value: parseNumber(number, decimalSeparator) });
+      index += number.length;
+    } else {
+      throw new Error(t('errorUnexpected', char));
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Evaluates an arithmetic expression in exact decimal arithmetic (see `decimal.js`), so "0.175*7" is 1.225
+ * and not 1.2249999999999999, and rounds as typed. The result is converted to a number at the end.
+ * Percentages follow calculator conventions: "200 + 10%" is 220, "200 - 10%" is 180, "200 * 10%" is 20
+ * and a lone "10%" is 0.1.
+ * @export
+ * @function evaluateExpression
+ * @param {string} text - The expression (e.g. "120*3+15" or "1.500,75 - 5%").
+ * @param {string} decimalSeparator - The decimal separator of the number locale, used for ambiguous numbers.
+ * @returns {number} The value of the expression.
+ * @throws {Error} If the expression is empty, malformed, or divides by zero.
+ */
+export function evaluateExpression(text, decimalSeparator) {
+  const tokens = tokenize(text, decimalSeparator);
+  if (tokens.length === 0) throw new Error(t('errorEmptyExpression'));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (token, operators) => token && token.type === 'operator' && operators.includes(token.text);
+
+  // expression := term (('+' | '-') term)*
+  /** @returns {import('./decimal.js').Decimal} */
+  const parseExpression = () => {
+    let { value } = parseTerm();
+    while (isOperator(peek(), '+-')) {
+      const operator = tokens[position++].text;
+      const term = parseTerm();
+      const operand = term.isPercent ? multiply(value, term.value) : term.value;
+      value = operator === '+' ? add(value, operand) : subtract(value, operand);
+    }
+    return value;
+  };
+
+  // term := factor (('*' | '/') factor)*
+  /** @returns {Term} */
+  const parseTerm = () => {
+    let factor = parseFactor();
+    let value = factor.value;
+    let isPercent = factor.isPercent;
+    while (isOperator(peek(), '*/')) {
+      const operator = tokens[position++].text;
+      factor = parseFactor();
+      if (operator === '/' && factor.value.digits === 0n) throw new Error(t('errorDivisionByZero'));
+      value = operator === '*' ? multiply(value, factor.value) : divide(value, factor.value);
+      isPercent = false;
+    }
+    return { value, isPercent };
+  };
+
+  // factor := ('+' | '-') factor | (number | '(' expression ')') '%'?
+  /** @returns {Term} */
+  const parseFactor = () => {
+    const token = peek();
+    if (isOperator(token, '+-')) {
+      position++;
+      const factor = parseFactor();
+      const value = token.text === '-' ? { digits: -factor.value.digits, scale: factor.value.scale } : factor.value;
+      return { value, isPercent: factor.isPercent };
+    }
+
+    let value;
+    if (token && token.type === 'number') {
+      position++;
+      // Numbers too long for a double are Infinity, which has no decimal
+      if (!isFinite(token.value)) throw new Error(t('errorResultTooLarge'));
+      value = toDecimal(token.value);
+    } else if (isOperator(token, '(')) {
+      position++;
+      value = parseExpression();
+      if (!isOperator(peek(), ')')) throw new Error(t('errorMissingParenthesis'));
+      position++;
+    } else {
+      throw new Error(token ? t('errorUnexpected', token.text) : t('errorIncompleteExpression'));
+    }
+
+    if (isOperator(peek(), '%')) {
+      position++;
+      return { value: divide(value, HUNDRED), isPercent: true };
+    }
+    return { value, isPercent: false };
+  };
+
+  const value = toNumber(parseExpression());
+  if (position < tokens.length) throw new Error(t('errorUnexpected', tokens[position].text));
+  if (!isFinite(value)) throw new Error(t('errorResultTooLarge'));
+  return value;
+}
+
+/**
+ * Checks whether text is more than a plain number, i.e. worth previewing its evaluated value.
+ * @export
+ * @function isExpression
+ * @param {string} text - The text typed in an amount field.
+ * @returns {boolean} True if the text contains an operator.
+ */
+export function isExpression(text) {
+  return /[+\-*/()%]/.test(text.trim());
+}
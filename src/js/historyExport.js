@@ -0,0 +1,238 @@
+/**
+ * @file Export of the conversion history to files for spreadsheets and bookkeeping: CSV (with a choice of
+ * decimal separator), JSON and an Excel-compatible workbook (SpreadsheetML 2003, which Excel opens as .xls).
+ */
+
+import { t } from './i18n.js';
+import { toDecimal, toPlainString } from './decimal.js';
+
+export const EXPORT_FORMATS = {
+  csv: { name: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  json: { name: 'JSON', extension: 'json', mimeType: 'application/json' },
+  xls: { name: 'Excel', extension: 'xls', mimeType: 'application/vnd.ms-excel' }
+};
+
+/**
+ * Columns of the exported records, in order. `header` is the message name of the column title in CSV and Excel files.
+ * @type {Array<{key: string, header: string, type: ('date'|'number'|'string')}>}
+ */
+const EXPORT_COLUMNS = [
+  { key: 'timestamp', header: 'exportColumnDate', type: 'date' },
+  { key: 'fromAmount', header: 'exportColumnFromAmount', type: 'number' },
+  { key: 'fromCurrency', header: 'exportColumnFromCurrency', type: 'string' },
+  { key: 'toAmount', header: 'exportColumnToAmount', type: 'number' },
+  { key: 'toCurrency', header: 'exportColumnToCurrency', type: 'string' },
+  { key: 'rate', header: 'exportColumnRate', type: 'number' },
+  { key: 'rateDate', header: 'exportColumnRateDate', type: 'string' },
+  { key: 'note', header: 'exportColumnNote', type: 'string' }
+];
+
+/**
+ * @typedef {object} HistoryExportOptions
+ * @property {('csv'|'json'|'xls')} format - The file format.
+ * @property {('.'|',')} [decimalSeparator='.'] - The decimal separator of CSV numbers. With ',' the fields
+ *           are separated by ';', as spreadsheets using decimal commas expect.
+ * @property {string} [from] - First local date ('YYYY-MM-DD') of the conversions to export. Unbounded if empty.
+ * @property {string} [to] - Last local date ('YYYY-MM-DD') of the conversions to export. Unbounded if empty.
+ */
+
+/**
+ * @typedef {object} HistoryExport
+ * @property {Blob} blob - The file contents.
+ * @property {string} filename - The suggested file name (e.g. 'bcv-history-2024-05-01.csv').
+ * @property {number} count - The number of conversions in the file.
+ */
+
+/**
+ * Returns the local date ('YYYY-MM-DD') of a timestamp.
+ * @function toLocalDateKey
+ * @param {string|Date} date - An ISO string or a `Date`.
+ * @returns {string|null} The local date, or null if the date is invalid.
+ */
+function toLocalDateKey(date) {
+  const parsed = date instanceof Date ? date : new Date(date);
+  if (!date || isNaN(parsed.getTime())) return null;
+  // 'en-CA' formats dates as YYYY-MM-DD
+  return parsed.toLocaleDateString('en-CA');
+}
+
+/**
+ * Returns the conversions made between two local dates, inclusive.
+ * @export
+ * @function filterHistoryByDate
+ * @param {Array<import('./storage.js').ConversionItem>} history - The conversion history.
+ * @param {{from?: string, to?: string}} range - The first and last dates ('YYYY-MM-DD'). Either may be empty.
+ * @returns {Array<import('./storage.js').ConversionItem>} The conversions in the range.
+ */
+export function filterHistoryByDate(history, { from, to } = {}) {
+  return history.filter(item => {
+    const dateKey = toLocalDateKey(item.timestamp);
+    if (!dateKey) return false;
+    return (!from || dateKey >= from) && (!to || dateKey <= to);
+  });
+}
+
+/**
+ * Picks the exported fields of a conversion.
+ * @function toExportRecord
+ * @param {import('./storage.js').ConversionItem} item - The conversion.
+ * @param {boolean} localDates - Whether the timestamp is written as local date and time (for spreadsheets)
+ *                               instead of the stored ISO string.
+ * @returns {Object<string, (string|number|null)>} The record, keyed by column.
+ */
+function toExportRecord(item, localDates) {
+  const record = {};
+  for (const column of EXPORT_COLUMNS) {
+    const value = item[column.key];
+    if (column.type === 'date' && localDates) {
+      // 'sv-SE' formats local date and time as "YYYY-MM-DD HH:MM:SS", which spreadsheets parse as a date
+      record[column.key] = new Date(value).toLocaleString('sv-SE');
+    } else if (column.type === 'number') {
+      record[column.key] = typeof value === 'number' && isFinite(value) ? value : null;
+    } else {
+      record[column.key] = value ?? null;
+    }
+  }
+  return record;
+}
+
+/**
+ * Writes a number as a decimal without exponent, so very small or large amounts (e.g. 1e-7) keep their digits.
+ * @function formatExportNumber
+ * @param {number} value - The number, finite.
+ * @returns {string} The number, with a decimal point.
+ */
+function formatExportNumber(value) {
+  return toPlainString(toDecimal(value));
+}
+
+/**
+ * Quotes a CSV field if needed. Text starting with a formula character is prefixed with an apostrophe,
+ * so spreadsheets do not evaluate it.
+ * @function escapeCsvField
+ * @param {string|number|null} value - The field value, already formatted.
+ * @param {string} delimiter - The field delimiter.
+ * @returns {string} The field as written to the file.
+ */
+function escapeCsvField(value, delimiter) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds a CSV file with a header row.
+ * @function toCsv
+ * @param {Array<Object<string, (string|number|null)>>} records - The export records.
+ * @param {('.'|',')} decimalSeparator - The decimal separator of numbers.
+ * @returns {string} The CSV text, starting with a byte order mark so Excel reads it as UTF-8.
+ */
+function toCsv(records, decimalSeparator) {
+  const delimiter = decimalSeparator === ',' ? ';' : ',';
+  const rows = [EXPORT_COLUMNS.map(column => escapeCsvField(t(column.header), delimiter))];
+  for (const record of records) {
+    rows.push(EXPORT_COLUMNS.map(column => {
+      const value = record[column.key];
+      const formatted = column.type === 'number' && value !== null ? formatExportNumber(value).replace('.', decimalSeparator) : value;
+      return escapeCsvField(formatted, delimiter);
+    }));
+  }
+  return `\uFEFF${rows.map(row => row.join(delimiter)).join('\r\n')}\r\n`;
+}
+
+/**
+ * Escapes text for an XML element or attribute.
+ * @function escapeXml
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[char]);
+}
+
+/**
+ * Builds an Excel 2003 XML workbook (SpreadsheetML) with one worksheet. Amounts and rates are typed as numbers
+ * and dates as dates, so they can be summed and sorted without conversion.
+ * @function toSpreadsheetML
+ * @param {Array<Object<string, (string|number|null)>>} records - The export records.
+ * @returns {string} The workbook XML.
+ */
+function toSpreadsheetML(records) {
+  const cell = (column, value) => {
+    if (value === null || value === undefined) return '<Cell/>';
+    if (column.type === 'number') return `<Cell><Data ss:Type="Number">${formatExportNumber(value)}</Data></Cell>`;
+    if (column.type === 'date') return `<Cell ss:StyleID="date"><Data ss:Type="DateTime">${String(value).replace(' ', 'T')}</Data></Cell>`;
+    return `<Cell><Data ss:Type="String">${escapeXml(value)}</Data></Cell>`;
+  };
+  const headerRow = `<Row>${EXPORT_COLUMNS.map(column => `<Cell ss:StyleID="header"><Data ss:Type="String">${escapeXml(t(column.header))}</Data></Cell>`).join('')}</Row>`;
+  const rows = records.map(record => `<Row>${EXPORT_COLUMNS.map(column => cell(column, record[column.key])).join('')}</Row>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<?mso-application progid="Excel.Sheet"?>
+<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">
+<Styles>
+<Style ss:ID="header"><Font ss:Bold="1"/></Style>
+<Style ss:ID="date"><NumberFormat ss:Format="yyyy-mm-dd hh:mm"/></Style>
+</Styles>
+<Worksheet ss:Name="${escapeXml(t('exportSheetName'))}">
+<Table>
+${[headerRow, ...rows].join('\n')}
+</Table>
+</Worksheet>
+</Workbook>
+`;
+}
+
+/**
+ * Builds an export file of the conversion history.
+ * @export
+ * @function buildHistoryExport
+ * @param {Array<import('./storage.js').ConversionItem>} history - The conversion history, most recent first.
+ * @param {HistoryExportOptions} options - The format, decimal separator and date range.
+ * @returns {HistoryExport} The file, its suggested name and the number of conversions in it.
+ * @throws {Error} If the format is not supported.
+ */
+export function buildHistoryExport(history, { format, decimalSeparator = '.', from, to }) {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const records = filterHistoryByDate(history, { from, to }).map(item => toExportRecord(item, format !== 'json'));
+  let contents;
+  if (format === 'csv') {
+    contents = toCsv(records, decimalSeparator);
+  } else if (format === 'json') {
+    contents = JSON.stringify(records, null, 2);
+  } else {
+    contents = toSpreadsheetML(records);
+  }
+
+  const range = from || to ? `${from || 'start'}_${to || toLocalDateKey(new Date())}` : toLocalDateKey(new Date());
+  return {
+    blob: new Blob([contents], { type: exportFormat.mimeType }),
+    filename: `bcv-history-${range}.${exportFormat.extension}`,
+    count: records.length
+  };
+}
+
+/**
+ * Saves a file through the browser's downloads, by clicking a temporary link to an object URL.
+ * @export
+ * @function downloadBlob
+ * @param {Blob} blob - The file contents.
+ * @param {string} filename - The suggested file name.
+ * @sideEffects Adds and removes a link in the document. Starts a download.
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the download time to start before the URL is released
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
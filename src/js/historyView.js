@@ -0,0 +1,530 @@
+/**
+ * @file Conversion history view, shared by the popup and the side panel: the paged list with notes,
+ * search, filters by currency pair and date, totals, per-item actions and the export menu.
+ * Both pages use the same element ids for the history markup; controls missing from a page are skipped.
+ */
+
+import { formatCurrency, formatRate } from './calculator.js';
+import { formatValueDate } from './rateHistory.js';
+import { formatTaxRate } from './taxes.js';
+import { sumAmounts } from './rounding.js';
+import { getDecimalSeparator, t } from './i18n.js';
+import { EXPORT_FORMATS, buildHistoryExport, downloadBlob, filterHistoryByDate } from './historyExport.js';
+import {
+  getConversionHistory,
+  clearConversionHistory,
+  deleteConversion,
+  updateConversionNote,
+  formatHistoryTimestamp,
+  migrateLegacyHistory,
+  watchConversionHistory,
+  NOTE_MAX_LENGTH
+} from './storage.js';
+import { escapeHtml } from './html.js';
+import { showToast } from './toast.js';
+
+// Number of conversions shown per page of the history
+const HISTORY_PAGE_SIZE = 10;
+
+/**
+ * @typedef {object} HistoryState
+ * @property {number} page - The page of the filtered history shown, 0 being the most recent conversions.
+ * @property {string} query - The search text, matched against notes, currencies and amounts.
+ * @property {string} direction - The currency pair shown, as 'FROM>TO' (e.g. 'USD>Bs'), or '' for all.
+ * @property {string} from - First local date ('YYYY-MM-DD') shown, or '' for no limit.
+ * @property {string} to - Last local date ('YYYY-MM-DD') shown, or '' for no limit.
+ * @property {string|null} editingTimestamp - The timestamp of the conversion whose note is being edited.
+ */
+
+/** @type {HistoryState} */
+let historyState = {
+  page: 0,
+  query: '',
+  direction: '',
+  from: '',
+  to: '',
+  editingTimestamp: null
+};
+
+/**
+ * @typedef {object} HistoryElementCache
+ * @property {HTMLElement|null} historyList
+ * @property {HTMLElement|null} clearHistoryButton
+ * @property {HTMLElement|null} historyPager
+ * @property {HTMLElement|null} historyTotals
+ * @property {HTMLInputElement|null} historySearch
+ * @property {HTMLElement|null} historyFilterSummary
+ * @property {HTMLSelectElement|null} historyDirection
+ * @property {HTMLInputElement|null} historyFrom
+ * @property {HTMLInputElement|null} historyTo
+ * @property {HTMLElement|null} historyFiltersReset
+ * @property {HTMLDetailsElement|null} historyExportPicker
+ * @property {HTMLFormElement|null} historyExportForm
+ * @property {HTMLSelectElement|null} historyExportFormat
+ * @property {HTMLElement|null} historyExportDecimalField
+ * @property {HTMLSelectElement|null} historyExportDecimal
+ * @property {HTMLInputElement|null} historyExportFrom
+ * @property {HTMLInputElement|null} historyExportTo
+ */
+
+/** @type {HistoryElementCache} */
+let historyElements = {};
+
+// Called with a conversion when the user asks to convert it again at today's rate
+let convertAgainHandler = null;
+
+/**
+ * Initializes the history of the current page: caches the elements, sets up the event listeners, moves any
+ * history left in `localStorage` by earlier versions and renders the history. The history is re-rendered
+ * whenever it changes, whichever context changed it (e.g. the popup while the side panel is open, or a merge
+ * of history synced from another device).
+ * @export
+ * @async
+ * @function initializeHistory
+ * @param {object} options - Hooks into the calculator.
+ * @param {function(import('./storage.js').ConversionItem): void} options.onConvertAgain - Converts a history item
+ *        again at today's rate.
+ * @sideEffects Modifies `historyElements`. Attaches event listeners. Modifies DOM content.
+ *              May modify `localStorage` and `chrome.storage.local`.
+ */
+export async function initializeHistory({ onConvertAgain }) {
+  convertAgainHandler = onConvertAgain;
+  cacheHistoryElements();
+  populateExportControls();
+  setupHistoryListeners();
+  watchConversionHistory(renderHistory);
+  await migrateLegacyHistory();
+  await renderHistory();
+}
+
+/**
+ * Moves the history back to its first page, so the next conversion stored is shown.
+ * @export
+ * @function showLatestHistory
+ * @sideEffects Modifies `historyState.page`.
+ */
+export function showLatestHistory() {
+  historyState.page = 0;
+}
+
+/**
+ * Caches references to the history elements.
+ * @function cacheHistoryElements
+ * @sideEffects Modifies the `historyElements` object.
+ */
+function cacheHistoryElements() {
+  historyElements = {
+    historyList: document.getElementById('historyList'),
+    clearHistoryButton: document.getElementById('clearHistoryButton'),
+    historyPager: document.getElementById('historyPager'),
+    historyTotals: document.getElementById('historyTotals'),
+    historySearch: document.getElementById('historySearch'),
+    historyFilterSummary: document.getElementById('historyFilterSummary'),
+    historyDirection: document.getElementById('historyDirection'),
+    historyFrom: document.getElementById('historyFrom'),
+    historyTo: document.getElementById('historyTo'),
+    historyFiltersReset: document.getElementById('historyFiltersReset'),
+    historyExportPicker: document.getElementById('historyExportPicker'),
+    historyExportForm: document.getElementById('historyExportForm'),
+    historyExportFormat: document.getElementById('historyExportFormat'),
+    historyExportDecimalField: document.getElementById('historyExportDecimalField'),
+    historyExportDecimal: document.getElementById('historyExportDecimal'),
+    historyExportFrom: document.getElementById('historyExportFrom'),
+    historyExportTo: document.getElementById('historyExportTo')
+  };
+}
+
+/**
+ * Sets up event listeners for the history controls that exist on the page.
+ * @function setupHistoryListeners
+ * @sideEffects Attaches event listeners to DOM elements. Calls `handleClearHistory`, `handleHistoryPage`,
+ *              `handleHistoryFilterChange`, `handleHistoryItemAction`, `handleHistoryExport`.
+ */
+function setupHistoryListeners() {
+  if (historyElements.clearHistoryButton) historyElements.clearHistoryButton.addEventListener('click', handleClearHistory);
+  if (historyElements.historyPager) historyElements.historyPager.addEventListener('click', handleHistoryPage);
+  if (historyElements.historySearch) historyElements.historySearch.addEventListener('input', handleHistoryFilterChange);
+  for (const filter of [historyElements.historyDirection, historyElements.historyFrom, historyElements.historyTo]) {
+    if (filter) filter.addEventListener('change', handleHistoryFilterChange);
+  }
+  if (historyElements.historyFiltersReset) {
+    historyElements.historyFiltersReset.addEventListener('click', () => {
+      historyElements.historyDirection.value = '';
+      historyElements.historyFrom.value = '';
+      historyElements.historyTo.value = '';
+      handleHistoryFilterChange();
+    });
+  }
+
+  if (historyElements.historyList) {
+    historyElements.historyList.addEventListener('click', handleHistoryItemAction);
+    historyElements.historyList.addEventListener('keydown', handleNoteKeydown);
+    // Leaving the note field saves it, like pressing Enter
+    historyElements.historyList.addEventListener('focusout', (event) => {
+      if (event.target instanceof HTMLInputElement && event.target.dataset.noteFor) saveNote(event.target);
+    });
+  }
+
+  if (historyElements.historyExportForm) historyElements.historyExportForm.addEventListener('submit', handleHistoryExport);
+  if (historyElements.historyExportFormat) {
+    historyElements.historyExportFormat.addEventListener('change', () => {
+      // Only CSV has a decimal separator choice; the other formats store numbers as numbers
+      historyElements.historyExportDecimalField.hidden = historyElements.historyExportFormat.value !== 'csv';
+    });
+  }
+}
+
+/**
+ * Fills the export format select and preselects the decimal separator of the number locale.
+ * @function populateExportControls
+ * @sideEffects Modifies the options and values of the export DOM elements.
+ */
+function populateExportControls() {
+  if (historyElements.historyExportFormat) {
+    historyElements.historyExportFormat.innerHTML = Object.entries(EXPORT_FORMATS)
+      .map(([id, format]) => `<option value="${id}">${format.name} (.${format.extension})</option>`)
+      .join('');
+  }
+  if (historyElements.historyExportDecimal) {
+    historyElements.historyExportDecimal.value = getDecimalSeparator() === ',' ? ',' : '.';
+  }
+}
+
+/**
+ * Checks whether a conversion matches every word of a search. Words are matched against the note, the
+ * currency codes and the amounts, both as plain numbers (e.g. "1500.5") and as displayed (e.g. "1.500,50").
+ * @function matchesSearch
+ * @param {import('./storage.js').ConversionItem} item - The conversion.
+ * @param {string} query - The search text.
+ * @returns {boolean} True if every word of the search is found.
+ */
+function matchesSearch(item, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+
+  const searchable = [
+    item.note || '',
+    item.fromCurrency,
+    item.toCurrency,
+    String(item.fromAmount),
+    String(item.toAmount),
+    formatCurrency(item.fromAmount, item.fromCurrency),
+    formatCurrency(item.toAmount, item.toCurrency)
+  ].join(' ').toLowerCase();
+  return words.every(word => searchable.includes(word));
+}
+
+/**
+ * Returns the conversions that match the search and filters.
+ * @function filterHistory
+ * @param {Array<import('./storage.js').ConversionItem>} history - The conversion history.
+ * @returns {Array<import('./storage.js').ConversionItem>} The matching conversions, most recent first.
+ */
+function filterHistory(history) {
+  const { query, direction, from, to } = historyState;
+  return filterHistoryByDate(history, { from, to })
+    .filter(item => !direction || `${item.fromCurrency}>${item.toCurrency}` === direction)
+    .filter(item => matchesSearch(item, query));
+}
+
+/**
+ * Handles a change of the search box or of a filter: applies it and goes back to the first page.
+ * @function handleHistoryFilterChange
+ * @sideEffects Modifies `historyState`. Calls `renderHistory`.
+ */
+function handleHistoryFilterChange() {
+  historyState.query = historyElements.historySearch ? historyElements.historySearch.value.trim() : '';
+  historyState.direction = historyElements.historyDirection ? historyElements.historyDirection.value : '';
+  historyState.from = historyElements.historyFrom ? historyElements.historyFrom.value : '';
+  historyState.to = historyElements.historyTo ? historyElements.historyTo.value : '';
+  historyState.page = 0;
+  renderHistory();
+}
+
+/**
+ * Handles the click event of the "Clear History" button, and its keyboard shortcut.
+ * Clears all conversion history from storage; the history section is re-rendered by `watchConversionHistory`.
+ * @export
+ * @async
+ * @function handleClearHistory
+ * @sideEffects Calls `clearConversionHistory`, `showToast`. Modifies `historyState.page`. Interacts with `chrome.storage`.
+ */
+export async function handleClearHistory() {
+  if (!historyElements.historyList) return;
+
+  historyState.page = 0;
+  await clearConversionHistory();
+  showToast(t('historyCleared'));
+}
+
+/**
+ * Handles clicks on the buttons of the history pager, showing the newer or older page of conversions.
+ * @function handleHistoryPage
+ * @param {MouseEvent} event - The click event.
+ * @sideEffects Modifies `historyState.page`. Calls `renderHistory`.
+ */
+function handleHistoryPage(event) {
+  const button = event.target instanceof Element ? event.target.closest('[data-page-by]') : null;
+  if (!button || button.disabled) return;
+  historyState.page = Math.max(0, historyState.page + Number(button.dataset.pageBy));
+  renderHistory();
+}
+
+/**
+ * Handles clicks on the action buttons of a history item: edit its note, convert it again at today's rate,
+ * or delete it.
+ * @async
+ * @function handleHistoryItemAction
+ * @param {MouseEvent} event - The click event.
+ * @sideEffects Modifies `historyState.editingTimestamp`. May call `renderHistory`, `deleteConversion`,
+ *              the convert again handler and `showToast`.
+ */
+async function handleHistoryItemAction(event) {
+  const button = event.target instanceof Element ? event.target.closest('[data-history-action]') : null;
+  if (!button) return;
+  const { timestamp } = button.closest('[data-timestamp]').dataset;
+  const history = await getConversionHistory();
+  const item = history.find(entry => entry.timestamp === timestamp);
+  if (!item) return;
+
+  switch (button.dataset.historyAction) {
+    case 'note':
+      historyState.editingTimestamp = timestamp;
+      await renderHistory();
+      historyElements.historyList.querySelector('[data-note-for]')?.focus();
+      break;
+    case 'again':
+      if (convertAgainHandler) convertAgainHandler(item);
+      break;
+    case 'delete':
+      await deleteConversion(timestamp);
+      showToast(t('conversionDeleted'));
+      break;
+  }
+}
+
+/**
+ * Saves the note being edited, or cancels the edit with Escape.
+ * @function handleNoteKeydown
+ * @param {KeyboardEvent} event - The keydown event.
+ * @sideEffects May call `saveNote`, or modify `historyState.editingTimestamp` and call `renderHistory`.
+ */
+function handleNoteKeydown(event) {
+  if (!(event.target instanceof HTMLInputElement) || !event.target.dataset.noteFor) return;
+  if (event.key === 'Enter') {
+    saveNote(event.target);
+  } else if (event.key === 'Escape') {
+    event.preventDefault(); // Keep the popup open
+    historyState.editingTimestamp = null;
+    renderHistory();
+  }
+}
+
+/**
+ * Stores the note typed in a note field, once. The history is re-rendered by `watchConversionHistory`.
+ * @async
+ * @function saveNote
+ * @param {HTMLInputElement} input - The note field.
+ * @sideEffects Modifies `historyState.editingTimestamp`. Calls `updateConversionNote` and `renderHistory`.
+ */
+async function saveNote(input) {
+  if (historyState.editingTimestamp !== input.dataset.noteFor) return; // Already saved or cancelled
+  historyState.editingTimestamp = null;
+  const updated = await updateConversionNote(input.dataset.noteFor, input.value);
+  if (!updated) renderHistory(); // Nothing stored changed, so leave edit mode here
+}
+
+/**
+ * Handles the submit event of the export form: builds a file of the conversions in the selected date range
+ * and downloads it.
+ * @async
+ * @function handleHistoryExport
+ * @param {SubmitEvent} event - The submit event.
+ * @sideEffects Calls `downloadBlob` and `showToast`. Closes the export panel. Outputs to console on error.
+ */
+async function handleHistoryExport(event) {
+  event.preventDefault();
+
+  const from = historyElements.historyExportFrom.value;
+  const to = historyElements.historyExportTo.value;
+  if (from && to && from > to) {
+    showToast(t('startAfterEnd'));
+    return;
+  }
+
+  try {
+    const history = await getConversionHistory();
+    const { blob, filename, count } = buildHistoryExport(history, {
+      format: historyElements.historyExportFormat.value,
+      decimalSeparator: historyElements.historyExportDecimal.value,
+      from,
+      to
+    });
+    if (count === 0) {
+      showToast(t('nothingToExport'));
+      return;
+    }
+    downloadBlob(blob, filename);
+    historyElements.historyExportPicker.open = false;
+    showToast(t(count === 1 ? 'exportedOneConversion' : 'exportedConversions', count));
+  } catch (error) {
+    console.error('Error exporting conversion history:', error);
+    showToast(t('exportFailed'));
+  }
+}
+
+/**
+ * Renders the conversion history list in the UI: the current page of the conversions that match the search
+ * and filters, the pager and the totals. Fetches history from storage and populates the history list element.
+ * Displays an empty state message if no history is found.
+ * @export
+ * @async
+ * @function renderHistory
+ * @sideEffects Modifies the innerHTML of the history list, pager, totals and filter DOM elements. May modify `historyState.page`.
+ */
+export async function renderHistory() {
+  if (!historyElements.historyList) return;
+
+  const history = await getConversionHistory();
+  renderDirectionOptions(history);
+  const filtered = filterHistory(history);
+  renderHistoryPager(filtered.length);
+  renderHistoryTotals(filtered);
+
+  if (filtered.length === 0) {
+    historyElements.historyList.innerHTML = `
+      <div class="history-empty">
+        <p>${history.length === 0 ? t('noHistoryYet') : t('noHistoryMatches')}</p>
+      </div>
+    `;
+    return;
+  }
+
+  const pageStart = historyState.page * HISTORY_PAGE_SIZE;
+  const historyHTML = filtered.slice(pageStart, pageStart + HISTORY_PAGE_SIZE).map((item, index) => {
+    const fromFormatted = formatCurrency(item.fromAmount, item.fromCurrency);
+    const toFormatted = formatCurrency(item.toAmount, item.toCurrency);
+    const timestamp = formatHistoryTimestamp(item.timestamp);
+    const rateTitle = item.rateDate
+      ? t('historyRateOf', formatRate(item.rate), formatValueDate(item.rateDate))
+      : t('historyRate', formatRate(item.rate));
+    const isEditing = item.timestamp === historyState.editingTimestamp;
+    let note = '';
+    if (isEditing) {
+      note = `<input type="text" class="history-note-input" data-note-for="${escapeHtml(item.timestamp)}" value="${escapeHtml(item.note || '')}" maxlength="${NOTE_MAX_LENGTH}" placeholder="${t('notePlaceholder')}">`;
+    } else if (item.note) {
+      note = `<span class="history-note">${escapeHtml(item.note)}</span>`;
+    }
+    const taxes = item.taxes ? `<span class="history-taxes">${describeTaxes(item)}</span>` : '';
+
+    return `
+      <div class="history-item ${isEditing ? '' : 'fade-in'}" style="animation-delay: ${index * 0.05}s" title="${rateTitle}" data-timestamp="${escapeHtml(item.timestamp)}">
+        <span class="history-conversion">${fromFormatted} = ${toFormatted}</span>
+        <span class="history-date">${timestamp}</span>
+        <span class="history-item-actions">
+          <button class="clear-btn" data-history-action="note" title="${item.note ? t('editNote') : t('addNote')}">✎</button>
+          <button class="clear-btn" data-history-action="again" title="${t('convertAgain')}">↻</button>
+          <button class="clear-btn" data-history-action="delete" title="${t('delete')}">✕</button>
+        </span>
+        ${taxes}
+        ${note}
+      </div>
+    `;
+  }).join('');
+  historyElements.historyList.innerHTML = historyHTML;
+}
+
+/**
+ * Describes the taxes of a conversion saved from the tax breakdown (e.g. "Base $100,00 · IVA 16% $16,00 · IGTF 3% $3,48").
+ * @function describeTaxes
+ * @param {import('./storage.js').ConversionItem} item - The conversion, with its `taxes`.
+ * @returns {string} The description, in the currency converted from.
+ */
+function describeTaxes(item) {
+  const { base, iva, igtf, ivaRate, igtfRate } = item.taxes;
+  const parts = [
+    `${t('taxBase')} ${formatCurrency(base, item.fromCurrency)}`,
+    `${t('taxIva', formatTaxRate(ivaRate))} ${formatCurrency(iva, item.fromCurrency)}`
+  ];
+  if (igtfRate > 0) parts.push(`${t('taxIgtf', formatTaxRate(igtfRate))} ${formatCurrency(igtf, item.fromCurrency)}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Fills the currency pair filter with the pairs found in the history, keeping the selected one,
+ * and shows how many filters are active next to the filters menu.
+ * @function renderDirectionOptions
+ * @param {Array<import('./storage.js').ConversionItem>} history - The conversion history.
+ * @sideEffects Modifies the options of the currency pair filter and the text of the filters menu.
+ */
+function renderDirectionOptions(history) {
+  if (historyElements.historyDirection) {
+    const pairs = [...new Set(history.map(item => `${item.fromCurrency}>${item.toCurrency}`))].sort();
+    if (historyState.direction && !pairs.includes(historyState.direction)) pairs.unshift(historyState.direction);
+    historyElements.historyDirection.innerHTML = `<option value="">${t('allCurrencies')}</option>${pairs
+      .map(pair => `<option value="${escapeHtml(pair)}">${escapeHtml(pair.replace('>', ' → '))}</option>`)
+      .join('')}`;
+    historyElements.historyDirection.value = historyState.direction;
+  }
+
+  if (historyElements.historyFilterSummary) {
+    const activeFilters = [historyState.direction, historyState.from, historyState.to].filter(Boolean).length;
+    historyElements.historyFilterSummary.textContent = activeFilters > 0 ? t('filtersActive', activeFilters) : t('filters');
+  }
+}
+
+/**
+ * Renders the totals of the conversions that match the search and filters, summed per currency
+ * (e.g. "3 conversions: $150,00 → Bs. 5.530,50").
+ * @function renderHistoryTotals
+ * @param {Array<import('./storage.js').ConversionItem>} items - The matching conversions.
+ * @sideEffects Modifies the text content and visibility of the totals DOM element.
+ */
+function renderHistoryTotals(items) {
+  if (!historyElements.historyTotals) return;
+  if (items.length === 0) {
+    historyElements.historyTotals.hidden = true;
+    return;
+  }
+
+  const sumBy = (amountKey, currencyKey) => {
+    const amounts = new Map();
+    for (const item of items) {
+      amounts.set(item[currencyKey], [...(amounts.get(item[currencyKey]) || []), item[amountKey]]);
+    }
+    return [...amounts].map(([currency, values]) => formatCurrency(sumAmounts(values, currency), currency)).join(' + ');
+  };
+
+  historyElements.historyTotals.textContent =
+    t(items.length === 1 ? 'historyTotalOne' : 'historyTotals', items.length, sumBy('fromAmount', 'fromCurrency'), sumBy('toAmount', 'toCurrency'));
+  historyElements.historyTotals.hidden = false;
+}
+
+/**
+ * Renders the history pager ("11–20 of 57" with buttons for the newer and older pages), or hides it when the
+ * history fits in one page. Moves back to the last page if the current one no longer exists (e.g. after a clear).
+ * @function renderHistoryPager
+ * @param {number} total - The number of conversions that match the search and filters.
+ * @sideEffects Modifies the innerHTML and visibility of the pager DOM element. May modify `historyState.page`.
+ */
+function renderHistoryPager(total) {
+  const pageCount = Math.max(1, Math.ceil(total / HISTORY_PAGE_SIZE));
+  historyState.page = Math.min(historyState.page, pageCount - 1);
+  if (!historyElements.historyPager) return;
+
+  if (pageCount === 1) {
+    historyElements.historyPager.hidden = true;
+    historyElements.historyPager.innerHTML = '';
+    return;
+  }
+
+  const page = historyState.page;
+  const first = page * HISTORY_PAGE_SIZE + 1;
+  const last = Math.min(total, first + HISTORY_PAGE_SIZE - 1);
+  historyElements.historyPager.hidden = false;
+  historyElements.historyPager.innerHTML = `
+    <button class="clear-btn" data-page-by="-1" ${page === 0 ? 'disabled' : ''}>‹ ${t('newer')}</button>
+    <span class="history-pager-label">${t('pagerRange', first, last, total)}</span>
+    <button class="clear-btn" data-page-by="1" ${page === pageCount - 1 ? 'disabled' : ''}>${t('older')} ›</button>
+  `;
+}
@@ -0,0 +1,15 @@
+/**
+ * @file Helpers for building markup with template strings.
+ */
+
+/**
+ * Escapes text for use in HTML content and attribute values. Text typed by the user (notes, list lines)
+ * is always escaped before being rendered.
+ * @export
+ * @function escapeHtml
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&#39;', '"': '&quot;' })[char]);
+}
@@ -0,0 +1,183 @@
+/**
+ * @file Localization of every context: the language of the interface, whose texts come from the `_locales`
+ * message catalogs, and the locales used to format dates and numbers. Texts and formatters read them
+ * synchronously, so each context applies the `language` and `numberLocale` settings with `applyLocaleSettings`
+ * once they are loaded and whenever they change. Static page texts are marked with `data-i18n` attributes and
+ * filled in by `localizePage`.
+ */
+
+export const DEFAULT_LANGUAGE = 'auto'; // The language of the browser
+export const DEFAULT_NUMBER_LOCALE = 'es-VE'; // Venezuelan formatting: "1.234,50"
+
+// Language used when the browser's is not supported; the `default_locale` of the manifest
+const FALLBACK_LANGUAGE = 'es';
+
+/**
+ * Languages of the interface, keyed by `_locales` folder, with the locale dates are formatted in.
+ * Names are in their own language, so they can be recognized whatever the current language is.
+ * @type {Object<string, {name: string, dateLocale: string}>}
+ */
+export const LANGUAGES = {
+  es: { name: 'Español', dateLocale: 'es-VE' },
+  en: { name: 'English', dateLocale: 'en-US' }
+};
+
+/**
+ * Number formats offered in the options page, keyed by BCP 47 tag.
+ * @type {Object<string, string>}
+ */
+export const SUPPORTED_LOCALES = {
+  'en-US': 'English (United States) · 1,234.50',
+  'es-VE': 'Español (Venezuela) · 1.234,50'
+};
+
+let language = FALLBACK_LANGUAGE;
+let numberLocale = DEFAULT_NUMBER_LOCALE;
+let messages = {};
+let localeRequestCount = 0;
+
+/**
+ * Catalogs already requested, keyed by language, so switching back and forth does not read them again.
+ * @type {Map<string, Promise<Object<string, string>>>}
+ */
+const catalogs = new Map();
+
+/**
+ * Returns the language the interface is shown in.
+ * @function getLanguage
+ * @returns {string} A key of `LANGUAGES`.
+ */
+export function getLanguage() {
+  return language;
+}
+
+/**
+ * Returns the locale used to format dates and times. It follows the language, since dates include month names.
+ * @function getDateLocale
+ * @returns {string} The BCP 47 locale tag.
+ */
+export function getDateLocale() {
+  return LANGUAGES[language].dateLocale;
+}
+
+/**
+ * Returns the locale used to format amounts and rates.
+ * @function getNumberLocale
+ * @returns {string} The BCP 47 locale tag.
+ */
+export function getNumberLocale() {
+  return numberLocale;
+}
+
+/**
+ * Returns the decimal separator of the number locale (e.g. ',' for 'es-VE', '.' for 'en-US').
+ * @function getDecimalSeparator
+ * @returns {string} The decimal separator.
+ */
+export function getDecimalSeparator() {
+  const decimalPart = new Intl.NumberFormat(numberLocale).formatToParts(1.5).find(part => part.type === 'decimal');
+  return decimalPart ? decimalPart.value : '.';
+}
+
+/**
+ * Resolves the `language` setting to a language with a catalog.
+ * @function resolveLanguage
+ * @param {string} setting - A key of `LANGUAGES`, or 'auto' for the language of the browser.
+ * @returns {string} A key of `LANGUAGES`.
+ */
+export function resolveLanguage(setting) {
+  if (Object.prototype.hasOwnProperty.call(LANGUAGES, setting)) return setting;
+
+  const browserLanguage = typeof chrome !== 'undefined' && chrome.i18n && chrome.i18n.getUILanguage
+    ? chrome.i18n.getUILanguage()
+    : (typeof navigator !== 'undefined' ? navigator.language : '');
+  const code = (browserLanguage || '').toLowerCase().split('-')[0];
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, code) ? code : FALLBACK_LANGUAGE;
+}
+
+/**
+ * Reads the message catalog of a language from `_locales/<language>/messages.json`. `chrome.i18n` only offers
+ * the catalog of the browser language, so the one chosen in the options is read from the extension package.
+ * @async
+ * @function loadCatalog
+ * @param {string} code - A key of `LANGUAGES`.
+ * @returns {Promise<Object<string, string>>} The messages keyed by name, or an empty catalog if it cannot be read.
+ * @sideEffects Caches the request in `catalogs`. Outputs an error to the console if reading fails.
+ */
+function loadCatalog(code) {
+  if (!catalogs.has(code)) {
+    const request = fetch(chrome.runtime.getURL(`_locales/${code}/messages.json`))
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(catalog => Object.fromEntries(Object.entries(catalog).map(([name, entry]) => [name, entry.message])))
+      .catch(error => {
+        console.error(`Error reading the ${code} messages:`, error);
+        catalogs.delete(code);
+        return {};
+      });
+    catalogs.set(code, request);
+  }
+  return catalogs.get(code);
+}
+
+/**
+ * Returns a text of the interface in the current language. `$1` to `$9` in the message are replaced by the
+ * substitutions, and `$$` by a dollar sign, as `chrome.i18n.getMessage` does.
+ * @function t
+ * @param {string} name - The message name in the `_locales` catalogs (e.g. 'refreshRates').
+ * @param {...(string|number)} substitutions - Values for `$1`, `$2`...
+ * @returns {string} The text. Messages missing from the catalog fall back to the browser language, then to the name.
+ * @example
+ * t('previousRate', 'Bs. 36,50'); // "Anterior: Bs. 36,50" in Spanish, "Previous: Bs. 36,50" in English
+ */
+export function t(name, ...substitutions) {
+  const message = messages[name];
+  if (message === undefined) {
+    const fallback = typeof chrome !== 'undefined' && chrome.i18n && chrome.i18n.getMessage
+      ? chrome.i18n.getMessage(name, substitutions.map(String))
+      : '';
+    return fallback || name;
+  }
+  return message.replace(/\$(\$|[1-9])/g, (match, index) => index === '$' ? '$' : String(substitutions[index - 1] ?? ''));
+}
+
+/**
+ * Fills in the static texts of a page from its `data-i18n` attributes: `data-i18n` for the text content,
+ * and `data-i18n-title`, `data-i18n-placeholder` and `data-i18n-aria-label` for those attributes.
+ * Elements marked with `data-i18n` must only hold text.
+ * @function localizePage
+ * @param {Document|HTMLElement} [root=document] - The page, or the part of it to localize.
+ * @sideEffects Modifies the text and attributes of the marked elements, and the `lang` of the document.
+ */
+export function localizePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  for (const attribute of ['title', 'placeholder', 'aria-label']) {
+    root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+      element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+    });
+  }
+  if (root.documentElement) root.documentElement.lang = language;
+}
+
+/**
+ * Applies the locale settings to the current context and reads the message catalog of the language.
+ * @async
+ * @function applyLocaleSettings
+ * @param {{language?: string, numberLocale?: string}} settings - The settings to apply. Missing values keep the defaults.
+ * @returns {Promise<void>} Resolves once the texts of the language are available to `t`.
+ * @sideEffects Modifies the module's language, locales and messages.
+ */
+export async function applyLocaleSettings(settings) {
+  const code = resolveLanguage(settings.language || DEFAULT_LANGUAGE);
+  numberLocale = settings.numberLocale || DEFAULT_NUMBER_LOCALE;
+  const request = ++localeRequestCount;
+  const catalog = await loadCatalog(code);
+  // The settings applied last win, even if an earlier catalog takes longer to read
+  if (request !== localeRequestCount) return;
+  language = code;
+  messages = catalog;
+}
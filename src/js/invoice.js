@@ -0,0 +1,221 @@
+/**
+ * @file Invoice / shopping lists of the calculator: lines with a description, quantity and unit price in USD or Bs,
+ * their totals in both currencies, and a plain-text receipt. Draft lists are kept in `chrome.storage.local`,
+ * so they survive closing the popup and are shared with the side panel.
+ */
+
+import { BASE_CURRENCY } from './currencies.js';
+import { convertCurrency, formatCurrency, formatRate } from './calculator.js';
+import { evaluateExpression } from './expression.js';
+import { formatValueDate } from './rateHistory.js';
+import { getNumberLocale, t } from './i18n.js';
+import { toDecimal, toNumber, multiply } from './decimal.js';
+import { roundDecimal, sumAmounts } from './rounding.js';
+
+export const INVOICE_LISTS_KEY = 'bcvInvoiceLists';
+export const INVOICE_CURRENCIES = ['USD', BASE_CURRENCY];
+export const MAX_INVOICE_LISTS = 20;
+export const MAX_INVOICE_LINES = 100;
+export const INVOICE_TEXT_MAX_LENGTH = 80;
+
+/**
+ * @typedef {object} InvoiceLine
+ * @property {string} id - Identifies the line within its list.
+ * @property {string} description - What the line is for (e.g. "Harina PAN").
+ * @property {string} quantity - The quantity as typed (a number or an expression). Empty means 1.
+ * @property {string} unitPrice - The unit price as typed (a number or an expression).
+ * @property {('USD'|'Bs')} currency - The currency of the unit price.
+ */
+
+/**
+ * @typedef {object} InvoiceList
+ * @property {string} id - Identifies the list.
+ * @property {string} name - The name of the list (e.g. "Groceries").
+ * @property {Array<InvoiceLine>} lines - The lines, in order.
+ * @property {string} updatedAt - ISO string of the last change.
+ */
+
+/**
+ * @typedef {object} InvoiceDrafts
+ * @property {Array<InvoiceList>} lists - The draft lists, most recently created last.
+ * @property {string} activeId - The id of the list being edited.
+ */
+
+/**
+ * @typedef {object} InvoiceLineTotal
+ * @property {number} [quantity] - The quantity.
+ * @property {number} [unitPrice] - The unit price, in the currency of the line.
+ * @property {number} [usd] - The line total in USD.
+ * @property {number} [bs] - The line total in Bs.
+ * @property {string} [error] - Why the line cannot be totalled, if its quantity or price is invalid.
+ */
+
+/**
+ * @typedef {object} InvoiceTotals
+ * @property {Object<string, InvoiceLineTotal>} lines - The total of each line with a price, keyed by line id.
+ *           Lines without a unit price are left out.
+ * @property {number} usd - The grand total in USD.
+ * @property {number} bs - The grand total in Bs.
+ * @property {number} count - The number of lines in the totals.
+ */
+
+/**
+ * Creates an empty line.
+ * @export
+ * @function createInvoiceLine
+ * @returns {InvoiceLine} The line, priced in USD.
+ */
+export function createInvoiceLine() {
+  return { id: crypto.randomUUID(), description: '', quantity: '', unitPrice: '', currency: 'USD' };
+}
+
+/**
+ * Creates a list with one empty line.
+ * @export
+ * @function createInvoiceList
+ * @param {string} name - The name of the list.
+ * @returns {InvoiceList} The list.
+ */
+export function createInvoiceList(name) {
+  return { id: crypto.randomUUID(), name, lines: [createInvoiceLine()], updatedAt: new Date().toISOString() };
+}
+
+const isText = value => typeof value === 'string' && value.length <= INVOICE_TEXT_MAX_LENGTH;
+const isValidLine = line => Boolean(line)
+  && typeof line.id === 'string' && isText(line.description) && isText(line.quantity) && isText(line.unitPrice)
+  && INVOICE_CURRENCIES.includes(line.currency);
+const isValidList = list => Boolean(list)
+  && typeof list.id === 'string' && isText(list.name)
+  && Array.isArray(list.lines) && list.lines.length <= MAX_INVOICE_LINES && list.lines.every(isValidLine);
+
+/**
+ * Retrieves the draft lists from `chrome.storage.local`. Lists that are not valid are dropped.
+ * @async
+ * @export
+ * @function getInvoiceDrafts
+ * @returns {Promise<InvoiceDrafts>} The drafts. If there are none, a single empty list.
+ * @sideEffects Outputs an error to the console if reading fails.
+ */
+export async function getInvoiceDrafts() {
+  let lists = [];
+  let activeId = null;
+  try {
+    const stored = (await chrome.storage.local.get(INVOICE_LISTS_KEY))[INVOICE_LISTS_KEY];
+    if (stored && Array.isArray(stored.lists)) {
+      lists = stored.lists.filter(isValidList).slice(0, MAX_INVOICE_LISTS);
+      activeId = stored.activeId;
+    }
+  } catch (error) {
+    console.error('Error reading invoice lists:', error);
+  }
+
+  if (lists.length === 0) lists = [createInvoiceList(t('listNumber', 1))];
+  if (!lists.some(list => list.id === activeId)) activeId = lists[lists.length - 1].id;
+  return { lists, activeId };
+}
+
+/**
+ * Saves the draft lists to `chrome.storage.local`.
+ * @async
+ * @export
+ * @function saveInvoiceDrafts
+ * @param {InvoiceDrafts} drafts - The drafts.
+ * @returns {Promise<void>}
+ * @sideEffects Modifies `chrome.storage.local`. Outputs an error to the console if saving fails.
+ */
+export async function saveInvoiceDrafts(drafts) {
+  try {
+    await chrome.storage.local.set({ [INVOICE_LISTS_KEY]: drafts });
+  } catch (error) {
+    console.error('Error saving invoice lists:', error);
+  }
+}
+
+/**
+ * Calls a function whenever the draft lists change in any context (e.g. in the side panel while the popup is open).
+ * @export
+ * @function watchInvoiceDrafts
+ * @param {function(InvoiceDrafts): void} callback - The function to call with the new drafts.
+ * @sideEffects Attaches a `chrome.storage.onChanged` listener.
+ */
+export function watchInvoiceDrafts(callback) {
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && changes[INVOICE_LISTS_KEY] && changes[INVOICE_LISTS_KEY].newValue) {
+      callback(changes[INVOICE_LISTS_KEY].newValue);
+    }
+  });
+}
+
+/**
+ * Totals the lines of a list in USD and Bs. Each line total is rounded to the precision of its currency,
+ * and the grand totals are the exact sums of the rounded line totals.
+ * @export
+ * @function calculateInvoiceTotals
+ * @param {Array<InvoiceLine>} lines - The lines.
+ * @param {number} usdRate - Bs per USD.
+ * @param {string} decimalSeparator - The decimal separator of the number locale, for quantities and prices as typed.
+ * @returns {InvoiceTotals} The line and grand totals. Lines with an invalid quantity or price are not added up.
+ */
+export function calculateInvoiceTotals(lines, usdRate, decimalSeparator) {
+  const totals = { lines: {}, usd: 0, bs: 0, count: 0 };
+  const rates = { USD: usdRate };
+  for (const line of lines) {
+    if (!line.unitPrice.trim()) continue;
+    try {
+      const quantity = line.quantity.trim() ? evaluateExpression(line.quantity, decimalSeparator) : 1;
+      const unitPrice = evaluateExpression(line.unitPrice, decimalSeparator);
+      if (quantity < 0 || unitPrice < 0) throw new Error(t('errorNegativeAmount'));
+      const lineTotal = toNumber(roundDecimal(multiply(toDecimal(quantity), toDecimal(unitPrice)), line.currency));
+      const bs = convertCurrency(lineTotal, line.currency, BASE_CURRENCY, rates);
+      const usd = convertCurrency(lineTotal, line.currency, 'USD', rates);
+      totals.lines[line.id] = { quantity, unitPrice, usd, bs };
+      totals.count++;
+    } catch (error) {
+      totals.lines[line.id] = { error: error.message };
+    }
+  }
+
+  const lineTotals = Object.values(totals.lines).filter(lineTotal => !lineTotal.error);
+  totals.usd = sumAmounts(lineTotals.map(lineTotal => lineTotal.usd), 'USD');
+  totals.bs = sumAmounts(lineTotals.map(lineTotal => lineTotal.bs), BASE_CURRENCY);
+  return totals;
+}
+
+/**
+ * Builds a plain-text receipt of a list, in the language of the interface, to copy or save, e.g.:
+ *
+ *     Groceries
+ *     BCV rate of Oct 19, 2026: Bs. 36,50
+ *     ------------------------------
+ *     Harina PAN
+ *       2 × $1,50 = $3,00 (Bs. 109,50)
+ *     ------------------------------
+ *     Total USD: $3,00
+ *     Total Bs: Bs. 109,50
+ *
+ * Lines without a valid price are left out.
+ * @export
+ * @function formatInvoiceReceipt
+ * @param {InvoiceList} list - The list.
+ * @param {InvoiceTotals} totals - Its totals, from `calculateInvoiceTotals`.
+ * @param {{usdRate: number, rateDate: string|null}} rate - The rate the totals use and its value date ('YYYY-MM-DD').
+ * @returns {string} The receipt.
+ */
+export function formatInvoiceReceipt(list, totals, { usdRate, rateDate }) {
+  const separator = '-'.repeat(30);
+  const rateLine = rateDate ? t('receiptRateOf', formatValueDate(rateDate), formatRate(usdRate)) : t('receiptRate', formatRate(usdRate));
+  const rows = [list.name.trim() || t('invoice'), rateLine, separator];
+
+  for (const line of list.lines) {
+    const lineTotal = totals.lines[line.id];
+    if (!lineTotal || lineTotal.error) continue;
+    const otherCurrency = line.currency === 'USD' ? BASE_CURRENCY : 'USD';
+    const [total, otherTotal] = line.currency === 'USD' ? [lineTotal.usd, lineTotal.bs] : [lineTotal.bs, lineTotal.usd];
+    const quantity = lineTotal.quantity.toLocaleString(getNumberLocale(), { maximumFractionDigits: 3 });
+    rows.push(line.description.trim() || t('invoiceItem'));
+    rows.push(`  ${quantity} × ${formatCurrency(lineTotal.unitPrice, line.currency)} = ${formatCurrency(total, line.currency)} (${formatCurrency(otherTotal, otherCurrency)})`);
+  }
+
+  rows.push(separator, t('receiptTotal', 'USD', formatCurrency(totals.usd, 'USD')), t('receiptTotal', BASE_CURRENCY, formatCurrency(totals.bs, BASE_CURRENCY)));
+  return `${rows.join('\n')}\n`;
+}
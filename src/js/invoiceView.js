@@ -0,0 +1,407 @@
+/**
+ * @file Invoice / shopping list mode of the calculator, shared by the popup and the side panel: lines with
+ * a description, quantity and unit price in USD or Bs, line and grand totals in both currencies at the BCV rate
+ * the calculator converts with, saved draft lists, and the list as a receipt to copy or download.
+ */
+
+import { formatCurrency } from './calculator.js';
+import { getDecimalSeparator, t } from './i18n.js';
+import {
+  INVOICE_CURRENCIES,
+  INVOICE_TEXT_MAX_LENGTH,
+  MAX_INVOICE_LINES,
+  MAX_INVOICE_LISTS,
+  calculateInvoiceTotals,
+  createInvoiceLine,
+  createInvoiceList,
+  formatInvoiceReceipt,
+  getInvoiceDrafts,
+  saveInvoiceDrafts,
+  watchInvoiceDrafts
+} from './invoice.js';
+import { downloadBlob } from './historyExport.js';
+import { escapeHtml } from './html.js';
+import { showToast } from './toast.js';
+
+// How long typing must pause before the drafts are saved, in milliseconds
+const DRAFT_SAVE_DELAY_MS = 500;
+// Number of this view's own saves remembered to ignore their change events
+const OWN_SAVES_KEPT = 10;
+
+/**
+ * @typedef {object} InvoiceViewState
+ * @property {import('./invoice.js').InvoiceDrafts|null} drafts - The draft lists, once loaded.
+ * @property {Array<string>} ownSaves - The drafts as saved by this view, most recent last, to tell changes made
+ *           in other views from this view's own saves (whose change events may arrive after a newer save).
+ * @property {import('./invoice.js').InvoiceTotals|null} totals - The totals of the list shown.
+ * @property {function(): {rates: Object<string, number>, rateDate: string|null}} getRates - Returns the rates the
+ *           calculator converts with and their value date.
+ */
+
+/** @type {InvoiceViewState} */
+let invoiceState = {
+  drafts: null,
+  ownSaves: [],
+  totals: null,
+  getRates: () => ({ rates: {}, rateDate: null })
+};
+
+/** @type {ReturnType<typeof setTimeout>|null} */
+let draftSaveTimer = null;
+
+/**
+ * @typedef {object} InvoiceElementCache
+ * @property {HTMLSelectElement|null} invoiceListSelect
+ * @property {HTMLButtonElement|null} invoiceNewButton
+ * @property {HTMLButtonElement|null} invoiceDeleteButton
+ * @property {HTMLInputElement|null} invoiceNameInput
+ * @property {HTMLElement|null} invoiceLines
+ * @property {HTMLButtonElement|null} invoiceAddLineButton
+ * @property {HTMLElement|null} invoiceTotals
+ * @property {HTMLButtonElement|null} invoiceCopyButton
+ * @property {HTMLButtonElement|null} invoiceExportButton
+ */
+
+/** @type {InvoiceElementCache} */
+let invoiceElements = {};
+
+/**
+ * Initializes the list mode of the current page: caches the elements, sets up the event listeners,
+ * loads the draft lists and keeps them in step with the other views.
+ * @export
+ * @async
+ * @function initializeInvoiceList
+ * @param {object} options - Options.
+ * @param {function(): {rates: Object<string, number>, rateDate: string|null}} options.getRates - Returns the rates
+ *        the calculator converts with and their value date.
+ * @sideEffects Modifies `invoiceElements` and `invoiceState`. Attaches event listeners and a `chrome.storage.onChanged` listener.
+ *              Modifies DOM content.
+ */
+export async function initializeInvoiceList({ getRates }) {
+  invoiceElements = {
+    invoiceListSelect: document.getElementById('invoiceListSelect'),
+    invoiceNewButton: document.getElementById('invoiceNewButton'),
+    invoiceDeleteButton: document.getElementById('invoiceDeleteButton'),
+    invoiceNameInput: document.getElementById('invoiceNameInput'),
+    invoiceLines: document.getElementById('invoiceLines'),
+    invoiceAddLineButton: document.getElementById('invoiceAddLineButton'),
+    invoiceTotals: document.getElementById('invoiceTotals'),
+    invoiceCopyButton: document.getElementById('invoiceCopyButton'),
+    invoiceExportButton: document.getElementById('invoiceExportButton')
+  };
+  if (!invoiceElements.invoiceLines) return;
+  invoiceState.getRates = getRates;
+
+  setupInvoiceListeners();
+  invoiceState.drafts = await getInvoiceDrafts();
+  renderInvoiceList();
+
+  watchInvoiceDrafts(drafts => {
+    if (invoiceState.ownSaves.includes(JSON.stringify(drafts))) return;
+    getInvoiceDrafts().then(changed => {
+      invoiceState.drafts = changed;
+      renderInvoiceList();
+    });
+  });
+}
+
+/**
+ * Sets up event listeners for the list controls that exist on the page. The lines are handled by delegation,
+ * since they are re-rendered when lines are added or removed.
+ * @function setupInvoiceListeners
+ * @sideEffects Attaches event listeners to DOM elements.
+ */
+function setupInvoiceListeners() {
+  invoiceElements.invoiceLines.addEventListener('input', handleLineInput);
+  invoiceElements.invoiceLines.addEventListener('change', handleLineInput);
+  invoiceElements.invoiceLines.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-line-action="delete"]');
+    if (button) handleDeleteLine(button.closest('[data-line-id]').dataset.lineId);
+  });
+  invoiceElements.invoiceLines.addEventListener('keydown', (event) => {
+    // Enter in the last line's price adds a line, as on a till
+    const row = event.target.closest('[data-line-id]');
+    if (event.key === 'Enter' && event.target.dataset.field === 'unitPrice' && row && !row.nextElementSibling) handleAddLine();
+  });
+
+  if (invoiceElements.invoiceAddLineButton) invoiceElements.invoiceAddLineButton.addEventListener('click', handleAddLine);
+  if (invoiceElements.invoiceListSelect) {
+    invoiceElements.invoiceListSelect.addEventListener('change', () => {
+      invoiceState.drafts.activeId = invoiceElements.invoiceListSelect.value;
+      renderInvoiceList();
+      saveDraftsNow();
+    });
+  }
+  if (invoiceElements.invoiceNameInput) {
+    invoiceElements.invoiceNameInput.maxLength = INVOICE_TEXT_MAX_LENGTH;
+    invoiceElements.invoiceNameInput.addEventListener('input', () => {
+      getActiveList().name = invoiceElements.invoiceNameInput.value;
+      renderListOptions();
+      scheduleDraftSave();
+    });
+  }
+  if (invoiceElements.invoiceNewButton) invoiceElements.invoiceNewButton.addEventListener('click', handleNewList);
+  if (invoiceElements.invoiceDeleteButton) invoiceElements.invoiceDeleteButton.addEventListener('click', handleDeleteList);
+  if (invoiceElements.invoiceCopyButton) invoiceElements.invoiceCopyButton.addEventListener('click', handleCopyReceipt);
+  if (invoiceElements.invoiceExportButton) invoiceElements.invoiceExportButton.addEventListener('click', handleExportReceipt);
+}
+
+/**
+ * Returns the list being edited.
+ * @function getActiveList
+ * @returns {import('./invoice.js').InvoiceList} The list.
+ */
+function getActiveList() {
+  const { lists, activeId } = invoiceState.drafts;
+  return lists.find(list => list.id === activeId) || lists[0];
+}
+
+/**
+ * Renders the list being edited: the list picker, its name, its lines and the totals.
+ * @export
+ * @function renderInvoiceList
+ * @sideEffects Modifies DOM content of the list mode. Calls `renderListOptions` and `renderInvoiceTotals`.
+ */
+export function renderInvoiceList() {
+  if (!invoiceState.drafts) return;
+
+  const list = getActiveList();
+  renderListOptions();
+  if (invoiceElements.invoiceNameInput) invoiceElements.invoiceNameInput.value = list.name;
+  if (invoiceElements.invoiceNewButton) invoiceElements.invoiceNewButton.disabled = invoiceState.drafts.lists.length >= MAX_INVOICE_LISTS;
+  if (invoiceElements.invoiceAddLineButton) invoiceElements.invoiceAddLineButton.disabled = list.lines.length >= MAX_INVOICE_LINES;
+
+  invoiceElements.invoiceLines.innerHTML = list.lines.map(line => `
+    <div class="invoice-line" data-line-id="${escapeHtml(line.id)}">
+      <input type="text" class="invoice-description" data-field="description" value="${escapeHtml(line.description)}" maxlength="${INVOICE_TEXT_MAX_LENGTH}" placeholder="${t('invoiceDescription')}">
+      <button type="button" class="clear-btn" data-line-action="delete" title="${t('removeLine')}">✕</button>
+      <input type="text" class="invoice-quantity" data-field="quantity" value="${escapeHtml(line.quantity)}" maxlength="${INVOICE_TEXT_MAX_LENGTH}" placeholder="${t('invoiceQuantity')}" title="${t('invoiceQuantityTitle')}">
+      <span class="invoice-times">×</span>
+      <input type="text" class="invoice-price" data-field="unitPrice" value="${escapeHtml(line.unitPrice)}" maxlength="${INVOICE_TEXT_MAX_LENGTH}" placeholder="${t('invoiceUnitPrice')}">
+      <select class="currency-select invoice-currency" data-field="currency" title="${t('invoiceCurrencyTitle')}">
+        ${INVOICE_CURRENCIES.map(code => `<option value="${code}" ${code === line.currency ? 'selected' : ''}>${code}</option>`).join('')}
+      </select>
+      <span class="invoice-line-total" data-line-total></span>
+    </div>
+  `).join('');
+  renderInvoiceTotals();
+}
+
+/**
+ * Fills the list picker with the draft lists and selects the one being edited.
+ * @function renderListOptions
+ * @sideEffects Modifies the options of the list picker.
+ */
+function renderListOptions() {
+  if (!invoiceElements.invoiceListSelect) return;
+
+  const { lists, activeId } = invoiceState.drafts;
+  invoiceElements.invoiceListSelect.innerHTML = lists
+    .map((list, index) => `<option value="${escapeHtml(list.id)}">${escapeHtml(list.name.trim() || t('untitledListNumber', index + 1))}</option>`)
+    .join('');
+  invoiceElements.invoiceListSelect.value = activeId;
+}
+
+/**
+ * Renders the total of each line and the grand totals of the list being edited, at the rate the calculator converts with.
+ * @export
+ * @function renderInvoiceTotals
+ * @sideEffects Modifies `invoiceState.totals`, the line totals, the grand totals and the receipt buttons.
+ */
+export function renderInvoiceTotals() {
+  if (!invoiceState.drafts || !invoiceElements.invoiceLines) return;
+
+  const list = getActiveList();
+  const usdRate = invoiceState.getRates().rates.USD;
+  const totals = usdRate ? calculateInvoiceTotals(list.lines, usdRate, getDecimalSeparator()) : null;
+  invoiceState.totals = totals;
+
+  invoiceElements.invoiceLines.querySelectorAll('[data-line-id]').forEach(row => {
+    const totalElement = row.querySelector('[data-line-total]');
+    const lineTotal = totals && totals.lines[row.dataset.lineId];
+    totalElement.classList.toggle('error', Boolean(lineTotal && lineTotal.error));
+    if (!lineTotal) {
+      totalElement.textContent = '';
+    } else if (lineTotal.error) {
+      totalElement.textContent = lineTotal.error;
+    } else {
+      totalElement.textContent = `${formatCurrency(lineTotal.usd, 'USD')} · ${formatCurrency(lineTotal.bs, 'Bs')}`;
+    }
+  });
+
+  if (invoiceElements.invoiceTotals) {
+    invoiceElements.invoiceTotals.innerHTML = totals
+      ? `
+        <span class="invoice-totals-label">${t(totals.count === 1 ? 'invoiceTotalOneLine' : 'invoiceTotalLines', totals.count)}</span>
+        <span class="invoice-totals-value">${formatCurrency(totals.usd, 'USD')}</span>
+        <span class="invoice-totals-value">${formatCurrency(totals.bs, 'Bs')}</span>
+      `
+      : `<span class="invoice-totals-label">${t('noRateAvailable', 'USD')}</span>`;
+  }
+  const hasTotals = Boolean(totals && totals.count > 0);
+  if (invoiceElements.invoiceCopyButton) invoiceElements.invoiceCopyButton.disabled = !hasTotals;
+  if (invoiceElements.invoiceExportButton) invoiceElements.invoiceExportButton.disabled = !hasTotals;
+}
+
+/**
+ * Handles typing in a line (or changing its currency): updates the line, the totals, and saves the drafts once typing pauses.
+ * @function handleLineInput
+ * @param {Event} event - The input or change event, from a field of a line.
+ * @sideEffects Modifies the line in `invoiceState.drafts`. Calls `renderInvoiceTotals` and `scheduleDraftSave`.
+ */
+function handleLineInput(event) {
+  const field = event.target.dataset && event.target.dataset.field;
+  const row = event.target.closest('[data-line-id]');
+  if (!field || !row) return;
+  const line = getActiveList().lines.find(item => item.id === row.dataset.lineId);
+  if (!line) return;
+
+  if (field === 'quantity' || field === 'unitPrice') {
+    const allowed = event.target.value.replace(/[^\d.,+\-*/()%\s]/g, '');
+    if (allowed !== event.target.value) event.target.value = allowed;
+  }
+  if (line[field] === event.target.value) return;
+  line[field] = event.target.value;
+  renderInvoiceTotals();
+  scheduleDraftSave();
+}
+
+/**
+ * Adds an empty line at the end of the list and focuses its description.
+ * @function handleAddLine
+ * @sideEffects Modifies `invoiceState.drafts`. Calls `renderInvoiceList` and `saveDraftsNow`.
+ */
+function handleAddLine() {
+  const list = getActiveList();
+  if (list.lines.length >= MAX_INVOICE_LINES) {
+    showToast(t('tooManyLines', MAX_INVOICE_LINES));
+    return;
+  }
+  const line = createInvoiceLine();
+  // New lines are priced in the currency of the line above, as lists are usually in one currency
+  if (list.lines.length > 0) line.currency = list.lines[list.lines.length - 1].currency;
+  list.lines.push(line);
+  renderInvoiceList();
+  saveDraftsNow();
+  const row = invoiceElements.invoiceLines.querySelector(`[data-line-id="${line.id}"]`);
+  if (row) row.querySelector('[data-field="description"]').focus();
+}
+
+/**
+ * Removes a line from the list. Removing the only line empties it instead.
+ * @function handleDeleteLine
+ * @param {string} lineId - The id of the line.
+ * @sideEffects Modifies `invoiceState.drafts`. Calls `renderInvoiceList` and `saveDraftsNow`.
+ */
+function handleDeleteLine(lineId) {
+  const list = getActiveList();
+  list.lines = list.lines.filter(line => line.id !== lineId);
+  if (list.lines.length === 0) list.lines = [createInvoiceLine()];
+  renderInvoiceList();
+  saveDraftsNow();
+}
+
+/**
+ * Starts a new list and switches to it.
+ * @function handleNewList
+ * @sideEffects Modifies `invoiceState.drafts`. Calls `renderInvoiceList` and `saveDraftsNow`.
+ */
+function handleNewList() {
+  const { lists } = invoiceState.drafts;
+  if (lists.length >= MAX_INVOICE_LISTS) {
+    showToast(t('tooManyLists', MAX_INVOICE_LISTS));
+    return;
+  }
+  const list = createInvoiceList(t('listNumber', lists.length + 1));
+  lists.push(list);
+  invoiceState.drafts.activeId = list.id;
+  renderInvoiceList();
+  saveDraftsNow();
+  if (invoiceElements.invoiceNameInput) invoiceElements.invoiceNameInput.select();
+}
+
+/**
+ * Deletes the list being edited, after confirmation if it has any lines filled in.
+ * Deleting the only list leaves a new empty one.
+ * @function handleDeleteList
+ * @sideEffects Modifies `invoiceState.drafts`. Calls `renderInvoiceList` and `saveDraftsNow`.
+ */
+function handleDeleteList() {
+  const list = getActiveList();
+  const hasContent = list.lines.some(line => line.description.trim() || line.unitPrice.trim());
+  if (hasContent && !confirm(t('confirmDeleteList', list.name.trim() || t('untitledList')))) return;
+
+  const lists = invoiceState.drafts.lists.filter(item => item.id !== list.id);
+  if (lists.length === 0) lists.push(createInvoiceList(t('listNumber', 1)));
+  invoiceState.drafts = { lists, activeId: lists[lists.length - 1].id };
+  renderInvoiceList();
+  saveDraftsNow();
+}
+
+/**
+ * Saves the drafts once typing has paused for `DRAFT_SAVE_DELAY_MS`.
+ * @function scheduleDraftSave
+ * @sideEffects Restarts the draft save timer.
+ */
+function scheduleDraftSave() {
+  clearTimeout(draftSaveTimer);
+  draftSaveTimer = setTimeout(saveDraftsNow, DRAFT_SAVE_DELAY_MS);
+}
+
+/**
+ * Saves the drafts right away, marking the list being edited as changed.
+ * @function saveDraftsNow
+ * @sideEffects Cancels the draft save timer. Modifies `invoiceState.ownSaves`. Calls `saveInvoiceDrafts`.
+ */
+function saveDraftsNow() {
+  clearTimeout(draftSaveTimer);
+  draftSaveTimer = null;
+  getActiveList().updatedAt = new Date().toISOString();
+  invoiceState.ownSaves = [...invoiceState.ownSaves, JSON.stringify(invoiceState.drafts)].slice(-OWN_SAVES_KEPT);
+  saveInvoiceDrafts(invoiceState.drafts);
+}
+
+/**
+ * Builds the receipt of the list being edited.
+ * @function buildReceipt
+ * @returns {string|null} The receipt, or null if no line has a valid price.
+ */
+function buildReceipt() {
+  const { totals } = invoiceState;
+  if (!totals || totals.count === 0) return null;
+  const { rates, rateDate } = invoiceState.getRates();
+  return formatInvoiceReceipt(getActiveList(), totals, { usdRate: rates.USD, rateDate });
+}
+
+/**
+ * Copies the receipt of the list being edited to the clipboard.
+ * @async
+ * @function handleCopyReceipt
+ * @sideEffects Interacts with `navigator.clipboard`, calls `showToast`. Outputs to console on error.
+ */
+async function handleCopyReceipt() {
+  const receipt = buildReceipt();
+  if (!receipt) return;
+  try {
+    await navigator.clipboard.writeText(receipt);
+    showToast(t('receiptCopied'));
+  } catch (error) {
+    console.error('Could not copy receipt: ', error);
+    showToast(t('failedToCopy'));
+  }
+}
+
+/**
+ * Downloads the receipt of the list being edited as a text file named after the list.
+ * @function handleExportReceipt
+ * @sideEffects Calls `downloadBlob` and `showToast`.
+ */
+function handleExportReceipt() {
+  const receipt = buildReceipt();
+  if (!receipt) return;
+  const slug = getActiveList().name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'list';
+  // 'en-CA' formats dates as YYYY-MM-DD
+  const filename = `bcv-${slug}-${new Date().toLocaleDateString('en-CA')}.txt`;
+  downloadBlob(new Blob([receipt], { type: 'text/plain;charset=utf-8' }), filename);
+  showToast(t('savedFile', filename));
+}
@@ -0,0 +1,78 @@
+/**
+ * @file Parallel-market rate monitors published by pydolarve, tracked alongside the official BCV rate.
+ */
+
+import { buildPydolarveUrl, parsePydolarveResponse } from './providers/pydolarve.js';
+
+export const PARALLEL_RATES_KEY = 'parallelRateData';
+
+/**
+ * @typedef {object} Monitor
+ * @property {string} id - Unique identifier, stored in the `trackedMonitors` setting.
+ * @property {string} name - Human-readable name.
+ * @property {string} page - The pydolarve page that publishes the monitor.
+ * @property {string} monitor - The monitor id within that page.
+ */
+
+/**
+ * All monitors the user can track, keyed by id, in display order.
+ * @type {Object<string, Monitor>}
+ */
+export const MONITORS = {
+  enparalelovzla: { id: 'enparalelovzla', name: 'EnParaleloVzla', page: 'criptodolar', monitor: 'enparalelovzla' },
+  binance: { id: 'binance', name: 'Binance P2P', page: 'criptodolar', monitor: 'binance' },
+  bybit: { id: 'bybit', name: 'Bybit P2P', page: 'criptodolar', monitor: 'bybit' },
+  yadio: { id: 'yadio', name: 'Yadio', page: 'criptodolar', monitor: 'yadio' },
+  promedio: { id: 'promedio', name: 'Promedio', page: 'criptodolar', monitor: 'promedio' }
+};
+
+/**
+ * @typedef {object} MonitorRate
+ * @property {string} id - The monitor id.
+ * @property {number} [currentRate] - The current rate (Bs per USD). Missing if the fetch failed.
+ * @property {number} [previousRate] - The previous rate.
+ * @property {number} [changePercentage] - The percentage change between previous and current rate.
+ * @property {string} [date] - ISO string of the rate date.
+ * @property {string} [error] - The error message if the fetch failed.
+ */
+
+/**
+ * Fetches the current rate of a single monitor.
+ * @async
+ * @function fetchMonitorRate
+ * @param {Monitor} monitor - The monitor to fetch.
+ * @returns {Promise<MonitorRate>} The monitor rate.
+ * @throws {Error} If the request fails or the response cannot be parsed.
+ */
+export async function fetchMonitorRate(monitor) {
+  const response = await fetch(buildPydolarveUrl(monitor.page, monitor.monitor));
+  if (!response.ok) {
+    throw new Error(`API error: ${response.status} ${response.statusText}`);
+  }
+
+  const { currentRate, previousRate, changePercentage, date } = parsePydolarveResponse(await response.json());
+  return { id: monitor.id, currentRate, previousRate, changePercentage, date };
+}
+
+/**
+ * Fetches the rates of several monitors in parallel. A failing monitor does not affect the others;
+ * its entry carries an `error` message instead of a rate.
+ * @async
+ * @function fetchParallelRates
+ * @param {Array<string>} ids - Ids of the monitors to fetch. Unknown ids are ignored.
+ * @returns {Promise<Object<string, MonitorRate>>} The monitor rates keyed by id.
+ * @sideEffects Outputs a warning to the console for each monitor that fails.
+ */
+export async function fetchParallelRates(ids) {
+  const monitors = ids.map(id => MONITORS[id]).filter(Boolean);
+  const results = await Promise.all(monitors.map(async (monitor) => {
+    try {
+      return await fetchMonitorRate(monitor);
+    } catch (error) {
+      console.warn(`Parallel monitor "${monitor.id}" failed:`, error);
+      return { id: monitor.id, error: error.message };
+    }
+  }));
+
+  return Object.fromEntries(results.map(result => [result.id, result]));
+}
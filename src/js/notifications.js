@@ -0,0 +1,135 @@
+/**
+ * @file Rate alert rules and the desktop notifications they trigger.
+ * Rules are stored in the `notificationRules` setting and evaluated in the service worker each time
+ * new rate data is stored.
+ */
+
+import { formatRate, formatPercentage } from './calculator.js';
+import { toValueDateKey, formatValueDate } from './rateHistory.js';
+import { t } from './i18n.js';
+
+/**
+ * @typedef {object} NotificationRule
+ * @property {string} id - Unique identifier of the rule.
+ * @property {('new-rate'|'crosses'|'daily-change')} type - What the rule watches:
+ *  - 'new-rate': a rate for a new BCV value date is published.
+ *  - 'crosses': the rate crosses `value` in either direction.
+ *  - 'daily-change': the rate of a new value date moves at least `value` percent from the previous one.
+ * @property {number} [value] - The threshold rate ('crosses') or percentage ('daily-change').
+ * @property {boolean} enabled - Whether the rule is active.
+ */
+
+/**
+ * @typedef {object} RateNotification
+ * @property {string} ruleId - The id of the rule that triggered.
+ * @property {string} title - The notification title.
+ * @property {string} message - The notification body.
+ */
+
+/** @type {Array<NotificationRule>} */
+export const DEFAULT_NOTIFICATION_RULES = [
+  { id: 'new-rate', type: 'new-rate', enabled: true }
+];
+
+/**
+ * Creates a rule with a unique id.
+ * @function createNotificationRule
+ * @param {('crosses'|'daily-change')} type - The rule type.
+ * @param {number} value - The threshold rate or percentage.
+ * @returns {NotificationRule} The new, enabled rule.
+ */
+export function createNotificationRule(type, value) {
+  return { id: `${type}-${Date.now().toString(36)}`, type, value, enabled: true };
+}
+
+/**
+ * Describes a rule for display, in the language of the interface (e.g. "Rate crosses Bs. 40,00").
+ * @function describeNotificationRule
+ * @param {NotificationRule} rule - The rule.
+ * @returns {string} The description.
+ */
+export function describeNotificationRule(rule) {
+  switch (rule.type) {
+    case 'new-rate':
+      return t('ruleNewRate');
+    case 'crosses':
+      return t('ruleCrosses', formatRate(rule.value));
+    case 'daily-change':
+      return t('ruleDailyChange', formatPercentage(rule.value));
+    default:
+      return rule.type;
+  }
+}
+
+/**
+ * Evaluates the rules against a change of the stored rate data.
+ * @function evaluateNotificationRules
+ * @param {object|null|undefined} previousData - The rate data stored before the fetch, if any.
+ * @param {object} newData - The rate data just stored (`currentRate`, `date`).
+ * @param {Array<NotificationRule>} rules - The rules to evaluate. Disabled rules are ignored.
+ * @returns {Array<RateNotification>} One notification per rule that triggered, in the language of the interface.
+ */
+export function evaluateNotificationRules(previousData, newData, rules) {
+  if (!newData || typeof newData.currentRate !== 'number' || isNaN(newData.currentRate)) return [];
+
+  const newRate = newData.currentRate;
+  const previousRate = previousData && typeof previousData.currentRate === 'number' ? previousData.currentRate : null;
+  const newDateKey = toValueDateKey(newData.date);
+  const isNewValueDate = Boolean(previousData) && newDateKey !== null && newDateKey !== toValueDateKey(previousData.date);
+  const notifications = [];
+
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+
+    if (rule.type === 'new-rate' && isNewValueDate) {
+      notifications.push({
+        ruleId: rule.id,
+        title: t('notificationNewRateTitle'),
+        message: t('notificationNewRateMessage', formatRate(newRate), formatValueDate(newDateKey))
+      });
+    } else if (rule.type === 'crosses' && previousRate !== null && typeof rule.value === 'number') {
+      const crossedUp = previousRate < rule.value && newRate >= rule.value;
+      const crossedDown = previousRate > rule.value && newRate <= rule.value;
+      if (crossedUp || crossedDown) {
+        notifications.push({
+          ruleId: rule.id,
+          title: t(crossedUp ? 'notificationRoseAboveTitle' : 'notificationFellBelowTitle', formatRate(rule.value)),
+          message: t('notificationCrossesMessage', formatRate(newRate), formatRate(previousRate))
+        });
+      }
+    } else if (rule.type === 'daily-change' && isNewValueDate && previousRate && typeof rule.value === 'number') {
+      const changePercentage = ((newRate - previousRate) / previousRate) * 100;
+      if (Math.abs(changePercentage) >= rule.value) {
+        notifications.push({
+          ruleId: rule.id,
+          title: t('notificationMovedTitle', `${changePercentage > 0 ? '+' : ''}${formatPercentage(changePercentage)}`),
+          message: t('notificationMovedMessage', formatRate(previousRate), formatRate(newRate))
+        });
+      }
+    }
+  }
+
+  return notifications;
+}
+
+/**
+ * Shows the notifications as desktop notifications.
+ * @async
+ * @function showRateNotifications
+ * @param {Array<RateNotification>} notifications - The notifications to show.
+ * @sideEffects Creates `chrome.notifications`. Outputs an error to the console if a notification cannot be shown.
+ */
+export async function showRateNotifications(notifications) {
+  for (const notification of notifications) {
+    try {
+      await chrome.notifications.create(`${notification.ruleId}-${Date.now()}`, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: notification.title,
+        message: notification.message
+      });
+    } catch (error) {
+      console.error('Error showing rate notification:', error);
+    }
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * @file Conversions typed in the address bar after the "bcv" keyword: "bcv 150" converts dollars to bolívares and
+ * "bcv bs 5400" bolívares to dollars, at the rate stored by the service worker. Both directions are suggested as
+ * the amount is typed; Enter copies the converted amount, and the "panel" suggestions open it in the side panel.
+ */
+
+import { BASE_CURRENCY } from './currencies.js';
+import { createConversion, formatCurrency, formatRate } from './calculator.js';
+import { evaluateExpression } from './expression.js';
+import { formatValueDate } from './rateHistory.js';
+import { escapeHtml } from './html.js';
+import { getNumberLocale, t } from './i18n.js';
+
+/**
+ * @typedef {object} OmniboxInput
+ * @property {number} amount - The amount typed (a number or an arithmetic expression, e.g. "120*3").
+ * @property {string|null} currency - The currency of the amount, 'USD' or 'Bs', or null if none was typed.
+ * @property {boolean} openInSidePanel - Whether the conversion is shown in the side panel instead of copied.
+ */
+
+/**
+ * @typedef {object} OmniboxSuggestions
+ * @property {string} defaultDescription - The description of the text as typed, shown first.
+ * @property {Array<{content: string, description: string}>} suggestions - The other suggestions. Their content is
+ *           the text entered when one is picked.
+ */
+
+// Words that mark the currency of the amount, before or after it
+const CURRENCY_WORDS = {
+  bs: BASE_CURRENCY,
+  'bs.': BASE_CURRENCY,
+  ves: BASE_CURRENCY,
+  bolivares: BASE_CURRENCY,
+  'bolívares': BASE_CURRENCY,
+  usd: 'USD',
+  $: 'USD',
+  ref: 'USD',
+  dolares: 'USD',
+  'dólares': 'USD'
+};
+// The word written in suggestions for each currency
+const CURRENCY_KEYWORDS = { USD: 'usd', [BASE_CURRENCY]: 'bs' };
+const SIDE_PANEL_WORD = 'panel';
+const OMNIBOX_NOTIFICATION_PREFIX = 'omnibox';
+// Longest words first, so "bs." is matched whole rather than as "bs"
+const CURRENCY_PATTERN = Object.keys(CURRENCY_WORDS)
+  .sort((a, b) => b.length - a.length)
+  .map(word => word.replace(/[.$]/g, '\\$&'))
+  .join('|');
+const INPUT_PATTERN = new RegExp(
+  `^(?:(?<panel>${SIDE_PANEL_WORD})\\s+)?(?:(?<prefix>${CURRENCY_PATTERN})\\s*)?(?<amount>[\\d.,+\\-*/()%\\s]*?)\\s*(?<suffix>${CURRENCY_PATTERN})?$`,
+  'iu'
+);
+
+/**
+ * Checks whether the text entered asks for the side panel, without reading the amount, so the side panel can be
+ * opened while handling the event, before anything is awaited.
+ * @export
+ * @function isSidePanelInput
+ * @param {string} text - The text after the keyword.
+ * @returns {boolean} True if the text starts with "panel".
+ */
+export function isSidePanelInput(text) {
+  return new RegExp(`^${SIDE_PANEL_WORD}\\s`, 'i').test(text.trim() + ' ');
+}
+
+/**
+ * Reads the text typed after the keyword: an optional "panel", then an amount with an optional currency before
+ * or after it (e.g. "150", "$150", "bs 5400", "5400 bs", "panel 150 usd").
+ * @export
+ * @function parseOmniboxInput
+ * @param {string} text - The text after the keyword.
+ * @param {string} decimalSeparator - The decimal separator of the number locale.
+ * @returns {OmniboxInput} The amount, its currency and where to show the conversion.
+ * @throws {Error} If the text is not an amount, or has two different currencies.
+ */
+export function parseOmniboxInput(text, decimalSeparator) {
+  const match = text.trim().match(INPUT_PATTERN);
+  if (!match) throw new Error(t('omniboxInvalidInput'));
+
+  const { panel, prefix, amount, suffix } = match.groups;
+  const [prefixCurrency, suffixCurrency] = [prefix, suffix].map(word => word ? CURRENCY_WORDS[word.toLowerCase()] : null);
+  if (prefixCurrency && suffixCurrency && prefixCurrency !== suffixCurrency) throw new Error(t('omniboxInvalidInput'));
+
+  const value = evaluateExpression(amount, decimalSeparator);
+  if (!(value > 0)) throw new Error(t('enterAmountAboveZero'));
+  return { amount: value, currency: prefixCurrency || suffixCurrency, openInSidePanel: Boolean(panel) };
+}
+
+/**
+ * Builds the text that enters a conversion, so each suggestion can be picked (e.g. "bs 150" or "panel usd 150").
+ * The amount is written in the number locale without grouping, so it reads back as the same amount.
+ * @function toOmniboxContent
+ * @param {number} amount - The amount.
+ * @param {string} currency - Its currency.
+ * @param {boolean} openInSidePanel - Whether the conversion is shown in the side panel.
+ * @returns {string} The text.
+ */
+function toOmniboxContent(amount, currency, openInSidePanel) {
+  const amountText = amount.toLocaleString(getNumberLocale(), { useGrouping: false, maximumFractionDigits: 20 });
+  return `${openInSidePanel ? `${SIDE_PANEL_WORD} ` : ''}${CURRENCY_KEYWORDS[currency]} ${amountText}`;
+}
+
+/**
+ * Describes a conversion for the address bar, e.g. "<match>$150,00 = Bs. 5.475,00</match> <dim>· BCV Oct 19, 2026</dim>".
+ * Descriptions are XML, so the texts are escaped.
+ * @function describeConversion
+ * @param {import('./storage.js').ConversionItem} conversion - The conversion.
+ * @param {string} action - What Enter does, e.g. "Enter to copy".
+ * @returns {string} The description.
+ */
+function describeConversion(conversion, action) {
+  const text = `${formatCurrency(conversion.fromAmount, conversion.fromCurrency)} = ${formatCurrency(conversion.toAmount, conversion.toCurrency)}`;
+  const details = [conversion.rateDate ? `BCV ${formatValueDate(conversion.rateDate)}` : '', action].filter(Boolean).join(' · ');
+  return `<match>${escapeHtml(text)}</match> <dim>· ${escapeHtml(details)}</dim>`;
+}
+
+/**
+ * Converts the text typed after the keyword in both directions and builds the suggestions: the currency typed
+ * (dollars if none) first, copied on Enter, then the other direction, and both in the side panel.
+ * @export
+ * @function buildOmniboxSuggestions
+ * @param {string} text - The text after the keyword.
+ * @param {object|null|undefined} rateData - The rate data stored by the service worker.
+ * @param {string} decimalSeparator - The decimal separator of the number locale.
+ * @returns {OmniboxSuggestions} The suggestions. Without a valid amount, the default one explains what to type or
+ *          what is wrong, and there are no others.
+ */
+export function buildOmniboxSuggestions(text, rateData, decimalSeparator) {
+  if (!text.trim()) return { defaultDescription: escapeHtml(t('omniboxHint')), suggestions: [] };
+
+  let input;
+  let conversions;
+  try {
+    input = parseOmniboxInput(text, decimalSeparator);
+    const first = input.currency || 'USD';
+    const second = first === 'USD' ? BASE_CURRENCY : 'USD';
+    conversions = [first, second].map(currency => createConversion(input.amount, currency, currency === 'USD' ? BASE_CURRENCY : 'USD', rateData));
+  } catch (error) {
+    return { defaultDescription: `<dim>${escapeHtml(error.message)}</dim>`, suggestions: [] };
+  }
+
+  const [primary, secondary] = conversions;
+  const firstAction = input.openInSidePanel ? t('omniboxEnterToOpen') : t('omniboxEnterToCopy');
+  return {
+    defaultDescription: describeConversion(primary, firstAction),
+    suggestions: [
+      { content: toOmniboxContent(secondary.fromAmount, secondary.fromCurrency, input.openInSidePanel), description: describeConversion(secondary, firstAction) },
+      ...[primary, secondary]
+        .filter(() => !input.openInSidePanel)
+        .map(conversion => ({
+          content: toOmniboxContent(conversion.fromAmount, conversion.fromCurrency, true),
+          description: describeConversion(conversion, t('omniboxEnterToOpen'))
+        }))
+    ]
+  };
+}
+
+/**
+ * Converts the text entered after the keyword, in the currency typed (dollars if none).
+ * @export
+ * @function convertOmniboxInput
+ * @param {string} text - The text after the keyword.
+ * @param {object|null|undefined} rateData - The rate data stored by the service worker.
+ * @param {string} decimalSeparator - The decimal separator of the number locale.
+ * @returns {{conversion: import('./storage.js').ConversionItem, openInSidePanel: boolean}} The conversion, and whether
+ *          it is shown in the side panel instead of copied.
+ * @throws {Error} If the text is not an amount or there is no rate yet.
+ */
+export function convertOmniboxInput(text, rateData, decimalSeparator) {
+  const { amount, currency, openInSidePanel } = parseOmniboxInput(text, decimalSeparator);
+  const fromCurrency = currency || 'USD';
+  const conversion = createConversion(amount, fromCurrency, fromCurrency === 'USD' ? BASE_CURRENCY : 'USD', rateData);
+  return { conversion, openInSidePanel };
+}
+
+/**
+ * Tells in a desktop notification that a converted amount was copied, e.g. "Copied Bs. 5.475,00" with
+ * "$150,00 at the BCV rate of 36,50 (Oct 19, 2026)".
+ * @async
+ * @export
+ * @function showOmniboxCopied
+ * @param {import('./storage.js').ConversionItem} conversion - The conversion copied.
+ * @returns {Promise<void>}
+ * @sideEffects Creates a `chrome.notifications` notification.
+ */
+export async function showOmniboxCopied(conversion) {
+  await chrome.notifications.create(`${OMNIBOX_NOTIFICATION_PREFIX}-${Date.now()}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: t('omniboxCopied', formatCurrency(conversion.toAmount, conversion.toCurrency)),
+    message: t('omniboxCopiedMessage', formatCurrency(conversion.fromAmount, conversion.fromCurrency),
+      formatRate(conversion.rate), formatValueDate(conversion.rateDate))
+  });
+}
+
+/**
+ * Shows why the text entered after the keyword could not be converted in a desktop notification.
+ * @async
+ * @export
+ * @function showOmniboxError
+ * @param {string} message - The reason.
+ * @returns {Promise<void>}
+ * @sideEffects Creates a `chrome.notifications` notification. Outputs an error to the console if it cannot be shown.
+ */
+export async function showOmniboxError(message) {
+  try {
+    await chrome.notifications.create(`${OMNIBOX_NOTIFICATION_PREFIX}-error-${Date.now()}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: t('omniboxCouldNotConvert'),
+      message
+    });
+  } catch (error) {
+    console.error('Error showing the address bar notification:', error);
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * @file Settings of the price overlay, which converts the prices found on web pages (see `priceOverlayView.js`):
+ * on which sites it runs, and the access to websites and content script it needs. Access to websites is an
+ * optional permission, requested when the overlay is first turned on, so the extension does not ask for it on install.
+ */
+
+/**
+ * How converted prices are shown, keyed by id, with the message name of their label.
+ * @type {Object<string, string>}
+ */
+export const PRICE_OVERLAY_MODES = {
+  hover: 'priceOverlayModeHover',
+  inline: 'priceOverlayModeInline'
+};
+
+export const DEFAULT_PRICE_OVERLAY_MODE = 'hover';
+// The site list is part of the settings item in `chrome.storage.sync`, which is limited to 8 KB
+export const MAX_PRICE_OVERLAY_SITES = 100;
+export const PRICE_OVERLAY_ORIGINS = ['http://*/*', 'https://*/*'];
+
+const CONTENT_SCRIPT_ID = 'priceOverlay';
+const CONTENT_SCRIPT_FILE = 'content.js';
+const CONTENT_STYLE_FILE = 'src/css/priceOverlay.css';
+const SITE_PATTERN = /^(?=.{1,253}$)[a-z0-9-]+(?:\.[a-z0-9-]+)*$/;
+
+/**
+ * Checks whether a value is a site of the site list: a lowercase hostname without "www." (e.g. "amazon.com").
+ * @export
+ * @function isValidSite
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a site.
+ */
+export function isValidSite(value) {
+  return typeof value === 'string' && SITE_PATTERN.test(value) && !value.startsWith('www.');
+}
+
+/**
+ * Reads the site of a URL, hostname or address as typed (e.g. "https://www.amazon.com/dp/1", "www.amazon.com"
+ * or "Amazon.com" are all "amazon.com").
+ * @export
+ * @function toSite
+ * @param {string} text - The URL, hostname or address.
+ * @returns {string|null} The site, or null if the text is not the address of a web page.
+ */
+export function toSite(text) {
+  const address = String(text).trim().toLowerCase();
+  if (!address) return null;
+  try {
+    const { protocol, hostname } = new URL(address.includes('://') ? address : `https://${address}`);
+    const site = hostname.replace(/^www\./, '');
+    return ['http:', 'https:'].includes(protocol) && isValidSite(site) ? site : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Finds the entry of the site list that applies to a hostname: the site itself or, failing that, the closest
+ * parent domain (an entry for "amazon.com" also applies to "smile.amazon.com").
+ * @export
+ * @function findSiteEntry
+ * @param {Object<string, boolean>} sites - The site list, from the `priceOverlaySites` setting.
+ * @param {string} hostname - The hostname of the page.
+ * @returns {string|null} The site of the entry, or null if none applies.
+ */
+export function findSiteEntry(sites, hostname) {
+  let site = toSite(hostname);
+  while (site) {
+    if (Object.prototype.hasOwnProperty.call(sites, site)) return site;
+    const dot = site.indexOf('.');
+    site = dot === -1 ? null : site.slice(dot + 1);
+  }
+  return null;
+}
+
+/**
+ * Decides whether prices are converted on a page: as its entry in the site list says (allowed or blocked),
+ * or as the `priceOverlayEnabled` setting says for sites not in the list.
+ * @export
+ * @function isPriceOverlayEnabled
+ * @param {{priceOverlayEnabled: boolean, priceOverlaySites: Object<string, boolean>}} settings - The user settings.
+ * @param {string} hostname - The hostname of the page.
+ * @returns {boolean} True if prices are converted on the page.
+ */
+export function isPriceOverlayEnabled(settings, hostname) {
+  const site = findSiteEntry(settings.priceOverlaySites, hostname);
+  return site ? settings.priceOverlaySites[site] : settings.priceOverlayEnabled;
+}
+
+/**
+ * Checks whether the price overlay runs anywhere, i.e. on every site or on an allowed one.
+ * @export
+ * @function isPriceOverlayUsed
+ * @param {{priceOverlayEnabled: boolean, priceOverlaySites: Object<string, boolean>}} settings - The user settings.
+ * @returns {boolean} True if the overlay needs access to websites.
+ */
+export function isPriceOverlayUsed(settings) {
+  return settings.priceOverlayEnabled || Object.values(settings.priceOverlaySites).some(Boolean);
+}
+
+/**
+ * Asks the user for access to websites, unless it was already granted. Must be called from a user action
+ * (e.g. a click) before anything is awaited, or the browser rejects the request.
+ * @export
+ * @function requestPriceOverlayPermission
+ * @returns {Promise<boolean>} Resolves to true if the extension can access websites.
+ * @sideEffects May show the browser's permission prompt. Outputs an error to the console if the request fails.
+ */
+export function requestPriceOverlayPermission() {
+  return chrome.permissions.request({ origins: PRICE_OVERLAY_ORIGINS }).catch(error => {
+    console.error('Error requesting access to websites:', error);
+    return false;
+  });
+}
+
+/**
+ * Registers the content script of the price overlay while the overlay is used and the extension can access websites,
+ * and unregisters it otherwise. Registered scripts persist across browser restarts.
+ * @async
+ * @export
+ * @function syncPriceOverlayScript
+ * @param {import('./settings.js').Settings} settings - The user settings.
+ * @returns {Promise<boolean>} Resolves to true if the content script is registered.
+ * @sideEffects Registers or unregisters a content script.
+ */
+export async function syncPriceOverlayScript(settings) {
+  const shouldRegister = isPriceOverlayUsed(settings) && await chrome.permissions.contains({ origins: PRICE_OVERLAY_ORIGINS });
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+  if (shouldRegister && registered.length === 0) {
+    await chrome.scripting.registerContentScripts([{
+      id: CONTENT_SCRIPT_ID,
+      matches: PRICE_OVERLAY_ORIGINS,
+      js: [CONTENT_SCRIPT_FILE],
+      css: [CONTENT_STYLE_FILE],
+      runAt: 'document_idle',
+      persistAcrossSessions: true
+    }]);
+  } else if (!shouldRegister && registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+  }
+  return shouldRegister;
+}
+
+/**
+ * Runs the price overlay in a tab that is already open, which the registered content script only reaches once reloaded.
+ * The content script ignores being run twice in the same page.
+ * @async
+ * @export
+ * @function injectPriceOverlay
+ * @param {number} tabId - The id of the tab.
+ * @returns {Promise<void>}
+ * @throws {Error} If the tab cannot be scripted (e.g. a page of the browser or the web store).
+ * @sideEffects Injects the content script and its styles into the tab.
+ */
+export async function injectPriceOverlay(tabId) {
+  await chrome.scripting.insertCSS({ target: { tabId }, files: [CONTENT_STYLE_FILE] });
+  await chrome.scripting.executeScript({ target: { tabId }, files: [CONTENT_SCRIPT_FILE] });
+}
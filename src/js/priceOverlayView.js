@@ -0,0 +1,267 @@
+/**
+ * @file Price overlay, run by the content script in web pages: finds the prices in the text of the page and shows
+ * them converted between dollars and bolívares at the BCV rate stored by the extension, in a tooltip on hover or
+ * next to the price. Each price is wrapped in a span, so prices split across elements (e.g. "$12<sup>99</sup>")
+ * are not found. Prices added later (e.g. by infinite scroll) are converted as they appear, and everything is
+ * updated when the rate or the settings change, and removed when the overlay is turned off for the site.
+ */
+
+import { BASE_CURRENCY } from './currencies.js';
+import { convertCurrency, formatCurrency, formatRate } from './calculator.js';
+import { findPrices } from './prices.js';
+import { isPriceOverlayEnabled } from './priceOverlay.js';
+import { getSettings, normalizeSettings, SETTINGS_KEY } from './settings.js';
+import { applyLocaleSettings, t } from './i18n.js';
+import { applyRoundingSettings } from './rounding.js';
+
+const RATE_DATA_KEY = 'bcvRateData'; // Same key as in background.js and ui.js
+const PRICE_CLASS = 'bcv-price';
+const CONVERTED_CLASS = 'bcv-price-converted';
+const HOVER_CLASS = 'bcv-price-hover';
+// Text in these elements is never converted: code, form fields, and what the overlay itself added
+const SKIPPED_SELECTOR = `script, style, noscript, template, textarea, select, code, pre, [contenteditable=""], [contenteditable="true"], .${PRICE_CLASS}`;
+// Pages that change constantly are rescanned at most this often
+const SCAN_DELAY_MS = 300;
+
+/**
+ * @typedef {object} OverlayState
+ * @property {import('./settings.js').Settings|null} settings - The user settings.
+ * @property {object|null} rateData - The rate data stored by the service worker.
+ * @property {boolean} isActive - Whether prices are converted on this page.
+ * @property {MutationObserver|null} observer - Watches the page for new text while active.
+ * @property {Set<Node>} pendingNodes - Nodes added or changed since the last scan.
+ * @property {number|null} scanTimer - The timer of the next scan.
+ */
+
+/** @type {OverlayState} */
+let overlayState = {
+  settings: null,
+  rateData: null,
+  isActive: false,
+  observer: null,
+  pendingNodes: new Set(),
+  scanTimer: null
+};
+
+/**
+ * Starts the price overlay in the page: reads the settings and the rate, converts the prices if the overlay
+ * is on for the site, and follows later changes of both.
+ * @async
+ * @export
+ * @function initializePriceOverlay
+ * @sideEffects Reads `chrome.storage`. Attaches a `chrome.storage.onChanged` listener. Calls `applyOverlay`.
+ */
+export async function initializePriceOverlay() {
+  const [settings, result] = await Promise.all([getSettings(), chrome.storage.local.get(RATE_DATA_KEY)]);
+  overlayState.rateData = result[RATE_DATA_KEY] || null;
+  await applyOverlay(settings);
+
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && changes[RATE_DATA_KEY]) {
+      overlayState.rateData = changes[RATE_DATA_KEY].newValue || null;
+      applyOverlay(overlayState.settings);
+    }
+    if (namespace === 'sync' && changes[SETTINGS_KEY]) {
+      applyOverlay(normalizeSettings(changes[SETTINGS_KEY].newValue));
+    }
+  });
+}
+
+/**
+ * Converts the prices of the page, updates them, or removes the conversions, as the settings and the rate say.
+ * @async
+ * @function applyOverlay
+ * @param {import('./settings.js').Settings} settings - The user settings.
+ * @sideEffects Modifies `overlayState` and the page. Applies the locale and rounding settings.
+ */
+async function applyOverlay(settings) {
+  overlayState.settings = settings;
+  await applyLocaleSettings(settings);
+  applyRoundingSettings(settings);
+
+  const shouldBeActive = Boolean(overlayState.rateData && overlayState.rateData.currentRate)
+    && isPriceOverlayEnabled(settings, location.hostname);
+  if (shouldBeActive && !overlayState.isActive) {
+    startOverlay();
+  } else if (shouldBeActive) {
+    document.querySelectorAll(`.${PRICE_CLASS}`).forEach(renderConversion);
+  } else if (overlayState.isActive) {
+    stopOverlay();
+  }
+}
+
+/**
+ * Converts the prices of the page and starts watching it for new ones.
+ * @function startOverlay
+ * @sideEffects Modifies `overlayState` and the page.
+ */
+function startOverlay() {
+  overlayState.isActive = true;
+  overlayState.observer = new MutationObserver(handleMutations);
+  withoutObserving(() => scanPrices(document.body));
+}
+
+/**
+ * Stops watching the page and puts back the prices as they were.
+ * @function stopOverlay
+ * @sideEffects Modifies `overlayState` and the page.
+ */
+function stopOverlay() {
+  overlayState.isActive = false;
+  overlayState.observer.disconnect();
+  overlayState.observer = null;
+  clearTimeout(overlayState.scanTimer);
+  overlayState.pendingNodes.clear();
+  document.querySelectorAll(`.${PRICE_CLASS}`).forEach(unwrapPrice);
+}
+
+/**
+ * Runs a change of the page without the observer seeing it, so the overlay does not react to its own changes.
+ * Changes made by the page in the meantime are still handled.
+ * @function withoutObserving
+ * @param {function(): void} change - The change.
+ * @sideEffects Disconnects and reconnects the observer.
+ */
+function withoutObserving(change) {
+  const { observer } = overlayState;
+  const pending = observer.takeRecords();
+  observer.disconnect();
+  try {
+    change();
+  } finally {
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+  }
+  if (pending.length > 0) handleMutations(pending);
+}
+
+/**
+ * Collects the nodes the page added or changed, and schedules a scan of them. A price whose text the page
+ * changed is put back as it was and scanned again.
+ * @function handleMutations
+ * @param {Array<MutationRecord>} mutations - The changes.
+ * @sideEffects Modifies `overlayState.pendingNodes` and `overlayState.scanTimer`. May modify the page.
+ */
+function handleMutations(mutations) {
+  for (const mutation of mutations) {
+    if (mutation.type === 'characterData') {
+      const price = mutation.target.parentElement && mutation.target.parentElement.closest(`.${PRICE_CLASS}`);
+      if (price) {
+        const parent = price.parentNode;
+        withoutObserving(() => unwrapPrice(price));
+        overlayState.pendingNodes.add(parent);
+      } else {
+        overlayState.pendingNodes.add(mutation.target);
+      }
+    } else {
+      mutation.addedNodes.forEach(node => overlayState.pendingNodes.add(node));
+    }
+  }
+
+  if (overlayState.pendingNodes.size > 0 && !overlayState.scanTimer) {
+    overlayState.scanTimer = setTimeout(() => {
+      overlayState.scanTimer = null;
+      const nodes = [...overlayState.pendingNodes].filter(node => node.isConnected);
+      overlayState.pendingNodes.clear();
+      if (overlayState.isActive) withoutObserving(() => nodes.forEach(scanPrices));
+    }, SCAN_DELAY_MS);
+  }
+}
+
+/**
+ * Checks whether the prices of a text node are converted: it must have digits and not be in a skipped element.
+ * @function isScannable
+ * @param {Text} node - The text node.
+ * @returns {boolean} True if the node may be scanned.
+ */
+function isScannable(node) {
+  return /\d/.test(node.data) && Boolean(node.parentElement) && !node.parentElement.closest(SKIPPED_SELECTOR);
+}
+
+/**
+ * Wraps the prices found in a node and its descendants.
+ * @function scanPrices
+ * @param {Node} root - The node, e.g. the body of the page or a node the page added.
+ * @sideEffects Modifies the page.
+ */
+function scanPrices(root) {
+  if (root.nodeType === Node.TEXT_NODE) {
+    if (isScannable(root)) wrapPrices(root);
+    return;
+  }
+  if (root.nodeType !== Node.ELEMENT_NODE || root.closest(SKIPPED_SELECTOR)) return;
+
+  // Nodes are collected first, since wrapping prices changes the tree being walked
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+  nodes.filter(isScannable).forEach(wrapPrices);
+}
+
+/**
+ * Wraps each price in a text node in a span showing its conversion.
+ * @function wrapPrices
+ * @param {Text} node - The text node.
+ * @sideEffects Replaces the text node with text and price spans.
+ */
+function wrapPrices(node) {
+  const prices = findPrices(node.data);
+  if (prices.length === 0) return;
+
+  const fragment = document.createDocumentFragment();
+  let index = 0;
+  for (const price of prices) {
+    if (price.index > index) fragment.append(node.data.slice(index, price.index));
+    const element = document.createElement('span');
+    element.className = PRICE_CLASS;
+    element.dataset.bcvAmount = String(price.amount);
+    element.dataset.bcvCurrency = price.currency;
+    element.textContent = price.text;
+    renderConversion(element);
+    fragment.append(element);
+    index = price.index + price.text.length;
+  }
+  if (index < node.data.length) fragment.append(node.data.slice(index));
+  node.replaceWith(fragment);
+}
+
+/**
+ * Shows the conversion of a wrapped price, in its tooltip and, in the inline mode, after the price
+ * (e.g. "$12.99 (≈ Bs. 474,14)").
+ * @function renderConversion
+ * @param {HTMLElement} element - The price span.
+ * @sideEffects Modifies the title, class and content of the span.
+ */
+function renderConversion(element) {
+  const { currentRate, rates } = overlayState.rateData;
+  const currency = element.dataset.bcvCurrency;
+  const otherCurrency = currency === BASE_CURRENCY ? 'USD' : BASE_CURRENCY;
+  const converted = convertCurrency(Number(element.dataset.bcvAmount), currency, otherCurrency, { ...(rates || {}), USD: currentRate });
+  const text = `≈ ${formatCurrency(converted, otherCurrency)}`;
+  const isInline = overlayState.settings.priceOverlayMode === 'inline';
+
+  element.title = t('priceOverlayTitle', text, formatRate(currentRate));
+  element.classList.toggle(HOVER_CLASS, !isInline);
+  let convertedElement = element.querySelector(`.${CONVERTED_CLASS}`);
+  if (isInline) {
+    if (!convertedElement) {
+      convertedElement = document.createElement('span');
+      convertedElement.className = CONVERTED_CLASS;
+      element.append(convertedElement);
+    }
+    convertedElement.textContent = ` (${text})`;
+  } else if (convertedElement) {
+    convertedElement.remove();
+  }
+}
+
+/**
+ * Puts back a wrapped price as the text it was.
+ * @function unwrapPrice
+ * @param {HTMLElement} element - The price span.
+ * @sideEffects Replaces the span with its text.
+ */
+function unwrapPrice(element) {
+  const convertedElement = element.querySelector(`.${CONVERTED_CLASS}`);
+  if (convertedElement) convertedElement.remove();
+  element.replaceWith(element.textContent);
+}
@@ -0,0 +1,62 @@
+/**
+ * @file Detection of prices in the text of web pages, for the price overlay: dollar prices ("$12.99", "US$ 5",
+ * "20 USD", "20$", and "Ref 20", the reference price of Venezuelan shops) and bolívar prices ("Bs. 1.234,56",
+ * "Bs.S 100", "1.234,56 Bs", "VES 100").
+ */
+
+import { BASE_CURRENCY } from './currencies.js';
+import { parseNumber } from './expression.js';
+
+/**
+ * @typedef {object} PagePrice
+ * @property {number} index - Where the price starts in the text.
+ * @property {string} text - The price as written, with its symbol.
+ * @property {number} amount - The amount.
+ * @property {('USD'|'Bs')} currency - The currency of the price.
+ */
+
+// Digits with thousands and decimal separators, e.g. "1.234,56"; which separator is which is decided by `parseNumber`
+const NUMBER = String.raw`\d(?:[\d.,]*\d)?`;
+
+/**
+ * Matches a price: a symbol before or after a number. Prices must not touch letters or digits (e.g. "A$20" or "B2B 5"),
+ * nor be part of a longer number (e.g. "$1.5M" is not "$1"), and the symbol and the number may be separated by a
+ * space (including a non-breaking one).
+ */
+const PRICE_PATTERN = new RegExp(
+  String.raw`(?<![\p{L}\p{N}$]|\d[.,])(?:` +
+  String.raw`(?<usdSymbol>US\$|U\$S|USD|REF\.?:?|\$)\s?(?<usdAmount>${NUMBER})` +
+  String.raw`|(?:Bs\.?\s?[SD]\.?|Bs\.?|VES|VED)\s?(?<bsAmount>${NUMBER})` +
+  String.raw`|(?<amount>${NUMBER})\s?(?:USD|\$|(?<bsSuffix>Bs\.?(?:[SD]\.?)?|VES|VED))` +
+  String.raw`)(?![\p{L}\p{N}]|[.,]\d)`,
+  'giu'
+);
+
+/**
+ * Finds the prices in a text.
+ * Bolívar and "Ref" prices are read with a decimal comma, as Venezuelan shops write them, and other dollar prices
+ * with a decimal point unless told otherwise; `parseNumber` still reads "Ref 1.234,50" or "$1.234,50" correctly.
+ * @export
+ * @function findPrices
+ * @param {string} text - The text, e.g. of a text node.
+ * @param {string} [dollarDecimalSeparator='.'] - The decimal separator of dollar prices other than "Ref" ones.
+ * @returns {Array<PagePrice>} The prices, in order. Zero amounts and numbers with misplaced separators are left out.
+ * @example
+ * findPrices('Harina PAN Bs. 45,50 (Ref 1,25)');
+ * // [{ index: 11, text: 'Bs. 45,50', amount: 45.5, currency: 'Bs' }, { index: 22, text: 'Ref 1,25', amount: 1.25, currency: 'USD' }]
+ */
+export function findPrices(text, dollarDecimalSeparator = '.') {
+  const prices = [];
+  for (const match of text.matchAll(PRICE_PATTERN)) {
+    const { usdSymbol, usdAmount, bsAmount, amount, bsSuffix } = match.groups;
+    const currency = bsAmount || bsSuffix ? BASE_CURRENCY : 'USD';
+    const isReference = Boolean(usdSymbol && /^ref/i.test(usdSymbol));
+    try {
+      const value = parseNumber(usdAmount || bsAmount || amount, currency === BASE_CURRENCY || isReference ? ',' : dollarDecimalSeparator);
+      if (value > 0) prices.push({ index: match.index, text: match[0], amount: value, currency });
+    } catch {
+      // Not a price, e.g. a version number like "$1.2.3"
+    }
+  }
+  return prices;
+}
@@ -0,0 +1,129 @@
+/**
+ * @file Rate provider adapter that scrapes the official rates from the bcv.org.ve homepage.
+ */
+
+import { buildRateData, parseVenezuelanNumber } from './normalize.js';
+
+/**
+ * Maps currency codes to the id of the homepage block that publishes their rate.
+ * @type {Object<string, string>}
+ */
+const RATE_BLOCK_IDS = {
+  USD: 'dolar',
+  EUR: 'euro',
+  CNY: 'yuan',
+  TRY: 'lira',
+  RUB: 'rublo'
+};
+
+/**
+ * Maximum number of characters after a block's opening tag searched for its rate.
+ * A block also ends where the next element with an id starts, so a missing value is not read from the next currency.
+ */
+const BLOCK_SEARCH_LENGTH = 800;
+
+/**
+ * Matches the id attribute of the element that starts the next block.
+ */
+const NEXT_BLOCK_PATTERN = /\sid=["']/;
+
+/**
+ * @typedef {object} BCVHomepageRates
+ * @property {string} date - ISO string of the "Fecha Valor" (value date) the rates apply to.
+ * @property {string} valueDate - The same value date, as 'YYYY-MM-DD' in Venezuelan time.
+ * @property {Object<string, number>} rates - Bs per unit of each published currency, keyed by currency code.
+ */
+
+/**
+ * Extracts the rate published in one of the homepage's currency blocks.
+ * @function extractBlockRate
+ * @param {string} html - The homepage HTML.
+ * @param {string} blockId - The id of the block (e.g. 'dolar').
+ * @returns {number|null} The parsed rate, or null if the block or its value could not be found.
+ */
+function extractBlockRate(html, blockId) {
+  const start = html.search(new RegExp(`id=["']${blockId}["']`));
+  if (start === -1) return null;
+
+  const searched = html.slice(start, start + BLOCK_SEARCH_LENGTH);
+  const nextBlock = searched.slice(1).search(NEXT_BLOCK_PATTERN);
+  const block = nextBlock === -1 ? searched : searched.slice(0, nextBlock + 1);
+  const match = block.match(/<strong>\s*([\d.,]+)\s*<\/strong>/);
+  if (!match) return null;
+
+  const rate = parseVenezuelanNumber(match[1]);
+  return isNaN(rate) ? null : rate;
+}
+
+/**
+ * Extracts the "Fecha Valor" value date from the homepage, published in Venezuelan time
+ * (e.g. "2026-10-19T00:00:00-04:00").
+ * @function extractValueDate
+ * @param {string} html - The homepage HTML.
+ * @returns {{date: string, valueDate: string}|null} The value date as an ISO string and as 'YYYY-MM-DD', or null if it
+ *          could not be found.
+ */
+function extractValueDate(html) {
+  const match = html.match(/Fecha\s+Valor:[\s\S]{0,300}?content=["'](\d{4}-\d{2}-\d{2})([^"']*)["']/i);
+  if (!match) return null;
+
+  const date = new Date(match[1] + match[2]);
+  return isNaN(date.getTime()) ? null : { date: date.toISOString(), valueDate: match[1] };
+}
+
+/**
+ * Parses the official exchange rates and value date from the BCV homepage HTML.
+ * The USD rate and the value date are required; other currencies are included when present.
+ * @function parseBCVHomepage
+ * @param {string} html - The homepage HTML.
+ * @returns {BCVHomepageRates} The value date and the published rates.
+ * @throws {Error} If the USD rate or the value date cannot be found, which means the markup has changed.
+ */
+export function parseBCVHomepage(html) {
+  if (typeof html !== 'string' || html.length === 0) {
+    throw new Error('BCV homepage response is empty.');
+  }
+
+  const rates = {};
+  for (const [currency, blockId] of Object.entries(RATE_BLOCK_IDS)) {
+    const rate = extractBlockRate(html, blockId);
+    if (rate !== null) rates[currency] = rate;
+  }
+
+  if (rates.USD === undefined) {
+    throw new Error('BCV homepage markup changed: could not find the USD rate in the "#dolar" block.');
+  }
+
+  const valueDate = extractValueDate(html);
+  if (!valueDate) {
+    throw new Error('BCV homepage markup changed: could not find the "Fecha Valor" date.');
+  }
+
+  return { ...valueDate, rates };
+}
+
+/**
+ * Normalizes the BCV homepage into rate data. The homepage does not publish the previous
+ * rate, so the change is reported as zero. All published rates are kept in `rates`.
+ * @function parseBCVResponse
+ * @param {string} html - The homepage HTML.
+ * @returns {import('./normalize.js').RateData & {rates: Object<string, number>}} The normalized rate data.
+ * @throws {Error} If the homepage markup cannot be parsed.
+ */
+export function parseBCVResponse(html) {
+  const { date, valueDate, rates } = parseBCVHomepage(html);
+
+  return {
+    ...buildRateData({ currentRate: rates.USD, date, valueDate }),
+    rates
+  };
+}
+
+/** @type {import('./index.js').RateProvider} */
+export const bcvProvider = {
+  id: 'bcv',
+  name: 'Banco Central de Venezuela',
+  url: 'https://www.bcv.org.ve/',
+  responseType: 'text',
+  parse: parseBCVResponse
+};
@@ -0,0 +1,57 @@
+/**
+ * @file Rate provider adapter for the ve.dolarapi.com mirror (official rate).
+ */
+
+import { buildRateData } from './normalize.js';
+
+/**
+ * Normalizes a ve.dolarapi.com `/v1/dolares/oficial` JSON response.
+ * This source does not publish the previous rate, so the change is reported as zero.
+ * @function parseDolarApiResponse
+ * @param {object} data - The parsed JSON body returned by the API.
+ * @returns {import('./normalize.js').RateData} The normalized rate data.
+ * @throws {Error} If the response is missing the average price or it is not a number.
+ */
+export function parseDolarApiResponse(data) {
+  if (!data || data.promedio === undefined || data.promedio === null) {
+    throw new Error('API response missing essential price data.');
+  }
+
+  // `fechaActualizacion` is when the mirror last updated the rate, not its value date, which the response does not give
+  return buildRateData({
+    currentRate: data.promedio,
+    date: data.fechaActualizacion
+  });
+}
+
+/**
+ * Normalizes a ve.dolarapi.com `/v1/historicos/dolares/oficial` JSON response into a rate series.
+ * Entries without a valid date or average price are skipped.
+ * @function parseDolarApiHistory
+ * @param {Array<object>} data - The parsed JSON body returned by the API.
+ * @returns {Array<{date: string, rate: number}>} One entry per value date, with `date` as 'YYYY-MM-DD'.
+ * @throws {Error} If the response is not an array.
+ */
+export function parseDolarApiHistory(data) {
+  if (!Array.isArray(data)) {
+    throw new Error('API history response is not a list.');
+  }
+
+  return data
+    .filter(entry => entry && /^\d{4}-\d{2}-\d{2}/.test(entry.fecha) && !isNaN(parseFloat(entry.promedio)))
+    .map(entry => ({
+      date: entry.fecha.slice(0, 10),
+      rate: parseFloat(entry.promedio)
+    }));
+}
+
+/** @type {import('./index.js').RateProvider} */
+export const dolarApiProvider = {
+  id: 'dolarapi',
+  name: 've.dolarapi.com',
+  url: 'https://ve.dolarapi.com/v1/dolares/oficial',
+  responseType: 'json',
+  parse: parseDolarApiResponse,
+  historyUrl: 'https://ve.dolarapi.com/v1/historicos/dolares/oficial',
+  parseHistory: parseDolarApiHistory
+};
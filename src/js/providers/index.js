@@ -0,0 +1,139 @@
+/**
+ * @file Registry of exchange rate providers and the ordered failover chain used to fetch the BCV rate.
+ */
+
+import { pydolarveProvider } from './pydolarve.js';
+import { dolarApiProvider } from './dolarapi.js';
+import { bcvProvider } from './bcv.js';
+
+/**
+ * @typedef {object} RateProvider
+ * @property {string} id - Unique identifier recorded as `provider` in the stored rate data.
+ * @property {string} name - Human-readable name of the source.
+ * @property {string} url - The URL downloaded to obtain the rate.
+ * @property {('json'|'text')} responseType - How the response body is read before being passed to `parse`.
+ * @property {function(*): import('./normalize.js').RateData} parse - Normalizes the response body. Must throw on unexpected content.
+ * @property {string} [historyUrl] - Optional URL of a JSON endpoint listing past rates.
+ * @property {function(*): Array<{date: string, rate: number}>} [parseHistory] - Normalizes the `historyUrl` body. Required when `historyUrl` is set.
+ */
+
+/**
+ * All known providers, keyed by id.
+ * @type {Object<string, RateProvider>}
+ */
+export const PROVIDERS = {
+  [pydolarveProvider.id]: pydolarveProvider,
+  [bcvProvider.id]: bcvProvider,
+  [dolarApiProvider.id]: dolarApiProvider
+};
+
+/**
+ * The order in which providers are tried when fetching the rate.
+ * @type {Array<string>}
+ */
+export const DEFAULT_PROVIDER_ORDER = ['pydolarve', 'bcv', 'dolarapi'];
+
+/**
+ * Looks up a provider by id.
+ * @function getProvider
+ * @param {string} id - The provider id.
+ * @returns {RateProvider|undefined} The provider, or undefined if no provider has that id.
+ */
+export function getProvider(id) {
+  return PROVIDERS[id];
+}
+
+/**
+ * Downloads and parses the rate from a single provider.
+ * A custom `fetchImpl` can be passed to serve local fixture responses instead of hitting the network.
+ * @async
+ * @function fetchFromProvider
+ * @param {RateProvider} provider - The provider to query.
+ * @param {function(string): Promise<Response>} [fetchImpl=fetch] - The fetch implementation to use.
+ * @returns {Promise<import('./normalize.js').RateData & {provider: string}>} The normalized rate data tagged with the provider id.
+ *          Providers that publish several currencies also include a `rates` map (Bs per unit, keyed by currency code).
+ * @throws {Error} If the request fails, returns a non-OK status, or the body cannot be parsed.
+ */
+export async function fetchFromProvider(provider, fetchImpl = fetch) {
+  const response = await fetchImpl(provider.url);
+
+  if (!response.ok) {
+    throw new Error(`API error: ${response.status} ${response.statusText}`);
+  }
+
+  const body = provider.responseType === 'text' ? await response.text() : await response.json();
+
+  return {
+    ...provider.parse(body),
+    provider: provider.id
+  };
+}
+
+/**
+ * Tries each provider in order and returns the first successful result.
+ * @async
+ * @function fetchRateWithFailover
+ * @param {Array<string>} [order=DEFAULT_PROVIDER_ORDER] - Provider ids in the order they should be tried.
+ * @param {function(string): Promise<Response>} [fetchImpl=fetch] - The fetch implementation to use.
+ * @returns {Promise<import('./normalize.js').RateData & {provider: string}>} The rate data from the first provider that succeeded.
+ * @throws {Error} If every provider fails. The error's `failures` property lists each provider id with its error.
+ * @sideEffects Outputs a warning to the console for each provider that fails.
+ */
+export async function fetchRateWithFailover(order = DEFAULT_PROVIDER_ORDER, fetchImpl = fetch) {
+  const failures = [];
+
+  for (const id of order) {
+    const provider = getProvider(id);
+    if (!provider) {
+      console.warn(`Unknown rate provider "${id}", skipping.`);
+      continue;
+    }
+
+    try {
+      return await fetchFromProvider(provider, fetchImpl);
+    } catch (error) {
+      console.warn(`Rate provider "${id}" failed:`, error);
+      failures.push({ provider: id, error });
+    }
+  }
+
+  const summary = failures.map(({ provider, error }) => `${provider} (${error.message})`).join(', ');
+  const error = new Error(`All rate providers failed: ${summary || 'no providers configured'}`);
+  error.failures = failures;
+  throw error;
+}
+
+/**
+ * Downloads the past rate series from the first provider in `order` that offers a history endpoint.
+ * @async
+ * @function fetchRateHistorySeries
+ * @param {Array<string>} [order=DEFAULT_PROVIDER_ORDER] - Provider ids in the order they should be tried.
+ * @param {function(string): Promise<Response>} [fetchImpl=fetch] - The fetch implementation to use.
+ * @returns {Promise<{provider: string, series: Array<{date: string, rate: number}>}>} The series and the id of the provider that supplied it.
+ * @throws {Error} If no provider offers history or every history request fails.
+ * @sideEffects Outputs a warning to the console for each provider that fails.
+ */
+export async function fetchRateHistorySeries(order = DEFAULT_PROVIDER_ORDER, fetchImpl = fetch) {
+  const failures = [];
+
+  for (const id of order) {
+    const provider = getProvider(id);
+    if (!provider || !provider.historyUrl) continue;
+
+    try {
+      const response = await fetchImpl(provider.historyUrl);
+      if (!response.ok) {
+        throw new Error(`API error: ${response.status} ${response.statusText}`);
+      }
+      return { provider: id, series: provider.parseHistory(await response.json()) };
+    } catch (error) {
+      console.warn(`Rate history from provider "${id}" failed:`, error);
+      failures.push({ provider: id, error });
+    }
+  }
+
+  const summary = failures.map(({ provider, error }) => `${provider} (${error.message})`).join(', ');
+  const error = new Error(`Could not fetch rate history: ${summary || 'no provider offers history'}`);
+  error.failures = failures;
+  throw error;
+}
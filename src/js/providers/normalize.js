@@ -0,0 +1,60 @@
+/**
+ * @file Shared helpers used by rate provider adapters to produce a common rate data shape.
+ */
+
+/**
+ * @typedef {object} RateData
+ * @property {number} currentRate - The current exchange rate (Bs per USD).
+ * @property {number} previousRate - The previous exchange rate (Bs per USD).
+ * @property {string} date - ISO string representing the date of the rate.
+ * @property {string|null} valueDate - The BCV value date the rate applies to, as 'YYYY-MM-DD', or null if the source
+ *           does not publish it (`date` is then when the rate was fetched or updated).
+ * @property {number} change - The absolute difference between current and previous rates.
+ * @property {number} changePercentage - The percentage difference between current and previous rates.
+ */
+
+/**
+ * Builds a normalized `RateData` object from raw current/previous rates and a date.
+ * When a source does not publish a previous rate, the current rate is used so the change is reported as zero.
+ * @function buildRateData
+ * @param {object} raw - The raw values extracted by an adapter.
+ * @param {number} raw.currentRate - The current exchange rate.
+ * @param {number|null} [raw.previousRate] - The previous exchange rate, if the source publishes one.
+ * @param {string|null} [raw.date] - The date of the rate, in any format accepted by `Date`.
+ * @param {string|null} [raw.valueDate] - The BCV value date the rate applies to, as 'YYYY-MM-DD', if the source publishes it.
+ * @returns {RateData} The normalized rate data.
+ * @throws {Error} If the current or previous rate is not a valid number.
+ */
+export function buildRateData({ currentRate, previousRate = null, date = null, valueDate = null }) {
+  const current = parseFloat(currentRate);
+  const previous = previousRate === null || previousRate === undefined ? current : parseFloat(previousRate);
+
+  if (isNaN(current) || isNaN(previous)) {
+    throw new Error('Invalid number format for rate data.');
+  }
+
+  const parsedDate = date ? new Date(date) : null;
+
+  return {
+    currentRate: current,
+    previousRate: previous,
+    date: parsedDate && !isNaN(parsedDate.getTime()) ? parsedDate.toISOString() : new Date().toISOString(), // Fallback to current date if the source doesn't provide one
+    valueDate: typeof valueDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(valueDate) ? valueDate : null,
+    change: current - previous,
+    changePercentage: previous !== 0 ? ((current - previous) / previous) * 100 : 0 // Avoid division by zero
+  };
+}
+
+/**
+ * Parses a number written in the Venezuelan format, which uses a comma as the decimal
+ * separator and dots as thousands separators (e.g. "1.234,56" or "36,87120000").
+ * @function parseVenezuelanNumber
+ * @param {string} text - The number as published.
+ * @returns {number} The parsed number, or `NaN` if the text is not a valid number.
+ */
+export function parseVenezuelanNumber(text) {
+  if (typeof text !== 'string') return NaN;
+  const cleaned = text.trim();
+  if (!/^-?[\d.]*\d(,\d+)?$/.test(cleaned)) return NaN;
+  return parseFloat(cleaned.replace(/\./g, '').replace(',', '.'));
+}
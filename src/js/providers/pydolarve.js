@@ -0,0 +1,47 @@
+/**
+ * @file Rate provider adapter for the pydolarve.org API (BCV monitor).
+ */
+
+import { buildRateData } from './normalize.js';
+
+const PYDOLARVE_API_URL = 'https://pydolarve.org/api/v1/dollar';
+
+/**
+ * Builds the pydolarve API URL for a page and monitor (e.g. `page=bcv&monitor=usd`).
+ * @function buildPydolarveUrl
+ * @param {string} page - The pydolarve page that publishes the monitor.
+ * @param {string} monitor - The monitor id within that page.
+ * @returns {string} The API URL.
+ */
+export function buildPydolarveUrl(page, monitor) {
+  return `${PYDOLARVE_API_URL}?page=${encodeURIComponent(page)}&monitor=${encodeURIComponent(monitor)}`;
+}
+
+/**
+ * Normalizes a pydolarve monitor JSON response (e.g. `page=bcv&monitor=usd`).
+ * @function parsePydolarveResponse
+ * @param {object} data - The parsed JSON body returned by the API.
+ * @returns {import('./normalize.js').RateData} The normalized rate data.
+ * @throws {Error} If the response is missing the price fields or they are not numbers.
+ */
+export function parsePydolarveResponse(data) {
+  if (!data || data.price === undefined || data.price_old === undefined) {
+    throw new Error('API response missing essential price data.');
+  }
+
+  // `fetch_date` is when pydolarve read the rate, not its value date, which the response does not give
+  return buildRateData({
+    currentRate: data.price,
+    previousRate: data.price_old,
+    date: data.fetch_date
+  });
+}
+
+/** @type {import('./index.js').RateProvider} */
+export const pydolarveProvider = {
+  id: 'pydolarve',
+  name: 'pydolarve.org',
+  url: buildPydolarveUrl('bcv', 'usd'),
+  responseType: 'json',
+  parse: parsePydolarveResponse
+};
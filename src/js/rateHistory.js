@@ -0,0 +1,286 @@
+/**
+ * @file Time-series store of daily BCV rates kept in `chrome.storage.local`, keyed by value date.
+ */
+
+import { fetchRateHistorySeries } from './providers/index.js';
+import { getDateLocale } from './i18n.js';
+
+export const RATE_HISTORY_KEY = 'bcvRateHistory';
+export const RATE_HISTORY_RETENTION_DAYS = 730; // Two years, enough for the longest chart range
+const BCV_TIME_ZONE = 'America/Caracas';
+const MAX_FALLBACK_DAYS = 7; // Longest gap (weekends plus holidays) bridged with the last published rate
+
+/**
+ * @typedef {object} RateHistoryEntry
+ * @property {string} date - The BCV value date, as 'YYYY-MM-DD'.
+ * @property {number} rate - The Bs/USD rate for that value date.
+ * @property {string|null} provider - The id of the provider that supplied the rate.
+ * @property {string} recordedAt - ISO string of when the entry was written.
+ * @property {boolean} [estimated] - Whether the source did not publish the value date, so the entry is kept under
+ *           the day it was fetched until a rate with its value date replaces it.
+ */
+
+/**
+ * Converts a date into the 'YYYY-MM-DD' value date key used by the store, in Venezuelan time.
+ * Strings that already are a 'YYYY-MM-DD' key are returned unchanged.
+ * @function toValueDateKey
+ * @param {string|Date} date - An ISO string, a 'YYYY-MM-DD' string or a `Date`.
+ * @returns {string|null} The value date key, or null if the date is invalid.
+ */
+export function toValueDateKey(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+
+  const parsed = date instanceof Date ? date : new Date(date);
+  if (!date || isNaN(parsed.getTime())) return null;
+
+  // 'en-CA' formats dates as YYYY-MM-DD
+  return parsed.toLocaleDateString('en-CA', { timeZone: BCV_TIME_ZONE });
+}
+
+/**
+ * Returns the value date key `days` days before today.
+ * @function daysAgoKey
+ * @param {number} days - Number of days to go back.
+ * @returns {string} The value date key.
+ */
+export function daysAgoKey(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return toValueDateKey(date);
+}
+
+/**
+ * Shifts a value date key by a number of days.
+ * @function shiftValueDateKey
+ * @param {string} dateKey - The value date, as 'YYYY-MM-DD'.
+ * @param {number} days - Number of days to add (negative to go back).
+ * @returns {string} The shifted value date key.
+ */
+function shiftValueDateKey(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Formats a 'YYYY-MM-DD' value date for display in the date locale of the language (e.g. "Oct 19, 2026" or "19 oct 2026").
+ * @function formatValueDate
+ * @param {string} dateKey - The value date.
+ * @returns {string} The formatted date, or the key itself if it is not a valid date.
+ */
+export function formatValueDate(dateKey) {
+  // Noon avoids the date shifting a day when converted to the local time zone
+  const date = new Date(`${dateKey}T12:00:00`);
+  if (isNaN(date.getTime())) return dateKey;
+  return date.toLocaleDateString(getDateLocale(), { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Reads the raw history map from storage.
+ * @async
+ * @function readHistoryMap
+ * @returns {Promise<Object<string, RateHistoryEntry>>} The stored entries keyed by value date.
+ */
+async function readHistoryMap() {
+  const result = await chrome.storage.local.get(RATE_HISTORY_KEY);
+  return result[RATE_HISTORY_KEY] || {};
+}
+
+/**
+ * Removes entries older than the retention period from a history map.
+ * @function pruneHistoryMap
+ * @param {Object<string, RateHistoryEntry>} historyMap - The entries keyed by value date.
+ * @param {number} [retentionDays=RATE_HISTORY_RETENTION_DAYS] - Number of days to keep.
+ * @returns {Object<string, RateHistoryEntry>} A new map without the expired entries.
+ */
+function pruneHistoryMap(historyMap, retentionDays = RATE_HISTORY_RETENTION_DAYS) {
+  const oldestKey = daysAgoKey(retentionDays);
+  return Object.fromEntries(Object.entries(historyMap).filter(([key]) => key >= oldestKey));
+}
+
+/**
+ * Records the rate of a fetch in the history, keyed by its BCV value date.
+ * Repeated fetches of the same value date are ignored unless the rate changed (e.g. a correction),
+ * in which case the entry is replaced. Rates from sources that do not publish the value date are recorded under
+ * the day they were fetched, marked as estimated, and never replace an entry with a value date.
+ * Expired entries are pruned on every write.
+ * @async
+ * @function recordRate
+ * @param {object} rateData - Rate data as returned by `fetchBCVRate` (`currentRate`, `valueDate`, `date`, `provider`).
+ * @returns {Promise<boolean>} True if the history was modified, false if the rate was already recorded or invalid.
+ * @sideEffects Modifies `chrome.storage.local`. Outputs an error to the console if an error occurs.
+ */
+export async function recordRate(rateData) {
+  const estimated = Boolean(rateData) && !rateData.valueDate;
+  const key = rateData && (estimated ? toValueDateKey(new Date()) : toValueDateKey(rateData.valueDate));
+  if (!key || typeof rateData.currentRate !== 'number' || isNaN(rateData.currentRate)) {
+    console.warn('Invalid rate data provided to recordRate.', rateData);
+    return false;
+  }
+
+  try {
+    const historyMap = await readHistoryMap();
+    const existing = historyMap[key];
+    // An estimated rate never replaces one with a value date
+    const isRecorded = existing && ((estimated && !existing.estimated)
+      || (Boolean(existing.estimated) === estimated && existing.rate === rateData.currentRate));
+    if (isRecorded) {
+      return false;
+    }
+
+    historyMap[key] = {
+      date: key,
+      rate: rateData.currentRate,
+      provider: rateData.provider || null,
+      recordedAt: new Date().toISOString(),
+      ...(estimated ? { estimated } : {})
+    };
+    await chrome.storage.local.set({ [RATE_HISTORY_KEY]: pruneHistoryMap(historyMap) });
+    return true;
+  } catch (error) {
+    console.error('Error recording rate history:', error);
+    return false;
+  }
+}
+
+/**
+ * Retrieves the stored rate history, optionally restricted to a date range.
+ * @async
+ * @function getRateHistory
+ * @param {object} [range={}] - The inclusive range to return.
+ * @param {string|Date} [range.from] - The first value date to include. Defaults to the oldest entry.
+ * @param {string|Date} [range.to] - The last value date to include. Defaults to the newest entry.
+ * @returns {Promise<Array<RateHistoryEntry>>} The matching entries sorted by ascending date, or an empty array if an error occurs.
+ * @sideEffects Outputs an error to the console if an error occurs.
+ */
+export async function getRateHistory({ from, to } = {}) {
+  const fromKey = from ? toValueDateKey(from) : null;
+  const toKey = to ? toValueDateKey(to) : null;
+
+  try {
+    const historyMap = await readHistoryMap();
+    return Object.values(historyMap)
+      .filter(entry => (!fromKey || entry.date >= fromKey) && (!toKey || entry.date <= toKey))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  } catch (error) {
+    console.error('Error getting rate history:', error);
+    return [];
+  }
+}
+
+/**
+ * Fills in missing past value dates from a provider history endpoint.
+ * Entries already in the store are kept as they are, except estimated ones, which are replaced by the rate
+ * published for their value date. Only dates within the range are written.
+ * @async
+ * @function backfillRateHistory
+ * @param {object} [range={}] - The inclusive range to backfill.
+ * @param {string|Date} [range.from] - The first value date to backfill. Defaults to the start of the retention period.
+ * @param {string|Date} [range.to] - The last value date to backfill. Defaults to today.
+ * @returns {Promise<number>} The number of entries added or replaced.
+ * @throws {Error} If the history could not be downloaded.
+ * @sideEffects Modifies `chrome.storage.local`.
+ */
+export async function backfillRateHistory({ from, to } = {}) {
+  const fromKey = toValueDateKey(from || daysAgoKey(RATE_HISTORY_RETENTION_DAYS));
+  const toKey = toValueDateKey(to || new Date());
+
+  const { provider, series } = await fetchRateHistorySeries();
+  const historyMap = await readHistoryMap();
+  const recordedAt = new Date().toISOString();
+  let added = 0;
+
+  for (const { date, rate } of series) {
+    if (date < fromKey || date > toKey || (historyMap[date] && !historyMap[date].estimated)) continue;
+    historyMap[date] = { date, rate, provider, recordedAt };
+    added++;
+  }
+
+  if (added > 0) {
+    await chrome.storage.local.set({ [RATE_HISTORY_KEY]: pruneHistoryMap(historyMap) });
+  }
+  return added;
+}
+
+/**
+ * Adds entries from a backup to the history. Value dates already in the store keep their entry, and entries
+ * older than the retention period are left out.
+ * @async
+ * @export
+ * @function importRateHistory
+ * @param {Array<RateHistoryEntry>} entries - The entries to import, already validated.
+ * @param {boolean} replace - Whether the current history is discarded first.
+ * @returns {Promise<{added: number, duplicates: number, expired: number}>} How many entries were added,
+ *          skipped because their value date was already stored, and left out as expired.
+ * @sideEffects Modifies `chrome.storage.local`.
+ */
+export async function importRateHistory(entries, replace) {
+  const historyMap = replace ? {} : await readHistoryMap();
+  const oldestKey = daysAgoKey(RATE_HISTORY_RETENTION_DAYS);
+  const counts = { added: 0, duplicates: 0, expired: 0 };
+
+  for (const entry of entries) {
+    if (historyMap[entry.date]) {
+      counts.duplicates++;
+    } else if (entry.date < oldestKey) {
+      counts.expired++;
+    } else {
+      historyMap[entry.date] = {
+        date: entry.date,
+        rate: entry.rate,
+        provider: entry.provider ?? null,
+        recordedAt: entry.recordedAt,
+        ...(entry.estimated ? { estimated: true } : {})
+      };
+      counts.added++;
+    }
+  }
+
+  await chrome.storage.local.set({ [RATE_HISTORY_KEY]: pruneHistoryMap(historyMap) });
+  return counts;
+}
+
+/**
+ * Finds the entry in effect on a value date: the entry for that date, or the last one published before it.
+ * @function findEntryInEffect
+ * @param {Array<RateHistoryEntry>} entries - Entries sorted by ascending date.
+ * @param {string} dateKey - The value date.
+ * @returns {RateHistoryEntry|null} The entry in effect, or null if it is missing or older than `MAX_FALLBACK_DAYS`.
+ */
+function findEntryInEffect(entries, dateKey) {
+  const oldestAccepted = shiftValueDateKey(dateKey, -MAX_FALLBACK_DAYS);
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i].date <= dateKey) {
+      return entries[i].date >= oldestAccepted ? entries[i] : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Looks up the official rate for a value date. BCV does not publish rates on weekends and holidays,
+ * so the last rate published on or before the date is used. If the store has no such rate, the missing
+ * range is backfilled from the provider history endpoint before giving up.
+ * @async
+ * @function getRateForDate
+ * @param {string|Date} date - The value date to look up.
+ * @returns {Promise<RateHistoryEntry|null>} The entry in effect on that date (its `date` is the value date
+ *          actually used), or null if no rate is known for it.
+ * @sideEffects May modify `chrome.storage.local` through `backfillRateHistory`. Outputs a warning to the console if the backfill fails.
+ */
+export async function getRateForDate(date) {
+  const dateKey = toValueDateKey(date);
+  if (!dateKey) return null;
+
+  const range = { from: shiftValueDateKey(dateKey, -MAX_FALLBACK_DAYS), to: dateKey };
+  const entry = findEntryInEffect(await getRateHistory(range), dateKey);
+  if (entry) return entry;
+
+  try {
+    await backfillRateHistory(range);
+  } catch (error) {
+    console.warn('Could not backfill rate history for', dateKey, error);
+    return null;
+  }
+  return findEntryInEffect(await getRateHistory(range), dateKey);
+}
@@ -0,0 +1,105 @@
+/**
+ * @file How amounts and rates are rounded in every context: the rounding mode and the number of decimal places
+ * of each currency and of exchange rates. Like the locales, they are read synchronously, so each context applies
+ * the `roundingMode`, `currencyPrecision` and `ratePrecision` settings with `applyRoundingSettings` once they are
+ * loaded and whenever they change. Amounts are rounded once, when they are calculated, so the value shown,
+ * copied and saved to the history is the same.
+ */
+
+import { toDecimal, toNumber, add, round } from './decimal.js';
+
+/**
+ * Rounding modes offered in the options page, keyed by id, with the message name of their label.
+ * @type {Object<string, string>}
+ */
+export const ROUNDING_MODES = {
+  'half-up': 'roundingHalfUp',
+  'half-even': 'roundingHalfEven',
+  truncate: 'roundingTruncate'
+};
+
+export const DEFAULT_ROUNDING_MODE = 'half-up';
+export const DEFAULT_PRECISION = 2;
+export const DEFAULT_RATE_PRECISION = 2;
+export const MAX_PRECISION = 8;
+
+let roundingMode = DEFAULT_ROUNDING_MODE;
+let currencyPrecision = {};
+let ratePrecision = DEFAULT_RATE_PRECISION;
+
+/**
+ * Returns the rounding mode.
+ * @function getRoundingMode
+ * @returns {string} A key of `ROUNDING_MODES`.
+ */
+export function getRoundingMode() {
+  return roundingMode;
+}
+
+/**
+ * Returns the number of decimal places amounts in a currency are rounded to.
+ * @function getCurrencyPrecision
+ * @param {string} code - The currency code.
+ * @returns {number} The number of decimal places; `DEFAULT_PRECISION` for currencies without a setting.
+ */
+export function getCurrencyPrecision(code) {
+  const precision = currencyPrecision[code];
+  return Number.isInteger(precision) ? precision : DEFAULT_PRECISION;
+}
+
+/**
+ * Returns the number of decimal places exchange rates are shown with.
+ * @function getRatePrecision
+ * @returns {number} The number of decimal places.
+ */
+export function getRatePrecision() {
+  return ratePrecision;
+}
+
+/**
+ * Rounds a decimal to the precision of a currency with the rounding mode.
+ * @function roundDecimal
+ * @param {import('./decimal.js').Decimal} decimal - The exact amount.
+ * @param {string} currency - The currency code.
+ * @returns {import('./decimal.js').Decimal} The rounded amount.
+ */
+export function roundDecimal(decimal, currency) {
+  return round(decimal, getCurrencyPrecision(currency), roundingMode);
+}
+
+/**
+ * Rounds an amount to the precision of a currency with the rounding mode.
+ * @function roundAmount
+ * @param {number} amount - The amount.
+ * @param {string} currency - The currency code.
+ * @returns {number} The rounded amount, or the amount itself if it is not a finite number.
+ */
+export function roundAmount(amount, currency) {
+  if (typeof amount !== 'number' || !isFinite(amount)) return amount;
+  return toNumber(roundDecimal(toDecimal(amount), currency));
+}
+
+/**
+ * Adds up amounts in a currency without floating-point error, e.g. for history and invoice totals.
+ * @function sumAmounts
+ * @param {Array<number>} amounts - The amounts.
+ * @param {string} currency - The currency code, to round the sum to.
+ * @returns {number} The rounded sum.
+ */
+export function sumAmounts(amounts, currency) {
+  const sum = amounts.reduce((total, amount) => add(total, toDecimal(amount)), toDecimal(0));
+  return toNumber(roundDecimal(sum, currency));
+}
+
+/**
+ * Applies the rounding settings to the current context.
+ * @function applyRoundingSettings
+ * @param {{roundingMode?: string, currencyPrecision?: Object<string, number>, ratePrecision?: number}} settings -
+ *        The settings to apply. Missing values keep the defaults.
+ * @sideEffects Modifies the module's rounding mode and precisions.
+ */
+export function applyRoundingSettings(settings) {
+  roundingMode = settings.roundingMode || DEFAULT_ROUNDING_MODE;
+  currencyPrecision = settings.currencyPrecision || {};
+  ratePrecision = Number.isInteger(settings.ratePrecision) ? settings.ratePrecision : DEFAULT_RATE_PRECISION;
+}
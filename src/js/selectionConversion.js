@@ -0,0 +1,212 @@
+/**
+ * @file Conversion of text selected in web pages, from the context menu: "Convert to Bs at BCV rate" reads the
+ * selection as dollars and "Convert to USD at BCV rate" as bolívares. The result is shown in a desktop notification,
+ * with a button to copy it, or in the side panel, as the `selectionResult` setting says.
+ */
+
+import { BASE_CURRENCY } from './currencies.js';
+import { createConversion, formatCurrency, formatRate } from './calculator.js';
+import { parseNumber } from './expression.js';
+import { findPrices } from './prices.js';
+import { formatValueDate } from './rateHistory.js';
+import { copyTextFromServiceWorker } from './clipboard.js';
+import { t } from './i18n.js';
+
+/**
+ * Where the result of a selection conversion is shown, keyed by id, with the message name of their label.
+ * @type {Object<string, string>}
+ */
+export const SELECTION_RESULT_TARGETS = {
+  notification: 'selectionResultNotification',
+  sidePanel: 'selectionResultSidePanel'
+};
+
+export const DEFAULT_SELECTION_RESULT = 'notification';
+
+/**
+ * Context menu entries, keyed by the currency they convert to, with the message name of their title.
+ * @type {Object<string, string>}
+ */
+const SELECTION_MENU_TITLES = {
+  [BASE_CURRENCY]: 'convertSelectionToBs',
+  USD: 'convertSelectionToUsd'
+};
+
+const SELECTION_MENU_PREFIX = 'convertSelection';
+const SELECTION_NOTIFICATION_PREFIX = 'selection';
+// Texts copied by the button of each selection notification, kept in `chrome.storage.session` by notification id
+// since the service worker may be stopped before the button is clicked
+const SELECTION_COPY_TEXTS_KEY = 'bcvSelectionCopyTexts';
+// Longest part of the selection quoted in error notifications
+const QUOTED_SELECTION_MAX_LENGTH = 40;
+const NUMBER_PATTERN = /\d(?:[\d.,]*\d)?/;
+
+/**
+ * Reads the amount of a selected text in the currency converted from: the first price in it in that currency
+ * (e.g. "$12.99" or "Bs. 1.234,56") or, failing that, its first number. Dollar prices and plain numbers are read
+ * with the decimal separator of the number locale; bolívar and "Ref" prices with a decimal comma.
+ * @export
+ * @function parseSelectedAmount
+ * @param {string} text - The selected text.
+ * @param {string} fromCurrency - The currency the selection is read as: 'USD' or 'Bs'.
+ * @param {string} decimalSeparator - The decimal separator of the number locale.
+ * @returns {number} The amount.
+ * @throws {Error} If the text only has prices in the other currency, has no amount above zero, or its number has
+ *         misplaced separators.
+ */
+export function parseSelectedAmount(text, fromCurrency, decimalSeparator) {
+  const quoted = text.trim().length > QUOTED_SELECTION_MAX_LENGTH
+    ? `${text.trim().slice(0, QUOTED_SELECTION_MAX_LENGTH)}…`
+    : text.trim();
+  const prices = findPrices(text, decimalSeparator);
+  const price = prices.find(({ currency }) => currency === fromCurrency);
+  if (price) return price.amount;
+  // Converting a price that is already in the other currency would read it as the wrong one
+  if (prices.length > 0) throw new Error(t('selectionAlreadyInCurrency', quoted));
+
+  const number = text.match(NUMBER_PATTERN);
+  const amount = number ? parseNumber(number[0], decimalSeparator) : 0;
+  if (!(amount > 0)) throw new Error(t('noAmountInSelection', quoted));
+  return amount;
+}
+
+/**
+ * Converts a selected text between dollars and bolívares at the stored BCV rate.
+ * @export
+ * @function convertSelection
+ * @param {string} text - The selected text.
+ * @param {string} toCurrency - The currency to convert to: 'Bs' or 'USD'. The selection is read as the other one.
+ * @param {object|null|undefined} rateData - The rate data stored by the service worker (`currentRate`, `date`, `rates`).
+ * @param {string} decimalSeparator - The decimal separator of the number locale.
+ * @returns {import('./storage.js').ConversionItem} The conversion, as stored in the history, without its timestamp.
+ * @throws {Error} If the text has no amount in the other currency (see `parseSelectedAmount`) or there is no rate yet.
+ */
+export function convertSelection(text, toCurrency, rateData, decimalSeparator) {
+  const fromCurrency = toCurrency === BASE_CURRENCY ? 'USD' : BASE_CURRENCY;
+  return createConversion(parseSelectedAmount(text, fromCurrency, decimalSeparator), fromCurrency, toCurrency, rateData);
+}
+
+/**
+ * Creates the context menu entries for selected text, in the current language, replacing any existing ones.
+ * Where the result is shown is part of the entry ids, since the side panel can only be opened while handling
+ * the click, before the settings could be read.
+ * @async
+ * @export
+ * @function createSelectionMenus
+ * @param {string} target - Where results are shown: a key of `SELECTION_RESULT_TARGETS`.
+ * @returns {Promise<void>}
+ * @sideEffects Removes and creates `chrome.contextMenus` entries. Outputs an error to the console if an entry cannot be created.
+ */
+export async function createSelectionMenus(target) {
+  await chrome.contextMenus.removeAll();
+  for (const [currency, title] of Object.entries(SELECTION_MENU_TITLES)) {
+    chrome.contextMenus.create({
+      id: `${SELECTION_MENU_PREFIX}:${currency}:${target}`,
+      title: t(title),
+      contexts: ['selection']
+    }, () => {
+      if (chrome.runtime.lastError) console.error('Error creating the context menu:', chrome.runtime.lastError.message);
+    });
+  }
+}
+
+/**
+ * Reads the id of a context menu entry created by `createSelectionMenus`.
+ * @export
+ * @function parseSelectionMenuId
+ * @param {string|number} menuItemId - The id of the clicked entry.
+ * @returns {{toCurrency: string, target: string}|null} The currency to convert to and where to show the result,
+ *          or null if the entry is not a selection conversion.
+ */
+export function parseSelectionMenuId(menuItemId) {
+  const [prefix, toCurrency, target] = String(menuItemId).split(':');
+  if (prefix !== SELECTION_MENU_PREFIX || !Object.prototype.hasOwnProperty.call(SELECTION_MENU_TITLES, toCurrency)
+    || !Object.prototype.hasOwnProperty.call(SELECTION_RESULT_TARGETS, target)) {
+    return null;
+  }
+  return { toCurrency, target };
+}
+
+/**
+ * Shows a conversion in a desktop notification (e.g. "$12,99 = Bs. 474,14"), with the rate and its value date,
+ * and a button to copy the converted amount.
+ * @async
+ * @export
+ * @function showSelectionNotification
+ * @param {import('./storage.js').ConversionItem} conversion - The conversion.
+ * @returns {Promise<void>}
+ * @sideEffects Creates a `chrome.notifications` notification. Modifies `chrome.storage.session`.
+ */
+export async function showSelectionNotification(conversion) {
+  const id = `${SELECTION_NOTIFICATION_PREFIX}-${Date.now()}`;
+  const result = formatCurrency(conversion.toAmount, conversion.toCurrency);
+  const { [SELECTION_COPY_TEXTS_KEY]: texts = {} } = await chrome.storage.session.get(SELECTION_COPY_TEXTS_KEY);
+  await chrome.storage.session.set({ [SELECTION_COPY_TEXTS_KEY]: { ...texts, [id]: result } });
+  await chrome.notifications.create(id, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: `${formatCurrency(conversion.fromAmount, conversion.fromCurrency)} = ${result}`,
+    message: t('selectionNotificationMessage', formatRate(conversion.rate), formatValueDate(conversion.rateDate)),
+    buttons: [{ title: t('copyAmount', result) }]
+  });
+}
+
+/**
+ * Shows why a selected text could not be converted in a desktop notification.
+ * @async
+ * @export
+ * @function showSelectionError
+ * @param {string} message - The reason.
+ * @returns {Promise<void>}
+ * @sideEffects Creates a `chrome.notifications` notification. Outputs an error to the console if it cannot be shown.
+ */
+export async function showSelectionError(message) {
+  try {
+    await chrome.notifications.create(`${SELECTION_NOTIFICATION_PREFIX}-error-${Date.now()}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: t('couldNotConvertSelection'),
+      message
+    });
+  } catch (error) {
+    console.error('Error showing the selection notification:', error);
+  }
+}
+
+/**
+ * Copies the converted amount of a selection notification, when its button is clicked, and closes the notification.
+ * @async
+ * @export
+ * @function copySelectionResult
+ * @param {string} notificationId - The id of the notification.
+ * @returns {Promise<boolean>} True if an amount was copied, false if the notification is not a selection conversion
+ *          or its amount is no longer known.
+ * @throws {Error} If the amount cannot be copied.
+ * @sideEffects Modifies the clipboard and `chrome.storage.session`. Clears the notification.
+ */
+export async function copySelectionResult(notificationId) {
+  const { [SELECTION_COPY_TEXTS_KEY]: texts = {} } = await chrome.storage.session.get(SELECTION_COPY_TEXTS_KEY);
+  if (!Object.prototype.hasOwnProperty.call(texts, notificationId)) return false;
+
+  await copyTextFromServiceWorker(texts[notificationId]);
+  await chrome.notifications.clear(notificationId);
+  await forgetSelectionNotification(notificationId);
+  return true;
+}
+
+/**
+ * Forgets the amount a selection notification copies, once it is closed.
+ * @async
+ * @export
+ * @function forgetSelectionNotification
+ * @param {string} notificationId - The id of the notification.
+ * @returns {Promise<void>}
+ * @sideEffects Modifies `chrome.storage.session`.
+ */
+export async function forgetSelectionNotification(notificationId) {
+  if (!notificationId.startsWith(`${SELECTION_NOTIFICATION_PREFIX}-`)) return;
+  const { [SELECTION_COPY_TEXTS_KEY]: texts = {} } = await chrome.storage.session.get(SELECTION_COPY_TEXTS_KEY);
+  if (!Object.prototype.hasOwnProperty.call(texts, notificationId)) return;
+  delete texts[notificationId];
+  await chrome.storage.session.set({ [SELECTION_COPY_TEXTS_KEY]: texts });
+}
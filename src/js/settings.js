@@ -0,0 +1,185 @@
+/**
+ * @file User preferences stored in `chrome.storage.sync`, so they follow the user across devices.
+ * Every context (service worker, popup, side panel, options page) reads them through `getSettings`.
+ */
+
+import { DEFAULT_NOTIFICATION_RULES } from './notifications.js';
+import { MONITORS } from './monitors.js';
+import { PROVIDERS, DEFAULT_PROVIDER_ORDER } from './providers/index.js';
+import { DEFAULT_LANGUAGE, DEFAULT_NUMBER_LOCALE, LANGUAGES, SUPPORTED_LOCALES, t } from './i18n.js';
+import { DEFAULT_IVA_RATE, DEFAULT_IGTF_RATE, MAX_TAX_RATE } from './taxes.js';
+import { ROUNDING_MODES, DEFAULT_ROUNDING_MODE, DEFAULT_PRECISION, DEFAULT_RATE_PRECISION, MAX_PRECISION } from './rounding.js';
+import { CURRENCIES } from './currencies.js';
+import { PRICE_OVERLAY_MODES, DEFAULT_PRICE_OVERLAY_MODE, MAX_PRICE_OVERLAY_SITES, isValidSite } from './priceOverlay.js';
+import { SELECTION_RESULT_TARGETS, DEFAULT_SELECTION_RESULT } from './selectionConversion.js';
+
+export const SETTINGS_KEY = 'bcvSettings';
+export const MIN_REFRESH_INTERVAL_MINUTES = 15;
+export const MAX_REFRESH_INTERVAL_MINUTES = 1440; // Once a day
+export const MAX_HISTORY_ITEMS_LIMIT = 1000;
+
+/**
+ * @typedef {object} Settings
+ * @property {Array<string>} trackedMonitors - Ids of the parallel-market monitors to fetch and display.
+ * @property {Array<import('./notifications.js').NotificationRule>} notificationRules - Rate alert rules evaluated after each fetch.
+ * @property {boolean} showBadge - Whether the current rate is shown on the toolbar icon.
+ * @property {number} refreshIntervalMinutes - Minutes between background fetches of the rate.
+ * @property {number} maxHistoryItems - Number of conversions kept in the history.
+ * @property {boolean} syncHistory - Whether the most recent conversions are mirrored to the user's other devices.
+ * @property {Array<string>} providerOrder - Ids of the rate providers to use, in the order they are tried.
+ * @property {string} language - Language of the interface, a key of `LANGUAGES` or 'auto' for the browser's.
+ *           Dates are formatted in the locale of the language.
+ * @property {string} numberLocale - Locale used to format amounts and rates.
+ * @property {number} ivaRate - IVA rate of the tax breakdown, in percent.
+ * @property {number} igtfRate - IGTF rate of the tax breakdown, in percent.
+ * @property {string} roundingMode - How amounts are rounded: a key of `ROUNDING_MODES`.
+ * @property {Object<string, number>} currencyPrecision - Decimal places of the amounts in each currency, keyed by code.
+ * @property {number} ratePrecision - Decimal places exchange rates are shown with.
+ * @property {boolean} priceOverlayEnabled - Whether prices are converted on web pages of sites not in `priceOverlaySites`.
+ * @property {string} priceOverlayMode - How converted prices are shown: a key of `PRICE_OVERLAY_MODES`.
+ * @property {Object<string, boolean>} priceOverlaySites - Sites where prices are (true) or are not (false) converted,
+ *           whatever `priceOverlayEnabled` says, keyed by hostname without "www." (e.g. "amazon.com").
+ * @property {string} selectionResult - Where conversions of selected text are shown: a key of `SELECTION_RESULT_TARGETS`.
+ */
+
+/** @type {Settings} */
+export const DEFAULT_SETTINGS = {
+  trackedMonitors: ['enparalelovzla'],
+  notificationRules: DEFAULT_NOTIFICATION_RULES,
+  showBadge: true,
+  refreshIntervalMinutes: 60,
+  maxHistoryItems: 200,
+  syncHistory: false,
+  providerOrder: DEFAULT_PROVIDER_ORDER,
+  language: DEFAULT_LANGUAGE,
+  numberLocale: DEFAULT_NUMBER_LOCALE,
+  ivaRate: DEFAULT_IVA_RATE,
+  igtfRate: DEFAULT_IGTF_RATE,
+  roundingMode: DEFAULT_ROUNDING_MODE,
+  currencyPrecision: Object.fromEntries(Object.keys(CURRENCIES).map(code => [code, DEFAULT_PRECISION])),
+  ratePrecision: DEFAULT_RATE_PRECISION,
+  priceOverlayEnabled: false,
+  priceOverlayMode: DEFAULT_PRICE_OVERLAY_MODE,
+  priceOverlaySites: {},
+  selectionResult: DEFAULT_SELECTION_RESULT
+};
+
+const isWholeNumberBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+const isPercentage = value => typeof value === 'number' && isFinite(value) && value >= 0 && value <= MAX_TAX_RATE;
+const isPrecision = value => isWholeNumberBetween(value, 0, MAX_PRECISION);
+const isCurrencyPrecision = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+  && Object.keys(CURRENCIES).every(code => isPrecision(value[code]))
+  && Object.keys(value).every(code => Object.prototype.hasOwnProperty.call(CURRENCIES, code));
+const isSiteList = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+  && Object.keys(value).length <= MAX_PRICE_OVERLAY_SITES
+  && Object.entries(value).every(([site, enabled]) => isValidSite(site) && typeof enabled === 'boolean');
+const isUniqueList = (value, knownIds) => Array.isArray(value)
+  && value.every(id => Object.prototype.hasOwnProperty.call(knownIds, id))
+  && new Set(value).size === value.length;
+// Rule ids are written into the side panel markup, so they are limited to word characters and dashes
+const isValidNotificationRule = rule => Boolean(rule)
+  && typeof rule.id === 'string' && /^[\w-]+$/.test(rule.id)
+  && ['new-rate', 'crosses', 'daily-change'].includes(rule.type)
+  && (rule.value === undefined || (typeof rule.value === 'number' && isFinite(rule.value)))
+  && typeof rule.enabled === 'boolean';
+
+/**
+ * Validators for each setting. Each returns an error message in the language of the interface, or null if the value is valid.
+ * @type {Object<string, function(*): (string|null)>}
+ */
+const SETTING_VALIDATORS = {
+  trackedMonitors: value => isUniqueList(value, MONITORS) ? null : t('settingErrorTrackedMonitors'),
+  notificationRules: value => Array.isArray(value) && value.every(isValidNotificationRule) ? null : t('settingErrorNotificationRules'),
+  showBadge: value => typeof value === 'boolean' ? null : t('settingErrorShowBadge'),
+  refreshIntervalMinutes: value => isWholeNumberBetween(value, MIN_REFRESH_INTERVAL_MINUTES, MAX_REFRESH_INTERVAL_MINUTES)
+    ? null
+    : t('settingErrorRefreshInterval', MIN_REFRESH_INTERVAL_MINUTES, MAX_REFRESH_INTERVAL_MINUTES),
+  maxHistoryItems: value => isWholeNumberBetween(value, 1, MAX_HISTORY_ITEMS_LIMIT)
+    ? null
+    : t('settingErrorMaxHistoryItems', MAX_HISTORY_ITEMS_LIMIT),
+  syncHistory: value => typeof value === 'boolean' ? null : t('settingErrorSyncHistory'),
+  providerOrder: value => isUniqueList(value, PROVIDERS) && value.length > 0 ? null : t('settingErrorProviderOrder'),
+  language: value => value === DEFAULT_LANGUAGE || Object.prototype.hasOwnProperty.call(LANGUAGES, value) ? null : t('settingErrorLanguage'),
+  numberLocale: value => Object.prototype.hasOwnProperty.call(SUPPORTED_LOCALES, value) ? null : t('settingErrorNumberLocale'),
+  ivaRate: value => isPercentage(value) ? null : t('settingErrorIvaRate', MAX_TAX_RATE),
+  igtfRate: value => isPercentage(value) ? null : t('settingErrorIgtfRate', MAX_TAX_RATE),
+  roundingMode: value => Object.prototype.hasOwnProperty.call(ROUNDING_MODES, value) ? null : t('settingErrorRoundingMode'),
+  currencyPrecision: value => isCurrencyPrecision(value) ? null : t('settingErrorCurrencyPrecision', MAX_PRECISION),
+  ratePrecision: value => isPrecision(value) ? null : t('settingErrorRatePrecision', MAX_PRECISION),
+  priceOverlayEnabled: value => typeof value === 'boolean' ? null : t('settingErrorPriceOverlayEnabled'),
+  priceOverlayMode: value => Object.prototype.hasOwnProperty.call(PRICE_OVERLAY_MODES, value) ? null : t('settingErrorPriceOverlayMode'),
+  priceOverlaySites: value => isSiteList(value) ? null : t('settingErrorPriceOverlaySites', MAX_PRICE_OVERLAY_SITES),
+  selectionResult: value => Object.prototype.hasOwnProperty.call(SELECTION_RESULT_TARGETS, value) ? null : t('settingErrorSelectionResult')
+};
+
+/**
+ * Validates setting values.
+ * @function validateSettings
+ * @param {Partial<Settings>} changes - The settings to validate.
+ * @returns {Object<string, string>} Error messages keyed by setting name. Empty if every value is valid.
+ */
+export function validateSettings(changes) {
+  const errors = {};
+  for (const [key, value] of Object.entries(changes)) {
+    const validate = SETTING_VALIDATORS[key];
+    const error = validate ? validate(value) : t('settingErrorUnknown');
+    if (error) errors[key] = error;
+  }
+  return errors;
+}
+
+/**
+ * Fills in defaults for settings that are missing or invalid (e.g. written by an older version)
+ * and drops unknown keys.
+ * @function normalizeSettings
+ * @param {object} [stored={}] - The settings as stored.
+ * @returns {Settings} Complete, valid settings.
+ */
+export function normalizeSettings(stored = {}) {
+  const settings = { ...DEFAULT_SETTINGS };
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (stored[key] !== undefined && SETTING_VALIDATORS[key](stored[key]) === null) {
+      settings[key] = stored[key];
+    }
+  }
+  return settings;
+}
+
+/**
+ * Retrieves the user settings, filling in defaults for anything not stored or invalid.
+ * @async
+ * @function getSettings
+ * @returns {Promise<Settings>} The settings, or the defaults if they cannot be read.
+ * @sideEffects Outputs an error to the console if reading fails.
+ */
+export async function getSettings() {
+  try {
+    const result = await chrome.storage.sync.get(SETTINGS_KEY);
+    return normalizeSettings(result[SETTINGS_KEY]);
+  } catch (error) {
+    console.error('Error getting settings:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Updates some of the user settings, keeping the others unchanged.
+ * @async
+ * @function updateSettings
+ * @param {Partial<Settings>} changes - The settings to change.
+ * @returns {Promise<Settings>} The updated settings.
+ * @throws {Error} If a value is invalid. The error's `errors` property holds the messages keyed by setting name.
+ * @sideEffects Modifies `chrome.storage.sync`.
+ */
+export async function updateSettings(changes) {
+  const errors = validateSettings(changes);
+  if (Object.keys(errors).length > 0) {
+    const error = new Error(`Invalid settings: ${Object.values(errors).join(' ')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  const settings = { ...(await getSettings()), ...changes };
+  await chrome.storage.sync.set({ [SETTINGS_KEY]: settings });
+  return settings;
+}
@@ -0,0 +1,222 @@
+/**
+ * @file Keyboard shortcuts of the popup and the side panel, and the overlay listing them together with the
+ * browser-wide commands declared in `manifest.json` (open the popup or the side panel, refresh the rates).
+ * Shortcuts with Alt also work while typing an amount; the others only outside text fields. The browser-wide
+ * commands are handled by the service worker and can be changed in chrome://extensions/shortcuts.
+ */
+
+import { escapeHtml } from './html.js';
+import { t } from './i18n.js';
+
+/**
+ * @typedef {object} ViewShortcut
+ * @property {string} action - The name of the action run, a key of the actions given to `initializeShortcuts`.
+ * @property {string} [key] - The key pressed (`KeyboardEvent.key`), for shortcuts without Alt.
+ * @property {string} [code] - The physical key pressed (`KeyboardEvent.code`), for shortcuts with Alt, whose
+ *           `key` depends on the keyboard layout (e.g. Alt+S types "ß" on a Mac).
+ * @property {boolean} [altKey] - Whether Alt is held.
+ * @property {boolean} [shiftKey] - Whether Shift is held.
+ * @property {string} label - The message name of what the shortcut does.
+ */
+
+/**
+ * The shortcuts of the popup and the side panel, in the order listed in the overlay.
+ * @type {Array<ViewShortcut>}
+ */
+export const VIEW_SHORTCUTS = [
+  { action: 'focusAmount', key: '/', label: 'shortcutFocusAmount' },
+  { action: 'swap', code: 'KeyS', altKey: true, label: 'shortcutSwap' },
+  { action: 'copy', code: 'KeyC', altKey: true, label: 'shortcutCopy' },
+  { action: 'clearHistory', code: 'Backspace', altKey: true, shiftKey: true, label: 'shortcutClearHistory' },
+  { action: 'showHelp', key: '?', label: 'shortcutShowHelp' }
+];
+
+const SHORTCUTS_SETTINGS_URL = 'chrome://extensions/shortcuts';
+// The command the browser runs to open the popup, which has no description of its own
+const OPEN_POPUP_COMMAND = '_execute_action';
+const TEXT_FIELD_SELECTOR = 'input:not([type="checkbox"]):not([type="radio"]), textarea, select, [contenteditable="true"]';
+
+/** @type {Object<string, HTMLElement|null>} */
+let shortcutElements = {};
+
+/**
+ * The actions run by the shortcuts, keyed by `ViewShortcut.action`. Set by `initializeShortcuts`.
+ * @type {Object<string, function(): void>}
+ */
+let shortcutActions = {};
+
+/**
+ * Sets up the keyboard shortcuts of the page and the overlay listing them. The overlay is opened with "?" or
+ * with its button, and closed with Escape or its close button.
+ * @export
+ * @function initializeShortcuts
+ * @param {Object<string, function(): void>} actions - The action of each shortcut, keyed by `ViewShortcut.action`
+ *        (`focusAmount`, `swap`, `copy`, `clearHistory`). Shortcuts without an action are not listed.
+ * @sideEffects Modifies `shortcutElements` and `shortcutActions`. Attaches event listeners.
+ */
+export function initializeShortcuts(actions) {
+  shortcutActions = { ...actions, showHelp: toggleShortcutHelp };
+  shortcutElements = {
+    shortcutHelp: document.getElementById('shortcutHelp'),
+    shortcutList: document.getElementById('shortcutList'),
+    shortcutHelpButton: document.getElementById('shortcutHelpButton'),
+    shortcutHelpClose: document.getElementById('shortcutHelpClose'),
+    shortcutCustomizeButton: document.getElementById('shortcutCustomizeButton')
+  };
+
+  document.addEventListener('keydown', handleShortcutKeydown);
+  if (shortcutElements.shortcutHelpButton) shortcutElements.shortcutHelpButton.addEventListener('click', toggleShortcutHelp);
+  if (shortcutElements.shortcutHelpClose) shortcutElements.shortcutHelpClose.addEventListener('click', closeShortcutHelp);
+  if (shortcutElements.shortcutHelp) {
+    // Clicking outside the card closes the overlay
+    shortcutElements.shortcutHelp.addEventListener('click', (event) => {
+      if (event.target === shortcutElements.shortcutHelp) closeShortcutHelp();
+    });
+  }
+  if (shortcutElements.shortcutCustomizeButton) {
+    // Pages of the browser cannot be opened from links, only as tabs
+    shortcutElements.shortcutCustomizeButton.addEventListener('click', () => {
+      chrome.tabs.create({ url: SHORTCUTS_SETTINGS_URL });
+    });
+  }
+}
+
+/**
+ * Finds the shortcut of a key press. Shortcuts without Alt are ignored while typing in a text field.
+ * @export
+ * @function findShortcut
+ * @param {KeyboardEvent} event - The key press.
+ * @returns {ViewShortcut|null} The shortcut, or null if the key press is none.
+ */
+export function findShortcut(event) {
+  if (event.ctrlKey || event.metaKey || event.isComposing) return null;
+  const isTyping = event.target instanceof Element && Boolean(event.target.closest(TEXT_FIELD_SELECTOR));
+  return VIEW_SHORTCUTS.find(shortcut => {
+    if (Boolean(shortcut.altKey) !== event.altKey) return false;
+    if (shortcut.code) return shortcut.code === event.code && Boolean(shortcut.shiftKey) === event.shiftKey;
+    // "?" needs Shift on most layouts, so Shift is not checked for shortcuts read by key
+    return shortcut.key === event.key && !isTyping;
+  }) || null;
+}
+
+/**
+ * Formats the keys of a shortcut for display, e.g. "Alt+Shift+Backspace" or "/".
+ * @export
+ * @function formatShortcutKeys
+ * @param {ViewShortcut} shortcut - The shortcut.
+ * @returns {string} The keys.
+ */
+export function formatShortcutKeys(shortcut) {
+  const key = shortcut.key || shortcut.code.replace(/^Key/, '');
+  return [shortcut.altKey ? 'Alt' : '', shortcut.shiftKey ? 'Shift' : '', key].filter(Boolean).join('+');
+}
+
+/**
+ * Handles a key press on the page: runs the action of its shortcut, or closes the overlay on Escape.
+ * @function handleShortcutKeydown
+ * @param {KeyboardEvent} event - The keydown event.
+ * @sideEffects May run a shortcut action and prevent the default action of the key.
+ */
+function handleShortcutKeydown(event) {
+  if (event.key === 'Escape' && isShortcutHelpOpen()) {
+    event.preventDefault();
+    closeShortcutHelp();
+    return;
+  }
+  const shortcut = findShortcut(event);
+  if (!shortcut || !shortcutActions[shortcut.action]) return;
+  event.preventDefault();
+  shortcutActions[shortcut.action]();
+}
+
+/**
+ * Checks whether the shortcut overlay is shown.
+ * @function isShortcutHelpOpen
+ * @returns {boolean} True if it is shown.
+ */
+function isShortcutHelpOpen() {
+  return Boolean(shortcutElements.shortcutHelp) && !shortcutElements.shortcutHelp.hidden;
+}
+
+/**
+ * Opens the shortcut overlay, or closes it if it is open.
+ * @function toggleShortcutHelp
+ * @sideEffects Calls `openShortcutHelp` or `closeShortcutHelp`.
+ */
+function toggleShortcutHelp() {
+  if (isShortcutHelpOpen()) {
+    closeShortcutHelp();
+  } else {
+    openShortcutHelp();
+  }
+}
+
+/**
+ * Shows the shortcut overlay and lists the shortcuts in it.
+ * @async
+ * @function openShortcutHelp
+ * @sideEffects Modifies the visibility of the overlay and moves the focus to its close button. Calls `renderShortcutHelp`.
+ */
+async function openShortcutHelp() {
+  if (!shortcutElements.shortcutHelp) return;
+  shortcutElements.shortcutHelp.hidden = false;
+  if (shortcutElements.shortcutHelpClose) shortcutElements.shortcutHelpClose.focus();
+  await renderShortcutHelp();
+}
+
+/**
+ * Hides the shortcut overlay and gives the focus back to its button.
+ * @function closeShortcutHelp
+ * @sideEffects Modifies the visibility of the overlay and the focus.
+ */
+function closeShortcutHelp() {
+  if (!shortcutElements.shortcutHelp) return;
+  shortcutElements.shortcutHelp.hidden = true;
+  if (shortcutElements.shortcutHelpButton) shortcutElements.shortcutHelpButton.focus();
+}
+
+/**
+ * Reads the browser-wide commands of the extension and the keys assigned to them, which the user may have changed.
+ * @async
+ * @function getBrowserCommands
+ * @returns {Promise<Array<{description: string, keys: string}>>} The commands, with an empty `keys` for those
+ *          without a shortcut. Empty if the commands cannot be read.
+ */
+async function getBrowserCommands() {
+  if (typeof chrome === 'undefined' || !chrome.commands) return [];
+  try {
+    const commands = await chrome.commands.getAll();
+    return commands.map(command => ({
+      description: command.name === OPEN_POPUP_COMMAND ? t('commandOpenPopup') : command.description,
+      keys: command.shortcut || ''
+    }));
+  } catch (error) {
+    console.error('Error reading the keyboard shortcuts:', error);
+    return [];
+  }
+}
+
+/**
+ * Lists the shortcuts of the page and the browser-wide commands in the overlay.
+ * @async
+ * @function renderShortcutHelp
+ * @sideEffects Modifies the content of the shortcut list.
+ */
+async function renderShortcutHelp() {
+  if (!shortcutElements.shortcutList) return;
+
+  const renderRow = (description, keys) => `
+    <div class="shortcut-row">
+      <span>${escapeHtml(description)}</span>
+      ${keys ? `<kbd>${escapeHtml(keys)}</kbd>` : `<span class="shortcut-unset">${escapeHtml(t('shortcutNotSet'))}</span>`}
+    </div>`;
+  const viewRows = VIEW_SHORTCUTS
+    .filter(shortcut => shortcutActions[shortcut.action])
+    .map(shortcut => renderRow(t(shortcut.label), formatShortcutKeys(shortcut)));
+  const commandRows = (await getBrowserCommands()).map(command => renderRow(command.description, command.keys));
+
+  shortcutElements.shortcutList.innerHTML = `
+    <div class="option-label">${escapeHtml(t('shortcutsInThisView'))}</div>
+    ${viewRows.join('')}
+    ${commandRows.length > 0 ? `<div class="option-label">${escapeHtml(t('shortcutsInBrowser'))}</div>${commandRows.join('')}` : ''}`;
+}
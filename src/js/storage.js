@@ -1,30 +1,67 @@
 /**
- * Storage functions for managing conversion history
+ * @file Conversion history, kept in `chrome.storage.local` so every extension page and the service worker
+ * share it. When the `syncHistory` setting is on, the most recent conversions are also mirrored to
+ * `chrome.storage.sync` and merged into the history of the user's other devices.
  */
 
-const HISTORY_KEY = 'bcv_conversion_history';
-const MAX_HISTORY_ITEMS = 10;
+import { getSettings } from './settings.js';
+import { getDateLocale, t } from './i18n.js';
+
+export const CONVERSION_HISTORY_KEY = 'bcvConversionHistory';
+export const SYNCED_HISTORY_KEY = 'bcvConversionHistorySync';
+// Conversions deleted or cleared on any device, so the others drop them instead of merging them back
+export const SYNCED_DELETIONS_KEY = 'bcvConversionHistorySyncDeletions';
+// Key of the history kept in `localStorage` by earlier versions
+const LEGACY_HISTORY_KEY = 'bcv_conversion_history';
+export const NOTE_MAX_LENGTH = 120;
+// `chrome.storage.sync` limits each item to 8 KB (QUOTA_BYTES_PER_ITEM), counting the key and the JSON value
+const SYNC_ITEM_MAX_BYTES = 8192;
+// Timestamps of deleted conversions kept in the deletion markers, the oldest dropped first (about 5 KB)
+const MAX_SYNCED_DELETIONS = 200;
 
 /**
  * @typedef {object} ConversionItem
  * @property {number} fromAmount - The amount that was converted.
- * @property {string} fromCurrency - The currency from which conversion was made (e.g., 'USD').
+ * @property {string} fromCurrency - The code of the currency from which conversion was made (e.g., 'USD', 'EUR', 'Bs').
  * @property {number} toAmount - The result of the conversion.
- * @property {string} toCurrency - The currency to which conversion was made (e.g., 'Bs').
- * @property {number} rate - The exchange rate used for the conversion.
- * @property {string} timestamp - ISO string representing when the conversion was made.
+ * @property {string} toCurrency - The code of the currency to which conversion was made (e.g., 'Bs').
+ * @property {number} rate - The exchange rate used for the conversion, in Bs per unit of the foreign currency
+ *                           (the currency converted from, unless that is 'Bs').
+ * @property {number} [fromRate] - Bs per unit of `fromCurrency` at the time of the conversion (1 for 'Bs').
+ * @property {number} [toRate] - Bs per unit of `toCurrency` at the time of the conversion (1 for 'Bs').
+ * @property {string} [rateDate] - The BCV value date ('YYYY-MM-DD') of the rate used.
+ * @property {string} [note] - A note or tag added by the user (e.g. a client name or invoice number).
+ * @property {ConversionTaxes} [taxes] - The taxes included in `fromAmount`, if it was saved from the tax breakdown.
+ * @property {string} timestamp - ISO string representing when the conversion was made. Identifies the item.
+ */
+
+/**
+ * @typedef {object} ConversionTaxes
+ * @property {number} base - The price before taxes, in the currency converted from.
+ * @property {number} iva - The IVA, in the currency converted from.
+ * @property {number} igtf - The IGTF, in the currency converted from; 0 if it did not apply.
+ * @property {number} ivaRate - The IVA rate, in percent.
+ * @property {number} igtfRate - The IGTF rate, in percent; 0 if it did not apply.
+ */
+
+/**
+ * @typedef {object} HistoryDeletions
+ * @property {string|null} clearedAt - ISO string of when the history was last cleared on any device. Conversions
+ *           made until then are dropped everywhere.
+ * @property {Array<string>} deleted - The timestamps of conversions deleted one by one since then.
  */
 
 /**
- * Retrieves the conversion history from `localStorage`.
+ * Retrieves the conversion history from `chrome.storage.local`.
+ * @async
  * @function getConversionHistory
- * @returns {Array<ConversionItem>} An array of conversion history items, or an empty array if no history is found or an error occurs.
- * @sideEffects Outputs an error to the console if parsing fails.
+ * @returns {Promise<Array<ConversionItem>>} The history, most recent first, or an empty array if there is none or an error occurs.
+ * @sideEffects Outputs an error to the console if reading fails.
  */
-export function getConversionHistory() {
+export async function getConversionHistory() {
   try {
-    const historyJSON = localStorage.getItem(HISTORY_KEY);
-    return historyJSON ? JSON.parse(historyJSON) : [];
+    const result = await chrome.storage.local.get(CONVERSION_HISTORY_KEY);
+    return Array.isArray(result[CONVERSION_HISTORY_KEY]) ? result[CONVERSION_HISTORY_KEY] : [];
   } catch (error) {
     console.error('Error getting conversion history:', error);
     return [];
@@ -32,9 +69,104 @@ export function getConversionHistory() {
 }
 
 /**
- * Adds a new conversion record to the history stored in `localStorage`.
- * The history is maintained as a list, with the most recent conversion at the beginning.
- * The history is capped at `MAX_HISTORY_ITEMS`.
+ * Merges history lists into one, most recent first, dropping items with the same timestamp.
+ * @function mergeHistories
+ * @param {...Array<ConversionItem>} histories - The lists to merge. On duplicates, the item of the first list wins.
+ * @returns {Array<ConversionItem>} The merged list.
+ */
+function mergeHistories(...histories) {
+  const byTimestamp = new Map();
+  for (const item of histories.flat()) {
+    if (item && typeof item.timestamp === 'string' && !byTimestamp.has(item.timestamp)) {
+      byTimestamp.set(item.timestamp, item);
+    }
+  }
+  return [...byTimestamp.values()].sort((a, b) => (a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : 0));
+}
+
+/**
+ * Returns the most recent items of the history that fit in a single `chrome.storage.sync` item.
+ * @function trimForSync
+ * @param {Array<ConversionItem>} history - The history, most recent first.
+ * @returns {Array<ConversionItem>} The items to mirror.
+ */
+function trimForSync(history) {
+  const encoder = new TextEncoder();
+  const budget = SYNC_ITEM_MAX_BYTES - encoder.encode(SYNCED_HISTORY_KEY).length;
+  let mirrored = history;
+  while (mirrored.length > 0 && encoder.encode(JSON.stringify(mirrored)).length > budget) {
+    // Drop about a tenth at a time, so long histories do not take one pass per item
+    mirrored = mirrored.slice(0, Math.min(mirrored.length - 1, Math.floor(mirrored.length * 0.9)));
+  }
+  return mirrored;
+}
+
+/**
+ * Reads the deletion markers from `chrome.storage.sync`.
+ * @function readDeletions
+ * @param {*} value - The stored markers.
+ * @returns {HistoryDeletions} The markers; none if the value is missing or invalid.
+ */
+function readDeletions(value) {
+  return {
+    clearedAt: value && typeof value.clearedAt === 'string' ? value.clearedAt : null,
+    deleted: value && Array.isArray(value.deleted) ? value.deleted.filter(timestamp => typeof timestamp === 'string') : []
+  };
+}
+
+/**
+ * Checks whether a conversion was deleted or cleared on some device.
+ * @function isDeleted
+ * @param {ConversionItem} item - The conversion.
+ * @param {HistoryDeletions} deletions - The deletion markers.
+ * @returns {boolean} True if the conversion must be dropped.
+ */
+function isDeleted(item, deletions) {
+  return Boolean(deletions.clearedAt && item.timestamp <= deletions.clearedAt) || deletions.deleted.includes(item.timestamp);
+}
+
+/**
+ * Updates the deletion markers in `chrome.storage.sync`, if the `syncHistory` setting is on. Deleted timestamps
+ * covered by `clearedAt` are dropped, and only the `MAX_SYNCED_DELETIONS` most recent deletions are kept.
+ * @async
+ * @function updateDeletions
+ * @param {function(HistoryDeletions): HistoryDeletions} update - Returns the new markers from the current ones.
+ * @sideEffects Modifies `chrome.storage.sync`.
+ */
+async function updateDeletions(update) {
+  const settings = await getSettings();
+  if (!settings.syncHistory) return;
+
+  const result = await chrome.storage.sync.get(SYNCED_DELETIONS_KEY);
+  const { clearedAt, deleted } = update(readDeletions(result[SYNCED_DELETIONS_KEY]));
+  const kept = [...new Set(deleted)].filter(timestamp => !(clearedAt && timestamp <= clearedAt));
+  await chrome.storage.sync.set({ [SYNCED_DELETIONS_KEY]: { clearedAt, deleted: kept.slice(-MAX_SYNCED_DELETIONS) } });
+}
+
+/**
+ * Stores the history, capped at the `maxHistoryItems` setting, and mirrors its most recent items to
+ * `chrome.storage.sync` if the `syncHistory` setting is on.
+ * @async
+ * @function saveConversionHistory
+ * @param {Array<ConversionItem>} history - The history to store, most recent first.
+ * @returns {Promise<Array<ConversionItem>>} The history as stored.
+ * @sideEffects Modifies `chrome.storage.local` and possibly `chrome.storage.sync`.
+ */
+async function saveConversionHistory(history) {
+  const settings = await getSettings();
+  const capped = history.slice(0, settings.maxHistoryItems);
+  await chrome.storage.local.set({ [CONVERSION_HISTORY_KEY]: capped });
+  if (settings.syncHistory) {
+    await chrome.storage.sync.set({ [SYNCED_HISTORY_KEY]: trimForSync(capped) });
+  }
+  return capped;
+}
+
+/**
+ * Adds a new conversion record to the history stored in `chrome.storage.local`.
+ * The history is maintained as a list, with the most recent conversion at the beginning,
+ * and is capped at the `maxHistoryItems` setting.
+ * @async
  * @function addConversionToHistory
  * @param {object} conversion - The conversion data to add.
  * @param {number} conversion.fromAmount - The amount that was converted.
@@ -42,10 +174,14 @@ export function getConversionHistory() {
  * @param {number} conversion.toAmount - The result of the conversion.
  * @param {string} conversion.toCurrency - The currency to which conversion was made.
  * @param {number} conversion.rate - The exchange rate used.
- * @returns {Array<ConversionItem>|undefined} The updated history array, or undefined if input is invalid or an error occurs.
- * @sideEffects Modifies `localStorage`. Outputs an error to the console if an error occurs.
+ * @param {number} [conversion.fromRate] - Bs per unit of the currency converted from.
+ * @param {number} [conversion.toRate] - Bs per unit of the currency converted to.
+ * @param {string} [conversion.rateDate] - The BCV value date ('YYYY-MM-DD') of the rate used.
+ * @param {string} [conversion.note] - A note or tag for the conversion.
+ * @returns {Promise<Array<ConversionItem>|undefined>} The updated history array, or undefined if input is invalid or an error occurs.
+ * @sideEffects Modifies `chrome.storage.local` and possibly `chrome.storage.sync`. Outputs an error to the console if an error occurs.
  */
-export function addConversionToHistory(conversion) {
+export async function addConversionToHistory(conversion) {
   if (!conversion || typeof conversion.fromAmount !== 'number' || typeof conversion.toAmount !== 'number') {
     console.warn('Invalid conversion object provided to addConversionToHistory.');
     return;
@@ -55,38 +191,212 @@ export function addConversionToHistory(conversion) {
       ...conversion,
       timestamp: new Date().toISOString()
     };
-    
-    let history = getConversionHistory();
-    history.unshift(historyItem);
-    
-    if (history.length > MAX_HISTORY_ITEMS) {
-      history = history.slice(0, MAX_HISTORY_ITEMS);
+    const note = normalizeNote(conversion.note);
+    if (note) {
+      historyItem.note = note;
+    } else {
+      delete historyItem.note;
     }
-    
-    localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
-    return history;
+
+    const history = await getConversionHistory();
+    return await saveConversionHistory([historyItem, ...history]);
   } catch (error) {
     console.error('Error adding conversion to history:', error);
-    // Not returning undefined here as per original logic, but it might be better to.
   }
 }
 
 /**
- * Clears all conversion history from `localStorage`.
+ * Trims a note and limits it to `NOTE_MAX_LENGTH` characters.
+ * @function normalizeNote
+ * @param {*} note - The note as typed.
+ * @returns {string} The note to store, or an empty string for no note.
+ */
+function normalizeNote(note) {
+  return typeof note === 'string' ? note.trim().slice(0, NOTE_MAX_LENGTH) : '';
+}
+
+/**
+ * Sets or removes the note of a conversion in the history.
+ * @async
+ * @export
+ * @function updateConversionNote
+ * @param {string} timestamp - The timestamp of the conversion.
+ * @param {string} note - The new note. An empty note removes it.
+ * @returns {Promise<boolean>} True if the history changed, false if the conversion was not found, the note
+ *          did not change, or an error occurs.
+ * @sideEffects Modifies `chrome.storage.local` and possibly `chrome.storage.sync`. Outputs an error to the console if an error occurs.
+ */
+export async function updateConversionNote(timestamp, note) {
+  try {
+    const history = await getConversionHistory();
+    const item = history.find(entry => entry.timestamp === timestamp);
+    const newNote = normalizeNote(note);
+    if (!item || (item.note || '') === newNote) return false;
+
+    if (newNote) {
+      item.note = newNote;
+    } else {
+      delete item.note;
+    }
+    await saveConversionHistory(history);
+    return true;
+  } catch (error) {
+    console.error('Error updating conversion note:', error);
+    return false;
+  }
+}
+
+/**
+ * Removes a conversion from the history, and marks it as deleted in `chrome.storage.sync` so other devices
+ * drop it too instead of merging it back.
+ * @async
+ * @export
+ * @function deleteConversion
+ * @param {string} timestamp - The timestamp of the conversion.
+ * @sideEffects Modifies `chrome.storage.local` and possibly `chrome.storage.sync`. Outputs an error to the console if an error occurs.
+ */
+export async function deleteConversion(timestamp) {
+  try {
+    const history = await getConversionHistory();
+    await updateDeletions(({ clearedAt, deleted }) => ({ clearedAt, deleted: [...deleted, timestamp] }));
+    await saveConversionHistory(history.filter(item => item.timestamp !== timestamp));
+  } catch (error) {
+    console.error('Error deleting conversion:', error);
+  }
+}
+
+/**
+ * Clears all conversion history from `chrome.storage.local` and its mirror in `chrome.storage.sync`, and records
+ * when it was cleared in the deletion markers, so other devices drop the conversions made until then instead of
+ * merging them back.
+ * @async
  * @function clearConversionHistory
- * @sideEffects Modifies `localStorage` by removing the history item. Outputs an error to the console if an error occurs.
+ * @sideEffects Modifies `chrome.storage.local` and `chrome.storage.sync`. Outputs an error to the console if an error occurs.
  */
-export function clearConversionHistory() {
+export async function clearConversionHistory() {
   try {
-    localStorage.removeItem(HISTORY_KEY);
+    const clearedAt = new Date().toISOString();
+    await updateDeletions(() => ({ clearedAt, deleted: [] }));
+    await chrome.storage.local.remove(CONVERSION_HISTORY_KEY);
+    await chrome.storage.sync.remove(SYNCED_HISTORY_KEY);
   } catch (error) {
     console.error('Error clearing conversion history:', error);
   }
 }
 
+/**
+ * Adds conversions from a backup to the history, skipping those whose timestamp is already in it.
+ * Restored conversions are no longer marked as deleted; if some were made before the history was last cleared,
+ * the clear is forgotten, so they are not dropped again (and conversions cleared on other devices may come back).
+ * Conversions discarded by a replace are marked as deleted, so other devices do not merge them back.
+ * @async
+ * @export
+ * @function importConversionHistory
+ * @param {Array<ConversionItem>} items - The conversions to import, already validated.
+ * @param {boolean} replace - Whether the current history is discarded first.
+ * @returns {Promise<{added: number, duplicates: number, dropped: number}>} How many conversions were added,
+ *          skipped as duplicates, and left out because the history was full (the `maxHistoryItems` setting).
+ * @sideEffects Modifies `chrome.storage.local` and possibly `chrome.storage.sync`.
+ */
+export async function importConversionHistory(items, replace) {
+  const current = await getConversionHistory();
+  const existing = replace ? [] : current;
+  const restored = new Set(items.map(item => item.timestamp));
+  // Oldest first, so the most recent ones are kept if there are more than `MAX_SYNCED_DELETIONS`
+  const discarded = replace ? current.map(item => item.timestamp).filter(timestamp => !restored.has(timestamp)).reverse() : [];
+  await updateDeletions(({ clearedAt, deleted }) => ({
+    clearedAt: clearedAt && items.some(item => item.timestamp <= clearedAt) ? null : clearedAt,
+    deleted: [...deleted.filter(timestamp => !restored.has(timestamp)), ...discarded]
+  }));
+  const merged = mergeHistories(existing, items);
+  const saved = await saveConversionHistory(merged);
+
+  const existingTimestamps = new Set(existing.map(item => item.timestamp));
+  const savedTimestamps = new Set(saved.map(item => item.timestamp));
+  const imported = merged.filter(item => !existingTimestamps.has(item.timestamp));
+  return {
+    added: imported.filter(item => savedTimestamps.has(item.timestamp)).length,
+    duplicates: items.length - imported.length,
+    dropped: imported.filter(item => !savedTimestamps.has(item.timestamp)).length
+  };
+}
+
+/**
+ * Merges the history mirrored in `chrome.storage.sync` (e.g. by another device) into the local history,
+ * dropping the conversions the deletion markers say were deleted or cleared on any device, and refreshes the
+ * mirror from the result. Does nothing unless the `syncHistory` setting is on.
+ * Only writes when something changed, so the `storage.onChanged` events it causes do not loop.
+ * @async
+ * @export
+ * @function mergeSyncedHistory
+ * @sideEffects Modifies `chrome.storage.local` and `chrome.storage.sync`. Outputs an error to the console if an error occurs.
+ */
+export async function mergeSyncedHistory() {
+  try {
+    const settings = await getSettings();
+    if (!settings.syncHistory) return;
+
+    const result = await chrome.storage.sync.get([SYNCED_HISTORY_KEY, SYNCED_DELETIONS_KEY]);
+    const synced = Array.isArray(result[SYNCED_HISTORY_KEY]) ? result[SYNCED_HISTORY_KEY] : [];
+    const deletions = readDeletions(result[SYNCED_DELETIONS_KEY]);
+    const history = await getConversionHistory();
+    const merged = mergeHistories(history, synced)
+      .filter(item => !isDeleted(item, deletions))
+      .slice(0, settings.maxHistoryItems);
+    const mirrored = trimForSync(merged);
+
+    if (JSON.stringify(merged) !== JSON.stringify(history)) {
+      await chrome.storage.local.set({ [CONVERSION_HISTORY_KEY]: merged });
+    }
+    if (JSON.stringify(mirrored) !== JSON.stringify(synced)) {
+      await chrome.storage.sync.set({ [SYNCED_HISTORY_KEY]: mirrored });
+    }
+  } catch (error) {
+    console.error('Error merging synced conversion history:', error);
+  }
+}
+
+/**
+ * Moves the history that earlier versions kept in `localStorage` into `chrome.storage.local`.
+ * `localStorage` is not available to the service worker, so each extension page calls this on load;
+ * the first one to run moves the items and removes the old key.
+ * @async
+ * @export
+ * @function migrateLegacyHistory
+ * @sideEffects Reads and removes the old `localStorage` key. Modifies `chrome.storage.local`. Outputs an error to the console if an error occurs.
+ */
+export async function migrateLegacyHistory() {
+  try {
+    if (typeof localStorage === 'undefined') return;
+    const legacyJSON = localStorage.getItem(LEGACY_HISTORY_KEY);
+    if (!legacyJSON) return;
+
+    const legacy = JSON.parse(legacyJSON);
+    if (Array.isArray(legacy) && legacy.length > 0) {
+      await saveConversionHistory(mergeHistories(await getConversionHistory(), legacy));
+    }
+    localStorage.removeItem(LEGACY_HISTORY_KEY);
+  } catch (error) {
+    console.error('Error migrating conversion history:', error);
+  }
+}
+
+/**
+ * Calls a function whenever the history changes in any context (e.g. the popup while the side panel is open,
+ * or a merge of history synced from another device).
+ * @function watchConversionHistory
+ * @param {function(): void} callback - The function to call after a change.
+ * @sideEffects Attaches a `chrome.storage.onChanged` listener.
+ */
+export function watchConversionHistory(callback) {
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && changes[CONVERSION_HISTORY_KEY]) callback();
+  });
+}
+
 /**
  * Formats an ISO timestamp string into a user-friendly relative or short date format
- * for display in the conversion history.
+ * for display in the conversion history, in the language and date locale.
  * Examples: "HH:MM AM/PM" (for today), "Yesterday", "Mon" (for this week), "MM/DD" (older).
  * @function formatHistoryTimestamp
  * @param {string} timestamp - The ISO timestamp string to format.
@@ -94,7 +404,7 @@ export function clearConversionHistory() {
  * @sideEffects Outputs an error to the console if an error occurs.
  */
 export function formatHistoryTimestamp(timestamp) {
-  if (!timestamp) return 'Unknown';
+  if (!timestamp) return t('unknown');
   try {
     const date = new Date(timestamp);
     if (isNaN(date.getTime())) {
@@ -104,31 +414,30 @@ export function formatHistoryTimestamp(timestamp) {
     
     // Today
     if (date.toDateString() === now.toDateString()) {
-      return date.toLocaleTimeString('en-US', {
+      return date.toLocaleTimeString(getDateLocale(), {
         hour: 'numeric',
-        minute: 'numeric',
-        hour12: true
+        minute: 'numeric'
       });
     }
     
     const yesterday = new Date(now);
     yesterday.setDate(now.getDate() - 1);
     if (date.toDateString() === yesterday.toDateString()) {
-      return 'Yesterday';
+      return t('yesterday');
     }
     
     const lastWeek = new Date(now);
     lastWeek.setDate(now.getDate() - 7);
     if (date > lastWeek) {
-      return date.toLocaleDateString('en-US', { weekday: 'short' }); // e.g., "Mon"
+      return date.toLocaleDateString(getDateLocale(), { weekday: 'short' }); // e.g., "Mon"
     }
     
-    return date.toLocaleDateString('en-US', { // Default format e.g., "03/15"
+    return date.toLocaleDateString(getDateLocale(), { // Default format e.g., "03/15"
       month: 'numeric',
       day: 'numeric'
     });
   } catch (error) {
     console.error('Error formatting history timestamp:', error);
-    return 'Unknown';
+    return t('unknown');
   }
 }
\ No newline at end of file
@@ -0,0 +1,206 @@
+/**
+ * @file IVA / IGTF breakdown mode of the calculator, shared by the popup and the side panel. It splits a USD or Bs
+ * price into base, IVA, IGTF and total, in both currencies at the BCV rate the calculator converts with,
+ * and can save the breakdown to the conversion history.
+ */
+
+import { BASE_CURRENCY, getCurrency } from './currencies.js';
+import { convertCurrency, formatCurrency } from './calculator.js';
+import { getDecimalSeparator, t } from './i18n.js';
+import { roundAmount } from './rounding.js';
+import { evaluateExpression, isExpression } from './expression.js';
+import { calculateTaxBreakdown, formatTaxRate, DEFAULT_IVA_RATE, DEFAULT_IGTF_RATE } from './taxes.js';
+import { addConversionToHistory } from './storage.js';
+import { showLatestHistory } from './historyView.js';
+import { showToast } from './toast.js';
+
+/** Currencies a price can be entered in, in the order of the breakdown columns. */
+const TAX_CURRENCIES = ['USD', BASE_CURRENCY];
+
+/**
+ * @typedef {object} TaxViewState
+ * @property {number} ivaRate - The IVA rate, in percent, from the settings.
+ * @property {number} igtfRate - The IGTF rate, in percent, from the settings.
+ * @property {object|null} conversion - The breakdown as it will be saved to the history, or null if there is none.
+ * @property {function(): {rates: Object<string, number>, rateDate: string|null}} getRates - Returns the rates the
+ *           calculator converts with and their value date.
+ */
+
+/** @type {TaxViewState} */
+let taxState = {
+  ivaRate: DEFAULT_IVA_RATE,
+  igtfRate: DEFAULT_IGTF_RATE,
+  conversion: null,
+  getRates: () => ({ rates: {}, rateDate: null })
+};
+
+/**
+ * @typedef {object} TaxElementCache
+ * @property {HTMLInputElement|null} taxAmountInput
+ * @property {HTMLElement|null} taxSymbol
+ * @property {HTMLSelectElement|null} taxCurrencySelect
+ * @property {HTMLElement|null} taxPreview
+ * @property {HTMLInputElement|null} taxIncludedInput
+ * @property {HTMLInputElement|null} taxIgtfInput
+ * @property {HTMLElement|null} taxBreakdown
+ * @property {HTMLButtonElement|null} taxSaveButton
+ */
+
+/** @type {TaxElementCache} */
+let taxElements = {};
+
+/**
+ * Initializes the tax breakdown of the current page: caches the elements, fills the currency select
+ * and sets up the event listeners.
+ * @export
+ * @function initializeTaxBreakdown
+ * @param {import('./settings.js').Settings} settings - The user settings.
+ * @param {object} options - Options.
+ * @param {function(): {rates: Object<string, number>, rateDate: string|null}} options.getRates - Returns the rates
+ *        the calculator converts with and their value date.
+ * @sideEffects Modifies `taxElements` and `taxState`. Attaches event listeners. Modifies DOM content.
+ */
+export function initializeTaxBreakdown(settings, { getRates }) {
+  taxElements = {
+    taxAmountInput: document.getElementById('taxAmountInput'),
+    taxSymbol: document.getElementById('taxSymbol'),
+    taxCurrencySelect: document.getElementById('taxCurrencySelect'),
+    taxPreview: document.getElementById('taxPreview'),
+    taxIncludedInput: document.getElementById('taxIncludedInput'),
+    taxIgtfInput: document.getElementById('taxIgtfInput'),
+    taxBreakdown: document.getElementById('taxBreakdown'),
+    taxSaveButton: document.getElementById('taxSaveButton')
+  };
+  taxState.getRates = getRates;
+  taxState.ivaRate = settings.ivaRate;
+  taxState.igtfRate = settings.igtfRate;
+
+  if (taxElements.taxCurrencySelect) {
+    taxElements.taxCurrencySelect.innerHTML = TAX_CURRENCIES
+      .map(code => `<option value="${code}">${code}</option>`)
+      .join('');
+    taxElements.taxCurrencySelect.addEventListener('change', renderTaxBreakdown);
+  }
+  if (taxElements.taxAmountInput) {
+    taxElements.taxAmountInput.addEventListener('input', () => {
+      const input = taxElements.taxAmountInput;
+      const allowed = input.value.replace(/[^\d.,+\-*/()%\s]/g, '');
+      if (allowed !== input.value) input.value = allowed;
+      renderTaxBreakdown();
+    });
+    taxElements.taxAmountInput.addEventListener('keypress', (e) => { if (e.key === 'Enter') handleSaveTaxBreakdown(); });
+  }
+  if (taxElements.taxIncludedInput) taxElements.taxIncludedInput.addEventListener('change', renderTaxBreakdown);
+  if (taxElements.taxIgtfInput) taxElements.taxIgtfInput.addEventListener('change', renderTaxBreakdown);
+  if (taxElements.taxSaveButton) taxElements.taxSaveButton.addEventListener('click', handleSaveTaxBreakdown);
+  renderTaxBreakdown();
+}
+
+/**
+ * Applies changed tax rates from the settings and renders the breakdown again.
+ * @export
+ * @function updateTaxSettings
+ * @param {import('./settings.js').Settings} settings - The user settings.
+ * @sideEffects Modifies `taxState`. Calls `renderTaxBreakdown`.
+ */
+export function updateTaxSettings(settings) {
+  taxState.ivaRate = settings.ivaRate;
+  taxState.igtfRate = settings.igtfRate;
+  renderTaxBreakdown();
+}
+
+/**
+ * Renders the breakdown of the price entered, in USD and Bs, at the rate the calculator converts with.
+ * Shows why it cannot be calculated below the price if the price is invalid or there is no rate.
+ * @export
+ * @function renderTaxBreakdown
+ * @sideEffects Modifies `taxState.conversion` and the tax breakdown DOM elements.
+ */
+export function renderTaxBreakdown() {
+  if (!taxElements.taxAmountInput || !taxElements.taxBreakdown) return;
+
+  const currency = taxElements.taxCurrencySelect ? taxElements.taxCurrencySelect.value : 'USD';
+  if (taxElements.taxSymbol) taxElements.taxSymbol.textContent = getCurrency(currency).symbol;
+  taxState.conversion = null;
+
+  const text = taxElements.taxAmountInput.value;
+  let amount = null;
+  let message = '';
+  if (text.trim()) {
+    try {
+      amount = roundAmount(evaluateExpression(text, getDecimalSeparator()), currency);
+      if (!(amount > 0)) message = t('enterAmountAboveZero');
+    } catch (error) {
+      message = error.message;
+    }
+  }
+
+  const { rates, rateDate } = taxState.getRates();
+  const usdRate = rates.USD;
+  if (amount !== null && !message && !usdRate) message = t('noRateAvailable', 'USD');
+
+  if (taxElements.taxPreview) {
+    taxElements.taxPreview.textContent = message || (amount !== null && isExpression(text) ? `= ${formatCurrency(amount, currency)}` : '');
+    taxElements.taxPreview.classList.toggle('error', Boolean(message));
+  }
+  if (amount === null || message) {
+    taxElements.taxBreakdown.hidden = true;
+    if (taxElements.taxSaveButton) taxElements.taxSaveButton.disabled = true;
+    return;
+  }
+
+  const breakdown = calculateTaxBreakdown(amount, {
+    ivaRate: taxState.ivaRate,
+    igtfRate: taxState.igtfRate,
+    includesTaxes: Boolean(taxElements.taxIncludedInput && taxElements.taxIncludedInput.checked),
+    applyIgtf: !taxElements.taxIgtfInput || taxElements.taxIgtfInput.checked,
+    currency
+  });
+  const inCurrency = (value, code) => convertCurrency(value, currency, code, rates);
+
+  const rows = [
+    { label: t('taxBase'), value: breakdown.base },
+    { label: t('taxIva', formatTaxRate(breakdown.ivaRate)), value: breakdown.iva },
+    ...(breakdown.igtfRate > 0 ? [{ label: t('taxIgtf', formatTaxRate(breakdown.igtfRate)), value: breakdown.igtf }] : []),
+    { label: t('taxTotal'), value: breakdown.total, className: 'tax-total' }
+  ];
+  taxElements.taxBreakdown.innerHTML = `
+    <tr><th></th>${TAX_CURRENCIES.map(code => `<th>${code}</th>`).join('')}</tr>
+    ${rows.map(row => `
+      <tr class="${row.className || ''}">
+        <td>${row.label}</td>
+        ${TAX_CURRENCIES.map(code => `<td>${formatCurrency(inCurrency(row.value, code), code)}</td>`).join('')}
+      </tr>
+    `).join('')}
+  `;
+  taxElements.taxBreakdown.hidden = false;
+  if (taxElements.taxSaveButton) taxElements.taxSaveButton.disabled = false;
+
+  const otherCurrency = TAX_CURRENCIES.find(code => code !== currency);
+  const { base, iva, igtf, ivaRate, igtfRate } = breakdown;
+  taxState.conversion = {
+    fromAmount: breakdown.total,
+    fromCurrency: currency,
+    toAmount: inCurrency(breakdown.total, otherCurrency),
+    toCurrency: otherCurrency,
+    rate: usdRate,
+    fromRate: currency === 'USD' ? usdRate : 1,
+    toRate: otherCurrency === 'USD' ? usdRate : 1,
+    rateDate,
+    taxes: { base, iva, igtf, ivaRate, igtfRate }
+  };
+}
+
+/**
+ * Saves the breakdown shown to the conversion history: its total in both currencies, with the base price and taxes.
+ * @function handleSaveTaxBreakdown
+ * @sideEffects Calls `addConversionToHistory`, `showLatestHistory` and `showToast`.
+ */
+function handleSaveTaxBreakdown() {
+  if (!taxState.conversion) return;
+
+  // Show the new conversion on top; the history is re-rendered by `watchConversionHistory` once it is stored
+  showLatestHistory();
+  addConversionToHistory(taxState.conversion);
+  showToast(t('breakdownSaved'));
+}
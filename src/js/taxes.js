@@ -0,0 +1,96 @@
+/**
+ * @file Venezuelan sales taxes on a price: IVA (value added tax, 16% by default) and IGTF (tax on large
+ * financial transactions, 3% by default), which applies when the price is paid in foreign currency.
+ */
+
+import { getNumberLocale } from './i18n.js';
+import { toDecimal, toNumber, add, subtract, multiply, divide } from './decimal.js';
+import { roundDecimal } from './rounding.js';
+
+export const DEFAULT_IVA_RATE = 16;
+export const DEFAULT_IGTF_RATE = 3;
+export const MAX_TAX_RATE = 100;
+
+const ONE = toDecimal(1);
+const HUNDRED = toDecimal(100);
+
+/**
+ * @typedef {object} TaxBreakdownOptions
+ * @property {number} ivaRate - The IVA rate, in percent (e.g. 16).
+ * @property {number} igtfRate - The IGTF rate, in percent (e.g. 3).
+ * @property {boolean} [includesTaxes=false] - Whether the amount is the total price, taxes included,
+ *           instead of the base price.
+ * @property {boolean} [applyIgtf=true] - Whether the price is paid in foreign currency, so IGTF applies.
+ * @property {string} currency - The currency of the price, to round each amount to its precision.
+ */
+
+/**
+ * @typedef {object} TaxBreakdown
+ * @property {number} base - The price before taxes.
+ * @property {number} iva - The IVA on the base price.
+ * @property {number} igtf - The IGTF on the base price plus IVA; 0 if it does not apply.
+ * @property {number} total - The price to pay: base, IVA and IGTF.
+ * @property {number} ivaRate - The IVA rate applied, in percent.
+ * @property {number} igtfRate - The IGTF rate applied, in percent; 0 if it does not apply.
+ */
+
+/**
+ * Formats a tax rate for a label (e.g. "16%").
+ * @export
+ * @function formatTaxRate
+ * @param {number} rate - The rate, in percent.
+ * @returns {string} The rate in the number locale, with a percent sign.
+ */
+export function formatTaxRate(rate) {
+  return `${rate.toLocaleString(getNumberLocale(), { maximumFractionDigits: 2 })}%`;
+}
+
+/**
+ * Returns a percentage of an amount, exactly.
+ * @function percentOf
+ * @param {import('./decimal.js').Decimal} amount - The amount.
+ * @param {number} rate - The percentage (e.g. 16).
+ * @returns {import('./decimal.js').Decimal} The percentage of the amount.
+ */
+function percentOf(amount, rate) {
+  return divide(multiply(amount, toDecimal(rate)), HUNDRED);
+}
+
+/**
+ * Splits a price into base, IVA, IGTF and total. IGTF is charged on the amount paid, i.e. the base price plus IVA.
+ * All amounts are in the currency of the price and rounded to its precision; the total is the sum of the
+ * rounded parts. When the price includes taxes, the total is the price itself and the last tax takes up
+ * any rounding difference.
+ * @export
+ * @function calculateTaxBreakdown
+ * @param {number} amount - The price, either the base price or the total (see `includesTaxes`).
+ * @param {TaxBreakdownOptions} options - The tax rates and how to read the price.
+ * @returns {TaxBreakdown} The breakdown.
+ * @example
+ * calculateTaxBreakdown(100, { ivaRate: 16, igtfRate: 3, currency: 'USD' });
+ * // { base: 100, iva: 16, igtf: 3.48, total: 119.48, ivaRate: 16, igtfRate: 3 }
+ */
+export function calculateTaxBreakdown(amount, { ivaRate, igtfRate, includesTaxes = false, applyIgtf = true, currency }) {
+  const appliedIgtfRate = applyIgtf ? igtfRate : 0;
+  const price = roundDecimal(toDecimal(amount), currency);
+  const factor = multiply(add(ONE, percentOf(ONE, ivaRate)), add(ONE, percentOf(ONE, appliedIgtfRate)));
+  const base = includesTaxes ? roundDecimal(divide(price, factor), currency) : price;
+  let iva = roundDecimal(percentOf(base, ivaRate), currency);
+  let igtf = roundDecimal(percentOf(add(base, iva), appliedIgtfRate), currency);
+  let total = add(add(base, iva), igtf);
+  if (includesTaxes) {
+    // The taxes add up to the price paid, not to a cent more or less
+    const difference = subtract(price, total);
+    if (appliedIgtfRate > 0) igtf = add(igtf, difference);
+    else iva = add(iva, difference);
+    total = price;
+  }
+  return {
+    base: toNumber(base),
+    iva: toNumber(iva),
+    igtf: toNumber(igtf),
+    total: toNumber(total),
+    ivaRate,
+    igtfRate: appliedIgtfRate
+  };
+}
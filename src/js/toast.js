@@ -0,0 +1,33 @@
+/**
+ * @file Toast messages shown at the bottom of the extension pages.
+ */
+
+/**
+ * Displays a toast notification message at the bottom of the screen.
+ * The toast automatically hides after a specified duration.
+ * @export
+ * @function showToast
+ * @param {string} message - The message to display in the toast.
+ * @param {number} [duration=3000] - The duration in milliseconds for which the toast should be visible.
+ * @sideEffects Creates and appends a DOM element for the toast, then removes it.
+ */
+export function showToast(message, duration = 3000) {
+  if (typeof document === 'undefined') return;
+
+  const existingToast = document.querySelector('.toast');
+  if (existingToast) {
+    existingToast.remove();
+  }
+  
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  toast.textContent = message;
+  document.body.appendChild(toast);
+  
+  setTimeout(() => { toast.classList.add('show'); }, 10);
+  
+  setTimeout(() => {
+    toast.classList.remove('show');
+    setTimeout(() => { toast.remove(); }, 300);
+  }, duration);
+}
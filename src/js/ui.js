@@ -3,19 +3,23 @@
  */
 
 import { fetchBCVRate, formatDate, getTimeDifference } from './api.js';
+import { getProvider } from './providers/index.js';
+import { FOREIGN_CURRENCIES, getBsRate, getCurrencyName } from './currencies.js';
+import { MONITORS, PARALLEL_RATES_KEY } from './monitors.js';
+import { getSettings, updateSettings, normalizeSettings, DEFAULT_SETTINGS, SETTINGS_KEY } from './settings.js';
+import { applyLocaleSettings, localizePage, t } from './i18n.js';
+import { applyRoundingSettings } from './rounding.js';
+import { findSiteEntry, injectPriceOverlay, isPriceOverlayEnabled, requestPriceOverlayPermission, toSite } from './priceOverlay.js';
+import { recordRate } from './rateHistory.js';
 import {
-  convertUSDtoBs,
-  convertBstoUSD,
-  formatCurrency,
+  calculateSpread,
+  formatRate,
   formatPercentage,
   getRateChangeType
 } from './calculator.js';
-import {
-  addConversionToHistory,
-  getConversionHistory,
-  clearConversionHistory,
-  formatHistoryTimestamp
-} from './storage.js';
+import { initializeCalculator, updateCalculatorRates, updateCalculatorSettings } from './calculatorView.js';
+import { showToast } from './toast.js';
+import { escapeHtml } from './html.js';
 
 // State
 const RATE_DATA_KEY = 'bcvRateData'; // Same key as in background.js
@@ -25,13 +29,12 @@ const RATE_DATA_KEY = 'bcvRateData'; // Same key as in background.js
  * @property {number} currentRate - The current BCV exchange rate.
  * @property {number} previousRate - The previous BCV exchange rate.
  * @property {string|null} date - ISO string of the date for the current rate.
- * @property {string} mode - The current conversion mode ('usd-to-bs' or 'bs-to-usd').
- * @property {string|number} amount - The amount entered by the user for conversion.
- * @property {number|null} result - The result of the current conversion.
+ * @property {Object<string, number>} rates - Bs per unit of each foreign currency with a published rate, keyed by code.
  * @property {string|null} lastFetchedByBackground - ISO string of when the background last fetched data.
  * @property {boolean} isCachedData - Flag indicating if the currently displayed data is from cache.
  * @property {number} change - The difference between current and previous rate.
  * @property {number} changePercentage - The percentage change between current and previous rate.
+ * @property {string|null} provider - The id of the rate provider that supplied the current data.
  */
 
 /** @type {CurrentState} */
@@ -39,13 +42,12 @@ let currentState = {
   currentRate: 0,
   previousRate: 0,
   date: null,
-  mode: 'usd-to-bs', // 'usd-to-bs' or 'bs-to-usd'
-  amount: '',
-  result: null,
+  rates: {},
   lastFetchedByBackground: null,
   isCachedData: false,
   change: 0,
-  changePercentage: 0
+  changePercentage: 0,
+  provider: null
 };
 
 // DOM Elements
@@ -58,53 +60,81 @@ let currentState = {
  * @property {HTMLElement|null} rateChange
  * @property {HTMLElement|null} rateChangeIcon
  * @property {HTMLElement|null} rateChangeValue
- * @property {HTMLElement|null} fromLabel
- * @property {HTMLElement|null} fromSymbol
- * @property {HTMLInputElement|null} fromInput
- * @property {HTMLElement|null} fromGroup
- * @property {HTMLElement|null} toLabel
- * @property {HTMLElement|null} toSymbol
- * @property {HTMLInputElement|null} toInput
- * @property {HTMLElement|null} toGroup
- * @property {HTMLElement|null} swapButton
- * @property {HTMLElement|null} convertButton
- * @property {HTMLElement|null} convertButtonBs
- * @property {HTMLElement|null} resultCard
- * @property {HTMLElement|null} resultValue
- * @property {HTMLElement|null} copyButton
- * @property {HTMLElement|null} historyList
- * @property {HTMLElement|null} clearHistoryButton
+ * @property {HTMLElement|null} currencyRates
+ * @property {HTMLElement|null} parallelRates
+ * @property {HTMLElement|null} monitorPicker
+ * @property {HTMLElement|null} priceOverlayToggleRow
+ * @property {HTMLInputElement|null} priceOverlayToggle
+ * @property {HTMLElement|null} priceOverlayToggleLabel
  */
 
 /** @type {DOMElementCache} */
 let elements = {};
 
+/**
+ * Re-renders the parallel rates list against the current official rate. Set up by `initializeUI`.
+ * @type {function(): void}
+ */
+let renderParallel = () => {};
+
+/**
+ * The user settings, loaded by `initializeUI` and kept up to date from `chrome.storage.sync`.
+ * @type {import('./settings.js').Settings}
+ */
+let settings = { ...DEFAULT_SETTINGS };
+
+/**
+ * The web page open in the active tab, where the price overlay toggle applies. Null on other pages
+ * (e.g. the new tab page), where the toggle is hidden. Set by `setupPriceOverlayToggle`.
+ * @type {{tabId: number, hostname: string, site: string}|null}
+ */
+let activePage = null;
+
 /**
  * Initializes the user interface for the popup.
- * This function caches DOM elements, sets up event listeners,
- * loads initial data (prioritizing local storage), and sets up a listener
+ * This function caches DOM elements, sets up event listeners, loads the user settings and the texts of their language,
+ * initializes the shared calculator, loads initial data (prioritizing local storage), and sets up a listener
  * for changes in `chrome.storage` to keep the UI up-to-date.
  * @export
+ * @async
  * @function initializeUI
- * @sideEffects Modifies global `elements` and `currentState`. Attaches event listeners. Outputs to console.
+ * @sideEffects Modifies global `elements`, `settings` and `currentState`. Attaches event listeners. Outputs to console.
  *              Calls functions that modify DOM content.
  */
-export function initializeUI() {
+export async function initializeUI() {
   cacheElements();
   setupEventListeners();
+  settings = await getSettings();
+  await applyLocaleSettings(settings);
+  applyRoundingSettings(settings);
+  localizePage();
+  initializeCalculator(settings);
+  renderParallel = setupParallelRates(elements.parallelRates, elements.monitorPicker, () => currentState.currentRate);
   loadDataFromStorageOrFetch(); // Load from storage first
+  setupPriceOverlayToggle();
 
   // Defensive check for chrome.storage and chrome.storage.onChanged
   if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged) {
-    chrome.storage.onChanged.addListener((changes, namespace) => {
+    chrome.storage.onChanged.addListener(async (changes, namespace) => {
       if (namespace === 'local' && changes[RATE_DATA_KEY]) {
         const newStoredData = changes[RATE_DATA_KEY].newValue;
         if (newStoredData) {
           console.log('Popup: Detected rate data change in storage, updating UI.');
           updateStateWithRateData(newStoredData, true); // Mark as cached
           renderRateData(); // Re-render rate specific parts
+          updateCalculatorRates(currentState);
         }
       }
+      if (namespace === 'sync' && changes[SETTINGS_KEY]) {
+        settings = normalizeSettings(changes[SETTINGS_KEY].newValue);
+        await applyLocaleSettings(settings);
+        applyRoundingSettings(settings);
+        // Texts, amounts and dates may use a different language, locale or rounding now
+        localizePage();
+        renderRateData();
+        updateCalculatorSettings(settings);
+        renderPriceOverlayToggle();
+      }
     });
   }
 }
@@ -126,22 +156,12 @@ function cacheElements() {
     rateChange: document.getElementById('rateChange'),
     rateChangeIcon: document.getElementById('rateChangeIcon'),
     rateChangeValue: document.getElementById('rateChangeValue'), // Explicitly cache this
-    fromLabel: document.getElementById('fromLabel'),
-    fromSymbol: document.getElementById('fromSymbol'),
-    fromInput: document.getElementById('fromInput'),
-    fromGroup: document.getElementById('fromGroup'),
-    toLabel: document.getElementById('toLabel'),
-    toSymbol: document.getElementById('toSymbol'),
-    toInput: document.getElementById('toInput'),
-    toGroup: document.getElementById('toGroup'),
-    swapButton: document.getElementById('swapButton'),
-    convertButton: document.getElementById('convertButton'),
-    convertButtonBs: document.getElementById('convertButtonBs'),
-    resultCard: document.getElementById('resultCard'),
-    resultValue: document.getElementById('resultValue'),
-    copyButton: document.getElementById('copyButton'),
-    historyList: document.getElementById('historyList'),
-    clearHistoryButton: document.getElementById('clearHistoryButton')
+    currencyRates: document.getElementById('currencyRates'),
+    parallelRates: document.getElementById('parallelRates'),
+    monitorPicker: document.getElementById('monitorPicker'),
+    priceOverlayToggleRow: document.getElementById('priceOverlayToggleRow'),
+    priceOverlayToggle: document.getElementById('priceOverlayToggle'),
+    priceOverlayToggleLabel: document.getElementById('priceOverlayToggleLabel')
   };
   // If rateChangeIcon or rateChangeValue were not found directly by ID, 
   // try to find them as children of rateChange if it exists.
@@ -152,53 +172,121 @@ function cacheElements() {
 }
 
 /**
- * Sets up event listeners for various UI elements like buttons and inputs.
+ * Sets up event listeners for the popup's own controls. The calculator controls are wired by `initializeCalculator`.
  * Ensures that listeners are only added if the corresponding elements exist in the DOM.
  * @function setupEventListeners
- * @sideEffects Attaches event listeners to DOM elements. Calls `showToast`, `loadData`, `handleConvert`,
- *              `handleSwap`, `handleCopy`, `handleClearHistory`, `validateInput`.
+ * @sideEffects Attaches event listeners to DOM elements. Calls `showToast`, `loadData`.
  */
 function setupEventListeners() {
   if (elements.refreshButton) {
     elements.refreshButton.addEventListener('click', () => {
-      showToast('Fetching live rates...');
+      showToast(t('fetchingLiveRates'));
       loadData(true); // Pass true to indicate a manual refresh (live fetch)
     });
   }
+  if (elements.priceOverlayToggle) {
+    elements.priceOverlayToggle.addEventListener('change', handlePriceOverlayToggle);
+  }
+}
+
+/**
+ * Shows the price overlay toggle if the active tab is a web page. The `activeTab` permission gives the popup
+ * the address of the tab without access to every website.
+ * @async
+ * @function setupPriceOverlayToggle
+ * @sideEffects Modifies `activePage`. Calls `renderPriceOverlayToggle`. Outputs an error to console if the tab cannot be read.
+ */
+async function setupPriceOverlayToggle() {
+  if (!elements.priceOverlayToggleRow || typeof chrome === 'undefined' || !chrome.tabs) return;
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const site = tab && tab.url ? toSite(tab.url) : null;
+    if (!site) return;
+    activePage = { tabId: tab.id, hostname: new URL(tab.url).hostname, site };
+    renderPriceOverlayToggle();
+  } catch (error) {
+    console.error('Popup: Error reading the active tab:', error);
+  }
+}
+
+/**
+ * Renders the price overlay toggle: whether prices are converted on the site of the active tab.
+ * @function renderPriceOverlayToggle
+ * @sideEffects Modifies the toggle's visibility, state and label.
+ */
+function renderPriceOverlayToggle() {
+  if (!activePage || !elements.priceOverlayToggleRow) return;
+  elements.priceOverlayToggleRow.hidden = false;
+  elements.priceOverlayToggle.checked = isPriceOverlayEnabled(settings, activePage.hostname);
+  elements.priceOverlayToggleLabel.textContent = t('convertPricesOn', activePage.site);
+}
+
+/**
+ * Turns the price overlay on or off for the site of the active tab. The site list only keeps the sites that
+ * differ from the `priceOverlayEnabled` setting, so a site set back to it is removed from the list. Turning the
+ * overlay on asks for access to websites first, and runs it in the tab at once.
+ * @async
+ * @function handlePriceOverlayToggle
+ * @sideEffects May show the browser's permission prompt. Modifies the `priceOverlaySites` setting. May inject the
+ *              content script into the active tab. Calls `showToast`. Outputs errors to console.
+ */
+async function handlePriceOverlayToggle() {
+  if (!activePage) return;
+  const isEnabled = elements.priceOverlayToggle.checked;
+  // The prompt is only shown for a user action, so the permission is requested before anything else is awaited
+  if (isEnabled && !(await requestPriceOverlayPermission())) {
+    elements.priceOverlayToggle.checked = false;
+    showToast(t('websiteAccessDenied'), 4000);
+    return;
+  }
+
+  const sites = { ...settings.priceOverlaySites };
+  const site = findSiteEntry(sites, activePage.hostname) || activePage.site;
+  delete sites[site];
+  // An entry of a parent domain may still apply once the site is removed
+  if (isPriceOverlayEnabled({ ...settings, priceOverlaySites: sites }, activePage.hostname) !== isEnabled) {
+    sites[site] = isEnabled;
+  }
 
-  if (elements.convertButton) elements.convertButton.addEventListener('click', handleConvert);
-  if (elements.convertButtonBs) elements.convertButtonBs.addEventListener('click', handleConvert);
-  if (elements.swapButton) elements.swapButton.addEventListener('click', handleSwap);
-  if (elements.copyButton) elements.copyButton.addEventListener('click', handleCopy);
-  if (elements.clearHistoryButton) elements.clearHistoryButton.addEventListener('click', handleClearHistory);
-  
-  if (elements.fromInput) {
-    elements.fromInput.addEventListener('input', validateInput);
-    elements.fromInput.addEventListener('keypress', (e) => { if (e.key === 'Enter') handleConvert(); });
+  try {
+    await updateSettings({ priceOverlaySites: sites });
+  } catch (error) {
+    console.error('Popup: Error saving the price overlay sites:', error);
+    elements.priceOverlayToggle.checked = !isEnabled;
+    showToast(error.errors ? error.errors.priceOverlaySites : t('couldNotSaveOptions', error.message), 4000);
+    return;
   }
-  if (elements.toInput) {
-    elements.toInput.addEventListener('input', validateInput);
-    elements.toInput.addEventListener('keypress', (e) => { if (e.key === 'Enter') handleConvert(); });
+  if (isEnabled) {
+    try {
+      await injectPriceOverlay(activePage.tabId);
+    } catch (error) {
+      // The page may not allow extensions (e.g. the web store); the overlay runs once it is reloaded otherwise
+      console.error('Popup: Error running the price overlay in the active tab:', error);
+    }
   }
 }
 
+
 /**
  * Updates the global `currentState` object with new rate information.
  * @function updateStateWithRateData
  * @param {object} rateData - The new rate data, typically from `chrome.storage` or a live fetch.
- * Expected to include `currentRate`, `previousRate`, `date`, `change`, `changePercentage`, `lastFetchedByBackground`.
+ * Expected to include `currentRate`, `previousRate`, `date`, `change`, `changePercentage`, `lastFetchedByBackground`, `provider`,
+ * and optionally `rates` (Bs per unit of the other currencies).
  * @param {boolean} [isCached=false] - Flag indicating if the provided `rateData` is from a cache.
  * @sideEffects Modifies the global `currentState` object.
  */
 function updateStateWithRateData(rateData, isCached = false) {
   currentState = {
-    ...currentState, // Preserve other state properties like mode, amount, result
+    ...currentState,
     currentRate: rateData.currentRate,
+    rates: { ...(rateData.rates || {}), USD: rateData.currentRate },
     previousRate: rateData.previousRate,
     date: rateData.date,
     change: rateData.change,
     changePercentage: rateData.changePercentage,
     lastFetchedByBackground: rateData.lastFetchedByBackground,
+    provider: rateData.provider || null,
     isCachedData: isCached
   };
 }
@@ -214,7 +302,7 @@ function updateStateWithRateData(rateData, isCached = false) {
  *              Interacts with `chrome.storage.local`. Outputs to console.
  */
 async function loadDataFromStorageOrFetch() {
-  showLoadingState('Loading from cache...');
+  showLoadingState(t('loadingFromCache'));
   if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
     chrome.storage.local.get([RATE_DATA_KEY], async (result) => {
       const storedData = result[RATE_DATA_KEY];
@@ -229,7 +317,7 @@ async function loadDataFromStorageOrFetch() {
     });
   } else {
     console.error('chrome.storage.local is not available.');
-    showErrorState(new Error('Storage API not available.'));
+    showErrorState(new Error(t('storageUnavailable')));
   }
 }
 
@@ -243,7 +331,7 @@ async function loadDataFromStorageOrFetch() {
  * @function loadData
  * @param {boolean} [forceLiveFetch=false] - If true, a live fetch is performed.
  *                                           Otherwise, behavior might depend on `loadDataFromStorageOrFetch`.
- * @sideEffects Calls `showLoadingState`, `fetchBCVRate`, `chrome.storage.local.set`, `updateStateWithRateData`,
+ * @sideEffects Calls `showLoadingState`, `fetchBCVRate`, `chrome.storage.local.set`, `recordRate`, `updateStateWithRateData`,
  *              `renderUI`, `showErrorState`, `showToast`. Outputs to console.
  */
 async function loadData(forceLiveFetch = false) {
@@ -252,15 +340,16 @@ async function loadData(forceLiveFetch = false) {
     return;
   }
 
-  showLoadingState('Fetching live rates...');
+  showLoadingState(t('fetchingLiveRates'));
   try {
-    const rateData = await fetchBCVRate(); 
+    const rateData = await fetchBCVRate(settings.providerOrder);
     const dataToStore = {
       ...rateData,
       lastFetchedByBackground: new Date().toISOString() 
     };
     if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
       await chrome.storage.local.set({ [RATE_DATA_KEY]: dataToStore });
+      await recordRate(dataToStore);
       console.log('Popup: Live data fetched and stored:', dataToStore);
     } else {
       console.error('chrome.storage.local is not available.');
@@ -280,7 +369,7 @@ async function loadData(forceLiveFetch = false) {
           console.log('Popup: Live fetch failed, rendering stored data as fallback:', storedData);
           updateStateWithRateData(storedData, true);
           renderUI();
-          showToast("Live fetch failed. Displaying cached data.", 4000);
+          showToast(t('liveFetchFailed'), 4000);
         }
       });
     }
@@ -289,21 +378,12 @@ async function loadData(forceLiveFetch = false) {
 
 /**
  * Updates the UI to show a loading state.
- * Typically displays "Loading..." messages in relevant fields.
  * @function showLoadingState
- * @param {string} [message='Fetching latest rates...'] - Optional message for the 'lastUpdated' field.
- * @sideEffects Modifies the text content and class lists of DOM elements.
+ * @param {string} [message] - Optional message for the 'lastUpdated' field. Defaults to "Fetching latest rates...".
+ * @sideEffects Calls `showRateCardLoading`.
  */
-function showLoadingState(message = 'Fetching latest rates...') {
-  if (elements.currentRateValue) {
-    elements.currentRateValue.textContent = 'Loading...';
-    elements.currentRateValue.classList.add('loading');
-  }
-  if (elements.previousRateValue) {
-    elements.previousRateValue.textContent = 'Loading...';
-    elements.previousRateValue.classList.add('loading');
-  }
-  if (elements.lastUpdated) elements.lastUpdated.textContent = message;
+function showLoadingState(message = t('fetchingLatestRates')) {
+  showRateCardLoading(elements, message);
 }
 
 /**
@@ -311,314 +391,290 @@ function showLoadingState(message = 'Fetching latest rates...') {
  * Displays "Error" messages and a toast notification with the error.
  * @function showErrorState
  * @param {Error} error - The error object.
- * @sideEffects Modifies the text content and class lists of DOM elements. Calls `showToast`.
+ * @sideEffects Calls `showRateCardError` and `showToast`.
  */
 function showErrorState(error) {
-  if (elements.currentRateValue) {
-    elements.currentRateValue.textContent = 'Error';
-    elements.currentRateValue.classList.remove('loading');
-  }
-  if (elements.previousRateValue) {
-    elements.previousRateValue.textContent = 'Error';
-    elements.previousRateValue.classList.remove('loading');
-  }
-  if (elements.lastUpdated) {
-    elements.lastUpdated.textContent = 'Could not fetch rates';
-  }
-  
-  showToast(`Error fetching rates: ${error.message}`);
+  showRateCardError(elements);
+  showToast(t('errorFetchingRates', error.message));
 }
 
 /**
- * Renders the entire UI by calling individual render functions for each section.
- * This includes rate data, the conversion UI, and the history section.
+ * Renders the entire UI: the rate card and the rates used by the calculator.
  * @function renderUI
- * @sideEffects Calls `renderRateData`, `updateConversionUI`, `renderHistory`.
+ * @sideEffects Calls `renderRateData`, `updateCalculatorRates`.
  */
 function renderUI() {
   renderRateData();
-  updateConversionUI();
-  renderHistory();
+  updateCalculatorRates(currentState);
 }
 
 /**
- * Renders the exchange rate data section of the UI.
- * Updates fields for current rate, previous rate, last updated time, and rate change indicator.
- * Information about data source (live/cached) is also displayed.
+ * Renders the exchange rate data section of the UI, including the spread of the parallel rates.
  * @function renderRateData
- * @sideEffects Modifies DOM content and styles for rate display elements.
+ * @sideEffects Calls `renderRateCard` and `renderParallel`.
  */
 function renderRateData() {
-  if (!elements.currentRateValue) return; 
-
-  elements.currentRateValue.classList.remove('loading');
-  if (elements.previousRateValue) elements.previousRateValue.classList.remove('loading');
-
-  elements.currentRateValue.textContent = formatCurrency(currentState.currentRate, 'Bs').replace('Bs. ', '');
-  if (elements.previousRateValue) elements.previousRateValue.textContent = `Previous: ${formatCurrency(currentState.previousRate, 'Bs')}`;
-
-  if (elements.lastUpdated) {
-    if (currentState.date) {
-      let updatedText = `BCV: ${getTimeDifference(currentState.date)}`;
-      if (currentState.isCachedData && currentState.lastFetchedByBackground) {
-        updatedText += ` (Cached: ${getTimeDifference(currentState.lastFetchedByBackground)})`;
-        elements.lastUpdated.style.color = 'var(--neutral-400)'; 
-      } else if (!currentState.isCachedData) {
-         updatedText += ` (Live)`;
-         elements.lastUpdated.style.color = 'var(--neutral-500)'; 
-      }
-      elements.lastUpdated.textContent = updatedText;
-      elements.lastUpdated.title = `BCV Date: ${formatDate(currentState.date)}`;
-      if (currentState.lastFetchedByBackground) {
-          elements.lastUpdated.title += ` | Cached: ${formatDate(currentState.lastFetchedByBackground)}`;
-      }
-    } else {
-      elements.lastUpdated.textContent = currentState.isCachedData ? 'Using cached data' : 'Date N/A';
-      elements.lastUpdated.style.color = 'var(--neutral-400)';
-    }
-  }
-
-  const changeType = getRateChangeType(currentState.currentRate, currentState.previousRate);
-  if (elements.rateChange && elements.rateChangeIcon && elements.rateChangeValue) {
-    elements.rateChange.className = `rate-change ${changeType}`;
-    const iconElement = elements.rateChangeIcon;
-    const valueElement = elements.rateChangeValue;
-
-    if (changeType === 'increase') {
-        iconElement.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="m18 15-6-6-6 6"/></svg>`;
-        valueElement.textContent = `+${formatPercentage(currentState.changePercentage)}`;
-    } else if (changeType === 'decrease') {
-        iconElement.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="m6 9 6 6 6-6"/></svg>`;
-        valueElement.textContent = `${formatPercentage(currentState.changePercentage)}`;
-    } else {
-        iconElement.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M8 12h8"/></svg>`;
-        valueElement.textContent = `0.00%`;
-    }
-  } else if (elements.rateChange) { 
-    elements.rateChange.className = `rate-change ${changeType}`;
-    let textContent = '';
-    if (changeType === 'increase') textContent = `▲ +${formatPercentage(currentState.changePercentage)}`;
-    else if (changeType === 'decrease') textContent = `▼ ${formatPercentage(currentState.changePercentage)}`;
-    else textContent = `● 0.00%`;
-    elements.rateChange.textContent = textContent;
-  }
+  renderRateCard(elements, currentState);
+  renderParallel();
 }
 
 /**
- * Updates the currency conversion section of the UI based on the current conversion mode.
- * Toggles visibility of input groups and updates labels and symbols.
- * Clears previous input values and results.
- * @function updateConversionUI
- * @sideEffects Modifies DOM content, styles, and input values for conversion elements. Updates `currentState.result`.
+ * @typedef {object} RateCardElements
+ * @property {HTMLElement|null} currentRateValue
+ * @property {HTMLElement|null} previousRateValue
+ * @property {HTMLElement|null} lastUpdated
+ * @property {HTMLElement|null} rateChange
+ * @property {HTMLElement|null} rateChangeIcon
+ * @property {HTMLElement|null} rateChangeValue
+ * @property {HTMLElement|null} currencyRates
+ */
+
+/**
+ * Shows a loading state in a rate card: "Loading..." in the rate fields and a message in the 'lastUpdated' field.
+ * Shared by the popup and the side panel.
+ * @export
+ * @function showRateCardLoading
+ * @param {RateCardElements} card - The rate card elements.
+ * @param {string} [message] - Message for the 'lastUpdated' field. Defaults to "Fetching latest rates...".
+ * @sideEffects Modifies the text content and class lists of the card elements.
  */
-function updateConversionUI() {
-  if (!elements.fromLabel) return; 
-
-  if (currentState.mode === 'usd-to-bs') {
-    elements.fromLabel.textContent = 'USD Amount';
-    elements.fromSymbol.textContent = '$';
-    elements.toLabel.textContent = 'Bs Amount';
-    elements.toSymbol.textContent = 'Bs.';
-    if (elements.fromGroup) elements.fromGroup.classList.remove('hidden');
-    if (elements.toGroup) elements.toGroup.classList.add('hidden');
-  } else {
-    elements.fromLabel.textContent = 'Bs Amount';
-    elements.fromSymbol.textContent = 'Bs.';
-    elements.toLabel.textContent = 'USD Amount';
-    elements.toSymbol.textContent = '$';
-    if (elements.fromGroup) elements.fromGroup.classList.add('hidden');
-    if (elements.toGroup) elements.toGroup.classList.remove('hidden');
+export function showRateCardLoading(card, message = t('fetchingLatestRates')) {
+  if (card.currentRateValue) {
+    card.currentRateValue.textContent = t('loading');
+    card.currentRateValue.classList.add('loading');
   }
-  
-  if (elements.fromInput) elements.fromInput.value = '';
-  if (elements.toInput) elements.toInput.value = '';
-  if (elements.resultCard) elements.resultCard.style.display = 'none';
-  currentState.result = null;
+  if (card.previousRateValue) {
+    card.previousRateValue.textContent = t('loading');
+    card.previousRateValue.classList.add('loading');
+  }
+  if (card.lastUpdated) card.lastUpdated.textContent = message;
 }
 
 /**
- * Handles the currency conversion when the convert button is clicked.
- * Reads the amount from the active input field, performs the conversion based on the current mode,
- * updates the UI with the result, and adds the conversion to history.
- * @function handleConvert
- * @sideEffects Modifies DOM to display result, calls `showToast`, `addConversionToHistory`, `renderHistory`.
- *              Updates `currentState.amount` and `currentState.result`.
+ * Shows an error state in a rate card. Shared by the popup and the side panel.
+ * @export
+ * @function showRateCardError
+ * @param {RateCardElements} card - The rate card elements.
+ * @sideEffects Modifies the text content and class lists of the card elements.
  */
-function handleConvert() {
-  if (!elements.fromInput || !elements.toInput || !elements.resultValue || !elements.resultCard) return;
-
-  const activeInput = currentState.mode === 'usd-to-bs' ? elements.fromInput : elements.toInput;
-  const amount = parseFloat(activeInput.value);
-  
-  if (!amount || isNaN(amount)) {
-    showToast('Please enter a valid amount');
-    return;
+export function showRateCardError(card) {
+  if (card.currentRateValue) {
+    card.currentRateValue.textContent = t('error');
+    card.currentRateValue.classList.remove('loading');
   }
-  
-  let result, fromCurrency, toCurrency, resultText;
-  
-  if (currentState.mode === 'usd-to-bs') {
-    result = convertUSDtoBs(amount, currentState.currentRate);
-    fromCurrency = 'USD';
-    toCurrency = 'Bs';
-    resultText = `${formatCurrency(amount, 'USD')} = ${formatCurrency(result, 'Bs')}`;
-  } else {
-    result = convertBstoUSD(amount, currentState.currentRate);
-    fromCurrency = 'Bs';
-    toCurrency = 'USD';
-    resultText = `${formatCurrency(amount, 'Bs')} = ${formatCurrency(result, 'USD')}`;
+  if (card.previousRateValue) {
+    card.previousRateValue.textContent = t('error');
+    card.previousRateValue.classList.remove('loading');
+  }
+  if (card.lastUpdated) {
+    card.lastUpdated.textContent = t('couldNotFetchRates');
   }
-  
-  currentState.amount = amount;
-  currentState.result = result;
-  
-  elements.resultValue.textContent = resultText;
-  elements.resultCard.style.display = 'flex';
-  elements.resultCard.classList.remove('slide-up');
-  void elements.resultCard.offsetWidth; // Force reflow
-  elements.resultCard.classList.add('slide-up');
-  
-  addConversionToHistory({
-    fromAmount: amount,
-    fromCurrency,
-    toAmount: result,
-    toCurrency,
-    rate: currentState.currentRate
-  });
-  renderHistory();
 }
 
 /**
- * Handles the click event of the swap button.
- * Toggles the conversion mode (USD to VES / VES to USD) and updates the UI accordingly.
- * @function handleSwap
- * @sideEffects Modifies `currentState.mode`, DOM classes for swap button, calls `updateConversionUI`.
+ * Renders rate data into a rate card: current rate, previous rate, last updated time, rate change indicator,
+ * and the other currency rates. Information about the data source (live/cached, provider) is also displayed.
+ * Shared by the popup and the side panel.
+ * @export
+ * @function renderRateCard
+ * @param {RateCardElements} card - The rate card elements.
+ * @param {object} rateData - The rate data (`currentRate`, `previousRate`, `date`, `changePercentage`, `rates`,
+ *                            `provider`, `lastFetchedByBackground`) and an `isCachedData` flag.
+ * @sideEffects Modifies DOM content and styles of the card elements.
  */
-function handleSwap() {
-  if (!elements.swapButton) return;
+export function renderRateCard(card, rateData) {
+  if (!card.currentRateValue) return;
+
+  card.currentRateValue.classList.remove('loading');
+  if (card.previousRateValue) card.previousRateValue.classList.remove('loading');
+
+  card.currentRateValue.textContent = formatRate(rateData.currentRate).replace('Bs. ', '');
+  if (card.previousRateValue) card.previousRateValue.textContent = t('previousRate', formatRate(rateData.previousRate));
+
+  if (card.lastUpdated) {
+    if (rateData.date) {
+      let updatedText = t('rateUpdated', getTimeDifference(rateData.date));
+      if (rateData.isCachedData && rateData.lastFetchedByBackground) {
+        updatedText += ` (${t('rateCached', getTimeDifference(rateData.lastFetchedByBackground))})`;
+        card.lastUpdated.style.color = 'var(--neutral-400)';
+      } else if (!rateData.isCachedData) {
+        updatedText += ` (${t('rateLive')})`;
+        card.lastUpdated.style.color = 'var(--neutral-500)';
+      }
+      card.lastUpdated.textContent = updatedText;
+      card.lastUpdated.title = t('rateDateTitle', formatDate(rateData.date));
+      if (rateData.lastFetchedByBackground) {
+        card.lastUpdated.title += ` | ${t('rateCached', formatDate(rateData.lastFetchedByBackground))}`;
+      }
+      const provider = rateData.provider && getProvider(rateData.provider);
+      if (provider) {
+        card.lastUpdated.title += ` | ${t('rateSource', provider.name)}`;
+      }
+    } else {
+      card.lastUpdated.textContent = rateData.isCachedData ? t('usingCachedData') : t('dateNotAvailable');
+      card.lastUpdated.style.color = 'var(--neutral-400)';
+    }
+  }
 
-  currentState.mode = currentState.mode === 'usd-to-bs' ? 'bs-to-usd' : 'usd-to-bs';
-  elements.swapButton.classList.toggle('active');
-  updateConversionUI();
-}
+  const changeType = getRateChangeType(rateData.currentRate, rateData.previousRate);
+  if (card.rateChange && card.rateChangeIcon && card.rateChangeValue) {
+    card.rateChange.className = `rate-change ${changeType}`;
+    const iconElement = card.rateChangeIcon;
+    const valueElement = card.rateChangeValue;
 
-/**
- * Handles the click event of the copy button.
- * Copies the current conversion result text to the clipboard.
- * Shows a toast notification on success or failure.
- * @async
- * @function handleCopy
- * @sideEffects Interacts with `navigator.clipboard`, calls `showToast`. Outputs to console on error.
- */
-async function handleCopy() {
-  if (!currentState.result || !elements.resultValue) return;
-  
-  const resultText = elements.resultValue.textContent;
-  try {
-    await navigator.clipboard.writeText(resultText);
-    showToast('Copied to clipboard');
-  } catch (err) {
-    console.error('Could not copy text: ', err);
-    showToast('Failed to copy');
+    if (changeType === 'increase') {
+      iconElement.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="m18 15-6-6-6 6"/></svg>`;
+      valueElement.textContent = `+${formatPercentage(rateData.changePercentage)}`;
+    } else if (changeType === 'decrease') {
+      iconElement.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="m6 9 6 6 6-6"/></svg>`;
+      valueElement.textContent = `${formatPercentage(rateData.changePercentage)}`;
+    } else {
+      iconElement.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M8 12h8"/></svg>`;
+      valueElement.textContent = formatPercentage(0);
+    }
+  } else if (card.rateChange) { // Fallback for simpler HTML structure
+    card.rateChange.className = `rate-change ${changeType}`;
+    let textContent = '';
+    if (changeType === 'increase') textContent = `▲ +${formatPercentage(rateData.changePercentage)}`;
+    else if (changeType === 'decrease') textContent = `▼ ${formatPercentage(rateData.changePercentage)}`;
+    else textContent = `● ${formatPercentage(0)}`;
+    card.rateChange.textContent = textContent;
   }
+
+  renderCurrencyRates(card.currencyRates, rateData.rates);
 }
 
 /**
- * Handles the click event of the "Clear History" button.
- * Clears all conversion history from storage and re-renders the history section.
- * @function handleClearHistory
- * @sideEffects Calls `clearConversionHistory`, `renderHistory`, `showToast`. Interacts with `chrome.storage`.
+ * Renders the official rates of the currencies other than USD (which is the main rate) as a compact list.
+ * Currencies without a published rate are omitted; the container is hidden if none are available.
+ * @export
+ * @function renderCurrencyRates
+ * @param {HTMLElement|null} container - The element to render into.
+ * @param {Object<string, number>} rates - Bs per unit of each foreign currency, keyed by code.
+ * @sideEffects Modifies the innerHTML and visibility of `container`.
  */
-function handleClearHistory() {
-  if (!elements.historyList) return;
+export function renderCurrencyRates(container, rates) {
+  if (!container) return;
+
+  const items = FOREIGN_CURRENCIES
+    .filter(code => code !== 'USD' && getBsRate(code, rates) !== null)
+    .map(code => `
+      <div class="currency-rate" title="${getCurrencyName(code)}">
+        <span class="currency-rate-code">${code}</span>
+        <span class="currency-rate-value">${formatRate(rates[code])}</span>
+      </div>
+    `);
 
-  clearConversionHistory();
-  renderHistory();
-  showToast('History cleared');
+  container.innerHTML = items.join('');
+  container.hidden = items.length === 0;
 }
 
 /**
- * Validates the input in a currency field to allow only numbers and a single decimal point.
- * Modifies the input field's value directly if invalid characters are entered.
- * @function validateInput
- * @param {Event} event - The input event object.
- * @sideEffects Modifies the value of the input DOM element.
+ * Renders the rates of the tracked parallel-market monitors with their spread against the official rate.
+ * @export
+ * @function renderParallelRates
+ * @param {HTMLElement|null} container - The element to render into.
+ * @param {object|null} parallelData - The stored parallel rate data (`monitors` keyed by id), or null if not fetched yet.
+ * @param {Array<string>} trackedMonitors - Ids of the tracked monitors, in the order to display.
+ * @param {number} officialRate - The official BCV rate, used to calculate the spread.
+ * @sideEffects Modifies the innerHTML of `container`.
  */
-function validateInput(event) {
-  if (!event.target) return;
-  const input = /** @type {HTMLInputElement} */ (event.target);
-  const value = input.value;
-  
-  if (value === '') return;
-  
-  const regex = /^[0-9]*\.?[0-9]*$/;
-  if (!regex.test(value)) {
-    input.value = value.slice(0, -1);
-  }
-}
+export function renderParallelRates(container, parallelData, trackedMonitors, officialRate) {
+  if (!container) return;
 
-/**
- * Renders the conversion history list in the UI.
- * Fetches history from storage and populates the history list element.
- * Displays an empty state message if no history is found.
- * @function renderHistory
- * @sideEffects Modifies the innerHTML of the history list DOM element.
- */
-function renderHistory() {
-  if (!elements.historyList) return;
-
-  const history = getConversionHistory();
-  
-  if (history.length === 0) {
-    elements.historyList.innerHTML = `
-      <div class="history-empty">
-        <p>No conversion history yet</p>
-      </div>
-    `;
+  if (trackedMonitors.length === 0) {
+    container.innerHTML = `<div class="parallel-empty">${t('noMonitorsSelected')}</div>`;
     return;
   }
-  
-  const historyHTML = history.map((item, index) => {
-    const fromFormatted = formatCurrency(item.fromAmount, item.fromCurrency);
-    const toFormatted = formatCurrency(item.toAmount, item.toCurrency);
-    const timestamp = formatHistoryTimestamp(item.timestamp);
-    
+
+  container.innerHTML = trackedMonitors.filter(id => MONITORS[id]).map(id => {
+    const monitorRate = parallelData && parallelData.monitors ? parallelData.monitors[id] : null;
+    let valueHTML;
+    if (!monitorRate) {
+      valueHTML = `<span class="parallel-value loading">${t('loading')}</span>`;
+    } else if (monitorRate.error || typeof monitorRate.currentRate !== 'number') {
+      valueHTML = `<span class="parallel-value unavailable" title="${escapeHtml(monitorRate.error || '')}">${t('unavailable')}</span>`;
+    } else {
+      const spread = calculateSpread(monitorRate.currentRate, officialRate);
+      const spreadType = spread > 0 ? 'increase' : spread < 0 ? 'decrease' : 'same';
+      valueHTML = `
+        <span class="parallel-value">${formatRate(monitorRate.currentRate)}</span>
+        <span class="parallel-spread ${spreadType}" title="${t('gapVsBcvRate')}">${spread > 0 ? '+' : ''}${formatPercentage(spread)}</span>
+      `;
+    }
     return `
-      <div class="history-item fade-in" style="animation-delay: ${index * 0.05}s">
-        <span class="history-conversion">${fromFormatted} = ${toFormatted}</span>
-        <span class="history-date">${timestamp}</span>
+      <div class="parallel-rate">
+        <span class="parallel-name">${MONITORS[id].name}</span>
+        ${valueHTML}
       </div>
     `;
   }).join('');
-  elements.historyList.innerHTML = historyHTML;
 }
 
 /**
- * Displays a toast notification message at the bottom of the screen.
- * The toast automatically hides after a specified duration.
+ * Renders one checkbox per available monitor, checked for the tracked ones.
  * @export
- * @function showToast
- * @param {string} message - The message to display in the toast.
- * @param {number} [duration=3000] - The duration in milliseconds for which the toast should be visible.
- * @sideEffects Creates and appends a DOM element for the toast, then removes it.
+ * @function renderMonitorPicker
+ * @param {HTMLElement|null} container - The element to render into.
+ * @param {Array<string>} trackedMonitors - Ids of the tracked monitors.
+ * @sideEffects Modifies the innerHTML of `container`.
  */
-export function showToast(message, duration = 3000) {
-  if (typeof document === 'undefined') return;
+export function renderMonitorPicker(container, trackedMonitors) {
+  if (!container) return;
+
+  container.innerHTML = Object.values(MONITORS).map(monitor => `
+    <label class="monitor-option">
+      <input type="checkbox" value="${monitor.id}" ${trackedMonitors.includes(monitor.id) ? 'checked' : ''}>
+      <span>${monitor.name}</span>
+    </label>
+  `).join('');
+}
+
+/**
+ * Wires a parallel rates list and its monitor picker to storage: loads the tracked monitors and the
+ * stored parallel rates, saves picker changes to the `trackedMonitors` setting (the background then
+ * fetches the new selection) and re-renders whenever either changes in storage.
+ * Shared by the popup and the side panel.
+ * @export
+ * @function setupParallelRates
+ * @param {HTMLElement|null} listContainer - The element that shows the parallel rates.
+ * @param {HTMLElement|null} pickerContainer - The element that holds the monitor checkboxes.
+ * @param {function(): number} getOfficialRate - Returns the current official rate, used for the spread.
+ * @returns {function(): void} A function that re-renders the list, to call when the official rate changes.
+ * @sideEffects Reads `chrome.storage`, attaches event and storage listeners, modifies the containers' content.
+ */
+export function setupParallelRates(listContainer, pickerContainer, getOfficialRate) {
+  if (!listContainer || typeof chrome === 'undefined' || !chrome.storage) return () => {};
+
+  let parallelData = null;
+  let trackedMonitors = [...DEFAULT_SETTINGS.trackedMonitors];
+  const render = () => renderParallelRates(listContainer, parallelData, trackedMonitors, getOfficialRate());
 
-  const existingToast = document.querySelector('.toast');
-  if (existingToast) {
-    existingToast.remove();
+  if (pickerContainer) {
+    pickerContainer.addEventListener('change', () => {
+      const selected = Array.from(pickerContainer.querySelectorAll('input[type="checkbox"]:checked')).map(input => input.value);
+      updateSettings({ trackedMonitors: selected });
+    });
   }
-  
-  const toast = document.createElement('div');
-  toast.className = 'toast';
-  toast.textContent = message;
-  document.body.appendChild(toast);
-  
-  setTimeout(() => { toast.classList.add('show'); }, 10);
-  
-  setTimeout(() => {
-    toast.classList.remove('show');
-    setTimeout(() => { toast.remove(); }, 300);
-  }, duration);
-}
\ No newline at end of file
+
+  Promise.all([getSettings(), chrome.storage.local.get(PARALLEL_RATES_KEY)]).then(([settings, result]) => {
+    trackedMonitors = settings.trackedMonitors;
+    parallelData = result[PARALLEL_RATES_KEY] || null;
+    renderMonitorPicker(pickerContainer, trackedMonitors);
+    render();
+  });
+
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && changes[PARALLEL_RATES_KEY]) {
+      parallelData = changes[PARALLEL_RATES_KEY].newValue || null;
+      render();
+    }
+    if (namespace === 'sync' && changes[SETTINGS_KEY]) {
+      trackedMonitors = normalizeSettings(changes[SETTINGS_KEY].newValue).trackedMonitors;
+      renderMonitorPicker(pickerContainer, trackedMonitors);
+      render();
+    }
+  });
+
+  return render;
+}
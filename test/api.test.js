@@ -0,0 +1,67 @@
+/**
+ * @file Checks that `fetchBCVRate` completes the other currency rates from the BCV homepage without requesting it
+ * twice, with `fetch` replaced by saved responses. Run with `npm test`.
+ */
+
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { fetchBCVRate } from '../src/js/api.js';
+import { pydolarveProvider } from '../src/js/providers/pydolarve.js';
+import { dolarApiProvider } from '../src/js/providers/dolarapi.js';
+import { bcvProvider } from '../src/js/providers/bcv.js';
+
+const FIXTURES_URL = new URL('./fixtures/', import.meta.url);
+const originalFetch = globalThis.fetch;
+
+/**
+ * Replaces `fetch` with one that serves saved responses and records the URLs requested.
+ * @param {Object<string, string>} bodies - The body served for each URL. Other URLs answer 503.
+ * @returns {Array<string>} The URLs requested, filled in as `fetch` is called.
+ */
+function serveFixtures(bodies) {
+  const requested = [];
+  globalThis.fetch = async (url) => {
+    requested.push(url);
+    const body = bodies[url];
+    return {
+      ok: body !== undefined,
+      status: body !== undefined ? 200 : 503,
+      statusText: body !== undefined ? 'OK' : 'Service Unavailable',
+      text: async () => body,
+      json: async () => JSON.parse(body)
+    };
+  };
+  return requested;
+}
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('fetchBCVRate completes the other currencies from the BCV homepage', async () => {
+  const requested = serveFixtures({
+    [pydolarveProvider.url]: await readFile(new URL('pydolarve-bcv-usd.json', FIXTURES_URL), 'utf8'),
+    [bcvProvider.url]: await readFile(new URL('bcv-homepage.html', FIXTURES_URL), 'utf8')
+  });
+
+  const rateData = await fetchBCVRate();
+
+  assert.equal(rateData.provider, 'pydolarve');
+  assert.equal(rateData.rates.EUR, 42.91736413);
+  assert.deepEqual(requested, [pydolarveProvider.url, bcvProvider.url]);
+});
+
+test('fetchBCVRate does not request the BCV homepage again after it failed in the failover', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const requested = serveFixtures({
+    [dolarApiProvider.url]: await readFile(new URL('dolarapi-oficial.json', FIXTURES_URL), 'utf8')
+  });
+
+  const rateData = await fetchBCVRate();
+
+  assert.equal(rateData.provider, 'dolarapi');
+  assert.deepEqual(rateData.rates, { USD: 36.8712 });
+  assert.deepEqual(requested, [pydolarveProvider.url, bcvProvider.url, dolarApiProvider.url]);
+});
@@ -0,0 +1,154 @@
+/**
+ * @file Checks the validation of backup files by `parseBackup` and the report of `restoreBackup` in merge and
+ * replace mode, with `chrome.storage` replaced by maps in memory. Outside the extension no message catalog is loaded,
+ * so the reported problems are their message names. Run with `npm test`.
+ */
+
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BACKUP_FORMAT, BACKUP_VERSION, parseBackup, restoreBackup } from '../src/js/backup.js';
+import { CONVERSION_HISTORY_KEY, getConversionHistory } from '../src/js/storage.js';
+import { daysAgoKey, getRateHistory } from '../src/js/rateHistory.js';
+import { getSettings } from '../src/js/settings.js';
+
+/**
+ * Creates a storage area that keeps its items in a map, as `chrome.storage.local` and `chrome.storage.sync` do.
+ * @function createStorageArea
+ * @returns {object} The storage area, with its items in `items`.
+ */
+function createStorageArea() {
+  const area = { items: {} };
+  area.get = async (keys) => {
+    const names = keys === null || keys === undefined ? Object.keys(area.items) : [keys].flat();
+    return Object.fromEntries(names.filter(name => name in area.items).map(name => [name, structuredClone(area.items[name])]));
+  };
+  area.set = async (items) => { Object.assign(area.items, structuredClone(items)); };
+  area.remove = async (keys) => { [keys].flat().forEach(name => delete area.items[name]); };
+  return area;
+}
+
+globalThis.chrome = { storage: {} };
+
+beforeEach(() => {
+  globalThis.chrome.storage.local = createStorageArea();
+  globalThis.chrome.storage.sync = createStorageArea();
+});
+
+/**
+ * Builds a conversion as stored in the history.
+ * @function conversion
+ * @param {string} timestamp - The ISO timestamp.
+ * @param {object} [fields] - Fields to override.
+ * @returns {import('../src/js/storage.js').ConversionItem} The conversion.
+ */
+function conversion(timestamp, fields = {}) {
+  return { fromAmount: 10, fromCurrency: 'USD', toAmount: 368.7, toCurrency: 'Bs', rate: 36.87, timestamp, ...fields };
+}
+
+/**
+ * Wraps backed-up data in the backup file layout.
+ * @function backupOf
+ * @param {object} data - The `data` of the backup.
+ * @returns {import('../src/js/backup.js').Backup} The backup.
+ */
+function backupOf(data) {
+  return { format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt: new Date().toISOString(), data };
+}
+
+/**
+ * Returns the problems `parseBackup` reports for a file.
+ * @function parseErrors
+ * @param {string} text - The contents of the file.
+ * @returns {Array<string>} The problems, or an empty list if the file is accepted.
+ */
+function parseErrors(text) {
+  try {
+    parseBackup(text);
+    return [];
+  } catch (error) {
+    return error.errors;
+  }
+}
+
+test('parseBackup accepts a backup of this or an earlier version', () => {
+  const backup = backupOf({ conversionHistory: [], rateHistory: [], settings: {} });
+
+  assert.deepEqual(parseBackup(JSON.stringify(backup)), backup);
+});
+
+test('parseBackup rejects files that are not backups this version can read', () => {
+  assert.deepEqual(parseErrors('{not json'), ['backupErrorNotJson']);
+  assert.deepEqual(parseErrors('null'), ['backupErrorNotBackup']);
+  assert.deepEqual(parseErrors(JSON.stringify({ format: 'other', version: 1, data: {} })), ['backupErrorNotBackup']);
+  assert.deepEqual(parseErrors(JSON.stringify({ format: BACKUP_FORMAT, version: '1', data: {} })), ['backupErrorNoVersion']);
+  assert.deepEqual(parseErrors(JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION + 1, data: {} })), ['backupErrorNewerVersion']);
+  assert.deepEqual(parseErrors(JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION })), ['backupErrorNoData']);
+});
+
+test('parseBackup lists every section of the data that has the wrong type', () => {
+  const text = JSON.stringify(backupOf({ conversionHistory: {}, rateHistory: 'none', settings: [] }));
+
+  assert.deepEqual(parseErrors(text), ['backupErrorConversionHistory', 'backupErrorRateHistory', 'backupErrorSettings']);
+  assert.throws(() => parseBackup(text), /^Error: Invalid backup file: /);
+});
+
+test('restoreBackup in merge mode adds new data, skips duplicates and counts what is invalid', async () => {
+  const today = daysAgoKey(0);
+  const yesterday = daysAgoKey(1);
+  chrome.storage.local.items[CONVERSION_HISTORY_KEY] = [conversion('2026-10-18T12:00:00.000Z')];
+  await restoreBackup(backupOf({ rateHistory: [{ date: yesterday, rate: 36.5, recordedAt: new Date().toISOString() }] }), 'merge');
+
+  const report = await restoreBackup(backupOf({
+    conversionHistory: [
+      conversion('2026-10-19T12:00:00.000Z', { note: '  Mercado  ', extra: 'dropped' }),
+      conversion('2026-10-18T12:00:00.000Z'),
+      conversion('2026-10-17T12:00:00.000Z', { fromCurrency: 'XYZ' }),
+      conversion('not a date')
+    ],
+    rateHistory: [
+      { date: today, rate: 36.87, recordedAt: new Date().toISOString(), provider: 'bcv' },
+      { date: yesterday, rate: 36.5, recordedAt: new Date().toISOString() },
+      { date: daysAgoKey(1000), rate: 20, recordedAt: new Date().toISOString() },
+      { date: today, rate: -1, recordedAt: new Date().toISOString() },
+      { date: today, rate: 36.87, recordedAt: new Date().toISOString(), estimated: 'yes' }
+    ],
+    settings: { ivaRate: 8, refreshIntervalMinutes: -5, unknownSetting: true }
+  }), 'merge');
+
+  assert.deepEqual(report, {
+    conversions: { added: 1, duplicates: 1, dropped: 0, invalid: 2 },
+    rateHistory: { added: 1, duplicates: 1, expired: 1, invalid: 2 },
+    settings: { restored: ['ivaRate'], invalid: ['refreshIntervalMinutes', 'unknownSetting'] }
+  });
+
+  const history = await getConversionHistory();
+  assert.deepEqual(history.map(item => item.timestamp), ['2026-10-19T12:00:00.000Z', '2026-10-18T12:00:00.000Z']);
+  assert.equal(history[0].note, 'Mercado');
+  assert.equal(history[0].extra, undefined);
+  assert.deepEqual((await getRateHistory()).map(entry => entry.date), [yesterday, today]);
+  assert.equal((await getSettings()).ivaRate, 8);
+});
+
+test('restoreBackup in replace mode discards the current data and resets missing settings', async () => {
+  const yesterday = daysAgoKey(1);
+  await restoreBackup(backupOf({
+    conversionHistory: [conversion('2026-10-18T12:00:00.000Z')],
+    rateHistory: [{ date: yesterday, rate: 36.5, recordedAt: new Date().toISOString() }],
+    settings: { ivaRate: 8, showBadge: false }
+  }), 'merge');
+
+  const report = await restoreBackup(backupOf({
+    conversionHistory: [conversion('2026-10-19T12:00:00.000Z')],
+    rateHistory: [{ date: daysAgoKey(0), rate: 36.87, recordedAt: new Date().toISOString() }],
+    settings: { ivaRate: 16 }
+  }), 'replace');
+
+  assert.deepEqual(report.conversions, { added: 1, duplicates: 0, dropped: 0, invalid: 0 });
+  assert.deepEqual(report.rateHistory, { added: 1, duplicates: 0, expired: 0, invalid: 0 });
+  assert.deepEqual((await getConversionHistory()).map(item => item.timestamp), ['2026-10-19T12:00:00.000Z']);
+  assert.deepEqual((await getRateHistory()).map(entry => entry.date), [daysAgoKey(0)]);
+  const settings = await getSettings();
+  assert.equal(settings.ivaRate, 16);
+  assert.equal(settings.showBadge, true);
+});
@@ -0,0 +1,71 @@
+/**
+ * @file Checks the scraping of the BCV homepage against the pages saved in `test/fixtures`: the
+ * current markup, and a redesign that must be reported as a markup change. Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { parseBCVHomepage, parseBCVResponse } from '../src/js/providers/bcv.js';
+
+const FIXTURES_URL = new URL('./fixtures/', import.meta.url);
+
+/**
+ * Reads a saved page.
+ * @param {string} name - The file name in the fixtures folder.
+ * @returns {Promise<string>} The HTML.
+ */
+function readFixture(name) {
+  return readFile(new URL(name, FIXTURES_URL), 'utf8');
+}
+
+test('parseBCVHomepage reads every published rate and the value date', async () => {
+  const html = await readFixture('bcv-homepage.html');
+
+  const { date, rates } = parseBCVHomepage(html);
+
+  assert.equal(date, new Date('2026-10-19T00:00:00-04:00').toISOString());
+  assert.deepEqual(rates, { USD: 36.8712, EUR: 42.91736413, CNY: 5.17837154, TRY: 1.07513694, RUB: 0.38921475 });
+});
+
+test('parseBCVResponse normalizes the homepage rates, with no change', async () => {
+  const html = await readFixture('bcv-homepage.html');
+
+  const rateData = parseBCVResponse(html);
+
+  assert.equal(rateData.currentRate, 36.8712);
+  assert.equal(rateData.valueDate, '2026-10-19');
+  assert.equal(rateData.previousRate, 36.8712);
+  assert.equal(rateData.change, 0);
+  assert.equal(rateData.rates.EUR, 42.91736413);
+});
+
+test('parseBCVHomepage leaves out a currency whose value is missing, rather than reading the next one', async () => {
+  const html = (await readFixture('bcv-homepage.html')).replace('<strong> 42,91736413 </strong>', '');
+
+  const { rates } = parseBCVHomepage(html);
+
+  assert.equal(rates.EUR, undefined);
+  assert.equal(rates.CNY, 5.17837154);
+  assert.equal(rates.USD, 36.8712);
+});
+
+test('parseBCVHomepage reports a markup change on the redesigned page', async () => {
+  const html = await readFixture('bcv-homepage-changed.html');
+
+  assert.throws(() => parseBCVHomepage(html), {
+    name: 'Error',
+    message: 'BCV homepage markup changed: could not find the USD rate in the "#dolar" block.'
+  });
+});
+
+test('parseBCVHomepage reports a markup change when only the value date is missing', async () => {
+  const html = (await readFixture('bcv-homepage.html')).replace('Fecha Valor:', 'Fecha:');
+
+  assert.throws(() => parseBCVHomepage(html), /markup changed: could not find the "Fecha Valor" date/);
+});
+
+test('parseBCVHomepage rejects an empty response', () => {
+  assert.throws(() => parseBCVHomepage(''), /response is empty/);
+});
@@ -0,0 +1,111 @@
+/**
+ * @file Checks the exact decimal arithmetic, the rounding modes and precisions, and the conversions built on them.
+ * Run with `npm test`.
+ */
+
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { toDecimal, toNumber, toPlainString, add, subtract, multiply, divide, round } from '../src/js/decimal.js';
+import { applyRoundingSettings, roundAmount, sumAmounts } from '../src/js/rounding.js';
+import { convertBstoUSD, convertCurrency, convertUSDtoBs } from '../src/js/calculator.js';
+
+/**
+ * Rounds a number with a mode, through `round`.
+ * @param {number} value - The number.
+ * @param {number} places - The number of decimal places to keep.
+ * @param {string} mode - The rounding mode.
+ * @returns {number} The rounded number.
+ */
+function roundNumber(value, places, mode) {
+  return toNumber(round(toDecimal(value), places, mode));
+}
+
+beforeEach(() => {
+  applyRoundingSettings({});
+});
+
+test('toDecimal reads numbers as they are written, and toNumber reads them back', () => {
+  assert.deepEqual(toDecimal(0.1), { digits: 1n, scale: 1 });
+  assert.deepEqual(toDecimal(-36.87), { digits: -3687n, scale: 2 });
+  assert.deepEqual(toDecimal(1e-7), { digits: 1n, scale: 7 });
+  assert.deepEqual(toDecimal(1e21), { digits: 10n ** 21n, scale: 0 });
+  assert.equal(toNumber({ digits: -5n, scale: 3 }), -0.005);
+  assert.throws(() => toDecimal(Infinity), /Not a finite number/);
+});
+
+test('toPlainString writes every place of a decimal without exponent notation', () => {
+  assert.equal(toPlainString(toDecimal(1e-7)), '0.0000001');
+  assert.equal(toPlainString({ digits: -5n, scale: 3 }), '-0.005');
+  assert.equal(toPlainString({ digits: 12500n, scale: 2 }), '125.00');
+  assert.equal(toPlainString(toDecimal(1e21)), '1000000000000000000000');
+});
+
+test('add, subtract and multiply are exact', () => {
+  assert.equal(toNumber(add(toDecimal(0.1), toDecimal(0.2))), 0.3);
+  assert.equal(toNumber(subtract(toDecimal(0.3), toDecimal(0.1))), 0.2);
+  assert.equal(toNumber(multiply(toDecimal(1.1), toDecimal(1.1))), 1.21);
+  assert.equal(toNumber(multiply(toDecimal(0.175), toDecimal(7))), 1.225);
+});
+
+test('divide ends exact quotients and marks the others so they are never an exact half', () => {
+  assert.equal(toNumber(divide(toDecimal(1), toDecimal(8))), 0.125);
+  const third = divide(toDecimal(1), toDecimal(3));
+  assert.equal(third.scale, 21);
+  assert.equal(third.digits % 10n, 1n);
+  assert.equal(toNumber(round(divide(toDecimal(-2), toDecimal(3)), 2, 'half-up')), -0.67);
+  assert.throws(() => divide(toDecimal(1), toDecimal(0)), /Division by zero/);
+});
+
+test('round rounds halves away from zero in half-up mode', () => {
+  assert.equal(roundNumber(2.345, 2, 'half-up'), 2.35);
+  assert.equal(roundNumber(1.005, 2, 'half-up'), 1.01);
+  assert.equal(roundNumber(-2.345, 2, 'half-up'), -2.35);
+  assert.equal(roundNumber(2.3449, 2, 'half-up'), 2.34);
+});
+
+test('round rounds halves to the even digit in half-even mode', () => {
+  assert.equal(roundNumber(2.345, 2, 'half-even'), 2.34);
+  assert.equal(roundNumber(2.355, 2, 'half-even'), 2.36);
+  assert.equal(roundNumber(2.3451, 2, 'half-even'), 2.35);
+  assert.equal(roundNumber(-2.345, 2, 'half-even'), -2.34);
+});
+
+test('round drops the extra places in truncate mode', () => {
+  assert.equal(roundNumber(2.349, 2, 'truncate'), 2.34);
+  assert.equal(roundNumber(-2.349, 2, 'truncate'), -2.34);
+  assert.equal(roundNumber(2.3, 2, 'truncate'), 2.3);
+});
+
+test('roundAmount uses the rounding mode and the precision of each currency', () => {
+  assert.equal(roundAmount(2.345, 'USD'), 2.35);
+  applyRoundingSettings({ roundingMode: 'half-even', currencyPrecision: { Bs: 0, USD: 3 } });
+  assert.equal(roundAmount(2.345, 'USD'), 2.345);
+  assert.equal(roundAmount(2.5, 'Bs'), 2);
+  assert.equal(roundAmount(3.5, 'Bs'), 4);
+  assert.equal(roundAmount(NaN, 'USD'), NaN);
+});
+
+test('sumAmounts adds without floating-point error and rounds the sum', () => {
+  assert.equal(sumAmounts([0.1, 0.2], 'USD'), 0.3);
+  assert.equal(sumAmounts([1.005, 1.005, 1.005], 'USD'), 3.02);
+  assert.equal(sumAmounts([], 'Bs'), 0);
+  applyRoundingSettings({ roundingMode: 'truncate' });
+  assert.equal(sumAmounts([1.005, 1.005, 1.005], 'USD'), 3.01);
+});
+
+test('conversions multiply by or divide through the rates exactly before rounding', () => {
+  assert.equal(convertUSDtoBs(0.175, 7), 1.23);
+  assert.equal(convertUSDtoBs(100, 36.8712), 3687.12);
+  assert.equal(convertBstoUSD(3687.12, 36.8712), 100);
+  assert.equal(convertBstoUSD(100, 36.8712), 2.71);
+  assert.equal(convertCurrency(10, 'EUR', 'USD', { USD: 36.8712, EUR: 42.91736413 }), 11.64);
+  assert.equal(convertCurrency(10, 'EUR', 'Bs', { EUR: 42.91736413 }), 429.17);
+});
+
+test('conversions return 0 for invalid amounts, a zero rate or an unknown currency', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  assert.equal(convertUSDtoBs(NaN, 36.87), 0);
+  assert.equal(convertBstoUSD(100, 0), 0);
+  assert.equal(convertCurrency(10, 'EUR', 'Bs', {}), 0);
+});
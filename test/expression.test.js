@@ -0,0 +1,90 @@
+/**
+ * @file Checks how typed amounts and arithmetic expressions are read by `parseNumber` and `evaluateExpression`.
+ * Outside the extension no message catalog is loaded, so errors carry their message names. Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { evaluateExpression, isExpression, parseNumber } from '../src/js/expression.js';
+
+test('parseNumber takes the last of two different separators as the decimal one', () => {
+  assert.equal(parseNumber('1.500,75', ','), 1500.75);
+  assert.equal(parseNumber('1.500,75', '.'), 1500.75);
+  assert.equal(parseNumber('1,500.75', ','), 1500.75);
+});
+
+test('parseNumber reads a repeated separator as thousands', () => {
+  assert.equal(parseNumber('1.500.000', ','), 1500000);
+  assert.equal(parseNumber('1,500,000', ','), 1500000);
+});
+
+test('parseNumber reads a single separator by the locale, or by the digits after it', () => {
+  assert.equal(parseNumber('1,5', ','), 1.5);
+  assert.equal(parseNumber('1.500', ','), 1500);
+  assert.equal(parseNumber('1.500', '.'), 1.5);
+  assert.equal(parseNumber('36.87', ','), 36.87);
+  assert.equal(parseNumber('1,500', '.'), 1500);
+});
+
+test('parseNumber reads numbers starting with 0 without thousands separators', () => {
+  assert.equal(parseNumber('0.500', ','), 0.5);
+  assert.equal(parseNumber('001.500', ','), 1.5);
+  assert.throws(() => parseNumber('0.500.000', ','), /errorInvalidNumber/);
+});
+
+test('parseNumber rejects misplaced separators', () => {
+  assert.throws(() => parseNumber('1.2.3', ','), /errorInvalidNumber/);
+  assert.throws(() => parseNumber('1,5.000', ','), /errorInvalidNumber/);
+  assert.throws(() => parseNumber('12.34.567', ','), /errorInvalidNumber/);
+  assert.throws(() => parseNumber('.', ','), /errorInvalidNumber/);
+});
+
+test('evaluateExpression follows operator precedence and parentheses', () => {
+  assert.equal(evaluateExpression('120*3+15', ','), 375);
+  assert.equal(evaluateExpression('2+3*4', ','), 14);
+  assert.equal(evaluateExpression('(2+3)*4', ','), 20);
+  assert.equal(evaluateExpression('10-4-3', ','), 3);
+  assert.equal(evaluateExpression('12/4/3', ','), 1);
+  assert.equal(evaluateExpression('-5+2', ','), -3);
+  assert.equal(evaluateExpression('2*-3', ','), -6);
+});
+
+test('evaluateExpression applies percentages as calculators do', () => {
+  assert.equal(evaluateExpression('100+16%', ','), 116);
+  assert.equal(evaluateExpression('200-10%', ','), 180);
+  assert.equal(evaluateExpression('200*10%', ','), 20);
+  assert.equal(evaluateExpression('10%', ','), 0.1);
+  assert.equal(evaluateExpression('100+(10+6)%', ','), 116);
+});
+
+test('evaluateExpression reads numbers with the locale separators and without floating-point error', () => {
+  assert.equal(evaluateExpression('1.500,75 - 5%', ','), 1425.7125);
+  assert.equal(evaluateExpression('1.500,75*2', ','), 3001.5);
+  assert.equal(evaluateExpression('1,500.75*2', '.'), 3001.5);
+  assert.equal(evaluateExpression('0,1+0,2', ','), 0.3);
+  assert.equal(evaluateExpression('0.175*7', '.'), 1.225);
+});
+
+test('evaluateExpression rejects division by zero', () => {
+  assert.throws(() => evaluateExpression('5/0', ','), /errorDivisionByZero/);
+  assert.throws(() => evaluateExpression('5/(2-2)', ','), /errorDivisionByZero/);
+});
+
+test('evaluateExpression rejects malformed input', () => {
+  assert.throws(() => evaluateExpression('', ','), /errorEmptyExpression/);
+  assert.throws(() => evaluateExpression('   ', ','), /errorEmptyExpression/);
+  assert.throws(() => evaluateExpression('5+', ','), /errorIncompleteExpression/);
+  assert.throws(() => evaluateExpression('(5+2', ','), /errorMissingParenthesis/);
+  assert.throws(() => evaluateExpression('5)', ','), /errorUnexpected/);
+  assert.throws(() => evaluateExpression('5 x 2', ','), /errorUnexpected/);
+  assert.throws(() => evaluateExpression('5 2', ','), /errorUnexpected/);
+  assert.throws(() => evaluateExpression('1.2.3+1', ','), /errorInvalidNumber/);
+  assert.throws(() => evaluateExpression('9'.repeat(400), ','), /errorResultTooLarge/);
+});
+
+test('isExpression tells expressions from plain numbers', () => {
+  assert.equal(isExpression('1.500,75'), false);
+  assert.equal(isExpression('120*3'), true);
+  assert.equal(isExpression('10%'), true);
+});
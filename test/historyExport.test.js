@@ -0,0 +1,108 @@
+/**
+ * @file Checks the CSV, JSON and Excel files built from the conversion history by `buildHistoryExport`. Outside the
+ * extension no message catalog is loaded, so column titles are their message names. Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildHistoryExport, filterHistoryByDate } from '../src/js/historyExport.js';
+
+const CONVERSION = {
+  fromAmount: 1234.5,
+  fromCurrency: 'USD',
+  toAmount: 45517.5,
+  toCurrency: 'Bs',
+  rate: 36.87,
+  rateDate: '2026-10-19',
+  timestamp: new Date(2026, 9, 19, 14, 30).toISOString()
+};
+
+/**
+ * Builds an export and reads its contents.
+ * @param {Array<object>} history - The conversions.
+ * @param {object} options - The export options.
+ * @returns {Promise<string>} The file contents.
+ */
+async function exportText(history, options) {
+  return buildHistoryExport(history, options).blob.text();
+}
+
+test('buildHistoryExport writes a CSV file with a byte order mark, a header row and a decimal point', async () => {
+  const { blob } = buildHistoryExport([CONVERSION], { format: 'csv' });
+  // Blob.text() drops the byte order mark, so it is looked for in the bytes
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const [header, row] = (await blob.text()).split('\r\n');
+
+  assert.deepEqual([...bytes.slice(0, 3)], [0xEF, 0xBB, 0xBF]);
+  assert.equal(header, 'exportColumnDate,exportColumnFromAmount,exportColumnFromCurrency,exportColumnToAmount,exportColumnToCurrency,exportColumnRate,exportColumnRateDate,exportColumnNote');
+  assert.equal(row, '2026-10-19 14:30:00,1234.5,USD,45517.5,Bs,36.87,2026-10-19,');
+});
+
+test('buildHistoryExport separates CSV fields with ";" when numbers have a decimal comma', async () => {
+  const text = await exportText([{ ...CONVERSION, note: 'Pago; luego "cambio"' }], { format: 'csv', decimalSeparator: ',' });
+  const [, row] = text.split('\r\n');
+
+  assert.equal(row, '2026-10-19 14:30:00;1234,5;USD;45517,5;Bs;36,87;2026-10-19;"Pago; luego ""cambio"""');
+});
+
+test('buildHistoryExport keeps spreadsheets from evaluating notes that start like formulas', async () => {
+  for (const note of ['=SUM(A1:A9)', '+1', '-1', '@cmd']) {
+    const [, row] = (await exportText([{ ...CONVERSION, note }], { format: 'csv' })).split('\r\n');
+    assert.ok(row.endsWith(`,'${note}`), row);
+  }
+});
+
+test('buildHistoryExport writes very small and large amounts without exponent notation', async () => {
+  const conversion = { ...CONVERSION, fromAmount: 1e-7, toAmount: 1e21 };
+
+  const [, csvRow] = (await exportText([conversion], { format: 'csv', decimalSeparator: ',' })).split('\r\n');
+  assert.equal(csvRow.split(';')[1], '0,0000001');
+  assert.equal(csvRow.split(';')[3], '1000000000000000000000');
+
+  const xml = await exportText([conversion], { format: 'xls' });
+  assert.ok(xml.includes('<Data ss:Type="Number">0.0000001</Data>'));
+  assert.ok(xml.includes('<Data ss:Type="Number">1000000000000000000000</Data>'));
+});
+
+test('buildHistoryExport writes JSON records with the stored timestamp and null for missing fields', async () => {
+  const records = JSON.parse(await exportText([CONVERSION], { format: 'json' }));
+
+  assert.deepEqual(records, [{
+    timestamp: CONVERSION.timestamp,
+    fromAmount: 1234.5,
+    fromCurrency: 'USD',
+    toAmount: 45517.5,
+    toCurrency: 'Bs',
+    rate: 36.87,
+    rateDate: '2026-10-19',
+    note: null
+  }]);
+});
+
+test('buildHistoryExport writes an Excel workbook with typed and escaped cells', async () => {
+  const xml = await exportText([{ ...CONVERSION, note: '<b>Tom & Jerry</b>' }], { format: 'xls' });
+
+  assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+  assert.ok(xml.includes('<Cell ss:StyleID="date"><Data ss:Type="DateTime">2026-10-19T14:30:00</Data></Cell>'));
+  assert.ok(xml.includes('<Cell><Data ss:Type="Number">1234.5</Data></Cell>'));
+  assert.ok(xml.includes('<Data ss:Type="String">&lt;b&gt;Tom &amp; Jerry&lt;/b&gt;</Data>'));
+});
+
+test('buildHistoryExport names the file after the date range and counts the conversions', () => {
+  const earlier = { ...CONVERSION, timestamp: new Date(2026, 9, 1, 9, 0).toISOString() };
+
+  const file = buildHistoryExport([CONVERSION, earlier], { format: 'json', from: '2026-10-10', to: '2026-10-19' });
+
+  assert.equal(file.filename, 'bcv-history-2026-10-10_2026-10-19.json');
+  assert.equal(file.count, 1);
+  assert.throws(() => buildHistoryExport([CONVERSION], { format: 'pdf' }), /Unsupported export format: pdf/);
+});
+
+test('filterHistoryByDate keeps the conversions of the local dates in the range, inclusive', () => {
+  const earlier = { ...CONVERSION, timestamp: new Date(2026, 9, 1, 9, 0).toISOString() };
+
+  assert.deepEqual(filterHistoryByDate([CONVERSION, earlier], { from: '2026-10-01', to: '2026-10-01' }), [earlier]);
+  assert.deepEqual(filterHistoryByDate([CONVERSION, earlier], { to: '2026-10-19' }), [CONVERSION, earlier]);
+  assert.deepEqual(filterHistoryByDate([{ ...CONVERSION, timestamp: 'invalid' }], {}), []);
+});
@@ -0,0 +1,102 @@
+/**
+ * @file Checks the totals of invoice lists by `calculateInvoiceTotals` and their receipts by `formatInvoiceReceipt`.
+ * Outside the extension no message catalog is loaded, so texts of the interface are their message names.
+ * Run with `npm test`.
+ */
+
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateInvoiceTotals, formatInvoiceReceipt } from '../src/js/invoice.js';
+import { applyRoundingSettings } from '../src/js/rounding.js';
+
+const USD_RATE = 36.5;
+
+beforeEach(() => {
+  applyRoundingSettings({});
+});
+
+/**
+ * Builds an invoice line.
+ * @function line
+ * @param {string} id - The line id.
+ * @param {Partial<import('../src/js/invoice.js').InvoiceLine>} fields - The fields to set.
+ * @returns {import('../src/js/invoice.js').InvoiceLine} The line.
+ */
+function line(id, fields) {
+  return { id, description: '', quantity: '', unitPrice: '', currency: 'USD', ...fields };
+}
+
+test('calculateInvoiceTotals totals each line in both currencies and adds up the rounded line totals', () => {
+  const totals = calculateInvoiceTotals([
+    line('a', { quantity: '2', unitPrice: '1,50' }),
+    line('b', { unitPrice: '36,50', currency: 'Bs' }),
+    line('c', { quantity: '3', unitPrice: '0,333' })
+  ], USD_RATE, ',');
+
+  assert.deepEqual(totals.lines.a, { quantity: 2, unitPrice: 1.5, usd: 3, bs: 109.5 });
+  // An empty quantity means one unit
+  assert.deepEqual(totals.lines.b, { quantity: 1, unitPrice: 36.5, usd: 1, bs: 36.5 });
+  // 3 × 0.333 is rounded to $1.00 before it is converted
+  assert.deepEqual(totals.lines.c, { quantity: 3, unitPrice: 0.333, usd: 1, bs: 36.5 });
+  assert.equal(totals.usd, 5);
+  assert.equal(totals.bs, 182.5);
+  assert.equal(totals.count, 3);
+});
+
+test('calculateInvoiceTotals reads quantities and prices as expressions in the number locale', () => {
+  const totals = calculateInvoiceTotals([line('a', { quantity: '2+1', unitPrice: '1.000,5' })], USD_RATE, ',');
+
+  assert.deepEqual(totals.lines.a, { quantity: 3, unitPrice: 1000.5, usd: 3001.5, bs: 109554.75 });
+});
+
+test('calculateInvoiceTotals leaves out lines without a price and does not add up invalid lines', () => {
+  const totals = calculateInvoiceTotals([
+    line('empty', { quantity: '4' }),
+    line('negative', { quantity: '-1', unitPrice: '5' }),
+    line('malformed', { unitPrice: '5**' }),
+    line('valid', { unitPrice: '2' })
+  ], USD_RATE, ',');
+
+  assert.equal(totals.lines.empty, undefined);
+  assert.deepEqual(totals.lines.negative, { error: 'errorNegativeAmount' });
+  assert.ok(totals.lines.malformed.error);
+  assert.equal(totals.usd, 2);
+  assert.equal(totals.bs, 73);
+  assert.equal(totals.count, 1);
+});
+
+test('formatInvoiceReceipt lists the valid lines with their totals in both currencies', () => {
+  const list = {
+    id: 'list',
+    name: ' Mercado ',
+    lines: [
+      line('a', { description: 'Harina PAN', quantity: '2', unitPrice: '1,50' }),
+      line('b', { unitPrice: '73', currency: 'Bs' }),
+      line('c', { description: 'Invalid', unitPrice: '-5' })
+    ],
+    updatedAt: new Date().toISOString()
+  };
+  const totals = calculateInvoiceTotals(list.lines, USD_RATE, ',');
+
+  assert.equal(formatInvoiceReceipt(list, totals, { usdRate: USD_RATE, rateDate: '2026-10-19' }), [
+    'Mercado',
+    'receiptRateOf',
+    '-'.repeat(30),
+    'Harina PAN',
+    '  2 × $1,50 = $3,00 (Bs. 109,50)',
+    'invoiceItem',
+    '  1 × Bs. 73,00 = Bs. 73,00 ($2,00)',
+    '-'.repeat(30),
+    'receiptTotal',
+    'receiptTotal',
+    ''
+  ].join('\n'));
+});
+
+test('formatInvoiceReceipt names an unnamed list and states the rate without a value date', () => {
+  const list = { id: 'list', name: '', lines: [], updatedAt: new Date().toISOString() };
+  const receipt = formatInvoiceReceipt(list, calculateInvoiceTotals([], USD_RATE, ','), { usdRate: USD_RATE, rateDate: null });
+
+  assert.deepEqual(receipt.split('\n').slice(0, 2), ['invoice', 'receiptRate']);
+});
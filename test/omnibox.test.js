@@ -0,0 +1,52 @@
+/**
+ * @file Checks how the text typed after the "bcv" address bar keyword is read by `parseOmniboxInput`. Outside the
+ * extension no message catalog is loaded, so errors are their message names. Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { isSidePanelInput, parseOmniboxInput } from '../src/js/omnibox.js';
+
+test('parseOmniboxInput reads the examples of its documentation', () => {
+  assert.deepEqual(parseOmniboxInput('150', ','), { amount: 150, currency: null, openInSidePanel: false });
+  assert.deepEqual(parseOmniboxInput('$150', ','), { amount: 150, currency: 'USD', openInSidePanel: false });
+  assert.deepEqual(parseOmniboxInput('bs 5400', ','), { amount: 5400, currency: 'Bs', openInSidePanel: false });
+  assert.deepEqual(parseOmniboxInput('5400 bs', ','), { amount: 5400, currency: 'Bs', openInSidePanel: false });
+  assert.deepEqual(parseOmniboxInput('panel 150 usd', ','), { amount: 150, currency: 'USD', openInSidePanel: true });
+});
+
+test('parseOmniboxInput reads currency words in any case and amounts in the number locale', () => {
+  assert.deepEqual(parseOmniboxInput('Bs. 1.234,5', ','), { amount: 1234.5, currency: 'Bs', openInSidePanel: false });
+  assert.deepEqual(parseOmniboxInput('1,234.5 USD', '.'), { amount: 1234.5, currency: 'USD', openInSidePanel: false });
+  assert.deepEqual(parseOmniboxInput('ref 120*3', ','), { amount: 360, currency: 'USD', openInSidePanel: false });
+});
+
+test('parseOmniboxInput accepts the same currency before and after the amount', () => {
+  assert.deepEqual(parseOmniboxInput('$ 5 usd', ','), { amount: 5, currency: 'USD', openInSidePanel: false });
+});
+
+test('parseOmniboxInput rejects two different currencies', () => {
+  assert.throws(() => parseOmniboxInput('usd 5 bs', ','), /omniboxInvalidInput/);
+  assert.throws(() => parseOmniboxInput('$ 5 bs', ','), /omniboxInvalidInput/);
+});
+
+test('parseOmniboxInput rejects text that is not an amount', () => {
+  assert.throws(() => parseOmniboxInput('abc', ','), /omniboxInvalidInput/);
+  assert.throws(() => parseOmniboxInput('usd bs 5', ','), /omniboxInvalidInput/);
+});
+
+test('parseOmniboxInput rejects a missing amount and amounts that are not above zero', () => {
+  assert.throws(() => parseOmniboxInput('', ','), /errorEmptyExpression/);
+  assert.throws(() => parseOmniboxInput('bs', ','), /errorEmptyExpression/);
+  assert.throws(() => parseOmniboxInput('panel usd', ','), /errorEmptyExpression/);
+  assert.throws(() => parseOmniboxInput('0', ','), /enterAmountAboveZero/);
+  assert.throws(() => parseOmniboxInput('5-10', ','), /enterAmountAboveZero/);
+});
+
+test('isSidePanelInput only looks for "panel" as the first word', () => {
+  assert.equal(isSidePanelInput('panel 150'), true);
+  assert.equal(isSidePanelInput(' Panel'), true);
+  assert.equal(isSidePanelInput('panels 150'), false);
+  assert.equal(isSidePanelInput('150 panel'), false);
+});
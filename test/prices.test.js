@@ -0,0 +1,69 @@
+/**
+ * @file Checks the detection of prices in page text by `findPrices`. Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findPrices } from '../src/js/prices.js';
+
+/**
+ * Finds the prices in a text, keeping only what each price was read as.
+ * @param {string} text - The text.
+ * @returns {Array<{text: string, amount: number, currency: string}>} The prices found.
+ */
+function readPrices(text) {
+  return findPrices(text).map(({ text: priceText, amount, currency }) => ({ text: priceText, amount, currency }));
+}
+
+test('findPrices reads the prices of its example, with their positions', () => {
+  assert.deepEqual(findPrices('Harina PAN Bs. 45,50 (Ref 1,25)'), [
+    { index: 11, text: 'Bs. 45,50', amount: 45.5, currency: 'Bs' },
+    { index: 22, text: 'Ref 1,25', amount: 1.25, currency: 'USD' }
+  ]);
+});
+
+test('findPrices reads dollar prices with a symbol before or after the amount', () => {
+  assert.deepEqual(readPrices('$12.99'), [{ text: '$12.99', amount: 12.99, currency: 'USD' }]);
+  assert.deepEqual(readPrices('US$ 5'), [{ text: 'US$ 5', amount: 5, currency: 'USD' }]);
+  assert.deepEqual(readPrices('20 USD'), [{ text: '20 USD', amount: 20, currency: 'USD' }]);
+  assert.deepEqual(readPrices('20$'), [{ text: '20$', amount: 20, currency: 'USD' }]);
+  assert.deepEqual(readPrices('Ref 20'), [{ text: 'Ref 20', amount: 20, currency: 'USD' }]);
+});
+
+test('findPrices reads bolívar prices with a decimal comma', () => {
+  assert.deepEqual(readPrices('Bs. 1.234,56'), [{ text: 'Bs. 1.234,56', amount: 1234.56, currency: 'Bs' }]);
+  assert.deepEqual(readPrices('Bs.S 100'), [{ text: 'Bs.S 100', amount: 100, currency: 'Bs' }]);
+  assert.deepEqual(readPrices('1.234,56 Bs'), [{ text: '1.234,56 Bs', amount: 1234.56, currency: 'Bs' }]);
+  assert.deepEqual(readPrices('VES 100'), [{ text: 'VES 100', amount: 100, currency: 'Bs' }]);
+});
+
+test('findPrices reads "Ref" and dollar prices written with a decimal comma', () => {
+  assert.deepEqual(readPrices('Ref 1.234,50'), [{ text: 'Ref 1.234,50', amount: 1234.5, currency: 'USD' }]);
+  assert.deepEqual(readPrices('$1.234,50'), [{ text: '$1.234,50', amount: 1234.5, currency: 'USD' }]);
+});
+
+test('findPrices ends a price at punctuation that does not continue the number', () => {
+  assert.deepEqual(readPrices('Cuesta $20.'), [{ text: '$20', amount: 20, currency: 'USD' }]);
+  assert.deepEqual(readPrices('Total: $5,00, luego 3$'), [
+    { text: '$5,00', amount: 5, currency: 'USD' },
+    { text: '3$', amount: 3, currency: 'USD' }
+  ]);
+});
+
+test('findPrices leaves out symbols and numbers that touch letters or digits', () => {
+  assert.deepEqual(findPrices('A$20'), []);
+  assert.deepEqual(findPrices('B2B 5'), []);
+});
+
+test('findPrices leaves out a number followed by letters rather than reading part of it', () => {
+  assert.deepEqual(findPrices('$1.5M'), []);
+  assert.deepEqual(findPrices('Ahorra $2.5k'), []);
+  assert.deepEqual(findPrices('$12,50x'), []);
+  assert.deepEqual(findPrices('$12.99USD'), []);
+});
+
+test('findPrices leaves out version numbers and zero amounts', () => {
+  assert.deepEqual(findPrices('$1.2.3'), []);
+  assert.deepEqual(findPrices('$0'), []);
+});
@@ -0,0 +1,140 @@
+/**
+ * @file Checks the rate provider adapters against the responses saved in `test/fixtures`, and the
+ * order in which `fetchRateWithFailover` tries them. Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { buildRateData } from '../src/js/providers/normalize.js';
+import { parsePydolarveResponse, pydolarveProvider } from '../src/js/providers/pydolarve.js';
+import { parseDolarApiResponse, parseDolarApiHistory, dolarApiProvider } from '../src/js/providers/dolarapi.js';
+import { bcvProvider } from '../src/js/providers/bcv.js';
+import { DEFAULT_PROVIDER_ORDER, fetchRateWithFailover } from '../src/js/providers/index.js';
+
+const FIXTURES_URL = new URL('./fixtures/', import.meta.url);
+
+/**
+ * Reads a saved response.
+ * @param {string} name - The file name in the fixtures folder.
+ * @returns {Promise<string>} The body.
+ */
+function readFixture(name) {
+  return readFile(new URL(name, FIXTURES_URL), 'utf8');
+}
+
+/**
+ * Builds a `fetch` replacement that serves saved responses and records the URLs requested.
+ * @param {Object<string, string>} bodies - The body served for each URL. Other URLs answer 503.
+ * @returns {{fetchImpl: function(string): Promise<object>, requested: Array<string>}} The replacement and the URLs it was called with.
+ */
+function createFakeFetch(bodies) {
+  const requested = [];
+  const fetchImpl = async (url) => {
+    requested.push(url);
+    const body = bodies[url];
+    return {
+      ok: body !== undefined,
+      status: body !== undefined ? 200 : 503,
+      statusText: body !== undefined ? 'OK' : 'Service Unavailable',
+      text: async () => body,
+      json: async () => JSON.parse(body)
+    };
+  };
+  return { fetchImpl, requested };
+}
+
+test('parsePydolarveResponse normalizes the saved response', async () => {
+  const data = JSON.parse(await readFixture('pydolarve-bcv-usd.json'));
+
+  const rateData = parsePydolarveResponse(data);
+
+  assert.deepEqual(rateData, buildRateData({ currentRate: 36.8712, previousRate: 36.7312, date: '2026-10-17T04:00:00.000Z' }));
+  assert.equal(rateData.date, '2026-10-17T04:00:00.000Z');
+  assert.equal(rateData.valueDate, null);
+  assert.ok(Math.abs(rateData.change - 0.14) < 1e-9);
+});
+
+test('parseDolarApiResponse normalizes the saved response, with no change', async () => {
+  const data = JSON.parse(await readFixture('dolarapi-oficial.json'));
+
+  const rateData = parseDolarApiResponse(data);
+
+  assert.deepEqual(rateData, buildRateData({ currentRate: 36.8712, date: '2026-10-17T04:00:00.000Z' }));
+  assert.equal(rateData.previousRate, 36.8712);
+  assert.equal(rateData.change, 0);
+  assert.equal(rateData.changePercentage, 0);
+});
+
+test('parseDolarApiResponse rejects a response without a price', () => {
+  assert.throws(() => parseDolarApiResponse({ fuente: 'oficial', promedio: null }), /missing essential price data/);
+});
+
+test('parseDolarApiHistory reads the saved series', async () => {
+  const data = JSON.parse(await readFixture('dolarapi-historicos.json'));
+
+  const series = parseDolarApiHistory(data);
+
+  assert.equal(series.length, 6);
+  assert.deepEqual(series[0], { date: '2026-10-13', rate: 36.5218 });
+  assert.deepEqual(series.at(-1), { date: '2026-10-19', rate: 36.8712 });
+});
+
+test('parseDolarApiHistory skips invalid entries and rejects a body that is not a list', () => {
+  assert.deepEqual(parseDolarApiHistory([{ fecha: '2026-10-13', promedio: 'n/a' }, { fecha: '2026-10-14', promedio: 36.6104 }]),
+    [{ date: '2026-10-14', rate: 36.6104 }]);
+  assert.throws(() => parseDolarApiHistory({}), /not a list/);
+});
+
+test('fetchRateWithFailover tries the providers in the default order and stops at the first success', async () => {
+  const { fetchImpl, requested } = createFakeFetch({
+    [pydolarveProvider.url]: await readFixture('pydolarve-bcv-usd.json'),
+    [dolarApiProvider.url]: await readFixture('dolarapi-oficial.json')
+  });
+
+  const rateData = await fetchRateWithFailover(DEFAULT_PROVIDER_ORDER, fetchImpl);
+
+  assert.equal(rateData.provider, 'pydolarve');
+  assert.equal(rateData.currentRate, 36.8712);
+  assert.deepEqual(requested, [pydolarveProvider.url]);
+});
+
+test('fetchRateWithFailover falls through to the next providers when one fails', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const { fetchImpl, requested } = createFakeFetch({
+    [dolarApiProvider.url]: await readFixture('dolarapi-oficial.json')
+  });
+
+  const rateData = await fetchRateWithFailover(DEFAULT_PROVIDER_ORDER, fetchImpl);
+
+  assert.equal(rateData.provider, 'dolarapi');
+  assert.equal(rateData.currentRate, 36.8712);
+  assert.deepEqual(requested, [pydolarveProvider.url, bcvProvider.url, dolarApiProvider.url]);
+});
+
+test('fetchRateWithFailover follows a custom order and skips unknown providers', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const { fetchImpl, requested } = createFakeFetch({
+    [pydolarveProvider.url]: await readFixture('pydolarve-bcv-usd.json'),
+    [dolarApiProvider.url]: await readFixture('dolarapi-oficial.json')
+  });
+
+  const rateData = await fetchRateWithFailover(['unknown', 'dolarapi', 'pydolarve'], fetchImpl);
+
+  assert.equal(rateData.provider, 'dolarapi');
+  assert.deepEqual(requested, [dolarApiProvider.url]);
+});
+
+test('fetchRateWithFailover lists every failure when all providers fail', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const { fetchImpl, requested } = createFakeFetch({});
+
+  await assert.rejects(fetchRateWithFailover(DEFAULT_PROVIDER_ORDER, fetchImpl), (error) => {
+    assert.match(error.message, /^All rate providers failed: /);
+    assert.deepEqual(error.failures.map(failure => failure.provider), DEFAULT_PROVIDER_ORDER);
+    assert.ok(error.failures.every(failure => /503/.test(failure.error.message)));
+    return true;
+  });
+  assert.equal(requested.length, DEFAULT_PROVIDER_ORDER.length);
+});
@@ -0,0 +1,63 @@
+/**
+ * @file Checks how fetched rates are recorded in the rate history by `recordRate`, with `chrome.storage.local`
+ * replaced by a map in memory. Run with `npm test`.
+ */
+
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getRateHistory, recordRate, toValueDateKey } from '../src/js/rateHistory.js';
+
+let storedItems = {};
+
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: async (key) => (key in storedItems ? { [key]: structuredClone(storedItems[key]) } : {}),
+      set: async (items) => { Object.assign(storedItems, structuredClone(items)); }
+    }
+  }
+};
+
+beforeEach(() => {
+  storedItems = {};
+});
+
+test('recordRate keys a rate on its value date', async () => {
+  const valueDate = toValueDateKey(new Date());
+
+  assert.equal(await recordRate({ currentRate: 36.87, valueDate, date: new Date().toISOString(), provider: 'bcv' }), true);
+
+  const [entry] = await getRateHistory();
+  assert.equal(entry.date, valueDate);
+  assert.equal(entry.rate, 36.87);
+  assert.equal(entry.estimated, undefined);
+});
+
+test('recordRate marks a rate without a value date as estimated, under the day it was fetched', async () => {
+  assert.equal(await recordRate({ currentRate: 36.87, valueDate: null, date: '2026-01-02T04:00:00.000Z', provider: 'pydolarve' }), true);
+
+  const [entry] = await getRateHistory();
+  assert.equal(entry.date, toValueDateKey(new Date()));
+  assert.equal(entry.estimated, true);
+});
+
+test('recordRate replaces an estimated entry with the rate of its value date, but never the other way', async () => {
+  const valueDate = toValueDateKey(new Date());
+  await recordRate({ currentRate: 36.87, valueDate: null, provider: 'pydolarve' });
+
+  assert.equal(await recordRate({ currentRate: 36.87, valueDate, provider: 'bcv' }), true);
+  assert.equal(await recordRate({ currentRate: 37.01, valueDate: null, provider: 'pydolarve' }), false);
+
+  const [entry] = await getRateHistory();
+  assert.deepEqual([entry.rate, entry.provider, entry.estimated], [36.87, 'bcv', undefined]);
+});
+
+test('recordRate ignores a repeated rate and replaces a corrected one', async () => {
+  const valueDate = toValueDateKey(new Date());
+  await recordRate({ currentRate: 36.87, valueDate, provider: 'bcv' });
+
+  assert.equal(await recordRate({ currentRate: 36.87, valueDate, provider: 'bcv' }), false);
+  assert.equal(await recordRate({ currentRate: 36.9, valueDate, provider: 'bcv' }), true);
+  assert.equal((await getRateHistory())[0].rate, 36.9);
+});
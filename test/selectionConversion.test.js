@@ -0,0 +1,43 @@
+/**
+ * @file Checks how selected text is read and converted by `parseSelectedAmount` and `convertSelection`. Outside the
+ * extension no message catalog is loaded, so errors carry their message names. Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { convertSelection, parseSelectedAmount } from '../src/js/selectionConversion.js';
+
+const RATE_DATA = { currentRate: 36.5, date: '2026-10-19T04:00:00.000Z' };
+
+test('parseSelectedAmount reads the first price in the currency converted from', () => {
+  assert.equal(parseSelectedAmount('Bs. 1.234,56', 'Bs', ','), 1234.56);
+  assert.equal(parseSelectedAmount('Total $12.99 o Bs. 474,14', 'Bs', ','), 474.14);
+  assert.equal(parseSelectedAmount('Total $12.99 o Bs. 474,14', 'USD', ','), 12.99);
+});
+
+test('parseSelectedAmount reads dollar prices and plain numbers alike, in the number locale', () => {
+  assert.equal(parseSelectedAmount('$1.234', 'USD', ','), 1234);
+  assert.equal(parseSelectedAmount('1.234', 'USD', ','), 1234);
+  assert.equal(parseSelectedAmount('$1.234', 'USD', '.'), 1.234);
+  assert.equal(parseSelectedAmount('1.234', 'USD', '.'), 1.234);
+});
+
+test('parseSelectedAmount refuses a selection whose only price is already in the currency converted to', () => {
+  assert.throws(() => parseSelectedAmount('Bs. 1.234,56', 'USD', ','), /selectionAlreadyInCurrency/);
+  assert.throws(() => parseSelectedAmount('Ref 20', 'Bs', ','), /selectionAlreadyInCurrency/);
+});
+
+test('parseSelectedAmount refuses a selection without an amount', () => {
+  assert.throws(() => parseSelectedAmount('hola', 'USD', ','), /noAmountInSelection/);
+  assert.throws(() => parseSelectedAmount('0', 'USD', ','), /noAmountInSelection/);
+});
+
+test('convertSelection reads the selection in the currency other than the one converted to', () => {
+  const conversion = convertSelection('Bs. 3.650,00', 'USD', RATE_DATA, ',');
+
+  assert.equal(conversion.fromCurrency, 'Bs');
+  assert.equal(conversion.fromAmount, 3650);
+  assert.equal(conversion.toCurrency, 'USD');
+  assert.equal(conversion.toAmount, 100);
+});
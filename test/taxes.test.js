@@ -0,0 +1,57 @@
+/**
+ * @file Checks the IVA and IGTF breakdown of prices by `calculateTaxBreakdown`. Run with `npm test`.
+ */
+
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateTaxBreakdown, DEFAULT_IGTF_RATE, DEFAULT_IVA_RATE } from '../src/js/taxes.js';
+import { applyRoundingSettings } from '../src/js/rounding.js';
+
+const RATES = { ivaRate: DEFAULT_IVA_RATE, igtfRate: DEFAULT_IGTF_RATE };
+
+beforeEach(() => {
+  applyRoundingSettings({});
+});
+
+test('calculateTaxBreakdown adds IVA to the base price and IGTF to the base price plus IVA, as in its example', () => {
+  assert.deepEqual(calculateTaxBreakdown(100, { ...RATES, currency: 'USD' }), {
+    base: 100, iva: 16, igtf: 3.48, total: 119.48, ivaRate: 16, igtfRate: 3
+  });
+});
+
+test('calculateTaxBreakdown leaves out IGTF when the price is not paid in foreign currency', () => {
+  assert.deepEqual(calculateTaxBreakdown(100, { ...RATES, applyIgtf: false, currency: 'Bs' }), {
+    base: 100, iva: 16, igtf: 0, total: 116, ivaRate: 16, igtfRate: 0
+  });
+});
+
+test('calculateTaxBreakdown rounds each part to the precision of the currency and totals the rounded parts', () => {
+  // IVA 1.5984 and IGTF 0.3477 are rounded before they are added up
+  assert.deepEqual(calculateTaxBreakdown(9.99, { ...RATES, currency: 'USD' }), {
+    base: 9.99, iva: 1.6, igtf: 0.35, total: 11.94, ivaRate: 16, igtfRate: 3
+  });
+});
+
+test('calculateTaxBreakdown takes the base price out of a price that includes the taxes', () => {
+  assert.deepEqual(calculateTaxBreakdown(119.48, { ...RATES, includesTaxes: true, currency: 'USD' }), {
+    base: 100, iva: 16, igtf: 3.48, total: 119.48, ivaRate: 16, igtfRate: 3
+  });
+});
+
+test('calculateTaxBreakdown makes the taxes add up to a price that includes them, adjusting the last tax', () => {
+  // 41.85 + 6.70 + 1.46 would be 50.01, so IGTF takes up the extra cent
+  assert.deepEqual(calculateTaxBreakdown(50, { ...RATES, includesTaxes: true, currency: 'USD' }), {
+    base: 41.85, iva: 6.7, igtf: 1.45, total: 50, ivaRate: 16, igtfRate: 3
+  });
+  // 6.03 + 0.96 would be 6.99, so without IGTF, IVA takes up the missing cent
+  assert.deepEqual(calculateTaxBreakdown(7, { ...RATES, includesTaxes: true, applyIgtf: false, currency: 'USD' }), {
+    base: 6.03, iva: 0.97, igtf: 0, total: 7, ivaRate: 16, igtfRate: 0
+  });
+});
+
+test('calculateTaxBreakdown returns the price as base and total when the rates are zero', () => {
+  assert.deepEqual(calculateTaxBreakdown(25.5, { ivaRate: 0, igtfRate: 0, includesTaxes: true, currency: 'USD' }), {
+    base: 25.5, iva: 0, igtf: 0, total: 25.5, ivaRate: 0, igtfRate: 0
+  });
+});